@@ -1,42 +1,49 @@
 import User from '../models/user.model.js';
+import Identity from '../models/identity.model.js';
+import Session from '../models/session.model.js';
 import bcryptjs from 'bcryptjs';
 import { errorHandler } from '../utils/error.js';
 import { validateRequiredFields } from '../utils/validateRequiredFields.js';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { OAUTH_PROVIDERS, verifyOAuthCredentials } from '../services/oauth.service.js';
+import { rotateSession, startSession } from '../services/session.service.js';
+import { consumeUserToken, issueUserToken, sendVerificationEmail } from '../services/userToken.service.js';
+import { sendMail } from '../services/mail.service.js';
+import { passwordResetEmail } from '../utils/authEmails.js';
+import { clearSessionCookies, getClientInfo, setSessionCookies } from '../utils/sessionCookies.js';
 
 /**
- * Signs a JWT for the provided payload using the application's secret.
- * An expiration is included to reduce the risk of token replay and enforce
- * re-authentication. The secret is read from the environment and an error is
- * thrown if it is missing so callers can handle it consistently.
+ * Signs the user in on this device: starts a session, sets its cookies and
+ * responds with the user, without their password.
  *
- * @param {object} payload - Data to embed within the token.
- * @returns {string} Signed JSON Web Token.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {object} user - The user's document.
  */
-const signToken = (payload) => {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    // Using the same error handler ensures consistent error responses
-    throw errorHandler(500, 'JWT secret is missing');
-  }
-  return jwt.sign(payload, secret, { expiresIn: '1h' });
+const sendSession = async (req, res, user) => {
+  const { session, refreshToken } = await startSession(user, getClientInfo(req));
+  setSessionCookies(res, { user, session, refreshToken });
+  const { password: _password, ...rest } = user._doc;
+  res.status(200).json(rest);
 };
 
 export const signup = async (req, res, next) => {
   const { username, email, password } = req.body;
   try {
     validateRequiredFields({ username, email, password });
-    const hashedPassword = await bcryptjs.hash(password, 10);
+    // The model hashes the password when saving
     const newUser = new User({
       username,
       email,
-      password: hashedPassword,
+      password,
+      emailVerified: false,
     });
     await newUser.save();
+    await sendVerificationEmail(newUser);
     // Return a 201 Created status to indicate that a new user resource was
     // successfully created. This aligns the response with HTTP semantics and
     // makes the behaviour consistent with other creation endpoints.
-    res.status(201).json('Signup successful');
+    res.status(201).json('Signup successful. Check your email to verify your address.');
   } catch (error) {
     next(error);
   }
@@ -50,116 +57,321 @@ export const signin = async (req, res, next) => {
     if (!validUser) {
       return next(errorHandler(404, 'User not found'));
     }
+    // Accounts created through Google or GitHub have no password until they set one
+    if (!validUser.password) {
+      return next(errorHandler(400, 'This account signs in with Google or GitHub'));
+    }
     const validPassword = await bcryptjs.compare(password, validUser.password);
     if (!validPassword) {
       return next(errorHandler(400, 'Invalid password'));
     }
-    const token = signToken({ id: validUser._id, isAdmin: validUser.isAdmin });
+    if (validUser.emailVerified === false) {
+      return next(errorHandler(403, 'Verify your email address before signing in'));
+    }
+    await sendSession(req, res, validUser);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const { password: _password, ...rest } = validUser._doc;
+// ==========================================================
+// Email verification and password reset
+// ==========================================================
 
-    res
-      .status(200)
-      .cookie('access_token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 60 * 60 * 1000, // 1 hour
-      })
-      .json(rest);
+// Whether the address was taken or not, these endpoints answer the same, so
+// they cannot be used to find out who has an account
+const VERIFICATION_SENT_MESSAGE = 'If that account needs verifying, a new link is on its way';
+const RESET_SENT_MESSAGE = 'If an account uses that email, a link to reset its password is on its way';
+
+// Verifies the email address a verification link was sent to
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, 'verify-email');
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return next(errorHandler(400, 'This verification link is invalid or has expired'));
+    }
+    user.emailVerified = true;
+    await user.save();
+    res.status(200).json('Your email address has been verified');
   } catch (error) {
     next(error);
   }
 };
 
-export const google = async (req, res, next) => {
-  const { email, name, googlePhotoUrl } = req.body;
+// Mails a new verification link to an account that is not yet verified
+export const resendVerification = async (req, res, next) => {
+  const { email } = req.body;
   try {
-    const user = await User.findOne({ email });
-    if (user) {
-      const token = signToken({ id: user._id, isAdmin: user.isAdmin });
-      const { password: _password, ...rest } = user._doc;
-      return res
-          .status(200)
-          .cookie('access_token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 60 * 60 * 1000,
-          })
-          .json(rest);
-    }
-
-    const generatedPassword =
-        Math.random().toString(36).slice(-8) +
-        Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcryptjs.hash(generatedPassword, 10);
-    const newUser = new User({
-      username:
-          name.toLowerCase().split(' ').join('') +
-          Math.random().toString(9).slice(-4),
-      email,
-      password: hashedPassword,
-      profilePicture: googlePhotoUrl,
-    });
-    await newUser.save();
-    const token = signToken({ id: newUser._id, isAdmin: newUser.isAdmin });
-    const { password: _password, ...rest } = newUser._doc;
-    res
-        .status(200)
-        .cookie('access_token', token, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          maxAge: 60 * 60 * 1000,
-        })
-        .json(rest);
+    validateRequiredFields({ email });
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+    res.status(200).json(VERIFICATION_SENT_MESSAGE);
   } catch (error) {
     next(error);
   }
 };
 
-export const github = async (req, res, next) => {
-  const { email, name, githubPhotoUrl } = req.body;
+// Mails a link to choose a new password
+export const forgotPassword = async (req, res, next) => {
+  const { email } = req.body;
   try {
-    const user = await User.findOne({ email });
+    validateRequiredFields({ email });
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
     if (user) {
-      const token = signToken({ id: user._id, isAdmin: user.isAdmin });
-      const { password: _password, ...rest } = user._doc;
-      return res
-          .status(200)
-          .cookie('access_token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 60 * 60 * 1000,
-          })
-          .json(rest);
-    }
-    const generatedPassword =
-        Math.random().toString(36).slice(-8) +
-        Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcryptjs.hash(generatedPassword, 10);
-    const newUser = new User({
-      username:
-          name.toLowerCase().split(' ').join('') +
-          Math.random().toString(9).slice(-4),
+      const token = await issueUserToken(user, 'reset-password');
+      await sendMail({ to: user.email, ...passwordResetEmail({ username: user.username, token }) });
+    }
+    res.status(200).json(RESET_SENT_MESSAGE);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sets a new password with the token from a reset link, and signs the user
+// out everywhere. Following the link also proves they own the address.
+export const resetPassword = async (req, res, next) => {
+  const { token, password } = req.body;
+  try {
+    validateRequiredFields({ token, password });
+    if (typeof password !== 'string' || password.length < 6) {
+      return next(errorHandler(400, 'Password must be at least 6 characters long'));
+    }
+    const userId = await consumeUserToken(token, 'reset-password');
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return next(errorHandler(400, 'This reset link is invalid or has expired'));
+    }
+    user.password = password;
+    user.emailVerified = true;
+    await user.save();
+    await Session.deleteMany({ user: user._id });
+    res.status(200).json('Your password has been reset. Sign in with your new password.');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================================
+// Google and GitHub sign-in
+// ==========================================================
+
+const providerNames = { google: 'Google', github: 'GitHub' };
+
+// Usernames may only contain letters and numbers
+const generateUsername = (name) =>
+  ((name || '').toLowerCase().replace(/[^a-z0-9]/g, '') || 'user') + Math.random().toString(9).slice(-4);
+
+/**
+ * Signs in with a Google ID token or GitHub authorization code, which the
+ * server verifies itself. The account is found through its linked identity;
+ * failing that, an account with the same verified email gets the identity
+ * linked, and otherwise a new account without a password is created.
+ *
+ * @param {'google'|'github'} provider
+ */
+const signInWithProvider = (provider) => async (req, res, next) => {
+  try {
+    const account = await verifyOAuthCredentials(provider, req.body);
+    let identity = await Identity.findOne({ provider, providerId: account.providerId });
+    let user = identity ? await User.findById(identity.user) : null;
+
+    if (!user) {
+      if (!account.email || !account.emailVerified) {
+        return next(errorHandler(400, `Your ${providerNames[provider]} account has no verified email address`));
+      }
+      user = await User.findOne({ email: account.email });
+      if (user && (await Identity.exists({ user: user._id, provider }))) {
+        return next(errorHandler(409, `This account is already linked to another ${providerNames[provider]} account`));
+      }
+      if (!user) {
+        user = new User({
+          username: generateUsername(account.username || account.name),
+          email: account.email,
+          profilePicture: account.picture || undefined,
+          emailVerified: true,
+        });
+        await user.save();
+      } else if (user.emailVerified === false) {
+        // The provider proved the address belongs to this person, so
+        // whoever set it on the account before loses their password,
+        // sessions and linked sign-ins
+        user.emailVerified = true;
+        user.password = undefined;
+        await user.save();
+        await Identity.deleteMany({ user: user._id });
+        await Session.deleteMany({ user: user._id });
+      }
+      identity = identity || new Identity({ provider, providerId: account.providerId });
+      identity.user = user._id;
+    }
+
+    identity.email = account.email || identity.email;
+    identity.lastUsedAt = new Date();
+    await identity.save();
+    await sendSession(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const google = signInWithProvider('google');
+
+export const github = signInWithProvider('github');
+
+// ==========================================================
+// Linked identities
+// ==========================================================
+
+// The ways a user can sign in
+const describeSignInMethods = async (user) => {
+  const identities = await Identity.find({ user: user._id }).sort({ createdAt: 1 });
+  return {
+    password: Boolean(user.password),
+    identities: identities.map(({ provider, email, createdAt, lastUsedAt }) => ({
+      provider,
       email,
-      password: hashedPassword,
-      profilePicture: githubPhotoUrl,
-    });
-    await newUser.save();
-    const token = signToken({ id: newUser._id, isAdmin: newUser.isAdmin });
-    const { password: _password, ...rest } = newUser._doc;
-    res
-        .status(200)
-        .cookie('access_token', token, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          maxAge: 60 * 60 * 1000,
-        })
-        .json(rest);
+      createdAt,
+      lastUsedAt,
+    })),
+  };
+};
+
+// Lists the signed-in user's password and linked Google and GitHub logins
+export const getIdentities = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(errorHandler(404, 'User not found'));
+    }
+    res.status(200).json(await describeSignInMethods(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Links a Google or GitHub login to the signed-in user, with the same
+// credentials as signing in
+export const linkIdentity = async (req, res, next) => {
+  const { provider } = req.params;
+  try {
+    if (!OAUTH_PROVIDERS.includes(provider)) {
+      return next(errorHandler(404, `Unknown sign-in provider: ${provider}`));
+    }
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(errorHandler(404, 'User not found'));
+    }
+    const account = await verifyOAuthCredentials(provider, req.body);
+    const identity = await Identity.findOne({ provider, providerId: account.providerId });
+    if (identity && String(identity.user) !== String(user._id)) {
+      return next(errorHandler(409, `This ${providerNames[provider]} account is linked to another user`));
+    }
+    if (!identity) {
+      if (await Identity.exists({ user: user._id, provider })) {
+        return next(errorHandler(409, `Unlink your current ${providerNames[provider]} account first`));
+      }
+      await Identity.create({
+        user: user._id,
+        provider,
+        providerId: account.providerId,
+        email: account.email,
+        lastUsedAt: new Date(),
+      });
+    }
+    res.status(200).json(await describeSignInMethods(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlinks a Google or GitHub login, unless it is the user's only way to sign in
+export const unlinkIdentity = async (req, res, next) => {
+  const { provider } = req.params;
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(errorHandler(404, 'User not found'));
+    }
+    const identities = await Identity.find({ user: user._id });
+    const identity = identities.find((candidate) => candidate.provider === provider);
+    if (!identity) {
+      return next(errorHandler(404, `No ${providerNames[provider] || provider} account is linked`));
+    }
+    if (!user.password && identities.length === 1) {
+      return next(errorHandler(400, 'Set a password before removing your only way to sign in'));
+    }
+    await Identity.deleteOne({ _id: identity._id });
+    res.status(200).json(await describeSignInMethods(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================================
+// Sessions
+// ==========================================================
+
+// Exchanges the refresh token cookie for a new access token and refresh
+// token, responding with the user as sign-in does
+export const refresh = async (req, res, next) => {
+  try {
+    const { session, refreshToken } = await rotateSession(req.cookies?.refresh_token, getClientInfo(req));
+    const user = await User.findById(session.user);
+    if (!user) {
+      await Session.deleteOne({ _id: session._id });
+      clearSessionCookies(res);
+      return next(errorHandler(401, 'Session expired'));
+    }
+    setSessionCookies(res, { user, session, refreshToken });
+    const { password: _password, ...rest } = user._doc;
+    res.status(200).json(rest);
+  } catch (error) {
+    if (error.statusCode === 401) {
+      clearSessionCookies(res);
+    }
+    next(error);
+  }
+};
+
+// Lists the devices the signed-in user is signed in on, most recently seen first
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ user: req.user.id, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+    res.status(200).json(
+      sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === String(req.user.sid),
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Signs one of the user's devices out. Its access token keeps working until
+// it expires, at most ACCESS_TOKEN_TTL_SECONDS later, but cannot be renewed.
+export const revokeSession = async (req, res, next) => {
+  const { sessionId } = req.params;
+  try {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return next(errorHandler(404, 'Session not found'));
+    }
+    const { deletedCount } = await Session.deleteOne({ _id: sessionId, user: req.user.id });
+    if (!deletedCount) {
+      return next(errorHandler(404, 'Session not found'));
+    }
+    if (sessionId === String(req.user.sid)) {
+      clearSessionCookies(res);
+    }
+    res.status(200).json('Session has been revoked');
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,408 @@
+import bcryptjs from 'bcryptjs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import {
+  forgotPassword,
+  github,
+  google,
+  linkIdentity,
+  refresh,
+  resetPassword,
+  revokeSession,
+  signin,
+  signup,
+  unlinkIdentity,
+  verifyEmail,
+} from './auth.controller.js';
+import User from '../models/user.model.js';
+import Identity from '../models/identity.model.js';
+import Session from '../models/session.model.js';
+import UserToken from '../models/userToken.model.js';
+import { setOAuthFetch } from '../services/oauth.service.js';
+import { setMailTransport } from '../services/mail.service.js';
+
+function createMockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    cookies: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    cookie(name, value) {
+      this.cookies[name] = value;
+      return this;
+    },
+    clearCookie(name) {
+      this.cookies[name] = null;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const jsonResponse = (body) => ({ ok: true, json: async () => body, headers: { get: () => null } });
+
+// A Firebase ID token for a Google sign-in
+const signIdToken = (googleId, email) =>
+  jwt.sign(
+    {
+      email,
+      email_verified: true,
+      name: 'Ada Lovelace',
+      firebase: { sign_in_provider: 'google.com', identities: { 'google.com': [googleId] } },
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: 'key1',
+      issuer: 'https://securetoken.google.com/test-project',
+      audience: 'test-project',
+      subject: 'firebase-uid',
+      expiresIn: '1h',
+    }
+  );
+
+const createUser = (fields = {}) =>
+  new User({ username: 'ada', email: 'ada@example.com', password: 'hashed-password', ...fields });
+
+describe('Google and GitHub sign-in', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.FIREBASE_PROJECT_ID = 'test-project';
+    setOAuthFetch(async () => jsonResponse({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key1' }] }));
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => new Session(fields));
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    delete process.env.FIREBASE_PROJECT_ID;
+    setOAuthFetch(null);
+    jest.restoreAllMocks();
+  });
+
+  test('an email posted without a verified ID token signs no one in', async () => {
+    const findUser = jest.spyOn(User, 'findOne');
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await google({ body: { email: 'ada@example.com', name: 'Ada' } }, res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(findUser).not.toHaveBeenCalled();
+    expect(res.cookies).toEqual({});
+  });
+
+  test('the first Google sign-in links to the account with the same verified email', async () => {
+    const user = createUser();
+    jest.spyOn(Identity, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Identity, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const save = jest.spyOn(Identity.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await google({ body: { idToken: signIdToken('google-1', 'ada@example.com') } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(save).toHaveBeenCalled();
+    const identity = save.mock.contexts[0];
+    expect(identity).toMatchObject({ provider: 'google', providerId: 'google-1', email: 'ada@example.com' });
+    expect(String(identity.user)).toBe(String(user._id));
+    expect(res.statusCode).toBe(200);
+    expect(res.cookies.access_token).toBeDefined();
+    expect(res.cookies.refresh_token).toBeDefined();
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  test('linking an unverified account drops the sign-ins set up before the address was proven', async () => {
+    const user = createUser({ emailVerified: false });
+    jest.spyOn(Identity, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Identity, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Identity.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const deleteIdentities = jest.spyOn(Identity, 'deleteMany').mockResolvedValue({});
+    const deleteSessions = jest.spyOn(Session, 'deleteMany').mockResolvedValue({});
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await google({ body: { idToken: signIdToken('google-1', 'ada@example.com') } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(user.emailVerified).toBe(true);
+    expect(user.password).toBeUndefined();
+    expect(deleteIdentities).toHaveBeenCalledWith({ user: user._id });
+    expect(deleteSessions).toHaveBeenCalledWith({ user: user._id });
+    expect(res.cookies.access_token).toBeDefined();
+  });
+
+  test('a linked identity signs in to its user whatever email the provider reports', async () => {
+    const user = createUser({ email: 'ada@work.example.com' });
+    const identity = new Identity({ user: user._id, provider: 'google', providerId: 'google-1' });
+    jest.spyOn(Identity, 'findOne').mockResolvedValue(identity);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const findByEmail = jest.spyOn(User, 'findOne');
+    jest.spyOn(identity, 'save').mockResolvedValue(identity);
+    const res = createMockResponse();
+
+    await google({ body: { idToken: signIdToken('google-1', 'ada@example.com') } }, res, jest.fn());
+
+    expect(findByEmail).not.toHaveBeenCalled();
+    expect(res.body.email).toBe('ada@work.example.com');
+    expect(identity.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('GitHub accounts without a verified email cannot create an account', async () => {
+    process.env.GITHUB_CLIENT_ID = 'client-id';
+    process.env.GITHUB_CLIENT_SECRET = 'client-secret';
+    setOAuthFetch(async (url) => {
+      if (url.endsWith('/access_token')) return jsonResponse({ access_token: 'gho_token' });
+      if (url.endsWith('/user')) return jsonResponse({ id: 7, login: 'ada' });
+      return jsonResponse([{ email: 'ada@example.com', primary: true, verified: false }]);
+    });
+    jest.spyOn(Identity, 'findOne').mockResolvedValue(null);
+    const next = jest.fn();
+
+    try {
+      await github({ body: { code: 'code123' } }, createMockResponse(), next);
+    } finally {
+      delete process.env.GITHUB_CLIENT_ID;
+      delete process.env.GITHUB_CLIENT_SECRET;
+    }
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 400,
+      message: 'Your GitHub account has no verified email address',
+    });
+  });
+
+  test('a Google account linked to another user cannot be linked again', async () => {
+    const user = createUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Identity, 'findOne').mockResolvedValue(
+      new Identity({ user: new mongoose.Types.ObjectId(), provider: 'google', providerId: 'google-1' })
+    );
+    const create = jest.spyOn(Identity, 'create');
+    const next = jest.fn();
+
+    await linkIdentity(
+      { user: { id: user._id.toString() }, params: { provider: 'google' }, body: { idToken: signIdToken('google-1', 'x@example.com') } },
+      createMockResponse(),
+      next
+    );
+
+    expect(next.mock.calls[0][0].statusCode).toBe(409);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('the only way to sign in cannot be unlinked', async () => {
+    const user = createUser({ password: undefined });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Identity, 'find').mockResolvedValue([new Identity({ user: user._id, provider: 'github', providerId: '7' })]);
+    const deleteOne = jest.spyOn(Identity, 'deleteOne');
+    const next = jest.fn();
+
+    await unlinkIdentity({ user: { id: user._id.toString() }, params: { provider: 'github' } }, createMockResponse(), next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('sessions', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  test('refreshing issues a new access token naming the session', async () => {
+    const user = createUser();
+    const session = new Session({ user: user._id, tokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) });
+    jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+    jest.spyOn(session, 'save').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await refresh({ cookies: { refresh_token: 'old-token' }, headers: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(jwt.verify(res.cookies.access_token, 'test-secret')).toMatchObject({ sid: String(session._id) });
+    expect(res.cookies.refresh_token).not.toBe('old-token');
+    expect(res.body.email).toBe('ada@example.com');
+  });
+
+  test('refreshing without a session signs the device out', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await refresh({ cookies: { refresh_token: 'unknown' }, headers: {} }, res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(res.cookies).toEqual({ access_token: null, refresh_token: null });
+  });
+
+  test('users can only revoke their own sessions', async () => {
+    const deleteOne = jest.spyOn(Session, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const next = jest.fn();
+
+    await revokeSession({ user: { id: 'user1', sid: 'other' }, params: { sessionId } }, createMockResponse(), next);
+
+    expect(deleteOne).toHaveBeenCalledWith({ _id: sessionId, user: 'user1' });
+    expect(next.mock.calls[0][0].statusCode).toBe(404);
+  });
+
+  test('revoking the current session signs this device out', async () => {
+    jest.spyOn(Session, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const res = createMockResponse();
+
+    await revokeSession({ user: { id: 'user1', sid: sessionId }, params: { sessionId } }, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.cookies.access_token).toBeNull();
+  });
+});
+
+describe('email verification and password reset', () => {
+  let tokens;
+  let sentMail;
+
+  // The token in the link of the last email sent
+  const lastMailedToken = () => /token=([^\s"&]+)/.exec(sentMail[sentMail.length - 1].text)[1];
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    tokens = [];
+    sentMail = [];
+    setMailTransport({ name: 'memory', send: async (message) => sentMail.push(message) });
+    jest.spyOn(UserToken, 'create').mockImplementation(async (fields) => tokens.push(new UserToken(fields)));
+    jest.spyOn(UserToken, 'deleteMany').mockImplementation(async ({ user, purpose }) => {
+      tokens = tokens.filter((token) => !(String(token.user) === String(user) && token.purpose === purpose));
+    });
+    jest.spyOn(UserToken, 'findOneAndDelete').mockImplementation(async ({ tokenHash, purpose }) => {
+      const token = tokens.find((candidate) => candidate.tokenHash === tokenHash && candidate.purpose === purpose);
+      tokens = tokens.filter((candidate) => candidate !== token);
+      return token || null;
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => new Session(fields));
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    setMailTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  test('new accounts are unverified until the mailed link is followed, which works once', async () => {
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await signup({ body: { username: 'ada', email: 'ada@example.com', password: 'secret1' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(201);
+    const user = User.prototype.save.mock.contexts[0];
+    expect(user.emailVerified).toBe(false);
+    expect(user.password).toBe('secret1'); // Hashed by the model, not twice
+    expect(sentMail).toEqual([expect.objectContaining({ to: 'ada@example.com', subject: 'Verify your email address' })]);
+    expect(sentMail[0].text).toContain('/verify-email?token=');
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const token = lastMailedToken();
+    const verified = createMockResponse();
+    await verifyEmail({ body: { token } }, verified, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(verified.statusCode).toBe(200);
+    expect(user.emailVerified).toBe(true);
+
+    await verifyEmail({ body: { token } }, createMockResponse(), next);
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400 });
+  });
+
+  test('unverified accounts cannot sign in', async () => {
+    const user = createUser({ password: await bcryptjs.hash('secret1', 4), emailVerified: false });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await signin({ body: { email: 'ada@example.com', password: 'secret1' } }, res, next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403 });
+    expect(res.cookies).toEqual({});
+  });
+
+  test('asking to reset the password of an unknown email looks the same and sends nothing', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const unknown = createMockResponse();
+    await forgotPassword({ body: { email: 'nobody@example.com' } }, unknown, jest.fn());
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(createUser());
+    const known = createMockResponse();
+    await forgotPassword({ body: { email: 'ada@example.com' } }, known, jest.fn());
+
+    expect(unknown.statusCode).toBe(200);
+    expect(unknown.body).toBe(known.body);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('ada@example.com');
+  });
+
+  test('a reset link sets a new password once and signs the user out everywhere', async () => {
+    const user = createUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const deleteSessions = jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    await forgotPassword({ body: { email: 'ada@example.com' } }, createMockResponse(), jest.fn());
+    const token = lastMailedToken();
+    const next = jest.fn();
+
+    const res = createMockResponse();
+    await resetPassword({ body: { token, password: 'newsecret' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(user.password).toBe('newsecret');
+    expect(deleteSessions).toHaveBeenCalledWith({ user: user._id });
+
+    await resetPassword({ body: { token, password: 'another' } }, createMockResponse(), next);
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400 });
+    expect(user.password).toBe('newsecret');
+  });
+
+  test('expired reset links are refused', async () => {
+    const user = createUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    await forgotPassword({ body: { email: 'ada@example.com' } }, createMockResponse(), jest.fn());
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+    const next = jest.fn();
+
+    await resetPassword({ body: { token: lastMailedToken(), password: 'newsecret' } }, createMockResponse(), next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400, message: expect.stringMatching(/expired/) });
+    expect(user.password).toBe('hashed-password');
+  });
+});
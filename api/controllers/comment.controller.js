@@ -1,5 +1,6 @@
 import Comment from '../models/comment.model.js';
 import { errorHandler } from '../utils/error.js';
+import { PERMISSIONS, canModify } from '../utils/permissions.js';
 
 export const createComment = async (req, res, next) => {
   try {
@@ -57,7 +58,7 @@ export const editComment = async (req, res, next) => {
     if (!comment) {
       return next(errorHandler(404, 'Comment not found'));
     }
-    if (comment.userId !== req.user.id && !req.user.isAdmin) {
+    if (!canModify(req.user, comment.userId, PERMISSIONS.MODERATE_COMMENTS)) {
       return next(
           errorHandler(403, 'You are not allowed to edit this comment')
       );
@@ -82,7 +83,7 @@ export const deleteComment = async (req, res, next) => {
     if (!comment) {
       return next(errorHandler(404, 'Comment not found'));
     }
-    if (comment.userId !== req.user.id && !req.user.isAdmin) {
+    if (!canModify(req.user, comment.userId, PERMISSIONS.MODERATE_COMMENTS)) {
       return next(
           errorHandler(403, 'You are not allowed to delete this comment')
       );
@@ -95,8 +96,6 @@ export const deleteComment = async (req, res, next) => {
 };
 
 export const getComments = async (req, res, next) => {
-  if (!req.user.isAdmin)
-    return next(errorHandler(403, 'You are not allowed to get all comments'));
   try {
     const startIndex = parseInt(req.query.startIndex) || 0;
     const limit = parseInt(req.query.limit) || 9;
@@ -1,10 +1,15 @@
-import vm from 'vm';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
-import { v4 as uuidv4 } from 'uuid';
+import { randomUUID } from 'crypto';
 import { errorHandler } from '../utils/error.js';
+import { executeProgram, runCode, describeFailure } from '../services/execution.service.js';
+import { getLanguage, listLanguages, resolveDebugger, resolveToolchain } from '../services/languageRegistry.js';
+import {
+    extractDiagnostics,
+    parseGccDiagnostics,
+    parseNodeError,
+    parsePythonTraceback,
+} from '../utils/diagnostics.js';
 import { parse } from '@babel/parser';
 import traverseModule from '@babel/traverse';
 import generateModule from '@babel/generator';
@@ -13,10 +18,143 @@ import * as t from '@babel/types';
 const traverse = traverseModule.default ?? traverseModule;
 const generate = generateModule.default ?? generateModule;
 
-const execFileAsync = promisify(execFile);
 const __dirname = path.resolve();
-const TEMP_DIR = path.join(__dirname, 'temp');
+const UTILS_DIR = path.join(__dirname, 'api', 'utils');
 
+// Tracer output is a JSON document with every step, so it needs more room
+// than the plain runners.
+const TRACE_LIMITS = { outputBytes: 5 * 1024 * 1024 };
+
+// Single-stepping under gdb is slow, and gdb itself needs far more memory
+// than the programs it debugs.
+const DEBUGGER_TRACE_LIMITS = { ...TRACE_LIMITS, wallTimeMs: 20000, cpuSeconds: 15, memoryMb: 1024 };
+
+const readTracer = (fileName) => fs.promises.readFile(path.join(UTILS_DIR, fileName), 'utf8');
+
+// Runs a tracer script next to the learner's program and parses its JSON
+// report. Programs that need building are compiled first; a failed build is
+// returned as `{ compileError: true, stderr }` instead of a report.
+const runTracer = async ({
+    command,
+    tracerFile,
+    programFile,
+    tracerSource,
+    code,
+    stdin,
+    compile,
+    args = [programFile],
+    limits = TRACE_LIMITS,
+}) => {
+    const result = await executeProgram({
+        files: { [tracerFile]: tracerSource, [programFile]: code },
+        compile,
+        run: { command, args: [tracerFile, ...args] },
+        stdin,
+        limits,
+    });
+    if (result.compileError) {
+        return { compileError: true, stderr: result.stderr };
+    }
+    if (result.timedOut) {
+        throw new Error('Time limit exceeded');
+    }
+    if (result.outputLimitExceeded) {
+        throw new Error('Output limit exceeded');
+    }
+    try {
+        return JSON.parse(result.stdout);
+    } catch {
+        throw new Error(result.stderr || 'Tracer produced no output');
+    }
+};
+
+// Names used by the instrumentation; they are provided by javascriptTracer.cjs.
+const TRACE_HOOKS = ['__trace', '__enter', '__exit'];
+
+const isHookCall = (node) =>
+    t.isExpressionStatement(node) &&
+    t.isCallExpression(node.expression) &&
+    TRACE_HOOKS.some((name) => t.isIdentifier(node.expression.callee, { name }));
+
+const hookCall = (name, args = []) => t.expressionStatement(t.callExpression(t.identifier(name), args));
+
+// Best-effort name of a function for the call stack.
+const functionName = (path) => {
+    const { node, parent } = path;
+    if (node.id) return node.id.name;
+    if (node.key) return t.isIdentifier(node.key) ? node.key.name : '(computed)';
+    if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) return parent.id.name;
+    if (t.isAssignmentExpression(parent) && t.isIdentifier(parent.left)) return parent.left.name;
+    if ((t.isObjectProperty(parent) || t.isClassProperty(parent)) && t.isIdentifier(parent.key)) {
+        return parent.key.name;
+    }
+    return '(anonymous)';
+};
+
+// Builds `[{ type, bindings: { name: () => name, ... } }, ...]` for every
+// scope visible from a statement, innermost first, so the tracer can read
+// the bindings of each scope at that point. `type` is `block`, `function`
+// (the current function), `closure` (scopes of enclosing functions) or
+// `global`. Each value is a thunk because reading a binding in its temporal
+// dead zone throws.
+const scopeGetters = (path, frameBlocks) => {
+    const scopes = [];
+    const seen = new Set();
+    let insideFunction = true;
+    // A statement is traced from its parent, so a loop or block that starts
+    // a scope is traced before its own bindings exist.
+    for (let scope = path.parentPath.scope; scope; scope = scope.parent) {
+        let type = 'block';
+        if (scope.path.isProgram()) type = 'global';
+        else if (!insideFunction) type = 'closure';
+        else if (scope.path.isFunction() || frameBlocks.has(scope.path.node)) type = 'function';
+
+        const names = Object.keys(scope.bindings).filter((name) => !seen.has(name));
+        names.forEach((name) => seen.add(name));
+        const previous = scopes[scopes.length - 1];
+        if (previous?.bodyBlock && scope.path.isFunction()) {
+            // The block holding a function's body belongs to the function's scope
+            previous.names.push(...names);
+            previous.bodyBlock = false;
+        } else {
+            scopes.push({ type, names, bodyBlock: frameBlocks.has(scope.path.node) });
+        }
+        if (scope.path.isFunction()) insideFunction = false;
+    }
+    return t.arrayExpression(
+        scopes
+            .filter(({ names }) => names.length > 0)
+            .map(({ type, names }) =>
+                t.objectExpression([
+                    t.objectProperty(t.identifier('type'), t.stringLiteral(type)),
+                    t.objectProperty(
+                        t.identifier('bindings'),
+                        t.objectExpression(
+                            names.map((name) =>
+                                t.objectProperty(t.stringLiteral(name), t.arrowFunctionExpression([], t.identifier(name)))
+                            )
+                        )
+                    ),
+                ])
+            )
+    );
+};
+
+// Declarations in a loop head (`for (let i = 0; ...)`) are traced as part
+// of the loop statement; they cannot be preceded by a statement.
+const isLoopHead = (path) => path.parentPath?.isFor() && path.key !== 'body';
+
+/**
+ * Instruments a program for javascriptTracer.cjs: every statement is
+ * preceded by `__trace(line, scopes)` and every function body reports its
+ * frame with `__enter(name, line)` / `__exit()` so the tracer can rebuild the
+ * call stack. Declarations and scoping are left untouched, so block scoping,
+ * per-iteration loop bindings and temporal dead zones behave as they do
+ * without the tracer.
+ *
+ * @param {string} code - Program source.
+ * @returns {string} The instrumented program.
+ */
 export function instrumentJavaScript(code) {
     const ast = parse(code, {
         sourceType: 'script',
@@ -25,85 +163,258 @@ export function instrumentJavaScript(code) {
         plugins: [],
     });
 
+    // Statements created by the instrumentation itself, which must not be
+    // traced, and the blocks that now hold each function's body.
+    const generated = new WeakSet();
+    const frameBlocks = new WeakSet();
+
     traverse(ast, {
+        Function(path) {
+            if (path.isArrowFunctionExpression()) {
+                path.ensureBlock();
+            }
+            const body = path.node.body;
+            const line = path.node.loc?.start?.line ?? 0;
+            const enter = hookCall('__enter', [t.stringLiteral(functionName(path)), t.numericLiteral(line)]);
+            const frame = t.tryStatement(t.blockStatement(body.body), null, t.blockStatement([hookCall('__exit')]));
+            generated.add(frame);
+            frameBlocks.add(frame.block);
+            body.body = [enter, frame];
+        },
         enter(path) {
-            if (path.isVariableDeclaration()) {
-                if (path.node.kind === 'let' || path.node.kind === 'const') {
-                    path.node.kind = 'var';
+            if (path.isStatement() && !path.isBlockStatement() && !isLoopHead(path)) {
+                if (isHookCall(path.node)) {
+                    path.skip();
+                    return;
                 }
-            }
-
-            if (path.isStatement() && !path.isBlockStatement()) {
-                if (
-                    path.isExpressionStatement() &&
-                    t.isCallExpression(path.node.expression) &&
-                    t.isIdentifier(path.node.expression.callee, { name: '__trace' })
-                ) {
+                if (generated.has(path.node)) {
                     return;
                 }
                 const line = path.node.loc?.start?.line ?? 0;
-                const traceNode = t.expressionStatement(
-                    t.callExpression(t.identifier('__trace'), [t.numericLiteral(line)])
-                );
-                path.insertBefore(traceNode);
+                path.insertBefore(hookCall('__trace', [t.numericLiteral(line), scopeGetters(path, frameBlocks)]));
             }
         },
     });
 
     const { code: instrumented } = generate(ast, { comments: true, retainLines: true });
-    return `(async () => { with (sandbox) {\n${instrumented}\n}})()`;
+    return `(async () => {\n${instrumented}\n})()`;
 }
 
 export const executeCode = async (req, res, next) => {
-    const { language, code } = req.body;
+    const { language, code, stdin = '' } = req.body;
     if (!language || !code) {
         return next(errorHandler(400, 'Language and code are required.'));
     }
+    if (typeof stdin !== 'string') {
+        return next(errorHandler(400, 'stdin must be a string.'));
+    }
 
     if (language === 'javascript') {
-        const sandbox = {};
-        const events = [];
-        const context = vm.createContext({
-            sandbox,
-            console: {
-                log: (...args) => {
-                    events.push({ event: 'log', value: args.map(a => (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(' ') });
-                },
-            },
-            __trace: (line) => {
-                events.push({ event: 'step', line, locals: { ...sandbox } });
-            },
-        });
-
+        let instrumented;
         try {
-            const script = new vm.Script(instrumentJavaScript(code));
-            await script.runInContext(context, { timeout: 1000 });
-            return res.status(200).json({ events, error: false });
+            instrumented = instrumentJavaScript(code);
         } catch (err) {
-            events.push({ event: 'error', message: err.message });
-            return res.status(200).json({ events, error: true });
+            // Babel reports syntax errors with a 0-based column and appends "(line:column)".
+            const message = `SyntaxError: ${err.message.replace(/\s*\(\d+:\d+\)$/, '')}`;
+            const diagnostics = err.loc
+                ? [{ file: 'main.js', line: err.loc.line, column: err.loc.column + 1, severity: 'error', message }]
+                : [];
+            return res.status(200).json({ events: [{ event: 'error', message }], error: true, diagnostics });
+        }
+        try {
+            const data = await runTracer({
+                command: process.execPath,
+                tracerFile: 'tracer.cjs',
+                programFile: 'program.js',
+                tracerSource: await readTracer('javascriptTracer.cjs'),
+                code: instrumented,
+                stdin,
+            });
+            // The instrumented program is wrapped in one extra line and its
+            // columns no longer match the source, so only the line is reported.
+            const diagnostics = parseNodeError(data.stack, 'main.js', 1).map(({ column, ...diagnostic }) => diagnostic);
+            return res.status(200).json({ events: data.events, error: data.status === 'error', diagnostics });
+        } catch (err) {
+            return res.status(200).json({ events: [{ event: 'error', message: err.message }], error: true, diagnostics: [] });
         }
     }
 
     if (language === 'python') {
-        await fs.promises.mkdir(TEMP_DIR, { recursive: true });
-        const uniqueId = uuidv4();
-        const tracerPath = path.join(__dirname, 'api', 'utils', 'pythonTracer.py');
-        const filePath = path.join(TEMP_DIR, `${uniqueId}.py`);
+        const python = await resolveToolchain('python');
+        if (!python) {
+            return next(errorHandler(500, 'Python executable not found on the server.'));
+        }
         try {
-            await fs.promises.writeFile(filePath, code);
-            const { stdout } = await execFileAsync('python3', [tracerPath, filePath], { timeout: 5000 });
-            const data = JSON.parse(stdout);
+            const data = await runTracer({
+                command: python.command,
+                tracerFile: 'tracer.py',
+                programFile: 'main.py',
+                tracerSource: await readTracer('pythonTracer.py'),
+                code,
+                stdin,
+            });
             if (data.status === 'error') {
-                return res.status(200).json({ events: data.traces, output: data.stdout, error: true, message: data.error });
+                return res.status(200).json({
+                    events: data.traces,
+                    output: data.stdout,
+                    error: true,
+                    message: data.error,
+                    diagnostics: parsePythonTraceback(data.traceback, 'main.py', code),
+                });
             }
-            return res.status(200).json({ events: data.traces, output: data.stdout, error: false });
+            return res.status(200).json({ events: data.traces, output: data.stdout, error: false, diagnostics: [] });
         } catch (err) {
-            return res.status(200).json({ events: [], output: '', error: true, message: err.message });
-        } finally {
-            try { await fs.promises.unlink(filePath); } catch {}
+            return res.status(200).json({ events: [], output: '', error: true, message: err.message, diagnostics: [] });
         }
     }
 
-    return next(errorHandler(400, 'Unsupported language.'));
+    // C++ is traced through gdb; without it the program is only run (below).
+    const gdb = language === 'cpp' ? await resolveDebugger('cpp') : null;
+    if (gdb) {
+        const [cxx, python] = await Promise.all([resolveToolchain('cpp'), resolveToolchain('python')]);
+        if (!cxx || !python) {
+            return next(errorHandler(500, 'C++ tracing needs a C++ compiler and Python on the server.'));
+        }
+        try {
+            const data = await runTracer({
+                command: python.command,
+                tracerFile: 'tracer.py',
+                programFile: 'main.cpp',
+                tracerSource: await readTracer('cppTracer.py'),
+                code,
+                stdin,
+                // Debug info without optimisations keeps every line and local steppable.
+                compile: { command: cxx.command, args: ['-g', '-O0', 'main.cpp', '-o', 'main'] },
+                args: [gdb.command, './main', 'main.cpp'],
+                limits: DEBUGGER_TRACE_LIMITS,
+            });
+            if (data.compileError) {
+                return res.status(200).json({
+                    events: [],
+                    output: '',
+                    error: true,
+                    message: data.stderr || 'Compilation failed',
+                    diagnostics: parseGccDiagnostics(data.stderr, 'main.cpp'),
+                });
+            }
+            if (data.status === 'error') {
+                const failure = data.traces.find((event) => event.event === 'error' && event.line);
+                return res.status(200).json({
+                    events: data.traces,
+                    output: data.stdout,
+                    error: true,
+                    message: data.error,
+                    diagnostics: failure
+                        ? [{ file: 'main.cpp', line: failure.line, severity: 'error', message: failure.message }]
+                        : [],
+                });
+            }
+            return res.status(200).json({ events: data.traces, output: data.stdout, error: false, diagnostics: [] });
+        } catch (err) {
+            return res.status(200).json({ events: [], output: '', error: true, message: err.message, diagnostics: [] });
+        }
+    }
+
+    if (!getLanguage(language)) {
+        return next(errorHandler(400, 'Unsupported language.'));
+    }
+
+    // Languages without a tracer are run as-is and only report their output.
+    try {
+        const result = await runCode({ language, code, stdin });
+        const failure = describeFailure(result);
+        const diagnostics = extractDiagnostics({ language, code, result });
+        if (failure) {
+            return res.status(200).json({ events: [], output: result.stdout, error: true, message: failure, diagnostics });
+        }
+        return res.status(200).json({ events: [], output: result.stdout, error: false, diagnostics });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Lists the languages known to the execution service and whether their
+ * toolchain is installed on this server.
+ */
+export const getExecutionLanguages = async (req, res, next) => {
+    try {
+        res.status(200).json(await listLanguages());
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Streaming runs in progress, keyed by run id, so they can be cancelled.
+const activeRuns = new Map();
+
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Runs a program and streams its progress as Server-Sent Events:
+ * `start` ({ runId }), `compile`/`stdout`/`stderr` ({ data }) chunks as they
+ * are produced, and a final `exit` event with the exit status. Closing the
+ * connection or calling cancelExecution with the run id kills the program.
+ */
+export const streamExecution = async (req, res, next) => {
+    const { language, code, stdin = '' } = req.body;
+    if (!language || !code) {
+        return next(errorHandler(400, 'Language and code are required.'));
+    }
+    if (typeof stdin !== 'string') {
+        return next(errorHandler(400, 'stdin must be a string.'));
+    }
+    if (!getLanguage(language)) {
+        return next(errorHandler(400, 'Unsupported language.'));
+    }
+
+    const runId = randomUUID();
+    const controller = new AbortController();
+    activeRuns.set(runId, controller);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.on('close', () => controller.abort());
+    sendEvent(res, 'start', { runId });
+
+    try {
+        const result = await runCode({
+            language,
+            code,
+            stdin,
+            signal: controller.signal,
+            onOutput: (stream, data) => sendEvent(res, stream, { data }),
+        });
+        sendEvent(res, 'exit', {
+            exitCode: result.exitCode,
+            signal: result.signal,
+            timedOut: result.timedOut,
+            outputLimitExceeded: result.outputLimitExceeded,
+            cancelled: result.cancelled,
+            compileError: result.compileError,
+            message: describeFailure(result),
+            diagnostics: extractDiagnostics({ language, code, result }),
+        });
+    } catch (err) {
+        sendEvent(res, 'error', { message: err.message });
+    } finally {
+        activeRuns.delete(runId);
+        res.end();
+    }
+};
+
+export const cancelExecution = (req, res, next) => {
+    const controller = activeRuns.get(req.params.runId);
+    if (!controller) {
+        return next(errorHandler(404, 'Run not found or already finished.'));
+    }
+    controller.abort();
+    res.status(200).json({ cancelled: true });
 };
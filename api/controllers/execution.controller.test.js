@@ -1,22 +1,18 @@
 import vm from 'vm';
-import { instrumentJavaScript } from './execution.controller.js';
+import { executeCode, instrumentJavaScript } from './execution.controller.js';
+import { resolveDebugger } from '../services/languageRegistry.js';
 
 function createContext(events) {
-  const sandbox = {};
-  return {
-    context: vm.createContext({
-      sandbox,
-      console: {
-        log: (...args) => {
-          events.push({ event: 'log', value: args.join(' ') });
-        },
-      },
-      __trace: (line) => {
-        events.push({ event: 'step', line, locals: { ...sandbox } });
+  return vm.createContext({
+    console: {
+      log: (...args) => {
+        events.push({ event: 'log', value: args.join(' ') });
       },
-    }),
-    sandbox,
-  };
+    },
+    __trace: (line) => {
+      events.push({ event: 'step', line });
+    },
+  });
 }
 
 describe('instrumentJavaScript', () => {
@@ -30,11 +26,11 @@ describe('instrumentJavaScript', () => {
 
     expect(instrumented).toContain('comment with let and const');
     expect(instrumented).toContain('"let inside string"');
-    expect(instrumented).toMatch(/var msg/);
-    expect(instrumented).toMatch(/var x/);
+    expect(instrumented).toMatch(/const msg/);
+    expect(instrumented).toMatch(/let x/);
 
     const events = [];
-    const { context } = createContext(events);
+    const context = createContext(events);
     const script = new vm.Script(instrumented);
     await script.runInContext(context);
 
@@ -43,3 +39,128 @@ describe('instrumentJavaScript', () => {
     expect(events.filter((e) => e.event === 'step').length).toBeGreaterThan(0);
   });
 });
+
+describe('executeCode', () => {
+  // Programs run as the test runner's user instead of a sandbox user
+  beforeAll(() => {
+    process.env.EXECUTION_ALLOW_UNSANDBOXED = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.EXECUTION_ALLOW_UNSANDBOXED;
+  });
+
+  const run = (body) =>
+    new Promise((resolve, reject) => {
+      const res = {
+        status() {
+          return this;
+        },
+        json: resolve,
+      };
+      executeCode({ body }, res, reject);
+    });
+
+  test('feeds stdin to prompt() in traced JavaScript', async () => {
+    const data = await run({
+      language: 'javascript',
+      code: 'const a = Number(prompt());\nconst b = Number(prompt());\nconsole.log(a + b);',
+      stdin: '2\n40\n',
+    });
+    expect(data.error).toBe(false);
+    expect(data.events.find((e) => e.event === 'log').value).toBe('42');
+  });
+
+  test('records the call stack and shared heap objects in JavaScript traces', async () => {
+    const data = await run({
+      language: 'javascript',
+      code: 'function depth(n) {\n  return n === 0 ? 0 : depth(n - 1);\n}\nconst a = [1];\nconst b = { list: a };\ndepth(2);',
+    });
+    const steps = data.events.filter((e) => e.event === 'step');
+    const deepest = steps.reduce((max, e) => (e.stack.length > max.stack.length ? e : max));
+
+    expect(deepest.stack.map((f) => f.name)).toEqual(['global', 'depth', 'depth', 'depth']);
+    expect(deepest.stack.map((f) => f.locals.n?.value)).toEqual([undefined, '2', '1', '0']);
+    const { a, b } = deepest.stack[0].locals;
+    expect(deepest.heap[b.ref].entries).toEqual([{ key: 'list', value: { ref: a.ref } }]);
+  });
+
+  test('records the call stack and shared heap objects in Python traces', async () => {
+    const data = await run({
+      language: 'python',
+      code: 'def depth(n):\n    return 0 if n == 0 else depth(n - 1)\n\na = [1]\nb = {"list": a}\ndepth(2)',
+    });
+    const steps = data.events.filter((e) => e.event === 'step');
+    const deepest = steps.reduce((max, e) => (e.stack.length > max.stack.length ? e : max));
+
+    expect(deepest.stack.map((f) => f.name)).toEqual(['global', 'depth', 'depth', 'depth']);
+    const { a, b } = deepest.stack[0].locals;
+    expect(deepest.heap[b.ref].entries).toEqual([{ key: "'list'", value: { ref: a.ref } }]);
+  });
+
+  test('steps through C++ programs with gdb', async () => {
+    if (!(await resolveDebugger('cpp'))) return;
+    const data = await run({
+      language: 'cpp',
+      code: '#include <iostream>\nint main() {\n  int x;\n  std::cin >> x;\n  int y = x * 2;\n  std::cout << y;\n}',
+      stdin: '21\n',
+    });
+    expect(data.error).toBe(false);
+    expect(data.output).toBe('42');
+    expect(data.events.map((e) => e.line)).toEqual(expect.arrayContaining([4, 5, 6]));
+    expect(data.events.find((e) => e.line === 6).locals).toMatchObject({ x: '21', y: '42' });
+  });
+
+  test('reports C++ compile errors as diagnostics when tracing', async () => {
+    if (!(await resolveDebugger('cpp'))) return;
+    const data = await run({ language: 'cpp', code: 'int main() {\n  return x;\n}' });
+    expect(data.error).toBe(true);
+    expect(data.diagnostics[0]).toMatchObject({ file: 'main.cpp', line: 2, severity: 'error' });
+  });
+
+  test('reports a thrown Error as a diagnostic in traced JavaScript', async () => {
+    const data = await run({ language: 'javascript', code: 'function f(){ throw new Error("boom"); }\nf();' });
+    expect(data.error).toBe(true);
+    expect(data.diagnostics).toEqual([{ file: 'main.js', line: 1, severity: 'error', message: 'Error: boom' }]);
+  });
+
+  test('keeps a fresh loop binding per iteration for closures', async () => {
+    const data = await run({
+      language: 'javascript',
+      code: 'const fns = [];\nfor (let i = 0; i < 3; i++) {\n  fns.push(() => i);\n}\nconsole.log(fns.map((f) => f()).join(","));',
+    });
+    expect(data.error).toBe(false);
+    expect(data.events.find((e) => e.event === 'log').value).toBe('0,1,2');
+  });
+
+  test('keeps the temporal dead zone of let and const', async () => {
+    const data = await run({
+      language: 'javascript',
+      code: 'try {\n  console.log(x);\n} catch (e) {\n  console.log(e.name);\n}\nlet x = 1;\nconsole.log(x);',
+    });
+    const steps = data.events.filter((e) => e.event === 'step');
+
+    expect(data.events.filter((e) => e.event === 'log').map((e) => e.value)).toEqual(['ReferenceError', '1']);
+    expect(steps.find((e) => e.line === 6).locals).not.toHaveProperty('x');
+    expect(steps.find((e) => e.line === 7).locals).toEqual({ x: '1' });
+  });
+
+  test('captures block, function and closure scopes separately', async () => {
+    const data = await run({
+      language: 'javascript',
+      code: 'function counter(start) {\n  let count = start;\n  return () => {\n    const step = 1;\n    count += step;\n    return count;\n  };\n}\ncounter(5)();',
+    });
+    const step = data.events.find((e) => e.event === 'step' && e.line === 5);
+
+    expect(step.scopes.map((s) => [s.type, Object.keys(s.bindings)])).toEqual([
+      ['function', ['step']],
+      ['closure', ['count', 'start']],
+      ['global', ['counter']],
+    ]);
+    expect(step.stack.map((f) => f.name)).toEqual(['global', '(anonymous)']);
+  });
+
+  test('rejects a non-string stdin', async () => {
+    await expect(run({ language: 'javascript', code: 'x', stdin: 5 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
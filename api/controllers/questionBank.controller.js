@@ -0,0 +1,138 @@
+// api/controllers/questionBank.controller.js
+import mongoose from 'mongoose';
+import Question from '../models/question.model.js';
+import { errorHandler } from '../utils/error.js';
+import { PERMISSIONS, canModify } from '../utils/permissions.js';
+import { findGradingProblem } from '../utils/quizQuestions.js';
+import { DIFFICULTIES, normalizeTags } from '../utils/questionBank.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The fields of a bank question that its author may set
+const readQuestion = (body) => {
+    const { tags, language, createdBy, _id, createdAt, updatedAt, ...question } = body;
+    return {
+        ...question,
+        tags: normalizeTags(tags),
+        language: language ? String(language).toLowerCase() : undefined,
+    };
+};
+
+const findInvalidQuestion = (question) => {
+    if (!question.questionText?.trim()) {
+        return 'Question text is required.';
+    }
+    if (question.difficulty && !DIFFICULTIES.includes(question.difficulty)) {
+        return 'Difficulty must be easy, medium or hard.';
+    }
+    const problem = findGradingProblem(question);
+    return problem && `This question cannot be graded: ${problem}`;
+};
+
+/**
+ * Lists bank questions, newest first. Filters by `tag`, `difficulty`,
+ * `language` and a `searchTerm` in the question text (Admin-only).
+ */
+export const getBankQuestions = async (req, res, next) => {
+    try {
+        const startIndex = parseInt(req.query.startIndex) || 0;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const filter = {
+            ...(req.query.tag && { tags: req.query.tag.toLowerCase() }),
+            ...(req.query.difficulty && { difficulty: req.query.difficulty }),
+            ...(req.query.language && { language: req.query.language.toLowerCase() }),
+            ...(req.query.searchTerm && {
+                questionText: { $regex: escapeRegex(req.query.searchTerm), $options: 'i' },
+            }),
+        };
+
+        const questions = await Question.find(filter).sort({ updatedAt: -1 }).skip(startIndex).limit(limit);
+        const totalQuestions = await Question.countDocuments(filter);
+
+        res.status(200).json({ questions, totalQuestions });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lists the tags and languages used in the bank, for filtering it and
+ * defining question pools (Admin-only).
+ */
+export const getBankFacets = async (req, res, next) => {
+    try {
+        const [tags, languages] = await Promise.all([Question.distinct('tags'), Question.distinct('language')]);
+        res.status(200).json({ tags: tags.sort(), languages: languages.filter(Boolean).sort() });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const createBankQuestion = async (req, res, next) => {
+    const question = readQuestion(req.body);
+    const invalid = findInvalidQuestion(question);
+    if (invalid) {
+        return next(errorHandler(400, invalid));
+    }
+    try {
+        const savedQuestion = await Question.create({ ...question, createdBy: req.user.id });
+        res.status(201).json(savedQuestion);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const updateBankQuestion = async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.questionId)) {
+        return next(errorHandler(400, 'Invalid question id.'));
+    }
+    const question = readQuestion(req.body);
+    const invalid = findInvalidQuestion(question);
+    if (invalid) {
+        return next(errorHandler(400, invalid));
+    }
+    try {
+        const existing = await Question.findById(req.params.questionId).select('createdBy');
+        if (!existing) {
+            return next(errorHandler(404, 'Question not found'));
+        }
+        if (!canModify(req.user, existing.createdBy, PERMISSIONS.EDIT_ANY_CONTENT)) {
+            return next(errorHandler(403, 'You are not allowed to update this question'));
+        }
+        const updatedQuestion = await Question.findByIdAndUpdate(
+            req.params.questionId,
+            { $set: question },
+            { new: true, runValidators: true }
+        );
+        if (!updatedQuestion) {
+            return next(errorHandler(404, 'Question not found'));
+        }
+        res.status(200).json(updatedQuestion);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Attempts keep their own copy of every graded answer, so deleting a
+// question does not change past results.
+export const deleteBankQuestion = async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.questionId)) {
+        return next(errorHandler(400, 'Invalid question id.'));
+    }
+    try {
+        const existing = await Question.findById(req.params.questionId).select('createdBy');
+        if (!existing) {
+            return next(errorHandler(404, 'Question not found'));
+        }
+        if (!canModify(req.user, existing.createdBy, PERMISSIONS.DELETE_ANY_CONTENT)) {
+            return next(errorHandler(403, 'You are not allowed to delete this question'));
+        }
+        const deleted = await Question.findByIdAndDelete(req.params.questionId);
+        if (!deleted) {
+            return next(errorHandler(404, 'Question not found'));
+        }
+        res.status(200).json('The question has been deleted');
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,58 @@
+import Question from '../models/question.model.js';
+import { createBankQuestion } from './questionBank.controller.js';
+
+function createMockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+describe('question bank controller', () => {
+  const admin = { id: '507f1f77bcf86cd799439011', isAdmin: true };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('new questions are tagged and checked before they are stored', async () => {
+    const create = jest.spyOn(Question, 'create').mockImplementation(async (doc) => ({ _id: 'question1', ...doc }));
+    const res = createMockResponse();
+
+    await createBankQuestion(
+      {
+        user: admin,
+        body: {
+          questionText: 'Order the loop',
+          questionType: 'ordering',
+          orderItems: ['for x in xs:', '    print(x)'],
+          tags: ['Loops ', 'loops'],
+          difficulty: 'easy',
+          language: 'Python',
+        },
+      },
+      res,
+      jest.fn()
+    );
+
+    expect(res.statusCode).toBe(201);
+    expect(create.mock.calls[0][0]).toMatchObject({ tags: ['loops'], language: 'python', createdBy: admin.id });
+
+    const next = jest.fn();
+    await createBankQuestion(
+      { user: admin, body: { questionText: 'Order one item', questionType: 'ordering', orderItems: ['x'] } },
+      createMockResponse(),
+      next
+    );
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
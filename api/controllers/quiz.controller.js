@@ -1,6 +1,15 @@
 // api/controllers/quiz.controller.js
 import Quiz from '../models/quiz.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import Question from '../models/question.model.js';
 import { errorHandler } from '../utils/error.js';
+import { PERMISSIONS, canModify } from '../utils/permissions.js';
+import { gradeSubmission } from '../utils/grading.js';
+import { getLanguage } from '../services/languageRegistry.js';
+import { getAvailabilityError, isPastDeadline, requiresStart } from '../utils/quizSettings.js';
+import { findUngradableQuestion, getQuestionTestCases, toLearnerQuestions } from '../utils/quizQuestions.js';
+import { findInvalidPool, findPoolShortfall, normalizePools } from '../utils/questionBank.js';
+import { QUIZ_FORMATS, parseQuizFile, writeQuizFile } from '../utils/quizImport.js';
 
 // Helper to generate a slug (can be reused from your post/tutorial controller)
 const generateSlug = (text) => {
@@ -11,14 +20,53 @@ const generateSlug = (text) => {
         .replace(/[^a-zA-Z0-9-]/g, '');
 };
 
-export const createQuiz = async (req, res, next) => {
-    if (!req.user.isAdmin) {
-        return next(errorHandler(403, 'You are not allowed to create a quiz'));
+// The answer shown to the learner after grading
+const getCorrectAnswer = (question) => {
+    switch (question.questionType) {
+        case 'mcq':
+            return question.options.filter(opt => opt.isCorrect).map(opt => opt.text);
+        case 'ordering':
+            return question.orderItems;
+        case 'matching':
+            return question.matchPairs.map(({ left, right }) => ({ left, right }));
+        case 'multi-blank':
+            return question.blankAnswers;
+        case 'numeric':
+            return question.tolerance ? `${question.numericAnswer} ± ${question.tolerance}` : question.numericAnswer;
+        default:
+            return question.correctAnswer;
+    }
+};
+
+// Number of positions at which the learner's list equals the expected list
+const countMatches = (userList, expectedList, equals = (a, b) => a === b) =>
+    expectedList.filter((expected, i) => Array.isArray(userList) && equals(userList[i], expected)).length;
+
+// Returns an error message when a quiz's availability window is backwards
+const findInvalidSettings = (settings) => {
+    if (settings?.opensAt && settings?.closesAt && new Date(settings.closesAt) <= new Date(settings.opensAt)) {
+        return 'The quiz must close after it opens.';
     }
-    const { title, description, category, questions, relatedTutorials } = req.body;
+    return null;
+};
 
-    if (!title || questions.length === 0) {
-        return next(errorHandler(400, 'Please provide quiz title and at least one question.'));
+// What learners see of a quiz before they submit it
+const toLearnerQuiz = (quiz) => {
+    const plain = quiz.toObject();
+    return { ...plain, questions: toLearnerQuestions(plain.questions) };
+};
+
+export const createQuiz = async (req, res, next) => {
+    const { title, description, category, questions = [], relatedTutorials, settings } = req.body;
+    const questionPools = normalizePools(req.body.questionPools);
+
+    if (!title || questions.length + questionPools.length === 0) {
+        return next(errorHandler(400, 'Please provide quiz title and at least one question or question pool.'));
+    }
+    const questionError =
+        findUngradableQuestion(questions) || findInvalidPool(questionPools) || findInvalidSettings(settings);
+    if (questionError) {
+        return next(errorHandler(400, questionError));
     }
 
     const slug = generateSlug(title);
@@ -29,11 +77,17 @@ export const createQuiz = async (req, res, next) => {
         description,
         category,
         questions,
+        questionPools,
         createdBy: req.user.id,
         relatedTutorials,
+        settings,
     });
 
     try {
+        const shortfall = await findPoolShortfall(questionPools);
+        if (shortfall) {
+            return next(errorHandler(400, shortfall));
+        }
         const savedQuiz = await newQuiz.save();
         res.status(201).json(savedQuiz);
     } catch (error) {
@@ -78,7 +132,7 @@ export const getQuizzes = async (req, res, next) => {
         });
 
         res.status(200).json({
-            quizzes,
+            quizzes: quizzes.map(toLearnerQuiz),
             totalQuizzes,
             lastMonthQuizzes,
         });
@@ -96,7 +150,7 @@ export const getSingleQuizById = async (req, res, next) => {
         if (!quiz) {
             return next(errorHandler(404, 'Quiz not found'));
         }
-        res.status(200).json(quiz);
+        res.status(200).json(toLearnerQuiz(quiz));
     } catch (error) {
         next(error);
     }
@@ -111,29 +165,141 @@ export const getSingleQuizBySlug = async (req, res, next) => {
         if (!quiz) {
             return next(errorHandler(404, 'Quiz not found'));
         }
+        res.status(200).json(toLearnerQuiz(quiz));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// The full quiz with its answers, for editing it: only for whoever may update it
+export const getQuizForEditing = async (req, res, next) => {
+    try {
+        const quiz = await Quiz.findById(req.params.quizId).populate('relatedTutorials', 'title slug');
+        if (!quiz) {
+            return next(errorHandler(404, 'Quiz not found'));
+        }
+        if (!canModify(req.user, quiz.createdBy, PERMISSIONS.EDIT_ANY_CONTENT)) {
+            return next(errorHandler(403, 'You are not allowed to edit this quiz'));
+        }
         res.status(200).json(quiz);
     } catch (error) {
         next(error);
     }
 };
 
+// The format named by `?format=`, JSON by default
+const getQuizFormat = (req) => {
+    const format = req.query.format || 'json';
+    return Object.hasOwn(QUIZ_FORMATS, format) ? format : null;
+};
+
+// Reads a GIFT, Moodle XML or JSON file of questions sent as the request
+// body. With `?dryRun=true` it only reports what would be imported;
+// otherwise it creates a quiz from the questions without errors (Admin-only)
+export const importQuiz = async (req, res, next) => {
+    const format = getQuizFormat(req);
+    if (!format) {
+        return next(errorHandler(400, `Unknown format. Use one of: ${Object.keys(QUIZ_FORMATS).join(', ')}.`));
+    }
+    // JSON files sent as application/json have already been parsed
+    let content = typeof req.body === 'string' ? req.body : '';
+    if (req.body && typeof req.body === 'object' && Object.keys(req.body).length) {
+        content = JSON.stringify(req.body, null, 2);
+    }
+    if (!content.trim()) {
+        return next(errorHandler(400, 'The file is empty.'));
+    }
+
+    try {
+        const { quiz: fromFile, questions, issues } = parseQuizFile(format, content);
+        const title = req.query.title || fromFile.title;
+        const description = req.query.description ?? fromFile.description;
+        const category = req.query.category || fromFile.category;
+
+        if (req.query.dryRun === 'true') {
+            return res.status(200).json({ format, title, description, category, questions, issues });
+        }
+        if (!title) {
+            return next(errorHandler(400, 'Please provide quiz title.'));
+        }
+        if (questions.length === 0) {
+            return next(errorHandler(400, 'The file has no questions that can be imported.'));
+        }
+
+        const savedQuiz = await new Quiz({
+            title,
+            slug: generateSlug(title),
+            description,
+            category,
+            questions,
+            createdBy: req.user.id,
+        }).save();
+        res.status(201).json({ quiz: savedQuiz, issues });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Downloads a quiz's questions as GIFT, Moodle XML or JSON. The numbers of
+// questions the format cannot express are listed in X-Skipped-Questions.
+// Exports carry the answers, so only whoever may update the quiz gets one
+export const exportQuiz = async (req, res, next) => {
+    const format = getQuizFormat(req);
+    if (!format) {
+        return next(errorHandler(400, `Unknown format. Use one of: ${Object.keys(QUIZ_FORMATS).join(', ')}.`));
+    }
+    try {
+        const quiz = await Quiz.findById(req.params.quizId);
+        if (!quiz) {
+            return next(errorHandler(404, 'Quiz not found'));
+        }
+        if (!canModify(req.user, quiz.createdBy, PERMISSIONS.EDIT_ANY_CONTENT)) {
+            return next(errorHandler(403, 'You are not allowed to export this quiz'));
+        }
+        const { content, skipped, extension, contentType } = writeQuizFile(format, quiz.toObject());
+        res.attachment(`${quiz.slug}.${extension}`);
+        res.type(contentType);
+        res.set('X-Skipped-Questions', skipped.join(','));
+        res.status(200).send(content);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Quizzes may be changed by whoever created them, whatever userId the URL names
 export const updateQuiz = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to update this quiz'));
+    const { title, description, category, questions, relatedTutorials, settings } = req.body;
+    const questionPools = req.body.questionPools && normalizePools(req.body.questionPools);
+    const questionError =
+        findUngradableQuestion(questions) || findInvalidPool(questionPools) || findInvalidSettings(settings);
+    if (questionError) {
+        return next(errorHandler(400, questionError));
     }
-    const { title, description, category, questions, relatedTutorials } = req.body;
     const updateFields = {
         title,
         description,
         category,
         questions,
+        questionPools,
         relatedTutorials,
+        settings,
     };
     if (title) {
         updateFields.slug = generateSlug(title);
     }
 
     try {
+        const quiz = await Quiz.findById(req.params.quizId).select('createdBy');
+        if (!quiz) {
+            return next(errorHandler(404, 'Quiz not found'));
+        }
+        if (!canModify(req.user, quiz.createdBy, PERMISSIONS.EDIT_ANY_CONTENT)) {
+            return next(errorHandler(403, 'You are not allowed to update this quiz'));
+        }
+        const shortfall = await findPoolShortfall(questionPools);
+        if (shortfall) {
+            return next(errorHandler(400, shortfall));
+        }
         const updatedQuiz = await Quiz.findByIdAndUpdate(
             req.params.quizId,
             { $set: updateFields },
@@ -149,11 +315,16 @@ export const updateQuiz = async (req, res, next) => {
 };
 
 export const deleteQuiz = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to delete this quiz'));
-    }
     try {
+        const quiz = await Quiz.findById(req.params.quizId).select('createdBy');
+        if (!quiz) {
+            return next(errorHandler(404, 'Quiz not found'));
+        }
+        if (!canModify(req.user, quiz.createdBy, PERMISSIONS.DELETE_ANY_CONTENT)) {
+            return next(errorHandler(403, 'You are not allowed to delete this quiz'));
+        }
         await Quiz.findByIdAndDelete(req.params.quizId);
+        await QuizAttempt.deleteMany({ quiz: req.params.quizId });
         res.status(200).json('The quiz has been deleted');
     } catch (error) {
         next(error);
@@ -162,11 +333,16 @@ export const deleteQuiz = async (req, res, next) => {
 
 export const submitQuiz = async (req, res, next) => {
     const { quizId } = req.params;
-    const { answers } = req.body; // answers is an array of { questionId: string, userAnswer: any }
+    const { answers, durationSeconds, attemptToken } = req.body; // answers is an array of { questionId: string, userAnswer: any }
 
     if (!Array.isArray(answers)) {
         return next(errorHandler(400, 'Answers must be an array.'));
     }
+    // Each question is graded at most once, so the score cannot exceed the number of questions
+    const answeredIds = answers.map((answer) => String(answer?.questionId));
+    if (new Set(answeredIds).size !== answeredIds.length) {
+        return next(errorHandler(400, 'Each question can only be answered once.'));
+    }
 
     try {
         const quiz = await Quiz.findById(quizId);
@@ -174,18 +350,61 @@ export const submitQuiz = async (req, res, next) => {
             return next(errorHandler(404, 'Quiz not found.'));
         }
 
+        // Quizzes with settings are submitted with the token of a started attempt,
+        // whose deadline already takes the closing date into account
+        const settings = quiz.settings || {};
+        const now = new Date();
+        let startedAttempt = null;
+        if (attemptToken) {
+            startedAttempt = await QuizAttempt.findOne({ token: attemptToken, user: req.user.id, quiz: quiz._id });
+            if (!startedAttempt) {
+                return next(errorHandler(404, 'Attempt not found.'));
+            }
+            if (startedAttempt.status !== 'in-progress') {
+                return next(errorHandler(409, 'This attempt has already ended.'));
+            }
+            if (isPastDeadline(startedAttempt.deadline, now)) {
+                await QuizAttempt.updateOne({ _id: startedAttempt._id }, { $set: { status: 'expired' } });
+                return next(errorHandler(403, 'The time limit for this attempt has passed.'));
+            }
+        } else if (requiresStart(settings) || quiz.questionPools?.length > 0) {
+            return next(errorHandler(400, 'Start the quiz before submitting it.'));
+        } else {
+            const unavailable = getAvailabilityError(settings, now);
+            if (unavailable) {
+                return next(errorHandler(403, unavailable));
+            }
+        }
+
+        // Questions drawn from the bank for the attempt are graded alongside the quiz's own
+        const drawnQuestions = startedAttempt?.drawnQuestions?.length
+            ? await Question.find({ _id: { $in: startedAttempt.drawnQuestions } })
+            : [];
+        // A started attempt is graded on the questions it was started with
+        const attemptQuestionIds = startedAttempt?.questionOrder?.length
+            ? new Set(startedAttempt.questionOrder.map(String))
+            : null;
+        const findQuestion = (questionId) => {
+            if (attemptQuestionIds && !attemptQuestionIds.has(String(questionId))) {
+                return null;
+            }
+            return quiz.questions.id(questionId) || drawnQuestions.find((drawn) => String(drawn._id) === String(questionId));
+        };
+        const totalQuestions = startedAttempt?.totalQuestions || quiz.questions.length;
+
         let correctCount = 0;
         const results = [];
 
         for (const submittedAnswer of answers) {
-            const question = quiz.questions.id(submittedAnswer.questionId);
+            const question = findQuestion(submittedAnswer?.questionId);
             if (!question) {
-                // Ignore answers for non-existent questions or handle as error
+                // Answers to questions outside the quiz or attempt are ignored
                 continue;
             }
 
             let isCorrect = false;
             let feedback = '';
+            let testResults;
 
             if (question.questionType === 'mcq') {
                 // For MCQ, userAnswer should be an array of selected option texts or a single string
@@ -222,6 +441,68 @@ export const submitQuiz = async (req, res, next) => {
                 } else {
                     feedback = `Incorrect Output. Expected: \n"${question.correctAnswer}"\nYour output:\n"${submittedAnswer.userAnswer}"`;
                 }
+            } else if (question.questionType === 'code-writing') {
+                // The learner's code is run in the sandbox and graded like a code-interactive chapter
+                const testCases = getQuestionTestCases(question);
+                if (!getLanguage(question.codeLanguage)) {
+                    feedback = `Automatic grading is not available for ${question.codeLanguage} code.`;
+                } else if (testCases.length === 0) {
+                    feedback = 'This question has no expected output to grade against.';
+                } else if (typeof submittedAnswer.userAnswer !== 'string' || !submittedAnswer.userAnswer.trim()) {
+                    feedback = 'No code was submitted.';
+                } else {
+                    const grade = await gradeSubmission({
+                        language: question.codeLanguage,
+                        code: submittedAnswer.userAnswer,
+                        testCases,
+                    });
+                    isCorrect = grade.passed;
+                    testResults = grade.results;
+                    feedback = isCorrect
+                        ? 'Your program passed every test.'
+                        : `Your program passed ${grade.passedCount} of ${grade.total} tests.`;
+                }
+            } else if (question.questionType === 'ordering') {
+                // userAnswer is the items in the order the learner arranged them
+                const inPlace = countMatches(submittedAnswer.userAnswer, question.orderItems);
+                if (inPlace === question.orderItems.length && submittedAnswer.userAnswer.length === inPlace) {
+                    isCorrect = true;
+                    feedback = 'Correct order!';
+                } else {
+                    feedback = `Incorrect. ${inPlace} of ${question.orderItems.length} items are in the right place.`;
+                }
+            } else if (question.questionType === 'matching') {
+                // userAnswer[i] is the right item chosen for the i-th pair's left item
+                const matched = countMatches(submittedAnswer.userAnswer, question.matchPairs, (chosen, pair) => chosen === pair.right);
+                if (matched === question.matchPairs.length) {
+                    isCorrect = true;
+                    feedback = 'Every pair matches!';
+                } else {
+                    feedback = `Incorrect. ${matched} of ${question.matchPairs.length} pairs match.`;
+                }
+            } else if (question.questionType === 'multi-blank') {
+                // userAnswer[i] fills the i-th blank; code is compared exactly, apart from surrounding spaces
+                const filled = countMatches(
+                    submittedAnswer.userAnswer,
+                    question.blankAnswers,
+                    (given, expected) => typeof given === 'string' && given.trim() === expected.trim()
+                );
+                if (filled === question.blankAnswers.length) {
+                    isCorrect = true;
+                    feedback = 'Every blank is correct!';
+                } else {
+                    feedback = `Incorrect. ${filled} of ${question.blankAnswers.length} blanks are correct.`;
+                }
+            } else if (question.questionType === 'numeric') {
+                const given = typeof submittedAnswer.userAnswer === 'string' && !submittedAnswer.userAnswer.trim()
+                    ? NaN
+                    : Number(submittedAnswer.userAnswer);
+                if (Number.isFinite(given) && Math.abs(given - question.numericAnswer) <= (question.tolerance || 0)) {
+                    isCorrect = true;
+                    feedback = 'Correct!';
+                } else {
+                    feedback = `Incorrect. Expected: ${getCorrectAnswer(question)}.`;
+                }
             }
 
             if (isCorrect) {
@@ -232,18 +513,49 @@ export const submitQuiz = async (req, res, next) => {
                 questionId: question._id,
                 questionText: question.questionText,
                 userAnswer: submittedAnswer.userAnswer,
-                correctAnswer: question.correctAnswer || question.options.filter(opt => opt.isCorrect).map(opt => opt.text),
+                correctAnswer: getCorrectAnswer(question),
                 isCorrect,
                 explanation: question.explanation,
                 feedback,
+                ...(testResults && { testResults }),
+            });
+        }
+
+        // Keep the graded attempt so learners can review it later
+        const graded = {
+            status: 'submitted',
+            answers: results,
+            score: correctCount,
+            totalQuestions,
+            submittedAt: now,
+        };
+        let attempt;
+        if (startedAttempt) {
+            // Only the first of two concurrent submissions completes the attempt
+            attempt = await QuizAttempt.findOneAndUpdate(
+                { _id: startedAttempt._id, status: 'in-progress' },
+                { $set: { ...graded, durationSeconds: Math.round((now - startedAttempt.startedAt) / 1000) } },
+                { new: true }
+            );
+            if (!attempt) {
+                return next(errorHandler(409, 'This attempt has already ended.'));
+            }
+        } else {
+            const duration = Number(durationSeconds);
+            attempt = await QuizAttempt.create({
+                user: req.user.id,
+                quiz: quiz._id,
+                ...graded,
+                durationSeconds: Number.isFinite(duration) && duration >= 0 ? Math.round(duration) : undefined,
             });
         }
 
         res.status(200).json({
+            attemptId: attempt._id,
             score: correctCount,
-            totalQuestions: quiz.questions.length,
+            totalQuestions,
             results,
-            message: `You scored ${correctCount} out of ${quiz.questions.length}.`
+            message: `You scored ${correctCount} out of ${totalQuestions}.`
         });
 
     } catch (error) {
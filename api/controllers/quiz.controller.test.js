@@ -0,0 +1,451 @@
+import {
+  createQuiz,
+  exportQuiz,
+  getQuizForEditing,
+  getQuizzes,
+  getSingleQuizById,
+  getSingleQuizBySlug,
+  importQuiz,
+  submitQuiz,
+} from './quiz.controller.js';
+import Quiz from '../models/quiz.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import { runCode } from '../services/execution.service.js';
+
+jest.mock('../services/execution.service.js', () => ({
+  runCode: jest.fn(),
+}));
+
+function createMockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+// Chainable stand-in for a mongoose query.
+function createQuery(result) {
+  const query = {
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+}
+
+const finished = (stdout) => ({ stdout, stderr: '', exitCode: 0, timedOut: false });
+
+describe('code-writing questions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    runCode.mockReset();
+  });
+
+  const submit = async (quiz, code) => {
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'create').mockImplementation(async (doc) => ({ _id: 'attempt1', ...doc }));
+    const req = {
+      user: { id: '507f1f77bcf86cd799439011', isAdmin: false },
+      params: { quizId: quiz._id.toString() },
+      body: { answers: [{ questionId: quiz.questions[0]._id.toString(), userAnswer: code }] },
+    };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await submitQuiz(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res.body;
+  };
+
+  test('runs the code and grades it against the expected output', async () => {
+    const quiz = new Quiz({
+      title: 'Printing',
+      slug: 'printing',
+      questions: [{
+        questionText: 'Print hello',
+        questionType: 'code-writing',
+        codeLanguage: 'python',
+        correctAnswer: 'hello',
+      }],
+    });
+    runCode.mockResolvedValue(finished('hello\n'));
+
+    const body = await submit(quiz, 'print("hello")');
+
+    expect(runCode).toHaveBeenCalledWith({ language: 'python', code: 'print("hello")', stdin: '' });
+    expect(body.score).toBe(1);
+    expect(body.results[0].isCorrect).toBe(true);
+    expect(body.results[0].testResults).toHaveLength(1);
+  });
+
+  test('grades against every test input and hides hidden tests', async () => {
+    const quiz = new Quiz({
+      title: 'Doubling',
+      slug: 'doubling',
+      questions: [{
+        questionText: 'Print twice the number read from input',
+        questionType: 'code-writing',
+        codeLanguage: 'javascript',
+        testCases: [
+          { stdin: '2', expectedOutput: '4' },
+          { stdin: '5', expectedOutput: '10', hidden: true },
+        ],
+      }],
+    });
+    runCode.mockImplementation(async ({ stdin }) => finished(stdin === '2' ? '4' : '11'));
+
+    const body = await submit(quiz, 'console.log(prompt() * 2)');
+
+    expect(runCode).toHaveBeenCalledTimes(2);
+    expect(body.score).toBe(0);
+    const [visible, hidden] = body.results[0].testResults;
+    expect(visible).toMatchObject({ passed: true, stdin: '2', actualOutput: '4' });
+    expect(hidden).toMatchObject({ passed: false, hidden: true });
+    expect(hidden).not.toHaveProperty('expectedOutput');
+    expect(body.results[0].feedback).toBe('Your program passed 1 of 2 tests.');
+  });
+
+  test('quizzes with a code-writing question in an unknown language are rejected', async () => {
+    const req = {
+      user: { id: 'adminId', isAdmin: true },
+      body: {
+        title: 'Broken',
+        questions: [{ questionText: 'Write code', questionType: 'code-writing', codeLanguage: 'cobol', correctAnswer: 'x' }],
+      },
+    };
+    const res = createMockResponse();
+    let capturedError;
+    const next = (err) => {
+      capturedError = err;
+    };
+
+    await createQuiz(req, res, next);
+
+    expect(capturedError.statusCode).toBe(400);
+    expect(res.statusCode).toBeNull();
+  });
+});
+
+describe('structured question types', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const quiz = new Quiz({
+    title: 'Structured',
+    slug: 'structured',
+    questions: [
+      {
+        questionText: 'Arrange the loop',
+        questionType: 'ordering',
+        orderItems: ['for i in range(3):', '    total += i', 'print(total)'],
+      },
+      {
+        questionText: 'Match the keywords',
+        questionType: 'matching',
+        matchPairs: [
+          { left: 'def', right: 'defines a function' },
+          { left: 'return', right: 'ends a function' },
+        ],
+      },
+      {
+        questionText: 'Complete the function',
+        questionType: 'multi-blank',
+        codeSnippet: 'def add(a, b):\n    {{blank}} a {{blank}} b',
+        blankAnswers: ['return', '+'],
+      },
+      { questionText: 'What is 1 / 3?', questionType: 'numeric', numericAnswer: 0.333, tolerance: 0.001 },
+    ],
+  });
+  const [ordering, matching, multiBlank, numeric] = quiz.questions;
+
+  const grade = async (answers) => {
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'create').mockImplementation(async (doc) => ({ _id: 'attempt1', ...doc }));
+    const req = {
+      user: { id: '507f1f77bcf86cd799439011', isAdmin: false },
+      params: { quizId: quiz._id.toString() },
+      body: { answers },
+    };
+    const res = createMockResponse();
+    await submitQuiz(req, res, jest.fn());
+    return res.body;
+  };
+
+  test('correct answers to every type are accepted', async () => {
+    const body = await grade([
+      { questionId: ordering._id.toString(), userAnswer: ['for i in range(3):', '    total += i', 'print(total)'] },
+      { questionId: matching._id.toString(), userAnswer: ['defines a function', 'ends a function'] },
+      { questionId: multiBlank._id.toString(), userAnswer: [' return', '+ '] },
+      { questionId: numeric._id.toString(), userAnswer: '0.3335' },
+    ]);
+
+    expect(body.results.map((result) => result.isCorrect)).toEqual([true, true, true, true]);
+    expect(body.score).toBe(4);
+  });
+
+  test('wrong answers report how much was right', async () => {
+    const body = await grade([
+      { questionId: ordering._id.toString(), userAnswer: ['for i in range(3):', 'print(total)', '    total += i'] },
+      { questionId: matching._id.toString(), userAnswer: ['ends a function', 'ends a function'] },
+      { questionId: multiBlank._id.toString(), userAnswer: ['return', '-'] },
+      { questionId: numeric._id.toString(), userAnswer: '0.3' },
+    ]);
+
+    expect(body.score).toBe(0);
+    expect(body.results.map((result) => result.feedback)).toEqual([
+      'Incorrect. 1 of 3 items are in the right place.',
+      'Incorrect. 1 of 2 pairs match.',
+      'Incorrect. 1 of 2 blanks are correct.',
+      'Incorrect. Expected: 0.333 ± 0.001.',
+    ]);
+    expect(body.results[1].correctAnswer).toEqual([
+      { left: 'def', right: 'defines a function' },
+      { left: 'return', right: 'ends a function' },
+    ]);
+  });
+
+  test('multi-blank questions need an answer for every blank', async () => {
+    const req = {
+      user: { id: 'adminId', isAdmin: true },
+      body: {
+        title: 'Cloze',
+        questions: [{
+          questionText: 'Fill in',
+          questionType: 'multi-blank',
+          codeSnippet: 'x = {{blank}} + {{blank}}',
+          blankAnswers: ['1'],
+        }],
+      },
+    };
+    let capturedError;
+    await createQuiz(req, createMockResponse(), (err) => {
+      capturedError = err;
+    });
+
+    expect(capturedError.statusCode).toBe(400);
+    expect(capturedError.message).toMatch('{{blank}}');
+  });
+});
+
+describe('public quiz routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const orderItems = ['let total = 0;', 'total += 1;', 'console.log(total);'];
+  const authorId = '507f1f77bcf86cd799439011';
+  const quiz = new Quiz({
+    title: 'Answer keys',
+    slug: 'answer-keys',
+    createdBy: authorId,
+    questions: [
+      {
+        questionText: 'Pick the primes',
+        questionType: 'mcq',
+        options: [
+          { text: '2', isCorrect: true },
+          { text: '4', isCorrect: false },
+          { text: '5', isCorrect: true },
+        ],
+        explanation: 'SECRET-EXPLANATION',
+      },
+      { questionText: 'Capital of France?', questionType: 'fill-in-the-blank', correctAnswer: 'SECRET-ANSWER' },
+      { questionText: 'What does it print?', questionType: 'code-output', codeSnippet: 'print(1)', correctAnswer: 'SECRET-OUTPUT' },
+      { questionText: 'Arrange the program', questionType: 'ordering', orderItems },
+      {
+        questionText: 'Match them',
+        questionType: 'matching',
+        matchPairs: [
+          { left: 'a', right: 'first letter' },
+          { left: 'b', right: 'second letter' },
+        ],
+      },
+      { questionText: 'Fill the gaps', questionType: 'multi-blank', codeSnippet: '{{blank}}', blankAnswers: ['SECRET-BLANK'] },
+      { questionText: 'Pi?', questionType: 'numeric', numericAnswer: 3.14159, tolerance: 0.001 },
+      {
+        questionText: 'Print hello',
+        questionType: 'code-writing',
+        codeLanguage: 'python',
+        testCases: [
+          { stdin: '', expectedOutput: 'visible' },
+          { stdin: 'SECRET-STDIN', expectedOutput: 'SECRET-HIDDEN-OUTPUT', hidden: true },
+        ],
+      },
+    ],
+  });
+
+  const expectNoAnswers = (learnerQuiz) => {
+    const json = JSON.stringify(learnerQuiz);
+    expect(json).not.toMatch(/SECRET/);
+    expect(json).not.toMatch(/isCorrect|blankAnswers|numericAnswer|explanation|3\.14159/);
+    const [mcq, , , ordering, matching, , numeric] = learnerQuiz.questions;
+    expect(numeric).not.toHaveProperty('tolerance');
+    expect(mcq.allowsMultiple).toBe(true);
+    expect(mcq.options.map((option) => option.text)).toEqual(['2', '4', '5']);
+    expect(ordering.orderItems).toHaveLength(3);
+    expect(ordering.orderItems).not.toEqual(orderItems);
+    expect(matching.matchPairs.map((pair) => pair.left)).toEqual(['a', 'b']);
+    // The choices are shown, but not which item each belongs to
+    expect([...matching.matchChoices].sort()).toEqual(['first letter', 'second letter']);
+  };
+
+  test('quizzes fetched by id carry no answers', async () => {
+    jest.spyOn(Quiz, 'findById').mockReturnValue(createQuery(quiz));
+    const res = createMockResponse();
+    await getSingleQuizById({ params: { quizId: quiz._id.toString() } }, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expectNoAnswers(res.body);
+  });
+
+  test('quizzes fetched by slug carry no answers', async () => {
+    jest.spyOn(Quiz, 'findOne').mockReturnValue(createQuery(quiz));
+    const res = createMockResponse();
+    await getSingleQuizBySlug({ params: { quizSlug: quiz.slug } }, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expectNoAnswers(res.body);
+  });
+
+  test('quiz listings carry no answers', async () => {
+    jest.spyOn(Quiz, 'find').mockReturnValue(createQuery([quiz]));
+    jest.spyOn(Quiz, 'countDocuments').mockResolvedValue(1);
+    const res = createMockResponse();
+    await getQuizzes({ query: {} }, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expectNoAnswers(res.body.quizzes[0]);
+  });
+
+  test('editing fetches a quiz with its answers for its author', async () => {
+    jest.spyOn(Quiz, 'findById').mockReturnValue(createQuery(quiz));
+    const req = { user: { id: authorId, role: 'author' }, params: { quizId: quiz._id.toString() } };
+    const res = createMockResponse();
+    await getQuizForEditing(req, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions[0].options[0].isCorrect).toBe(true);
+    expect(res.body.questions[1].correctAnswer).toBe('SECRET-ANSWER');
+  });
+
+  test("other authors cannot fetch a quiz's answers", async () => {
+    jest.spyOn(Quiz, 'findById').mockReturnValue(createQuery(quiz));
+    const req = { user: { id: '507f1f77bcf86cd799439022', role: 'author' }, params: { quizId: quiz._id.toString() } };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await getQuizForEditing(req, res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+    expect(res.body).toBeNull();
+  });
+});
+
+describe('quiz import and export', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const admin = { id: '507f1f77bcf86cd799439011', isAdmin: true };
+  const gift = `Which is a loop? {=for ~if}
+
+Describe closures. {}
+
+2 + 2 = ? {#4}`;
+
+  const importGift = async (query, user = admin) => {
+    const save = jest.spyOn(Quiz.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    const res = createMockResponse();
+    const next = jest.fn();
+    await importQuiz({ user, query: { format: 'gift', ...query }, body: gift }, res, next);
+    return { res, next, save };
+  };
+
+  test('a dry run previews the questions and issues without saving', async () => {
+    const { res, next, save } = await importGift({ dryRun: 'true', title: 'Basics' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.title).toBe('Basics');
+    expect(res.body.questions.map((question) => question.questionType)).toEqual(['mcq', 'numeric']);
+    expect(res.body.issues).toEqual([{ severity: 'error', line: 3, message: 'essay questions are not supported.' }]);
+  });
+
+  test('importing creates a quiz from the questions without errors', async () => {
+    const { res, next, save } = await importGift({ title: 'Basics', category: 'JavaScript' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.quiz).toMatchObject({ title: 'Basics', slug: 'basics', category: 'JavaScript' });
+    expect(res.body.quiz.questions).toHaveLength(2);
+    expect(res.body.issues).toHaveLength(1);
+  });
+
+  test('files with wrongly shaped questions are reported as issues', async () => {
+    const res = createMockResponse();
+    const next = jest.fn();
+    const body = { questions: [{ questionType: 'mcq', questionText: 'x', options: [null, 1] }] };
+
+    await importQuiz({ user: admin, query: { format: 'json', dryRun: 'true' }, body }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions).toEqual([]);
+    expect(res.body.issues).toEqual([{ severity: 'error', line: 3, message: '"options" must be a list of objects.' }]);
+  });
+
+  test('imports need a known format and a title', async () => {
+    let result = await importGift({ title: 'Basics', format: 'csv' });
+    expect(result.next.mock.calls[0][0].statusCode).toBe(400);
+
+    result = await importGift({});
+    expect(result.next.mock.calls[0][0].message).toBe('Please provide quiz title.');
+    expect(result.save).not.toHaveBeenCalled();
+  });
+
+  test('exports are downloaded as a file named after the quiz', async () => {
+    const quiz = new Quiz({
+      title: 'Loops',
+      slug: 'loops',
+      questions: [
+        { questionText: 'Is for a loop?', questionType: 'mcq', options: [{ text: 'Yes', isCorrect: true }, { text: 'No' }] },
+        { questionText: 'Arrange', questionType: 'ordering', orderItems: ['a', 'b'] },
+      ],
+    });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    const res = {
+      ...createMockResponse(),
+      headers: {},
+      attachment: jest.fn(),
+      type: jest.fn(),
+      set(name, value) {
+        this.headers[name] = value;
+      },
+      send(content) {
+        this.body = content;
+      },
+    };
+    const next = jest.fn();
+    await exportQuiz({ user: admin, params: { quizId: quiz._id.toString() }, query: { format: 'moodle-xml' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.attachment).toHaveBeenCalledWith('loops.xml');
+    expect(res.type).toHaveBeenCalledWith('application/xml');
+    expect(res.headers['X-Skipped-Questions']).toBe('2');
+    expect(res.body).toContain('<question type="multichoice">');
+  });
+});
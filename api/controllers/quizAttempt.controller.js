@@ -0,0 +1,222 @@
+// api/controllers/quizAttempt.controller.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Quiz from '../models/quiz.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import Question from '../models/question.model.js';
+import { errorHandler } from '../utils/error.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { getAttemptDeadline, getAvailabilityError, shuffle } from '../utils/quizSettings.js';
+import { drawQuestions } from '../utils/questionBank.js';
+import { toLearnerQuestions } from '../utils/quizQuestions.js';
+
+const readPage = (query) => ({
+    startIndex: parseInt(query.startIndex) || 0,
+    limit: Math.min(parseInt(query.limit) || 20, 100),
+});
+
+// What the quiz player needs to run a started attempt. `drawnQuestions`
+// are the bank questions drawn for it, which the quiz itself does not list.
+const describeStartedAttempt = (attempt, attemptNumber, settings, drawnQuestions = []) => ({
+    attemptId: attempt._id,
+    attemptToken: attempt.token,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    questionOrder: attempt.questionOrder,
+    optionOrder: attempt.optionOrder,
+    questions: toLearnerQuestions(drawnQuestions),
+    attemptNumber,
+    maxAttempts: settings.maxAttempts || null,
+    // Lets the client correct for its clock when counting down to the deadline
+    serverTime: new Date(),
+});
+
+// The user's running attempt at a quiz, if any, with the bank questions drawn for it
+const findRunningAttempt = async (own) => {
+    const running = await QuizAttempt.findOne({ ...own, status: 'in-progress' }).select('+token');
+    if (!running) {
+        return null;
+    }
+    const drawnQuestions = running.drawnQuestions?.length
+        ? await Question.find({ _id: { $in: running.drawnQuestions } }).lean()
+        : [];
+    return { running, drawnQuestions };
+};
+
+/**
+ * Starts an attempt at a quiz and returns its token, which must accompany
+ * the submission, and its server-side deadline. Starting again while an
+ * attempt is still running resumes that attempt.
+ */
+export const startQuizAttempt = async (req, res, next) => {
+    const { quizId } = req.params;
+    if (!mongoose.isValidObjectId(quizId)) {
+        return next(errorHandler(400, 'Invalid quiz id.'));
+    }
+
+    try {
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return next(errorHandler(404, 'Quiz not found.'));
+        }
+        const settings = quiz.settings || {};
+        const now = new Date();
+        const unavailable = getAvailabilityError(settings, now);
+        if (unavailable) {
+            return next(errorHandler(403, unavailable));
+        }
+
+        const own = { user: req.user.id, quiz: quiz._id };
+        // Attempts that ran out of time without being submitted
+        await QuizAttempt.updateMany(
+            { ...own, status: 'in-progress', deadline: { $lte: now } },
+            { $set: { status: 'expired' } }
+        );
+        const attemptsUsed = await QuizAttempt.countDocuments(own);
+
+        const started = await findRunningAttempt(own);
+        if (started) {
+            const { running, drawnQuestions } = started;
+            return res.status(200).json(
+                describeStartedAttempt(running, running.attemptNumber ?? attemptsUsed, settings, drawnQuestions)
+            );
+        }
+        if (settings.maxAttempts && attemptsUsed >= settings.maxAttempts) {
+            return next(errorHandler(403, `You have used all ${settings.maxAttempts} attempts at this quiz.`));
+        }
+
+        // Every attempt draws its own questions from the bank
+        const drawnQuestions = await drawQuestions(quiz.questionPools);
+        const questions = [...quiz.questions, ...drawnQuestions];
+        const questionIds = questions.map((question) => question._id);
+        const attemptNumber = attemptsUsed + 1;
+        let attempt;
+        try {
+            attempt = await QuizAttempt.create({
+                ...own,
+                attemptNumber,
+                status: 'in-progress',
+                token: crypto.randomBytes(24).toString('hex'),
+                startedAt: now,
+                deadline: getAttemptDeadline(settings, now),
+                questionOrder: settings.shuffleQuestions ? shuffle(questionIds) : questionIds,
+                optionOrder: settings.shuffleOptions
+                    ? Object.fromEntries(
+                          questions
+                              .filter((question) => question.questionType === 'mcq')
+                              .map((question) => [question._id.toString(), shuffle(question.options.map((option) => option._id))])
+                      )
+                    : undefined,
+                drawnQuestions: drawnQuestions.map((question) => question._id),
+                totalQuestions: questions.length,
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            // Another request took this attempt number first: resume the
+            // attempt it started rather than counting a second one
+            const raced = await findRunningAttempt(own);
+            if (!raced) {
+                return next(errorHandler(409, 'Another attempt at this quiz was just started. Try again.'));
+            }
+            return res.status(200).json(
+                describeStartedAttempt(raced.running, raced.running.attemptNumber, settings, raced.drawnQuestions)
+            );
+        }
+        res.status(201).json(describeStartedAttempt(attempt, attemptNumber, settings, drawnQuestions));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lists the signed-in user's attempts, newest first, optionally for a
+ * single quiz (`?quizId=`).
+ */
+export const getMyQuizAttempts = async (req, res, next) => {
+    const { quizId } = req.query;
+    if (quizId && !mongoose.isValidObjectId(quizId)) {
+        return next(errorHandler(400, 'Invalid quiz id.'));
+    }
+    const { startIndex, limit } = readPage(req.query);
+    const filter = { user: req.user.id, status: 'submitted', ...(quizId && { quiz: quizId }) };
+
+    try {
+        const [attempts, totalAttempts] = await Promise.all([
+            QuizAttempt.find(filter)
+                .sort({ submittedAt: -1 })
+                .skip(startIndex)
+                .limit(limit)
+                .populate('quiz', 'title slug'),
+            QuizAttempt.countDocuments(filter),
+        ]);
+        res.status(200).json({ attempts, totalAttempts });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lists every attempt at a quiz with summary statistics (admin only).
+ */
+export const getQuizAttempts = async (req, res, next) => {
+    const { quizId } = req.params;
+    if (!mongoose.isValidObjectId(quizId)) {
+        return next(errorHandler(400, 'Invalid quiz id.'));
+    }
+    const { startIndex, limit } = readPage(req.query);
+
+    try {
+        const [attempts, [stats]] = await Promise.all([
+            QuizAttempt.find({ quiz: quizId, status: 'submitted' })
+                .sort({ submittedAt: -1 })
+                .skip(startIndex)
+                .limit(limit)
+                .populate('user', 'username profilePicture'),
+            QuizAttempt.aggregate([
+                { $match: { quiz: new mongoose.Types.ObjectId(quizId), status: 'submitted' } },
+                {
+                    $group: {
+                        _id: null,
+                        totalAttempts: { $sum: 1 },
+                        learners: { $addToSet: '$user' },
+                        averageScore: { $avg: { $divide: ['$score', { $max: ['$totalQuestions', 1] }] } },
+                        averageDurationSeconds: { $avg: '$durationSeconds' },
+                    },
+                },
+            ]),
+        ]);
+        res.status(200).json({
+            attempts,
+            totalAttempts: stats?.totalAttempts ?? 0,
+            uniqueLearners: stats?.learners.length ?? 0,
+            // Fraction of questions answered correctly, from 0 to 1
+            averageScore: stats?.averageScore ?? null,
+            averageDurationSeconds: stats?.averageDurationSeconds ?? null,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Returns a single attempt for review; only its owner and admins may see it.
+ */
+export const getQuizAttempt = async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.attemptId)) {
+        return next(errorHandler(400, 'Invalid attempt id.'));
+    }
+    try {
+        const attempt = await QuizAttempt.findById(req.params.attemptId).populate('quiz', 'title slug');
+        if (!attempt) {
+            return next(errorHandler(404, 'Attempt not found'));
+        }
+        if (!hasPermission(req.user, PERMISSIONS.VIEW_QUIZ_ATTEMPTS) && attempt.user.toString() !== req.user.id) {
+            return next(errorHandler(403, 'You are not allowed to view this attempt'));
+        }
+        res.status(200).json(attempt);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,417 @@
+import mongoose from 'mongoose';
+import { getMyQuizAttempts, getQuizAttempt, startQuizAttempt } from './quizAttempt.controller.js';
+import { submitQuiz } from './quiz.controller.js';
+import Quiz from '../models/quiz.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import Question from '../models/question.model.js';
+
+function createMockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+// Chainable stand-in for a mongoose query.
+function createQuery(result) {
+  const query = {
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+}
+
+describe('quiz attempts', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('submitting a quiz stores the graded attempt', async () => {
+    const quiz = new Quiz({
+      title: 'Basics',
+      slug: 'basics',
+      questions: [
+        { questionText: '2 + 2?', questionType: 'fill-in-the-blank', correctAnswer: '4' },
+        {
+          questionText: 'Pick the even number',
+          questionType: 'mcq',
+          options: [
+            { text: '3', isCorrect: false },
+            { text: '8', isCorrect: true },
+          ],
+        },
+      ],
+    });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    const create = jest.spyOn(QuizAttempt, 'create').mockImplementation(async (doc) => ({ _id: 'attempt1', ...doc }));
+
+    const req = {
+      user: { id: userId, isAdmin: false },
+      params: { quizId: quiz._id.toString() },
+      body: {
+        answers: [
+          { questionId: quiz.questions[0]._id.toString(), userAnswer: ' 4 ' },
+          { questionId: quiz.questions[1]._id.toString(), userAnswer: '3' },
+        ],
+        durationSeconds: 41.6,
+      },
+    };
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await submitQuiz(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.attemptId).toBe('attempt1');
+    expect(create).toHaveBeenCalledTimes(1);
+    const stored = create.mock.calls[0][0];
+    expect(stored.user).toBe(userId);
+    expect(stored.quiz).toBe(quiz._id);
+    expect(stored.score).toBe(1);
+    expect(stored.totalQuestions).toBe(2);
+    expect(stored.durationSeconds).toBe(42);
+    expect(stored.answers.map((answer) => answer.isCorrect)).toEqual([true, false]);
+  });
+
+  test('a question answered more than once is rejected before grading', async () => {
+    const quiz = new Quiz({
+      title: 'Basics',
+      slug: 'basics',
+      questions: [{ questionText: '2 + 2?', questionType: 'fill-in-the-blank', correctAnswer: '4' }],
+    });
+    const findById = jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    const create = jest.spyOn(QuizAttempt, 'create');
+    const answer = { questionId: quiz.questions[0]._id.toString(), userAnswer: '4' };
+    const next = jest.fn();
+
+    await submitQuiz(
+      { user: { id: userId }, params: { quizId: quiz._id.toString() }, body: { answers: [answer, answer, answer] } },
+      createMockResponse(),
+      next
+    );
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400, message: 'Each question can only be answered once.' });
+    expect(findById).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('users only list their own attempts', async () => {
+    const quizId = new mongoose.Types.ObjectId().toString();
+    const find = jest.spyOn(QuizAttempt, 'find').mockReturnValue(createQuery([{ score: 3 }]));
+    jest.spyOn(QuizAttempt, 'countDocuments').mockResolvedValue(1);
+
+    const req = { user: { id: userId, isAdmin: false }, query: { quizId } };
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await getMyQuizAttempts(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(find).toHaveBeenCalledWith({ user: userId, status: 'submitted', quiz: quizId });
+    expect(res.body).toEqual({ attempts: [{ score: 3 }], totalAttempts: 1 });
+  });
+
+  test("users cannot review someone else's attempt", async () => {
+    jest.spyOn(QuizAttempt, 'findById').mockReturnValue(
+      createQuery({ user: new mongoose.Types.ObjectId(), score: 2 })
+    );
+    const req = {
+      user: { id: userId, isAdmin: false },
+      params: { attemptId: new mongoose.Types.ObjectId().toString() },
+    };
+    const res = createMockResponse();
+    let capturedError;
+    const next = (err) => {
+      capturedError = err;
+    };
+
+    await getQuizAttempt(req, res, next);
+
+    expect(res.statusCode).toBeNull();
+    expect(capturedError.statusCode).toBe(403);
+  });
+});
+
+describe('timed quizzes', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  const timedQuiz = (settings) =>
+    new Quiz({
+      title: 'Timed',
+      slug: 'timed',
+      questions: [{ questionText: '2 + 2?', questionType: 'fill-in-the-blank', correctAnswer: '4' }],
+      settings,
+    });
+
+  const captureNext = () => {
+    const next = (err) => {
+      next.error = err;
+    };
+    return next;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(QuizAttempt, 'updateMany').mockResolvedValue({});
+    jest.spyOn(QuizAttempt, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('starting issues a token with a server deadline', async () => {
+    const quiz = timedQuiz({ timeLimitSeconds: 300, maxAttempts: 2 });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(QuizAttempt, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+    const create = jest.spyOn(QuizAttempt, 'create').mockImplementation(async (doc) => ({ _id: 'attempt2', ...doc }));
+
+    const res = createMockResponse();
+    await startQuizAttempt({ user: { id: userId }, params: { quizId: quiz._id.toString() } }, res, captureNext());
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.attemptToken).toMatch(/^[0-9a-f]{48}$/);
+    expect(res.body.attemptNumber).toBe(2);
+    expect(res.body.deadline - res.body.startedAt).toBe(300 * 1000);
+    expect(create.mock.calls[0][0]).toMatchObject({ status: 'in-progress', attemptNumber: 2 });
+  });
+
+  test('attempt numbers are unique per user and quiz', () => {
+    expect(QuizAttempt.schema.indexes()).toContainEqual([
+      { user: 1, quiz: 1, attemptNumber: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { attemptNumber: { $exists: true } } }),
+    ]);
+  });
+
+  test('a start that loses the race for its attempt number resumes the attempt that won', async () => {
+    const quiz = timedQuiz({ maxAttempts: 2 });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'countDocuments').mockResolvedValue(1);
+    const winner = { _id: 'attempt2', token: 'a'.repeat(48), attemptNumber: 2, status: 'in-progress' };
+    jest
+      .spyOn(QuizAttempt, 'findOne')
+      .mockReturnValueOnce({ select: () => Promise.resolve(null) })
+      .mockReturnValueOnce({ select: () => Promise.resolve(winner) });
+    jest.spyOn(QuizAttempt, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = createMockResponse();
+    const next = captureNext();
+    await startQuizAttempt({ user: { id: userId }, params: { quizId: quiz._id.toString() } }, res, next);
+
+    expect(next.error).toBeUndefined();
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ attemptId: 'attempt2', attemptToken: winner.token, attemptNumber: 2 });
+  });
+
+  test('no attempt starts once every attempt is used', async () => {
+    const quiz = timedQuiz({ maxAttempts: 2 });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(QuizAttempt, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+    const create = jest.spyOn(QuizAttempt, 'create');
+
+    const next = captureNext();
+    await startQuizAttempt({ user: { id: userId }, params: { quizId: quiz._id.toString() } }, createMockResponse(), next);
+
+    expect(next.error.statusCode).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('closed quizzes cannot be started', async () => {
+    const quiz = timedQuiz({ closesAt: new Date(Date.now() - 1000) });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+
+    const next = captureNext();
+    await startQuizAttempt({ user: { id: userId }, params: { quizId: quiz._id.toString() } }, createMockResponse(), next);
+
+    expect(next.error.statusCode).toBe(403);
+    expect(next.error.message).toBe('This quiz has closed.');
+  });
+
+  const submitWith = async (quiz, body) => {
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    const res = createMockResponse();
+    const next = captureNext();
+    await submitQuiz(
+      {
+        user: { id: userId, isAdmin: false },
+        params: { quizId: quiz._id.toString() },
+        body: { answers: [{ questionId: quiz.questions[0]._id.toString(), userAnswer: '4' }], ...body },
+      },
+      res,
+      next
+    );
+    return { res, error: next.error };
+  };
+
+  test('timed quizzes must be started before they are submitted', async () => {
+    const { error } = await submitWith(timedQuiz({ timeLimitSeconds: 60 }), {});
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('late submissions are rejected and end the attempt', async () => {
+    const quiz = timedQuiz({ timeLimitSeconds: 60 });
+    jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue({
+      _id: 'attempt1',
+      status: 'in-progress',
+      startedAt: new Date(Date.now() - 5 * 60 * 1000),
+      deadline: new Date(Date.now() - 4 * 60 * 1000),
+    });
+    const complete = jest.spyOn(QuizAttempt, 'findOneAndUpdate');
+
+    const { error } = await submitWith(quiz, { attemptToken: 'token' });
+
+    expect(error.statusCode).toBe(403);
+    expect(QuizAttempt.updateOne).toHaveBeenCalledWith({ _id: 'attempt1' }, { $set: { status: 'expired' } });
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  test('submissions in time complete the started attempt', async () => {
+    const quiz = timedQuiz({ timeLimitSeconds: 60 });
+    const startedAt = new Date(Date.now() - 30 * 1000);
+    const findOne = jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue({
+      _id: 'attempt1',
+      status: 'in-progress',
+      startedAt,
+      deadline: new Date(startedAt.getTime() + 60 * 1000),
+    });
+    const complete = jest
+      .spyOn(QuizAttempt, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => ({ _id: 'attempt1', ...update.$set }));
+
+    const { res } = await submitWith(quiz, { attemptToken: 'token', durationSeconds: 1 });
+
+    expect(findOne).toHaveBeenCalledWith({ token: 'token', user: userId, quiz: quiz._id });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.score).toBe(1);
+    const [filter, update] = complete.mock.calls[0];
+    expect(filter).toEqual({ _id: 'attempt1', status: 'in-progress' });
+    // The duration is measured on the server
+    expect(update.$set.durationSeconds).toBe(30);
+  });
+
+  test('quizzes with question pools draw questions for each attempt', async () => {
+    const quiz = timedQuiz({});
+    quiz.questionPools = [{ tags: ['loops'], count: 1 }];
+    const drawn = {
+      _id: new mongoose.Types.ObjectId(),
+      questionText: '3 * 3?',
+      questionType: 'fill-in-the-blank',
+      correctAnswer: '9',
+    };
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(QuizAttempt, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+    jest.spyOn(Question, 'aggregate').mockResolvedValue([drawn]);
+    const create = jest.spyOn(QuizAttempt, 'create').mockImplementation(async (doc) => ({ _id: 'attempt1', ...doc }));
+
+    const res = createMockResponse();
+    await startQuizAttempt({ user: { id: userId }, params: { quizId: quiz._id.toString() } }, res, captureNext());
+
+    const stored = create.mock.calls[0][0];
+    expect(stored.drawnQuestions).toEqual([drawn._id]);
+    expect(stored.totalQuestions).toBe(2);
+    // The drawn question is sent without its answer
+    expect(res.body.questions).toEqual([expect.objectContaining({ questionText: '3 * 3?' })]);
+    expect(res.body.questions[0]).not.toHaveProperty('correctAnswer');
+  });
+
+  test('drawn questions are graded with the quiz', async () => {
+    const quiz = timedQuiz({});
+    quiz.questionPools = [{ tags: ['loops'], count: 1 }];
+    const drawn = new Question({ questionText: '3 * 3?', questionType: 'fill-in-the-blank', correctAnswer: '9' });
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue({
+      _id: 'attempt1',
+      status: 'in-progress',
+      startedAt: new Date(),
+      drawnQuestions: [drawn._id],
+      totalQuestions: 2,
+    });
+    jest.spyOn(Question, 'find').mockResolvedValue([drawn]);
+    jest
+      .spyOn(QuizAttempt, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => ({ _id: 'attempt1', ...update.$set }));
+
+    const res = createMockResponse();
+    await submitQuiz(
+      {
+        user: { id: userId, isAdmin: false },
+        params: { quizId: quiz._id.toString() },
+        body: {
+          attemptToken: 'token',
+          answers: [
+            { questionId: quiz.questions[0]._id.toString(), userAnswer: '4' },
+            { questionId: drawn._id.toString(), userAnswer: '9' },
+          ],
+        },
+      },
+      res,
+      captureNext()
+    );
+
+    expect(res.body.score).toBe(2);
+    expect(res.body.totalQuestions).toBe(2);
+  });
+
+  test('only the questions of a started attempt are graded', async () => {
+    const quiz = timedQuiz({ timeLimitSeconds: 60 });
+    // Added to the quiz after the attempt started
+    quiz.questions.push({ questionText: '3 + 3?', questionType: 'fill-in-the-blank', correctAnswer: '6' });
+    const startedAt = new Date();
+    jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue({
+      _id: 'attempt1',
+      status: 'in-progress',
+      startedAt,
+      deadline: new Date(startedAt.getTime() + 60 * 1000),
+      questionOrder: [quiz.questions[0]._id],
+      totalQuestions: 1,
+    });
+    jest
+      .spyOn(QuizAttempt, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => ({ _id: 'attempt1', ...update.$set }));
+
+    const { res } = await submitWith(quiz, {
+      attemptToken: 'token',
+      answers: [
+        { questionId: quiz.questions[0]._id.toString(), userAnswer: '4' },
+        { questionId: quiz.questions[1]._id.toString(), userAnswer: '6' },
+        { questionId: new mongoose.Types.ObjectId().toString(), userAnswer: '4' },
+      ],
+    });
+
+    expect(res.body.score).toBe(1);
+    expect(res.body.totalQuestions).toBe(1);
+    expect(res.body.results).toHaveLength(1);
+  });
+
+  test('quizzes with question pools must be started before they are submitted', async () => {
+    const quiz = timedQuiz({});
+    quiz.questionPools = [{ tags: [], count: 1 }];
+    const { error } = await submitWith(quiz, {});
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('an attempt cannot be submitted twice', async () => {
+    const quiz = timedQuiz({ timeLimitSeconds: 60 });
+    jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue({ _id: 'attempt1', status: 'submitted' });
+
+    const { error } = await submitWith(quiz, { attemptToken: 'token' });
+
+    expect(error.statusCode).toBe(409);
+  });
+});
@@ -1,5 +1,15 @@
 import Tutorial from '../models/tutorial.model.js';
+import Progress from '../models/progress.model.js';
 import { errorHandler } from '../utils/error.js';
+import { PERMISSIONS, canModify, hasPermission } from '../utils/permissions.js';
+import { gradeSubmission, redactHiddenTestCases } from '../utils/grading.js';
+import { getLanguage } from '../services/languageRegistry.js';
+import {
+    MAX_TIME_REPORT_SECONDS,
+    buildTutorialProgress,
+    completeChapter,
+    recordVisit,
+} from '../utils/tutorialProgress.js';
 
 const generateSlug = (text) => {
     return text
@@ -10,9 +20,6 @@ const generateSlug = (text) => {
 };
 
 export const createTutorial = async (req, res, next) => {
-    if (!req.user.isAdmin) {
-        return next(errorHandler(403, 'You are not allowed to create a tutorial'));
-    }
     const { title, description, category, thumbnail, chapters = [] } = req.body;
 
     if (!title || !description || !category) {
@@ -57,6 +64,12 @@ export const createTutorial = async (req, res, next) => {
     }
 };
 
+// Whether a signed-in user may edit a tutorial, and so see its hidden test
+// cases: the same check as the edit routes.
+const canEditTutorial = (user, tutorial) =>
+    hasPermission(user, PERMISSIONS.WRITE_TUTORIALS) &&
+    canModify(user, tutorial.authorId, PERMISSIONS.EDIT_ANY_CONTENT);
+
 export const getTutorials = async (req, res, next) => {
     try {
         const startIndex = parseInt(req.query.startIndex) || 0;
@@ -96,7 +109,13 @@ export const getTutorials = async (req, res, next) => {
         });
 
         res.status(200).json({
-            tutorials,
+            tutorials: tutorials.map((tutorial) => {
+                const plain = tutorial.toObject();
+                if (canEditTutorial(req.user, plain)) {
+                    return plain;
+                }
+                return { ...plain, chapters: redactHiddenTestCases(plain.chapters) };
+            }),
             totalTutorials,
             lastMonthTutorials,
         });
@@ -115,10 +134,28 @@ export const getTutorialCategories = async (req, res, next) => {
     }
 };
 
-export const updateTutorial = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to update this tutorial'));
+/**
+ * Finds the tutorial a request names, checking the signed-in user may change
+ * it: they are its stored author, or their role covers everyone's. The URL's
+ * userId, on the deprecated routes, is ignored.
+ *
+ * @param {object} req - Express request.
+ * @param {string} permission - The permission covering everyone's tutorials.
+ * @param {string} forbiddenMessage
+ * @returns {Promise<object>} The Tutorial document.
+ */
+const findTutorialToChange = async (req, permission, forbiddenMessage) => {
+    const tutorial = await Tutorial.findById(req.params.tutorialId);
+    if (!tutorial) {
+        throw errorHandler(404, 'Tutorial not found.');
+    }
+    if (!canModify(req.user, tutorial.authorId, permission)) {
+        throw errorHandler(403, forbiddenMessage);
     }
+    return tutorial;
+};
+
+export const updateTutorial = async (req, res, next) => {
     const { title, description, category, thumbnail } = req.body;
     const updateFields = {
         title,
@@ -131,6 +168,7 @@ export const updateTutorial = async (req, res, next) => {
     }
 
     try {
+        await findTutorialToChange(req, PERMISSIONS.EDIT_ANY_CONTENT, 'You are not allowed to update this tutorial');
         const updatedTutorial = await Tutorial.findByIdAndUpdate(
             req.params.tutorialId,
             { $set: updateFields },
@@ -146,11 +184,10 @@ export const updateTutorial = async (req, res, next) => {
 };
 
 export const deleteTutorial = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to delete this tutorial'));
-    }
     try {
+        await findTutorialToChange(req, PERMISSIONS.DELETE_ANY_CONTENT, 'You are not allowed to delete this tutorial');
         await Tutorial.findByIdAndDelete(req.params.tutorialId);
+        await Progress.deleteMany({ tutorial: req.params.tutorialId });
         res.status(200).json('The tutorial has been deleted');
     } catch (error) {
         next(error);
@@ -158,10 +195,7 @@ export const deleteTutorial = async (req, res, next) => {
 };
 
 export const addChapter = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to add chapters to this tutorial'));
-    }
-    const { chapterTitle, content, order, contentType, initialCode, expectedOutput, quizId } = req.body;
+    const { chapterTitle, content, order, contentType, initialCode, expectedOutput, codeLanguage, defaultStdin, testCases, quizId } = req.body;
 
     if (!chapterTitle || order === undefined) {
         return next(errorHandler(400, 'Chapter title and order are required.'));
@@ -177,17 +211,18 @@ export const addChapter = async (req, res, next) => {
     }
 
     try {
-        const tutorial = await Tutorial.findById(req.params.tutorialId);
-        if (!tutorial) {
-            return next(errorHandler(404, 'Tutorial not found.'));
-        }
+        const tutorial = await findTutorialToChange(
+            req,
+            PERMISSIONS.EDIT_ANY_CONTENT,
+            'You are not allowed to add chapters to this tutorial'
+        );
 
         const chapterSlug = generateSlug(chapterTitle);
         if (tutorial.chapters.some(c => c.chapterSlug === chapterSlug)) {
             return next(errorHandler(400, 'Chapter with this title already exists in this tutorial.'));
         }
 
-        let chapterData = { chapterTitle, chapterSlug, order, contentType, initialCode, expectedOutput, content };
+        let chapterData = { chapterTitle, chapterSlug, order, contentType, initialCode, expectedOutput, codeLanguage, defaultStdin, testCases, content };
         if (contentType === 'quiz' && quizId) {
             chapterData.quizId = quizId;
         } else {
@@ -205,10 +240,7 @@ export const addChapter = async (req, res, next) => {
 };
 
 export const updateChapter = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to update this chapter'));
-    }
-    const { chapterTitle, content, order, contentType, initialCode, expectedOutput, quizId } = req.body;
+    const { chapterTitle, content, order, contentType, initialCode, expectedOutput, codeLanguage, defaultStdin, testCases, quizId } = req.body;
 
     if ((contentType === 'text' || contentType === 'video') && !content) {
         return next(errorHandler(400, 'Chapter content is required for text and video chapters.'));
@@ -227,15 +259,15 @@ export const updateChapter = async (req, res, next) => {
     if (contentType !== undefined) updateFields.contentType = contentType;
     if (initialCode !== undefined) updateFields.initialCode = initialCode;
     if (expectedOutput !== undefined) updateFields.expectedOutput = expectedOutput;
+    if (codeLanguage !== undefined) updateFields.codeLanguage = codeLanguage;
+    if (defaultStdin !== undefined) updateFields.defaultStdin = defaultStdin;
+    if (testCases !== undefined) updateFields.testCases = testCases;
     if (quizId !== undefined) {
         updateFields.quizId = contentType === 'quiz' ? quizId : undefined;
     }
 
     try {
-        const tutorial = await Tutorial.findById(req.params.tutorialId);
-        if (!tutorial) {
-            return next(errorHandler(404, 'Tutorial not found.'));
-        }
+        const tutorial = await findTutorialToChange(req, PERMISSIONS.EDIT_ANY_CONTENT, 'You are not allowed to update this chapter');
 
         const chapter = tutorial.chapters.id(req.params.chapterId);
         if (!chapter) {
@@ -261,14 +293,8 @@ export const updateChapter = async (req, res, next) => {
 };
 
 export const deleteChapter = async (req, res, next) => {
-    if (!req.user.isAdmin && req.user.id !== req.params.userId) {
-        return next(errorHandler(403, 'You are not allowed to delete this chapter'));
-    }
     try {
-        const tutorial = await Tutorial.findById(req.params.tutorialId);
-        if (!tutorial) {
-            return next(errorHandler(404, 'Tutorial not found.'));
-        }
+        const tutorial = await findTutorialToChange(req, PERMISSIONS.EDIT_ANY_CONTENT, 'You are not allowed to delete this chapter');
 
         tutorial.chapters.pull({ _id: req.params.chapterId });
         await tutorial.save();
@@ -278,7 +304,31 @@ export const deleteChapter = async (req, res, next) => {
     }
 };
 
-// NEW: Function to mark a chapter as complete
+// Recursively find a chapter or subchapter by its ID.
+const findChapterById = (chapters, chapterId) => {
+    for (const chapter of chapters) {
+        if (chapter._id.toString() === chapterId) {
+            return chapter;
+        }
+        if (chapter.subChapters && chapter.subChapters.length > 0) {
+            const found = findChapterById(chapter.subChapters, chapterId);
+            if (found) {
+                return found;
+            }
+        }
+    }
+    return null;
+};
+
+// The learner's Progress document for a tutorial, created on first use
+const findOrCreateProgress = (userId, tutorialId) =>
+    Progress.findOneAndUpdate(
+        { user: userId, tutorial: tutorialId },
+        { $setOnInsert: { user: userId, tutorial: tutorialId } },
+        { upsert: true, new: true }
+    );
+
+// Marks a chapter or subchapter as complete for the signed-in learner
 export const markChapterAsComplete = async (req, res, next) => {
     const { tutorialId, chapterId } = req.params;
     const userId = req.user.id;
@@ -289,19 +339,118 @@ export const markChapterAsComplete = async (req, res, next) => {
             return next(errorHandler(404, 'Tutorial not found.'));
         }
 
-        const chapter = tutorial.chapters.id(chapterId);
+        const chapter = findChapterById(tutorial.chapters, chapterId);
         if (!chapter) {
             return next(errorHandler(404, 'Chapter not found.'));
         }
 
-        if (chapter.completedBy.includes(userId)) {
+        const progress = await findOrCreateProgress(userId, tutorial._id);
+        if (!completeChapter(progress, tutorial, chapter._id)) {
             return next(errorHandler(400, 'Chapter already marked as complete by this user.'));
         }
 
-        chapter.completedBy.push(userId);
-        await tutorial.save();
+        await progress.save();
+
+        res.status(200).json({
+            message: 'Chapter marked as complete.',
+            progress: buildTutorialProgress(tutorial, progress),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Run a learner's code against a code-interactive chapter's test cases.
+// Passing every test marks the chapter as complete for the learner.
+export const gradeChapter = async (req, res, next) => {
+    const { tutorialId, chapterId } = req.params;
+    const { code } = req.body;
+
+    if (!code) {
+        return next(errorHandler(400, 'Code is required.'));
+    }
+
+    try {
+        const tutorial = await Tutorial.findById(tutorialId);
+        if (!tutorial) {
+            return next(errorHandler(404, 'Tutorial not found.'));
+        }
+
+        const chapter = findChapterById(tutorial.chapters, chapterId);
+        if (!chapter) {
+            return next(errorHandler(404, 'Chapter not found.'));
+        }
+        if (chapter.contentType !== 'code-interactive' || !chapter.testCases?.length) {
+            return next(errorHandler(400, 'This chapter has no test cases to grade against.'));
+        }
+
+        // Always the chapter's language: its test cases were written for it
+        const language = chapter.codeLanguage;
+        if (!getLanguage(language)) {
+            return next(errorHandler(400, `Automatic grading is not available for ${language} code.`));
+        }
 
-        res.status(200).json({ message: 'Chapter marked as complete.', completedBy: chapter.completedBy });
+        const grade = await gradeSubmission({ language, code, testCases: chapter.testCases });
+
+        let chapterCompleted = false;
+        if (grade.passed) {
+            const progress = await findOrCreateProgress(req.user.id, tutorial._id);
+            if (completeChapter(progress, tutorial, chapter._id)) {
+                await progress.save();
+            }
+            chapterCompleted = true;
+        }
+
+        res.status(200).json({ ...grade, chapterCompleted });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// The signed-in learner's completion tree: every chapter and subchapter with
+// whether it is complete and the completion percentage of its subtree
+export const getTutorialProgress = async (req, res, next) => {
+    try {
+        const tutorial = await Tutorial.findById(req.params.tutorialId);
+        if (!tutorial) {
+            return next(errorHandler(404, 'Tutorial not found.'));
+        }
+        const progress = await Progress.findOne({ user: req.user.id, tutorial: tutorial._id });
+        res.status(200).json(buildTutorialProgress(tutorial, progress));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Records the chapter the signed-in learner is reading, how far down it they
+// are and the seconds spent reading it since their last report
+export const saveTutorialProgress = async (req, res, next) => {
+    const { chapterId, position = 0, timeSpentSeconds = 0 } = req.body;
+
+    if (typeof position !== 'number' || position < 0 || position > 1) {
+        return next(errorHandler(400, 'Position must be a number from 0 to 1.'));
+    }
+    if (typeof timeSpentSeconds !== 'number' || timeSpentSeconds < 0) {
+        return next(errorHandler(400, 'Time spent must be a positive number of seconds.'));
+    }
+
+    try {
+        const tutorial = await Tutorial.findById(req.params.tutorialId);
+        if (!tutorial) {
+            return next(errorHandler(404, 'Tutorial not found.'));
+        }
+        const chapter = chapterId && findChapterById(tutorial.chapters, chapterId);
+        if (!chapter) {
+            return next(errorHandler(404, 'Chapter not found.'));
+        }
+
+        const progress = await findOrCreateProgress(req.user.id, tutorial._id);
+        recordVisit(progress, chapter._id, {
+            position,
+            timeSpentSeconds: Math.min(Math.round(timeSpentSeconds), MAX_TIME_REPORT_SECONDS),
+        });
+        await progress.save();
+        res.status(200).json(buildTutorialProgress(tutorial, progress));
     } catch (error) {
         next(error);
     }
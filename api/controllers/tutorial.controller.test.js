@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import {
+  getTutorialProgress,
+  getTutorials,
+  gradeChapter,
+  markChapterAsComplete,
+  saveTutorialProgress,
+} from './tutorial.controller.js';
+import Tutorial from '../models/tutorial.model.js';
+import Progress from '../models/progress.model.js';
+
+function createMockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+const learnerId = new mongoose.Types.ObjectId().toString();
+
+const createTutorial = () =>
+  new Tutorial({
+    title: 'Loops',
+    slug: 'loops',
+    description: 'Repeating code',
+    authorId: 'author1',
+    chapters: [
+      {
+        chapterTitle: 'Loops',
+        chapterSlug: 'loops',
+        order: 1,
+        subChapters: [{ chapterTitle: 'For', chapterSlug: 'for', order: 1 }],
+      },
+    ],
+  });
+
+// Stands in for the learner's stored Progress document
+const mockProgress = (tutorial, chapters = []) => {
+  const progress = new Progress({ user: learnerId, tutorial: tutorial._id, chapters });
+  jest.spyOn(Progress, 'findOneAndUpdate').mockResolvedValue(progress);
+  jest.spyOn(Progress, 'findOne').mockResolvedValue(progress);
+  const save = jest.spyOn(progress, 'save').mockResolvedValue(progress);
+  return { progress, save };
+};
+
+describe('tutorial progress routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('subchapters can be marked as complete, completing the tutorial', async () => {
+    const tutorial = createTutorial();
+    const [chapter] = tutorial.chapters;
+    const subChapter = chapter.subChapters[0];
+    jest.spyOn(Tutorial, 'findById').mockResolvedValue(tutorial);
+    const tutorialSave = jest.spyOn(tutorial, 'save');
+    const { progress, save } = mockProgress(tutorial, [{ chapter: chapter._id, completedAt: new Date() }]);
+    const req = { user: { id: learnerId }, params: { tutorialId: tutorial._id.toString(), chapterId: subChapter._id.toString() } };
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await markChapterAsComplete(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(save).toHaveBeenCalled();
+    // The tutorial document itself is left alone
+    expect(tutorialSave).not.toHaveBeenCalled();
+    expect(progress.completedAt).toBeInstanceOf(Date);
+    expect(res.body.progress).toMatchObject({ completed: true, percentage: 100 });
+
+    await markChapterAsComplete(req, createMockResponse(), next);
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+  });
+
+  test('the progress tree is read from the progress collection', async () => {
+    const tutorial = createTutorial();
+    jest.spyOn(Tutorial, 'findById').mockResolvedValue(tutorial);
+    const findOne = jest.spyOn(Progress, 'findOne').mockResolvedValue(null);
+    const res = createMockResponse();
+
+    await getTutorialProgress({ user: { id: learnerId }, params: { tutorialId: tutorial._id.toString() } }, res, jest.fn());
+
+    expect(findOne).toHaveBeenCalledWith({ user: learnerId, tutorial: tutorial._id });
+    expect(res.body).toMatchObject({ completedCount: 0, totalCount: 2, percentage: 0 });
+    expect(res.body.chapters[0].subChapters[0]).toMatchObject({ chapterSlug: 'for', completed: false });
+  });
+
+  test('reading time and position are recorded, capping each report', async () => {
+    const tutorial = createTutorial();
+    const subChapter = tutorial.chapters[0].subChapters[0];
+    jest.spyOn(Tutorial, 'findById').mockResolvedValue(tutorial);
+    const { progress, save } = mockProgress(tutorial);
+    const req = {
+      user: { id: learnerId },
+      params: { tutorialId: tutorial._id.toString() },
+      body: { chapterId: subChapter._id.toString(), position: 0.4, timeSpentSeconds: 10000 },
+    };
+    const res = createMockResponse();
+
+    await saveTutorialProgress(req, res, jest.fn());
+
+    expect(save).toHaveBeenCalled();
+    expect(progress.timeSpentSeconds).toBe(300);
+    expect(res.body).toMatchObject({ lastPosition: 0.4, timeSpentSeconds: 300 });
+    expect(String(res.body.lastChapterId)).toBe(subChapter._id.toString());
+
+    const next = jest.fn();
+    await saveTutorialProgress({ ...req, body: { ...req.body, position: 2 } }, createMockResponse(), next);
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+  });
+});
+
+describe('code-interactive chapters', () => {
+  const createCodeTutorial = () =>
+    new Tutorial({
+      title: 'Markup',
+      slug: 'markup',
+      description: 'Pages',
+      authorId: 'author1',
+      chapters: [
+        {
+          chapterTitle: 'Headings',
+          chapterSlug: 'headings',
+          order: 1,
+          contentType: 'code-interactive',
+          codeLanguage: 'html',
+          testCases: [
+            { name: 'shown', stdin: '1', expectedOutput: 'one' },
+            { name: 'secret', stdin: '2', expectedOutput: 'two', hidden: true },
+          ],
+        },
+      ],
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("grading uses the chapter's language whatever the learner sends", async () => {
+    const tutorial = createCodeTutorial();
+    jest.spyOn(Tutorial, 'findById').mockResolvedValue(tutorial);
+    const next = jest.fn();
+    const req = {
+      user: { id: learnerId },
+      params: { tutorialId: tutorial._id.toString(), chapterId: tutorial.chapters[0]._id.toString() },
+      body: { code: 'print("one")', language: 'python' },
+    };
+
+    await gradeChapter(req, createMockResponse(), next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 400,
+      message: 'Automatic grading is not available for html code.',
+    });
+  });
+
+  const listTutorials = async (user) => {
+    const tutorial = createCodeTutorial();
+    const query = { sort: () => query, skip: () => query, limit: () => Promise.resolve([tutorial]) };
+    jest.spyOn(Tutorial, 'find').mockReturnValue(query);
+    jest.spyOn(Tutorial, 'countDocuments').mockResolvedValue(1);
+    const res = createMockResponse();
+
+    await getTutorials({ query: {}, user }, res, jest.fn());
+
+    return res.body.tutorials[0].chapters[0].testCases;
+  };
+
+  test('hidden test cases are redacted for learners and signed-out readers', async () => {
+    for (const user of [undefined, { id: learnerId, role: 'learner' }, { id: 'author2', role: 'author' }]) {
+      const [shown, secret] = await listTutorials(user);
+
+      expect(shown).toMatchObject({ stdin: '1', expectedOutput: 'one' });
+      expect(secret).not.toHaveProperty('expectedOutput');
+      expect(secret).not.toHaveProperty('stdin');
+    }
+  });
+
+  test('people who may edit the tutorial see its hidden test cases', async () => {
+    for (const user of [{ id: 'author1', role: 'author' }, { id: 'reviewer1', role: 'reviewer' }]) {
+      const [, secret] = await listTutorials(user);
+
+      expect(secret).toMatchObject({ stdin: '2', expectedOutput: 'two', hidden: true });
+    }
+  });
+});
@@ -1,5 +1,16 @@
 import { errorHandler } from '../utils/error.js';
+import { PERMISSIONS, ROLES, getUserRole, hasPermission } from '../utils/permissions.js';
 import User from '../models/user.model.js';
+import Progress from '../models/progress.model.js';
+import Tutorial from '../models/tutorial.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import Post from '../models/post.model.js';
+import Identity from '../models/identity.model.js';
+import Session from '../models/session.model.js';
+import { endSession } from '../services/session.service.js';
+import { sendVerificationEmail } from '../services/userToken.service.js';
+import { clearSessionCookies } from '../utils/sessionCookies.js';
+import { ACTIVITY_DAYS, buildActivityHeatmap, summarizeEnrollment } from '../utils/learningSummary.js';
 
 // More descriptive name for API health-check endpoint
 export const checkApiHealth = (req, res) => {
@@ -8,11 +19,11 @@ export const checkApiHealth = (req, res) => {
 
 // --- Upgraded updateUser Function ---
 export const updateUser = async (req, res, next) => {
-  // Allow administrators to update any user while restricting regular users
+  // Allow users who manage users to update any user while restricting others
   // to only update their own account. The previous implementation blocked
   // admins from updating other users, which is inconsistent with the
   // authorization logic used elsewhere (e.g. deleteUser).
-  if (!req.user.isAdmin && req.user.id !== req.params.userId) {
+  if (!hasPermission(req.user, PERMISSIONS.MANAGE_USERS) && req.user.id !== req.params.userId) {
     return next(errorHandler(403, 'You are not allowed to update this user'));
   }
 
@@ -26,8 +37,12 @@ export const updateUser = async (req, res, next) => {
     if (req.body.username) {
       userToUpdate.username = req.body.username;
     }
-    if (req.body.email) {
+    // A new address is unverified until its owner follows the link mailed
+    // to it, so it cannot be used to take over Google or GitHub sign-ins
+    const emailChanged = Boolean(req.body.email) && String(req.body.email).trim().toLowerCase() !== userToUpdate.email;
+    if (emailChanged) {
       userToUpdate.email = req.body.email;
+      userToUpdate.emailVerified = false;
     }
     if (req.body.password) {
       userToUpdate.password = req.body.password;
@@ -45,6 +60,13 @@ export const updateUser = async (req, res, next) => {
     // Using user.save() will trigger the Mongoose pre-save middleware
     // This automatically handles validation and password hashing as defined in the model
     const updatedUser = await userToUpdate.save();
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+    // A new password signs out every other device, as a reset does
+    if (req.body.password) {
+      await Session.deleteMany({ user: updatedUser._id, _id: { $ne: req.user.sid } });
+    }
 
     // Remove password before returning the user data
     const { password, ...userWithoutPassword } = updatedUser._doc;
@@ -55,26 +77,59 @@ export const updateUser = async (req, res, next) => {
   }
 };
 
+// Assigns a user's role. Takes effect when their access token is next
+// renewed, within ACCESS_TOKEN_TTL_SECONDS.
+export const setUserRole = async (req, res, next) => {
+  const { role } = req.body;
+  try {
+    if (!ROLES.includes(role)) {
+      return next(errorHandler(400, `Role must be one of: ${ROLES.join(', ')}`));
+    }
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return next(errorHandler(404, 'User not found'));
+    }
+    if (getUserRole(user) === 'admin' && role !== 'admin') {
+      // Accounts from before roles are admins through their isAdmin flag
+      const adminCount = await User.countDocuments({
+        $or: [{ role: 'admin' }, { role: { $exists: false }, isAdmin: true }],
+      });
+      if (adminCount <= 1) {
+        return next(errorHandler(400, 'There must be at least one admin'));
+      }
+    }
+    user.role = role;
+    user.isAdmin = role === 'admin';
+    const updatedUser = await user.save();
+    const { password, ...userWithoutPassword } = updatedUser._doc;
+    res.status(200).json(userWithoutPassword);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // --- deleteUser Function (already good) ---
 export const deleteUser = async (req, res, next) => {
-  if (!req.user.isAdmin && req.user.id !== req.params.userId) {
+  if (!hasPermission(req.user, PERMISSIONS.MANAGE_USERS) && req.user.id !== req.params.userId) {
     return next(errorHandler(403, 'You are not allowed to delete this user'));
   }
   try {
     await User.findByIdAndDelete(req.params.userId);
+    await Identity.deleteMany({ user: req.params.userId });
+    await Session.deleteMany({ user: req.params.userId });
     res.status(200).json('User has been deleted');
   } catch (error) {
     next(error);
   }
 };
 
-// --- signout Function (already good) ---
-export const signout = (req, res, next) => {
+// --- signout Function ---
+// Ends the device's session as well, so its refresh token stops working
+export const signout = async (req, res, next) => {
   try {
-    res
-        .clearCookie('access_token')
-        .status(200)
-        .json('User has been signed out');
+    await endSession(req.cookies?.refresh_token);
+    clearSessionCookies(res);
+    res.status(200).json('User has been signed out');
   } catch (error) {
     next(error);
   }
@@ -82,9 +137,6 @@ export const signout = (req, res, next) => {
 
 // --- Upgraded getUsers Function ---
 export const getUsers = async (req, res, next) => {
-  if (!req.user.isAdmin) {
-    return next(errorHandler(403, 'You are not allowed to see all users'));
-  }
   try {
     const startIndex = parseInt(req.query.startIndex) || 0;
     const limit = parseInt(req.query.limit) || 9;
@@ -129,4 +181,55 @@ export const getUser = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+const RECENT_QUIZ_LIMIT = 5;
+const BOOKMARK_LIMIT = 6;
+
+// --- getMyLearning Function ---
+// Everything the signed-in learner's dashboard shows: the tutorials they are
+// enrolled in, most recently active first, their latest quiz scores, the
+// posts they bookmarked and their daily activity over the last year.
+export const getMyLearning = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const activitySince = new Date(Date.now() - ACTIVITY_DAYS * 24 * 60 * 60 * 1000);
+
+    const [progress, recentAttempts, activityAttempts, bookmarks] = await Promise.all([
+      Progress.find({ user: userId }).sort({ updatedAt: -1 }),
+      QuizAttempt.find({ user: userId, status: 'submitted' })
+          .sort({ submittedAt: -1 })
+          .limit(RECENT_QUIZ_LIMIT)
+          .populate('quiz', 'title slug'),
+      QuizAttempt.find({ user: userId, status: 'submitted', submittedAt: { $gte: activitySince } })
+          .select('submittedAt'),
+      Post.find({ bookmarkedBy: userId })
+          .sort({ updatedAt: -1 })
+          .limit(BOOKMARK_LIMIT)
+          .select('title slug image category createdAt'),
+    ]);
+
+    const tutorials = await Tutorial.find({ _id: { $in: progress.map((entry) => entry.tutorial) } })
+        .select('title slug thumbnail category chapters');
+    const tutorialsById = new Map(tutorials.map((tutorial) => [String(tutorial._id), tutorial]));
+
+    res.status(200).json({
+      // Progress in deleted tutorials is left out
+      enrollments: progress
+          .filter((entry) => tutorialsById.has(String(entry.tutorial)))
+          .map((entry) => summarizeEnrollment(tutorialsById.get(String(entry.tutorial)), entry)),
+      recentQuizzes: recentAttempts.map((attempt) => ({
+        attemptId: attempt._id,
+        quiz: attempt.quiz, // Null once the quiz is deleted
+        score: attempt.score,
+        totalQuestions: attempt.totalQuestions,
+        percentage: attempt.totalQuestions > 0 ? Math.round((attempt.score / attempt.totalQuestions) * 100) : 0,
+        submittedAt: attempt.submittedAt,
+      })),
+      bookmarks,
+      activity: buildActivityHeatmap({ progress, attempts: activityAttempts }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
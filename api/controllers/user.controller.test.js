@@ -1,5 +1,12 @@
-import { updateUser } from './user.controller.js';
+import { getMyLearning, setUserRole, updateUser } from './user.controller.js';
 import User from '../models/user.model.js';
+import Progress from '../models/progress.model.js';
+import Tutorial from '../models/tutorial.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import Post from '../models/post.model.js';
+import Session from '../models/session.model.js';
+import UserToken from '../models/userToken.model.js';
+import { setMailTransport } from '../services/mail.service.js';
 
 function createMockResponse() {
   return {
@@ -16,6 +23,18 @@ function createMockResponse() {
   };
 }
 
+// Chainable stand-in for a mongoose query.
+function createQuery(result) {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    select: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+}
+
 describe('updateUser', () => {
   afterEach(() => {
     jest.restoreAllMocks();
@@ -62,6 +81,59 @@ describe('updateUser', () => {
     expect(res.body).not.toHaveProperty('password');
   });
 
+  describe('changing sign-in details', () => {
+    let sentMail;
+    let user;
+
+    beforeEach(() => {
+      sentMail = [];
+      setMailTransport({ name: 'memory', send: async (message) => sentMail.push(message) });
+      jest.spyOn(UserToken, 'create').mockResolvedValue({});
+      jest.spyOn(UserToken, 'deleteMany').mockResolvedValue({});
+      user = new User({ username: 'ada', email: 'ada@example.com', password: 'hashed', emailVerified: true });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    });
+
+    afterEach(() => {
+      setMailTransport(null);
+    });
+
+    const update = async (body) => {
+      const res = createMockResponse();
+      const next = jest.fn();
+      await updateUser({ user: { id: String(user._id), sid: 'session1' }, params: { userId: String(user._id) }, body }, res, next);
+      expect(next).not.toHaveBeenCalled();
+      return res;
+    };
+
+    test('a new email is unverified until the link mailed to it is followed', async () => {
+      const res = await update({ email: 'someone@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(user.email).toBe('someone@example.com');
+      expect(user.emailVerified).toBe(false);
+      expect(sentMail).toEqual([expect.objectContaining({ to: 'someone@example.com', subject: 'Verify your email address' })]);
+    });
+
+    test('resubmitting the same email keeps it verified', async () => {
+      await update({ email: 'Ada@example.com', bio: 'Hi' });
+
+      expect(user.emailVerified).toBe(true);
+      expect(sentMail).toEqual([]);
+    });
+
+    test('a new password signs out every other device', async () => {
+      const deleteSessions = jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+      await update({ password: 'newsecret' });
+
+      expect(deleteSessions).toHaveBeenCalledWith({ user: user._id, _id: { $ne: 'session1' } });
+    });
+  });
+
   test('non-admin users cannot update other user accounts', async () => {
     const req = {
       user: { id: 'user1', isAdmin: false },
@@ -81,3 +153,95 @@ describe('updateUser', () => {
     expect(nextErr.message).toBe('You are not allowed to update this user');
   });
 });
+
+describe('setUserRole', () => {
+  const admin = { id: 'adminId', role: 'admin' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('assigning a role keeps the legacy admin flag in step', async () => {
+    const user = new User({ username: 'ada', email: 'ada@example.com' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await setUserRole({ user: admin, params: { userId: String(user._id) }, body: { role: 'author' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ role: 'author', isAdmin: false });
+  });
+
+  test('the last admin cannot be demoted', async () => {
+    // An account from before roles, an admin through its flag
+    const user = new User({ username: 'grace', email: 'grace@example.com', isAdmin: true });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(1);
+    const save = jest.spyOn(User.prototype, 'save');
+    const next = jest.fn();
+
+    await setUserRole({ user: admin, params: { userId: String(user._id) }, body: { role: 'reviewer' } }, createMockResponse(), next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400 });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('getMyLearning', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('summarizes the signed-in learner\'s tutorials, quizzes, bookmarks and activity', async () => {
+    const today = new Date();
+    const tutorial = {
+      _id: 't1',
+      title: 'Loops',
+      slug: 'loops',
+      chapters: [
+        { _id: 'c1', chapterTitle: 'For', chapterSlug: 'for', order: 1, subChapters: [] },
+        { _id: 'c2', chapterTitle: 'While', chapterSlug: 'while', order: 2, subChapters: [] },
+      ],
+    };
+    const progressFind = jest.spyOn(Progress, 'find').mockReturnValue(
+      createQuery([
+        { tutorial: 't1', chapters: [{ chapter: 'c1', completedAt: today }], updatedAt: today },
+        { tutorial: 'deleted', chapters: [], updatedAt: today },
+      ])
+    );
+    jest.spyOn(Tutorial, 'find').mockReturnValue(createQuery([tutorial]));
+    const attemptFind = jest
+      .spyOn(QuizAttempt, 'find')
+      .mockReturnValueOnce(
+        createQuery([{ _id: 'a1', quiz: { title: 'Loops quiz' }, score: 3, totalQuestions: 4, submittedAt: today }])
+      )
+      .mockReturnValueOnce(createQuery([{ submittedAt: today }]));
+    const postFind = jest.spyOn(Post, 'find').mockReturnValue(createQuery([{ title: 'Saved post' }]));
+    const res = createMockResponse();
+    const next = jest.fn();
+
+    await getMyLearning({ user: { id: 'learner1' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(progressFind).toHaveBeenCalledWith({ user: 'learner1' });
+    expect(attemptFind.mock.calls[0][0]).toEqual({ user: 'learner1', status: 'submitted' });
+    expect(postFind).toHaveBeenCalledWith({ bookmarkedBy: 'learner1' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.enrollments).toHaveLength(1);
+    expect(res.body.enrollments[0]).toMatchObject({
+      title: 'Loops',
+      percentage: 50,
+      nextChapter: { chapterSlug: 'while' },
+    });
+    expect(res.body.recentQuizzes).toEqual([
+      { attemptId: 'a1', quiz: { title: 'Loops quiz' }, score: 3, totalQuestions: 4, percentage: 75, submittedAt: today },
+    ]);
+    expect(res.body.bookmarks).toEqual([{ title: 'Saved post' }]);
+    expect(res.body.activity.days).toEqual([{ date: today.toISOString().slice(0, 10), count: 2 }]);
+  });
+});
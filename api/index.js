@@ -8,10 +8,12 @@ import postRoutes from './routes/post.route.js';
 import commentRoutes from './routes/comment.route.js';
 import tutorialRoutes from './routes/tutorial.route.js';
 import quizRoutes from './routes/quiz.route.js';
+import questionBankRoutes from './routes/questionBank.route.js';
 import codeSnippetRoutes from './routes/codeSnippet.route.js';
 import cppRoutes from './routes/cpp.route.js';
 import pythonRoutes from './routes/python.route.js';
 import executeRoutes from './routes/execute.route.js';
+import { checkExecutionSandbox } from './services/execution.service.js';
 
 import cookieParser from 'cookie-parser';
 import path from 'path';
@@ -34,6 +36,12 @@ if (!JWT_SECRET) {
     process.exit(1);
 }
 
+// Code execution refuses to run until its sandbox is configured
+const sandboxProblem = checkExecutionSandbox();
+if (sandboxProblem) {
+    console.error(`Learner code cannot run: ${sandboxProblem}.`);
+}
+
 mongoose
     .connect(MONGO_URI)
     .then(() => {
@@ -52,6 +60,8 @@ app.use(
     cors({
         origin: CORS_ORIGIN,
         credentials: true,
+        // Lets the dashboard name exported quiz files and report skipped questions
+        exposedHeaders: ['Content-Disposition', 'X-Skipped-Questions'],
     })
 );
 
@@ -65,6 +75,7 @@ app.use('/api/comment', commentRoutes);
 app.use('/api/tutorial', tutorialRoutes);
 app.use('/api/code-snippet', codeSnippetRoutes);
 app.use('/api', quizRoutes);
+app.use('/api/question-bank', questionBankRoutes);
 app.use('/api/code', cppRoutes); // NEW: Use the new C++ route
 app.use('/api/code', pythonRoutes); // NEW: Use the new Python route
 app.use('/api', executeRoutes); // NEW: Unified execution route for JS/Python
@@ -0,0 +1,40 @@
+// api/models/identity.model.js
+import mongoose from 'mongoose';
+
+// A Google or GitHub login linked to a user. A user can have one per
+// provider, alongside their password if they have one.
+const identitySchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        provider: {
+            type: String,
+            enum: ['google', 'github'],
+            required: true,
+        },
+        providerId: { // The account's id at the provider, which never changes
+            type: String,
+            required: true,
+        },
+        email: { // The verified email the provider reported at the last sign-in
+            type: String,
+            lowercase: true,
+            trim: true,
+        },
+        lastUsedAt: {
+            type: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+identitySchema.index({ provider: 1, providerId: 1 }, { unique: true });
+identitySchema.index({ user: 1, provider: 1 }, { unique: true });
+
+const Identity = mongoose.model('Identity', identitySchema);
+
+export default Identity;
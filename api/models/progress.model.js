@@ -0,0 +1,64 @@
+// api/models/progress.model.js
+import mongoose from 'mongoose';
+
+// A learner's progress through one chapter or subchapter of the tutorial
+const chapterProgressSchema = new mongoose.Schema(
+    {
+        chapter: { // The _id of a chapter or subchapter of the tutorial
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        completedAt: { // Unset until the learner completes the chapter
+            type: Date,
+        },
+        timeSpentSeconds: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+    },
+    { _id: false }
+);
+
+// A learner's enrollment in a tutorial: one document per learner and
+// tutorial, created when they first open or complete one of its chapters.
+const progressSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        tutorial: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Tutorial',
+            required: true,
+            index: true,
+        },
+        chapters: [chapterProgressSchema],
+        lastChapter: { // The chapter the learner was last reading
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        lastPosition: { // How far down lastChapter they scrolled, from 0 to 1
+            type: Number,
+            min: 0,
+            max: 1,
+            default: 0,
+        },
+        timeSpentSeconds: { // Across all chapters
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        completedAt: { // Set once every chapter and subchapter is complete
+            type: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+progressSchema.index({ user: 1, tutorial: 1 }, { unique: true });
+
+const Progress = mongoose.model('Progress', progressSchema);
+
+export default Progress;
@@ -0,0 +1,33 @@
+// api/models/question.model.js
+import mongoose from 'mongoose';
+import questionSchema from './question.schema.js';
+
+// A question in the question bank. Quizzes draw from the bank through their
+// question pools, which select questions by tag, difficulty and language.
+const bankQuestionSchema = questionSchema.clone();
+bankQuestionSchema.add({
+    tags: { // Topics, e.g. 'loops' or 'recursion'
+        type: [String],
+        index: true,
+    },
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        default: 'medium',
+        index: true,
+    },
+    language: { // The programming language the question is about, if any
+        type: String,
+        index: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+});
+bankQuestionSchema.set('timestamps', true);
+
+const Question = mongoose.model('Question', bankQuestionSchema);
+
+export default Question;
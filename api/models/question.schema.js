@@ -0,0 +1,56 @@
+// api/models/question.schema.js
+import mongoose from 'mongoose';
+import testCaseSchema from './testCase.schema.js';
+
+const optionSchema = new mongoose.Schema({
+    text: { type: String, required: true },
+    isCorrect: { type: Boolean, default: false },
+});
+
+const matchPairSchema = new mongoose.Schema({
+    left: { type: String, required: true },
+    right: { type: String, required: true },
+});
+
+// A quiz question, shared by the questions embedded in quizzes and those
+// in the question bank
+const questionSchema = new mongoose.Schema({
+    questionText: {
+        type: String,
+        required: true,
+    },
+    questionType: {
+        type: String,
+        // Multiple Choice, Fill-in-the-blank, Code Output comparison, Write code that is run and graded,
+        // Drag items into order, Match pairs, Several blanks in a code snippet, Numeric answer
+        enum: ['mcq', 'fill-in-the-blank', 'code-output', 'code-writing', 'ordering', 'matching', 'multi-blank', 'numeric'],
+        default: 'mcq',
+    },
+    options: [optionSchema], // For MCQ type questions
+    correctAnswer: { // For fill-in-the-blank, expected 'code-output', or the output a 'code-writing' program must print
+        type: String,
+    },
+    codeSnippet: { // The code for 'code-output' and 'multi-blank' questions, or starter code for 'code-writing'
+        type: String,
+    },
+    orderItems: [String], // For 'ordering': the items (e.g. lines of code) in their correct order
+    matchPairs: [matchPairSchema], // For 'matching': every left item with the right item it matches
+    blankAnswers: [String], // For 'multi-blank': the answer to each {{blank}} in codeSnippet, in order
+    numericAnswer: { // For 'numeric' questions
+        type: Number,
+    },
+    tolerance: { // For 'numeric': allowed absolute difference from numericAnswer
+        type: Number,
+        default: 0,
+    },
+    codeLanguage: { // For 'code-writing' questions: the language the learner writes in
+        type: String,
+    },
+    testCases: [testCaseSchema], // Optional for 'code-writing': inputs and expected outputs to grade against
+
+    explanation: { // Optional: explanation for the answer
+        type: String,
+    },
+});
+
+export default questionSchema;
@@ -1,33 +1,56 @@
 // api/models/quiz.model.js
 import mongoose from 'mongoose';
+import questionSchema from './question.schema.js';
 
-const optionSchema = new mongoose.Schema({
-    text: { type: String, required: true },
-    isCorrect: { type: Boolean, default: false },
-});
-
-const questionSchema = new mongoose.Schema({
-    questionText: {
-        type: String,
-        required: true,
-    },
-    questionType: {
+// Draws `count` questions from the question bank for every attempt
+const questionPoolSchema = new mongoose.Schema({
+    tags: [String], // Questions with any of these tags; all questions when empty
+    difficulty: { // Only questions of this difficulty, when set
         type: String,
-        enum: ['mcq', 'fill-in-the-blank', 'code-output'], // Multiple Choice, Fill-in-the-blank, Code Output comparison
-        default: 'mcq',
+        enum: ['easy', 'medium', 'hard'],
     },
-    options: [optionSchema], // For MCQ type questions
-    correctAnswer: { // For fill-in-the-blank or expected 'code-output'
+    language: { // Only questions about this language, when set
         type: String,
     },
-    codeSnippet: { // Optional: for 'code-output' type questions
-        type: String,
-    },
-    explanation: { // Optional: explanation for the answer
-        type: String,
+    count: {
+        type: Number,
+        required: true,
+        min: 1,
     },
 });
 
+// How and when learners may take the quiz. Empty settings mean an untimed
+// quiz that can be taken any number of times.
+const quizSettingsSchema = new mongoose.Schema(
+    {
+        timeLimitSeconds: { // Time allowed per attempt; 0 for no limit
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        maxAttempts: { // Attempts allowed per learner; 0 for unlimited
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        opensAt: { // Attempts cannot start before this date
+            type: Date,
+        },
+        closesAt: { // Attempts cannot start, or be submitted, after this date
+            type: Date,
+        },
+        shuffleQuestions: {
+            type: Boolean,
+            default: false,
+        },
+        shuffleOptions: { // Shuffles the options of multiple choice questions
+            type: Boolean,
+            default: false,
+        },
+    },
+    { _id: false }
+);
+
 const quizSchema = new mongoose.Schema(
     {
         title: {
@@ -47,7 +70,12 @@ const quizSchema = new mongoose.Schema(
             type: String,
             default: 'uncategorized',
         },
-        questions: [questionSchema],
+        questions: [questionSchema], // Asked in every attempt
+        questionPools: [questionPoolSchema], // Questions drawn from the bank for each attempt
+        settings: {
+            type: quizSettingsSchema,
+            default: () => ({}),
+        },
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
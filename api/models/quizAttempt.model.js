@@ -0,0 +1,117 @@
+// api/models/quizAttempt.model.js
+import mongoose from 'mongoose';
+
+// The graded answer to one question, kept as it was shown to the learner so
+// the attempt can still be reviewed after the quiz is edited.
+const attemptAnswerSchema = new mongoose.Schema(
+    {
+        questionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        questionText: {
+            type: String,
+        },
+        userAnswer: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        correctAnswer: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        isCorrect: {
+            type: Boolean,
+            default: false,
+        },
+        feedback: {
+            type: String,
+        },
+        explanation: {
+            type: String,
+        },
+        testResults: { // Per-test results of a 'code-writing' answer
+            type: [mongoose.Schema.Types.Mixed],
+            default: undefined,
+        },
+    },
+    { _id: false }
+);
+
+const quizAttemptSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        quiz: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Quiz',
+            required: true,
+            index: true,
+        },
+        // Attempts at quizzes with settings are started first and stay
+        // in progress until they are submitted or run out of time.
+        status: {
+            type: String,
+            enum: ['in-progress', 'submitted', 'expired'],
+            default: 'submitted',
+            index: true,
+        },
+        token: { // Identifies a started attempt when it is submitted
+            type: String,
+            unique: true,
+            sparse: true,
+            select: false,
+        },
+        attemptNumber: { // 1 for the user's first started attempt at the quiz, and so on
+            type: Number,
+        },
+        startedAt: {
+            type: Date,
+        },
+        deadline: { // Submissions after this date are rejected
+            type: Date,
+        },
+        questionOrder: [mongoose.Schema.Types.ObjectId], // Question ids in the order they were shown
+        optionOrder: { // Question id -> option ids in the order they were shown
+            type: mongoose.Schema.Types.Mixed,
+        },
+        drawnQuestions: [{ // Questions drawn from the bank for this attempt
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Question',
+        }],
+        answers: [attemptAnswerSchema],
+        score: { // Number of correctly answered questions
+            type: Number,
+            required: function () {
+                return this.status === 'submitted';
+            },
+        },
+        totalQuestions: {
+            type: Number,
+            required: true,
+        },
+        durationSeconds: { // Time the learner spent on the attempt, if known
+            type: Number,
+            min: 0,
+        },
+        submittedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { timestamps: true }
+);
+
+quizAttemptSchema.index({ user: 1, quiz: 1, submittedAt: -1 });
+// Two attempts started at once cannot both take the same number, so no more
+// than maxAttempts attempts can be started however many requests race
+quizAttemptSchema.index(
+    { user: 1, quiz: 1, attemptNumber: 1 },
+    { unique: true, partialFilterExpression: { attemptNumber: { $exists: true } } }
+);
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+export default QuizAttempt;
@@ -0,0 +1,54 @@
+// api/models/session.model.js
+import mongoose from 'mongoose';
+
+// A signed-in device. Its refresh token rotates on every use and only its
+// hash is stored. Revoking the session deletes it.
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        tokenHash: { // SHA-256 of the current refresh token
+            type: String,
+            required: true,
+            unique: true,
+        },
+        previousTokenHash: { // SHA-256 of the refresh token it replaced
+            type: String,
+            index: true,
+            sparse: true,
+        },
+        rotatedAt: {
+            type: Date,
+        },
+        userAgent: {
+            type: String,
+            default: '',
+        },
+        device: { // e.g. "Firefox on Windows", derived from userAgent
+            type: String,
+            default: 'Unknown device',
+        },
+        ip: {
+            type: String,
+        },
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: { // Pushed back on every refresh; expired sessions are removed
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,34 @@
+// api/models/testCase.schema.js
+import mongoose from 'mongoose';
+
+// Defines a single test case run against learner code, shared by
+// code-interactive tutorial chapters and code-writing quiz questions
+const testCaseSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        default: '',
+    },
+    stdin: {
+        type: String,
+        default: '',
+    },
+    expectedOutput: {
+        type: String,
+        required: true,
+    },
+    comparison: {
+        type: String,
+        enum: ['exact', 'trimmed', 'regex', 'numeric'],
+        default: 'trimmed',
+    },
+    tolerance: { // Only used by the 'numeric' comparison
+        type: Number,
+        default: 1e-6,
+    },
+    hidden: { // Hidden test cases never reveal their input or expected output to learners
+        type: Boolean,
+        default: false,
+    },
+});
+
+export default testCaseSchema;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import testCaseSchema from './testCase.schema.js';
 
 // Define the schema for a single sub-chapter
 const subChapterSchema = new mongoose.Schema(
@@ -28,6 +29,17 @@ const subChapterSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        codeLanguage: {
+            type: String,
+            enum: ['html', 'css', 'javascript', 'typescript', 'python', 'c', 'cpp', 'java', 'go', 'rust', 'ruby', 'bash'],
+            default: 'html',
+        },
+        // Input fed to the program when the learner runs it without typing their own.
+        defaultStdin: {
+            type: String,
+            default: '',
+        },
+        testCases: [testCaseSchema],
         quizId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Quiz',
@@ -69,6 +81,17 @@ const tutorialChapterSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        codeLanguage: {
+            type: String,
+            enum: ['html', 'css', 'javascript', 'typescript', 'python', 'c', 'cpp', 'java', 'go', 'rust', 'ruby', 'bash'],
+            default: 'html',
+        },
+        // Input fed to the program when the learner runs it without typing their own.
+        defaultStdin: {
+            type: String,
+            default: '',
+        },
+        testCases: [testCaseSchema],
         quizId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Quiz',
@@ -77,11 +100,6 @@ const tutorialChapterSchema = new mongoose.Schema(
             type: Number,
             required: true,
         },
-        completedBy: [{
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
-            default: [],
-        }],
         subChapters: [subChapterSchema], // Nested sub-chapters array
     },
     { timestamps: true }
@@ -125,11 +143,6 @@ const tutorialSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
-        completedBy: {
-            type: [mongoose.Schema.Types.ObjectId],
-            ref: 'User',
-            default: [],
-        },
     },
     { timestamps: true }
 );
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES } from '../utils/permissions.js';
 
 const userSchema = new mongoose.Schema(
     {
@@ -18,9 +19,11 @@ const userSchema = new mongoose.Schema(
             lowercase: true,
             trim: true,
         },
-        password: {
+        emailVerified: { // False until the user follows their verification link; unset on accounts from before verification
+            type: Boolean,
+        },
+        password: { // Unset for accounts that only sign in with Google or GitHub
             type: String,
-            required: [true, 'Password is required'],
             minlength: [6, 'Password must be at least 6 characters long'],
         },
         profilePicture: {
@@ -33,7 +36,11 @@ const userSchema = new mongoose.Schema(
             default: '',
             trim: true,
         },
-        isAdmin: {
+        role: { // Unset on accounts from before roles, see getUserRole
+            type: String,
+            enum: ROLES,
+        },
+        isAdmin: { // Legacy; kept in step with role
             type: Boolean,
             default: false,
         },
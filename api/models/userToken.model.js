@@ -0,0 +1,36 @@
+// api/models/userToken.model.js
+import mongoose from 'mongoose';
+
+// A single-use token mailed to a user to verify their email address or reset
+// their password. Only its hash is stored and it is deleted when used.
+const userTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        purpose: {
+            type: String,
+            enum: ['verify-email', 'reset-password'],
+            required: true,
+        },
+        tokenHash: { // SHA-256 of the token
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: { // Expired tokens are removed
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
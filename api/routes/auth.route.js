@@ -1,11 +1,37 @@
 import express from 'express';
-import { google, signin, signup, github } from '../controllers/auth.controller.js';
+import {
+  google,
+  signin,
+  signup,
+  github,
+  getIdentities,
+  linkIdentity,
+  unlinkIdentity,
+  refresh,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} from '../controllers/auth.controller.js';
+import { verifyToken } from '../utils/verifyUser.js';
 
 const router = express.Router();
 
 router.post('/signup', signup);
 router.post('/signin', signin);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 router.post('/google', google);
 router.post('/github', github);
+router.post('/refresh', refresh);
+router.get('/sessions', verifyToken, getSessions);
+router.delete('/sessions/:sessionId', verifyToken, revokeSession);
+router.get('/identities', verifyToken, getIdentities);
+router.post('/identities/:provider', verifyToken, linkIdentity);
+router.delete('/identities/:provider', verifyToken, unlinkIdentity);
 
 export default router;
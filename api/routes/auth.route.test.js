@@ -5,10 +5,11 @@ import express from 'express';
 import request from 'supertest';
 import authRouter from './auth.route.js';
 import User from '../models/user.model.js';
-import bcryptjs from 'bcryptjs';
+import UserToken from '../models/userToken.model.js';
+import { setMailTransport } from '../services/mail.service.js';
 
 jest.mock('../models/user.model.js');
-jest.mock('bcryptjs');
+jest.mock('../models/userToken.model.js');
 
 /**
  * Creates an express app instance with the auth router mounted. This avoids
@@ -34,13 +35,21 @@ describe('Auth routes', () => {
     app = createTestApp();
   });
 
+  let send;
+
   beforeEach(() => {
     jest.resetAllMocks();
+    send = jest.fn().mockResolvedValue();
+    setMailTransport({ name: 'memory', send });
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
   });
 
   it('registers a user successfully', async () => {
-    bcryptjs.hash.mockResolvedValue('hashed');
     User.prototype.save = jest.fn().mockResolvedValue();
+    UserToken.create.mockResolvedValue();
 
     const res = await request(app)
       .post('/api/auth/signup')
@@ -49,8 +58,9 @@ describe('Auth routes', () => {
     // The signup route now returns a 201 Created to signal a new user was
     // successfully registered.
     expect(res.status).toBe(201);
-    expect(res.body).toBe('Signup successful');
+    expect(res.body).toMatch(/^Signup successful/);
     expect(User.prototype.save).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Verify your email address' }));
   });
 
   it('returns 400 when fields are missing', async () => {
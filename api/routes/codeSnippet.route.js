@@ -1,10 +1,11 @@
 import express from 'express';
-import { verifyToken } from '../utils/verifyUser.js';
+import { requirePermission, verifyToken } from '../utils/verifyUser.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 import { createCodeSnippet, getCodeSnippet, saveCodeSnippet } from '../controllers/codeSnippet.controller.js';
 
 const router = express.Router();
 
-router.post('/create', verifyToken, createCodeSnippet);
+router.post('/create', verifyToken, requirePermission(PERMISSIONS.WRITE_TUTORIALS), createCodeSnippet);
 router.post('/save', saveCodeSnippet);
 router.get('/:snippetId', getCodeSnippet);
 
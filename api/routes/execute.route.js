@@ -1,8 +1,11 @@
 import express from 'express';
-import { executeCode } from '../controllers/execution.controller.js';
+import { executeCode, getExecutionLanguages, streamExecution, cancelExecution } from '../controllers/execution.controller.js';
 
 const router = express.Router();
 
+router.get('/execute/languages', getExecutionLanguages);
 router.post('/execute', executeCode);
+router.post('/execute/stream', streamExecution);
+router.post('/execute/stream/:runId/cancel', cancelExecution);
 
 export default router;
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+import executeRouter from './execute.route.js';
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', executeRouter);
+  app.use((err, req, res, next) => {
+    const statusCode = err.statusCode || 500;
+    res.status(statusCode).json({ success: false, statusCode, message: err.message });
+  });
+  return app;
+}
+
+/**
+ * Reads a Server-Sent Events response, calling onEvent for every event, and
+ * resolves with all events once the stream ends.
+ */
+async function readEvents(response, onEvent = () => {}) {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = block.match(/^event: (.*)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+      events.push({ event, data });
+      await onEvent({ event, data });
+    }
+  }
+  return events;
+}
+
+describe('Streaming execution routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    // Programs run as the test runner's user instead of a sandbox user
+    process.env.EXECUTION_ALLOW_UNSANDBOXED = 'true';
+    server = createTestApp().listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/execute/stream`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    delete process.env.EXECUTION_ALLOW_UNSANDBOXED;
+    server.close(done);
+  });
+
+  const start = (body) =>
+    fetch(baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  test('streams output chunks followed by the exit status', async () => {
+    const response = await start({
+      language: 'javascript',
+      code: "process.stdin.on('data', (d) => { console.log('got ' + d); console.error('done'); });",
+      stdin: 'input',
+    });
+    expect(response.headers.get('content-type')).toMatch('text/event-stream');
+
+    const events = await readEvents(response);
+    const names = events.map((e) => e.event);
+
+    expect(names[0]).toBe('start');
+    expect(names[names.length - 1]).toBe('exit');
+    expect(events.find((e) => e.event === 'stdout').data.data).toBe('got input\n');
+    expect(events.find((e) => e.event === 'stderr').data.data).toBe('done\n');
+    expect(events[events.length - 1].data).toMatchObject({ exitCode: 0, cancelled: false, message: '' });
+  });
+
+  test('cancels a running program', async () => {
+    const response = await start({
+      language: 'javascript',
+      code: "console.log('tick'); setInterval(() => {}, 1000);",
+    });
+
+    let runId;
+    const events = await readEvents(response, async ({ event, data }) => {
+      if (event === 'start') runId = data.runId;
+      if (event === 'stdout') {
+        const cancel = await fetch(`${baseUrl}/${runId}/cancel`, { method: 'POST' });
+        expect(cancel.status).toBe(200);
+      }
+    });
+
+    expect(events[events.length - 1].data).toMatchObject({ cancelled: true, message: 'Execution cancelled' });
+  });
+
+  test('returns 404 when cancelling an unknown run', async () => {
+    const response = await fetch(`${baseUrl}/missing/cancel`, { method: 'POST' });
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects unsupported languages before streaming', async () => {
+    const response = await start({ language: 'cobol', code: 'DISPLAY "HI".' });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import commentRouter from './comment.route.js';
+import postRouter from './post.route.js';
+import questionBankRouter from './questionBank.route.js';
+import quizRouter from './quiz.route.js';
+import tutorialRouter from './tutorial.route.js';
+import userRouter from './user.route.js';
+import Comment from '../models/comment.model.js';
+import Identity from '../models/identity.model.js';
+import Post from '../models/post.model.js';
+import Progress from '../models/progress.model.js';
+import Question from '../models/question.model.js';
+import Quiz from '../models/quiz.model.js';
+import QuizAttempt from '../models/quizAttempt.model.js';
+import Session from '../models/session.model.js';
+import Tutorial from '../models/tutorial.model.js';
+import User from '../models/user.model.js';
+
+const ownerId = '507f1f77bcf86cd799439011';
+const otherUserId = '507f1f77bcf86cd799439022';
+const resourceId = '507f1f77bcf86cd799439033';
+const chapterId = '507f1f77bcf86cd799439044';
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/user', userRouter);
+  app.use('/api/post', postRouter);
+  app.use('/api/comment', commentRouter);
+  app.use('/api/tutorial', tutorialRouter);
+  app.use('/api', quizRouter);
+  app.use('/api/question-bank', questionBankRouter);
+  app.use((err, req, res, next) => {
+    const statusCode = err.statusCode || 500;
+    res.status(statusCode).json({ success: false, statusCode, message: err.message });
+  });
+  return app;
+}
+
+const signedInAs = (id, role) => `access_token=${jwt.sign({ id, role }, process.env.JWT_SECRET)}`;
+
+// A query result that can also be narrowed with .select() or .populate()
+const selectable = (doc) =>
+  Object.assign(Promise.resolve(doc), { select: () => Promise.resolve(doc), populate: () => Promise.resolve(doc) });
+
+const chapterBody = { chapterTitle: 'Loops', order: 2, contentType: 'text', content: 'For and while' };
+
+// Every edit and delete route, with a body that passes validation. Each
+// resource is stored as belonging to ownerId.
+const editRoutes = [
+  ['put', `/api/post/updatepost/${resourceId}`, { title: 'Changed' }],
+  ['put', `/api/tutorial/update/${resourceId}`, { title: 'Changed' }],
+  ['post', `/api/tutorial/addchapter/${resourceId}`, chapterBody],
+  ['put', `/api/tutorial/updatechapter/${resourceId}/${chapterId}`, { chapterTitle: 'Changed' }],
+  ['delete', `/api/tutorial/deletechapter/${resourceId}/${chapterId}`, {}],
+  ['put', `/api/quizzes/${resourceId}`, { title: 'Changed' }],
+  ['put', `/api/question-bank/${resourceId}`, { questionText: 'Changed', questionType: 'fill-in-the-blank', correctAnswer: 'x' }],
+];
+const deleteRoutes = [
+  ['delete', `/api/post/deletepost/${resourceId}`, {}],
+  ['delete', `/api/tutorial/delete/${resourceId}`, {}],
+  ['delete', `/api/quizzes/${resourceId}`, {}],
+  ['delete', `/api/question-bank/${resourceId}`, {}],
+];
+// Routes that read a quiz's answers, as only its editors may
+const answerRoutes = [
+  ['get', `/api/quizzes/${resourceId}/edit`, {}],
+  ['get', `/api/quizzes/${resourceId}/export?format=json`, {}],
+];
+const commentRoutes = [
+  ['put', `/api/comment/editComment/${resourceId}`, { content: 'Changed' }],
+  ['delete', `/api/comment/deleteComment/${resourceId}`, {}],
+];
+const userRoutes = [
+  ['put', `/api/user/update/${ownerId}`, { bio: 'Changed' }],
+  ['delete', `/api/user/delete/${ownerId}`, {}],
+];
+
+// The deprecated forms, with whichever user the caller likes in the URL
+const deprecatedRoutes = (userId) => [
+  ['put', `/api/post/updatepost/${resourceId}/${userId}`, { title: 'Changed' }],
+  ['delete', `/api/post/deletepost/${resourceId}/${userId}`, {}],
+  ['put', `/api/tutorial/update/${resourceId}/${userId}`, { title: 'Changed' }],
+  ['delete', `/api/tutorial/delete/${resourceId}/${userId}`, {}],
+  ['post', `/api/tutorial/addchapter/${resourceId}/${userId}`, chapterBody],
+  ['put', `/api/tutorial/updatechapter/${resourceId}/${chapterId}/${userId}`, { chapterTitle: 'Changed' }],
+  ['delete', `/api/tutorial/deletechapter/${resourceId}/${chapterId}/${userId}`, {}],
+  ['put', `/api/quizzes/${resourceId}/${userId}`, { title: 'Changed' }],
+  ['delete', `/api/quizzes/${resourceId}/${userId}`, {}],
+];
+
+describe('ownership checks', () => {
+  let app;
+  let mutations;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const chapters = Object.assign([{ _id: chapterId, chapterTitle: 'Intro', chapterSlug: 'intro', order: 1 }], {
+      id: (id) => chapters.find((chapter) => chapter._id === id) || null,
+      pull: jest.fn(),
+    });
+    const tutorial = { _id: resourceId, authorId: ownerId, chapters, save: jest.fn().mockResolvedValue() };
+    const user = { _id: ownerId, save: jest.fn().mockResolvedValue({ _doc: { _id: ownerId } }) };
+
+    jest.spyOn(Post, 'findById').mockResolvedValue({ _id: resourceId, userId: ownerId });
+    jest.spyOn(Tutorial, 'findById').mockResolvedValue(tutorial);
+    const quiz = { _id: resourceId, createdBy: ownerId, slug: 'quiz', title: 'Quiz', questions: [] };
+    jest.spyOn(Quiz, 'findById').mockReturnValue(selectable({ ...quiz, toObject: () => quiz }));
+    jest.spyOn(Question, 'findById').mockReturnValue(selectable({ _id: resourceId, createdBy: ownerId }));
+    jest.spyOn(Comment, 'findById').mockResolvedValue({ _id: resourceId, userId: ownerId });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Progress, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(QuizAttempt, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Identity, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Session, 'deleteMany').mockResolvedValue({});
+
+    mutations = [
+      jest.spyOn(Post, 'findByIdAndUpdate').mockResolvedValue({ _id: resourceId }),
+      jest.spyOn(Post, 'findByIdAndDelete').mockResolvedValue({}),
+      jest.spyOn(Tutorial, 'findByIdAndUpdate').mockResolvedValue({ _id: resourceId }),
+      jest.spyOn(Tutorial, 'findByIdAndDelete').mockResolvedValue({}),
+      jest.spyOn(Quiz, 'findByIdAndUpdate').mockResolvedValue({ _id: resourceId }),
+      jest.spyOn(Quiz, 'findByIdAndDelete').mockResolvedValue({}),
+      jest.spyOn(Question, 'findByIdAndUpdate').mockResolvedValue({ _id: resourceId }),
+      jest.spyOn(Question, 'findByIdAndDelete').mockResolvedValue({ _id: resourceId }),
+      jest.spyOn(Comment, 'findByIdAndUpdate').mockResolvedValue({ _id: resourceId }),
+      jest.spyOn(Comment, 'findByIdAndDelete').mockResolvedValue({}),
+      jest.spyOn(User, 'findByIdAndDelete').mockResolvedValue({}),
+      tutorial.save,
+      chapters.pull,
+      user.save,
+    ];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (method, path, body, cookie) => request(app)[method](path).set('Cookie', cookie).send(body);
+
+  test.each([...editRoutes, ...deleteRoutes, ...commentRoutes, ...userRoutes, ...deprecatedRoutes(otherUserId)])(
+    "another author cannot %s someone else's %s",
+    async (method, path, body) => {
+      const res = await send(method, path, body, signedInAs(otherUserId, 'author'));
+
+      expect(res.status).toBe(403);
+      mutations.forEach((mutation) => expect(mutation).not.toHaveBeenCalled());
+    }
+  );
+
+  test.each(answerRoutes)("another author cannot %s the answers at %s", async (method, path, body) => {
+    const res = await send(method, path, body, signedInAs(otherUserId, 'author'));
+
+    expect(res.status).toBe(403);
+    expect(res.text).not.toContain('questions');
+  });
+
+  test.each(answerRoutes)('the owner and reviewers can %s the answers at %s', async (method, path, body) => {
+    for (const cookie of [signedInAs(ownerId, 'author'), signedInAs(otherUserId, 'reviewer')]) {
+      const res = await send(method, path, body, cookie);
+
+      expect(res.status).toBe(200);
+    }
+  });
+
+  test.each(deprecatedRoutes(ownerId))(
+    "naming the owner in a deprecated %s %s does not grant access",
+    async (method, path, body) => {
+      const res = await send(method, path, body, signedInAs(otherUserId, 'author'));
+
+      expect(res.status).toBe(403);
+      mutations.forEach((mutation) => expect(mutation).not.toHaveBeenCalled());
+    }
+  );
+
+  test.each([...editRoutes, ...deleteRoutes, ...commentRoutes, ...userRoutes, ...deprecatedRoutes(otherUserId)])(
+    'the owner can %s %s',
+    async (method, path, body) => {
+      const res = await send(method, path, body, signedInAs(ownerId, 'author'));
+
+      expect(res.status).toBeLessThan(300);
+      expect(mutations.some((mutation) => mutation.mock.calls.length > 0)).toBe(true);
+    }
+  );
+
+  test.each(editRoutes)("reviewers can %s anyone's %s", async (method, path, body) => {
+    const res = await send(method, path, body, signedInAs(otherUserId, 'reviewer'));
+
+    expect(res.status).toBeLessThan(300);
+  });
+
+  test.each([...deleteRoutes, ...commentRoutes])("moderators can %s anyone's %s", async (method, path, body) => {
+    const res = await send(method, path, body, signedInAs(otherUserId, 'moderator'));
+
+    expect(res.status).toBeLessThan(300);
+  });
+
+  test('deprecated routes point to their replacement', async () => {
+    const res = await send(
+      'put',
+      `/api/tutorial/updatechapter/${resourceId}/${chapterId}/${ownerId}`,
+      { chapterTitle: 'Changed' },
+      signedInAs(ownerId, 'author')
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.headers.deprecation).toMatch(/^@\d+$/);
+    expect(res.headers.link).toBe(
+      `</api/tutorial/updatechapter/${resourceId}/${chapterId}>; rel="successor-version"`
+    );
+  });
+
+  test('id-only routes are not marked deprecated', async () => {
+    const res = await send('delete', `/api/post/deletepost/${resourceId}`, {}, signedInAs(ownerId, 'author'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers.deprecation).toBeUndefined();
+  });
+});
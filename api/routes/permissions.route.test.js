@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import commentRouter from './comment.route.js';
+import postRouter from './post.route.js';
+import questionBankRouter from './questionBank.route.js';
+import quizRouter from './quiz.route.js';
+import tutorialRouter from './tutorial.route.js';
+import userRouter from './user.route.js';
+
+const userId = '507f1f77bcf86cd799439011';
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/user', userRouter);
+  app.use('/api/post', postRouter);
+  app.use('/api/comment', commentRouter);
+  app.use('/api/tutorial', tutorialRouter);
+  app.use('/api', quizRouter);
+  app.use('/api/question-bank', questionBankRouter);
+  app.use((err, req, res, next) => {
+    const statusCode = err.statusCode || 500;
+    res.status(statusCode).json({ success: false, statusCode, message: err.message });
+  });
+  return app;
+}
+
+// The access token cookie of a signed-in user with a role
+const signedInAs = (role) => `access_token=${jwt.sign({ id: userId, role }, process.env.JWT_SECRET)}`;
+
+describe('route permissions', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  test.each([
+    ['post', '/api/post/create'],
+    ['post', '/api/tutorial/create'],
+    ['post', '/api/quizzes'],
+    ['post', '/api/quizzes/import'],
+    ['get', `/api/quizzes/${userId}/edit`],
+    ['get', `/api/quizzes/${userId}/export`],
+    ['get', `/api/quizzes/${userId}/attempts`],
+    ['get', '/api/question-bank'],
+    ['get', '/api/comment/getcomments'],
+    ['get', '/api/user/getusers'],
+    ['put', `/api/user/${userId}/role`],
+  ])('learners cannot %s %s', async (method, path) => {
+    const res = await request(app)[method](path).set('Cookie', signedInAs('learner')).send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  test('authors can create content', async () => {
+    // Fails validation after passing the permission check
+    const res = await request(app).post('/api/post/create').set('Cookie', signedInAs('author')).send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  test('authors cannot assign roles', async () => {
+    const res = await request(app)
+      .put(`/api/user/${userId}/role`)
+      .set('Cookie', signedInAs('author'))
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('admins can assign roles', async () => {
+    const res = await request(app)
+      .put(`/api/user/${userId}/role`)
+      .set('Cookie', signedInAs('admin'))
+      .send({ role: 'wizard' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Role must be one of/);
+  });
+
+  test('tokens from before roles still work for admins', async () => {
+    const token = jwt.sign({ id: userId, isAdmin: true }, process.env.JWT_SECRET);
+    const res = await request(app).post('/api/post/create').set('Cookie', `access_token=${token}`).send({});
+
+    expect(res.status).toBe(400);
+  });
+});
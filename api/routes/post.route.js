@@ -1,5 +1,7 @@
 import express from 'express';
-import { verifyToken } from '../utils/verifyUser.js';
+import { requirePermission, verifyToken } from '../utils/verifyUser.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { deprecatedRoute } from '../utils/deprecatedRoute.js';
 // --- NEW --- Make sure to import clapPost from your controller
 import {
     create,
@@ -12,10 +14,29 @@ import {
 
 const router = express.Router();
 
-router.post('/create', verifyToken, create);
+router.post('/create', verifyToken, requirePermission(PERMISSIONS.WRITE_POSTS), create);
 router.get('/getposts', getposts);
-router.delete('/deletepost/:postId/:userId', verifyToken, deletepost);
-router.put('/updatepost/:postId/:userId', verifyToken, updatepost);
+
+const canDeletePosts = requirePermission(PERMISSIONS.WRITE_POSTS, PERMISSIONS.DELETE_ANY_CONTENT);
+const canEditPosts = requirePermission(PERMISSIONS.WRITE_POSTS, PERMISSIONS.EDIT_ANY_CONTENT);
+router.delete('/deletepost/:postId', verifyToken, canDeletePosts, deletepost);
+router.put('/updatepost/:postId', verifyToken, canEditPosts, updatepost);
+
+// Deprecated: the :userId segment is ignored, the post's author is checked
+router.delete(
+    '/deletepost/:postId/:userId',
+    deprecatedRoute(({ postId }) => `/deletepost/${postId}`),
+    verifyToken,
+    canDeletePosts,
+    deletepost
+);
+router.put(
+    '/updatepost/:postId/:userId',
+    deprecatedRoute(({ postId }) => `/updatepost/${postId}`),
+    verifyToken,
+    canEditPosts,
+    updatepost
+);
 
 // --- NEW --- This is the new route for handling claps.
 // It uses a PUT method because a clap "updates" the post's clap count.
@@ -0,0 +1,28 @@
+// api/routes/questionBank.route.js
+import express from 'express';
+import { requirePermission, verifyToken } from '../utils/verifyUser.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import {
+    createBankQuestion,
+    deleteBankQuestion,
+    getBankFacets,
+    getBankQuestions,
+    updateBankQuestion,
+} from '../controllers/questionBank.controller.js';
+
+const router = express.Router();
+
+// -- The question bank quizzes draw from (Authors; someone else's question
+// needs EDIT_ANY_CONTENT or DELETE_ANY_CONTENT) --
+
+const canWriteQuizzes = requirePermission(PERMISSIONS.WRITE_QUIZZES);
+
+router.use(verifyToken);
+
+router.get('/', canWriteQuizzes, getBankQuestions);
+router.get('/facets', canWriteQuizzes, getBankFacets);
+router.post('/', canWriteQuizzes, createBankQuestion);
+router.put('/:questionId', requirePermission(PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.EDIT_ANY_CONTENT), updateBankQuestion);
+router.delete('/:questionId', requirePermission(PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.DELETE_ANY_CONTENT), deleteBankQuestion);
+
+export default router;
@@ -1,37 +1,95 @@
 // api/routes/quiz.route.js
 import express from 'express';
-import { verifyToken } from '../utils/verifyUser.js'; // Ensure path is correct
+import { requirePermission, verifyToken } from '../utils/verifyUser.js'; // Ensure path is correct
+import { PERMISSIONS } from '../utils/permissions.js';
+import { deprecatedRoute } from '../utils/deprecatedRoute.js';
 import {
     createQuiz,
     getQuizzes,
     getSingleQuizById,
     getSingleQuizBySlug,
+    getQuizForEditing,
+    importQuiz,
+    exportQuiz,
     updateQuiz,
     deleteQuiz,
     submitQuiz,
 } from '../controllers/quiz.controller.js';
+import {
+    getMyQuizAttempts,
+    getQuizAttempt,
+    getQuizAttempts,
+    startQuizAttempt,
+} from '../controllers/quizAttempt.controller.js';
 
 const router = express.Router();
 
 // -- RESTful API Routes for Quizzes --
 
-// CREATE a new quiz (Admin-only)
-router.post('/quizzes', verifyToken, createQuiz);
+const canWriteQuizzes = requirePermission(PERMISSIONS.WRITE_QUIZZES);
+const canEditQuizzes = requirePermission(PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.EDIT_ANY_CONTENT);
+const canDeleteQuizzes = requirePermission(PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.DELETE_ANY_CONTENT);
+
+// CREATE a new quiz (Authors)
+router.post('/quizzes', verifyToken, canWriteQuizzes, createQuiz);
+
+// IMPORT a quiz from a GIFT, Moodle XML or JSON file sent as the body;
+// `?dryRun=true` only previews it (Authors)
+router.post('/quizzes/import', verifyToken, canWriteQuizzes, express.text({ type: '*/*', limit: '5mb' }), importQuiz);
 
 // GET all quizzes (Public)
 router.get('/quizzes', getQuizzes);
 
-// GET a single quiz by ID (Public)
+// GET the signed-in user's attempts, optionally for one quiz (User-only)
+router.get('/quizzes/attempts/me', verifyToken, getMyQuizAttempts);
+
+// GET a single attempt for review (Owner, or VIEW_QUIZ_ATTEMPTS)
+router.get('/quizzes/attempts/:attemptId', verifyToken, getQuizAttempt);
+
+// GET a single quiz by ID, without its answers (Public)
 router.get('/quizzes/:quizId', getSingleQuizById);
 
-// GET a single quiz by slug (Public)
+// GET a single quiz with its answers, for editing (Its creator; someone else's needs EDIT_ANY_CONTENT)
+router.get('/quizzes/:quizId/edit', verifyToken, canEditQuizzes, getQuizForEditing);
+
+// EXPORT a quiz as a GIFT, Moodle XML or JSON file, answers included (as editing it)
+router.get('/quizzes/:quizId/export', verifyToken, canEditQuizzes, exportQuiz);
+
+// GET a single quiz by slug, without its answers (Public)
 router.get('/quizzes/slug/:quizSlug', getSingleQuizBySlug);
 
-// UPDATE a quiz (Admin-only)
-router.put('/quizzes/:quizId/:userId', verifyToken, updateQuiz);
+// START a timed or attempt-limited quiz; returns the attempt token (User-only)
+router.post('/quizzes/:quizId/start', verifyToken, startQuizAttempt);
+
+// GET every attempt at a quiz with statistics (VIEW_QUIZ_ATTEMPTS)
+router.get(
+    '/quizzes/:quizId/attempts',
+    verifyToken,
+    requirePermission(PERMISSIONS.VIEW_QUIZ_ATTEMPTS),
+    getQuizAttempts
+);
+
+// UPDATE a quiz (Its creator; someone else's needs EDIT_ANY_CONTENT)
+router.put('/quizzes/:quizId', verifyToken, canEditQuizzes, updateQuiz);
+
+// DELETE a quiz (Its creator; someone else's needs DELETE_ANY_CONTENT)
+router.delete('/quizzes/:quizId', verifyToken, canDeleteQuizzes, deleteQuiz);
 
-// DELETE a quiz (Admin-only)
-router.delete('/quizzes/:quizId/:userId', verifyToken, deleteQuiz);
+// Deprecated: the :userId segment is ignored, the quiz's creator is checked
+router.put(
+    '/quizzes/:quizId/:userId',
+    deprecatedRoute(({ quizId }) => `/quizzes/${quizId}`),
+    verifyToken,
+    canEditQuizzes,
+    updateQuiz
+);
+router.delete(
+    '/quizzes/:quizId/:userId',
+    deprecatedRoute(({ quizId }) => `/quizzes/${quizId}`),
+    verifyToken,
+    canDeleteQuizzes,
+    deleteQuiz
+);
 
 // SUBMIT quiz answers (User-only)
 router.post('/quizzes/submit/:quizId', verifyToken, submitQuiz);
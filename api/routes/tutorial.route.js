@@ -1,5 +1,7 @@
 import express from 'express';
-import { verifyToken } from '../utils/verifyUser.js';
+import { identifyUser, requirePermission, verifyToken } from '../utils/verifyUser.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { deprecatedRoute } from '../utils/deprecatedRoute.js';
 import {
     createTutorial,
     getTutorials,
@@ -9,30 +11,84 @@ import {
     addChapter,
     updateChapter,
     deleteChapter,
-    markChapterAsComplete
+    markChapterAsComplete,
+    gradeChapter,
+    getTutorialProgress,
+    saveTutorialProgress
 } from '../controllers/tutorial.controller.js';
 
 const router = express.Router();
 
-// Tutorial CRUD operations (admin-only)
-router.post('/create', verifyToken, createTutorial);
-router.get('/gettutorials', getTutorials);
+// Tutorial CRUD operations (authors; editing or deleting someone else's
+// tutorial also needs EDIT_ANY_CONTENT or DELETE_ANY_CONTENT)
+const canEditTutorials = requirePermission(PERMISSIONS.WRITE_TUTORIALS, PERMISSIONS.EDIT_ANY_CONTENT);
+const canDeleteTutorials = requirePermission(PERMISSIONS.WRITE_TUTORIALS, PERMISSIONS.DELETE_ANY_CONTENT);
+
+router.post('/create', verifyToken, requirePermission(PERMISSIONS.WRITE_TUTORIALS), createTutorial);
+// Public, but people who may edit a tutorial also get its hidden test cases
+router.get('/gettutorials', identifyUser, getTutorials);
 router.get('/categories', getTutorialCategories);
-router.get('/getsingletutorial/:tutorialSlug', (req, res, next) => {
+router.get('/getsingletutorial/:tutorialSlug', identifyUser, (req, res, next) => {
     req.query.slug = req.params.tutorialSlug;
     getTutorials(req, res, next);
 });
-router.put('/update/:tutorialId/:userId', verifyToken, updateTutorial);
-router.delete('/delete/:tutorialId/:userId', verifyToken, deleteTutorial);
+router.put('/update/:tutorialId', verifyToken, canEditTutorials, updateTutorial);
+router.delete('/delete/:tutorialId', verifyToken, canDeleteTutorials, deleteTutorial);
 
-// Chapter operations (admin-only)
+// Chapter operations (as editing the tutorial)
 // The addChapter route will now handle adding both top-level chapters and subchapters.
 // The parent chapter ID is passed in the request body.
-router.post('/addchapter/:tutorialId/:userId', verifyToken, addChapter);
-router.put('/updatechapter/:tutorialId/:chapterId/:userId', verifyToken, updateChapter);
-router.delete('/deletechapter/:tutorialId/:chapterId/:userId', verifyToken, deleteChapter);
+router.post('/addchapter/:tutorialId', verifyToken, canEditTutorials, addChapter);
+router.put('/updatechapter/:tutorialId/:chapterId', verifyToken, canEditTutorials, updateChapter);
+router.delete('/deletechapter/:tutorialId/:chapterId', verifyToken, canEditTutorials, deleteChapter);
+
+// Deprecated: the :userId segment is ignored, the tutorial's author is checked
+router.put(
+    '/update/:tutorialId/:userId',
+    deprecatedRoute(({ tutorialId }) => `/update/${tutorialId}`),
+    verifyToken,
+    canEditTutorials,
+    updateTutorial
+);
+router.delete(
+    '/delete/:tutorialId/:userId',
+    deprecatedRoute(({ tutorialId }) => `/delete/${tutorialId}`),
+    verifyToken,
+    canDeleteTutorials,
+    deleteTutorial
+);
+router.post(
+    '/addchapter/:tutorialId/:userId',
+    deprecatedRoute(({ tutorialId }) => `/addchapter/${tutorialId}`),
+    verifyToken,
+    canEditTutorials,
+    addChapter
+);
+router.put(
+    '/updatechapter/:tutorialId/:chapterId/:userId',
+    deprecatedRoute(({ tutorialId, chapterId }) => `/updatechapter/${tutorialId}/${chapterId}`),
+    verifyToken,
+    canEditTutorials,
+    updateChapter
+);
+router.delete(
+    '/deletechapter/:tutorialId/:chapterId/:userId',
+    deprecatedRoute(({ tutorialId, chapterId }) => `/deletechapter/${tutorialId}/${chapterId}`),
+    verifyToken,
+    canEditTutorials,
+    deleteChapter
+);
 
-// NEW: Route to mark a chapter as complete for the logged-in user
+// NEW: Route to mark a chapter or subchapter as complete for the logged-in user
 router.post('/complete/:tutorialId/:chapterId', verifyToken, markChapterAsComplete);
 
+// Grade the learner's code against a code-interactive chapter's test cases
+router.post('/grade/:tutorialId/:chapterId', verifyToken, gradeChapter);
+
+// The logged-in user's progress through every chapter and subchapter
+router.get('/:tutorialId/progress', verifyToken, getTutorialProgress);
+
+// Record the chapter the logged-in user is reading, their position in it and their reading time
+router.put('/:tutorialId/progress', verifyToken, saveTutorialProgress);
+
 export default router;
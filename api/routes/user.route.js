@@ -3,11 +3,14 @@ import {
   deleteUser,
   getUser,
   getUsers,
+  getMyLearning,
   signout,
   checkApiHealth,
   updateUser,
+  setUserRole,
 } from '../controllers/user.controller.js';
-import { verifyToken } from '../utils/verifyUser.js';
+import { requirePermission, verifyToken } from '../utils/verifyUser.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -16,7 +19,9 @@ router.get('/health', checkApiHealth);
 router.put('/update/:userId', verifyToken, updateUser);
 router.delete('/delete/:userId', verifyToken, deleteUser);
 router.post('/signout', signout);
-router.get('/getusers', verifyToken, getUsers);
+router.get('/getusers', verifyToken, requirePermission(PERMISSIONS.VIEW_USERS), getUsers);
+router.put('/:userId/role', verifyToken, requirePermission(PERMISSIONS.MANAGE_USERS), setUserRole);
+router.get('/me/learning', verifyToken, getMyLearning);
 router.get('/:userId', getUser);
 
 export default router;
@@ -0,0 +1,61 @@
+// api/scripts/migrateTutorialProgress.js
+// Moves learner progress out of the `completedBy` arrays of tutorial
+// documents into the Progress collection, then removes those arrays.
+//
+//   npm run migrate:progress             # migrate
+//   npm run migrate:progress -- --dry-run # only report what would change
+//
+// Completion dates were never stored, so migrated completions are dated when
+// the migration runs. Running it again is safe.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Tutorial from '../models/tutorial.model.js';
+import Progress from '../models/progress.model.js';
+import { planProgressMigration, toProgressWrites } from '../utils/progressMigration.js';
+
+dotenv.config();
+
+const { MONGO_URI = 'mongodb://0.0.0.0:27017/myappp' } = process.env;
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+    await mongoose.connect(MONGO_URI);
+    const migratedAt = new Date();
+    let tutorials = 0;
+    let learners = 0;
+    let completions = 0;
+
+    // The raw documents, since the schema no longer has `completedBy`
+    const cursor = Tutorial.collection.find(
+        {},
+        { projection: { completedBy: 1, 'chapters._id': 1, 'chapters.completedBy': 1, 'chapters.subChapters': 1 } }
+    );
+    for await (const tutorial of cursor) {
+        const { progress, unset } = planProgressMigration(tutorial, migratedAt);
+        if (unset.length === 0) continue;
+
+        tutorials++;
+        learners += progress.length;
+        completions += progress.reduce((sum, entry) => sum + entry.chapters.length, 0);
+        if (dryRun) continue;
+
+        for (const entry of progress) {
+            await Progress.bulkWrite(toProgressWrites(entry), { ordered: true });
+        }
+        await Tutorial.collection.updateOne(
+            { _id: tutorial._id },
+            { $unset: Object.fromEntries(unset.map((path) => [path, ''])) }
+        );
+    }
+
+    console.log(
+        `${dryRun ? 'Would migrate' : 'Migrated'} ${completions} chapter completions by ${learners} learners in ${tutorials} tutorials.`
+    );
+};
+
+migrate()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
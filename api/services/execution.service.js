@@ -0,0 +1,212 @@
+// api/services/execution.service.js
+import localExecutionBackend from './localExecutionBackend.js';
+import { getLanguage, resolveToolchain } from './languageRegistry.js';
+import { errorHandler } from '../utils/error.js';
+
+const readNumber = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const readId = (name) => {
+    const value = process.env[name];
+    return value === undefined || value === '' ? undefined : Number(value);
+};
+
+// The `nobody` user and group, which learner programs run as by default
+const NOBODY_ID = 65534;
+
+/**
+ * Resolves the resource limits for a run. Defaults can be tuned with
+ * environment variables and individual calls can override them (e.g. the
+ * tracers need a larger output budget for their JSON event stream).
+ *
+ * @param {object} [overrides] - Limits that replace the configured defaults.
+ * @returns {object} The limits handed to the execution backend.
+ */
+export const getExecutionLimits = (overrides = {}) => {
+    // Running as the server's own user is only for development and tests
+    const allowUnsandboxed = process.env.EXECUTION_ALLOW_UNSANDBOXED === 'true' && process.env.NODE_ENV !== 'production';
+    const defaultId = allowUnsandboxed ? undefined : NOBODY_ID;
+    const uid = readId('EXECUTION_UID') ?? defaultId;
+    const gid = readId('EXECUTION_GID') ?? defaultId;
+    const scratchRoot = process.env.EXECUTION_SCRATCH_DIR || undefined;
+
+    return {
+        wallTimeMs: readNumber('EXECUTION_WALL_TIME_MS', 5000),
+        cpuSeconds: readNumber('EXECUTION_CPU_SECONDS', 5),
+        memoryMb: readNumber('EXECUTION_MEMORY_MB', 256),
+        outputBytes: readNumber('EXECUTION_OUTPUT_BYTES', 64 * 1024),
+        fileSizeBytes: readNumber('EXECUTION_FILE_SIZE_BYTES', 1024 * 1024),
+        maxProcesses: readNumber('EXECUTION_MAX_PROCESSES', 64),
+        uid,
+        gid,
+        allowUnsandboxed,
+        scratchRoot,
+        ...overrides,
+        // Compilers need noticeably more time and memory than the programs they build.
+        compile: {
+            wallTimeMs: readNumber('EXECUTION_COMPILE_WALL_TIME_MS', 20000),
+            cpuSeconds: readNumber('EXECUTION_COMPILE_CPU_SECONDS', 15),
+            memoryMb: readNumber('EXECUTION_COMPILE_MEMORY_MB', 1024),
+            outputBytes: 256 * 1024,
+            fileSizeBytes: 64 * 1024 * 1024,
+            maxProcesses: readNumber('EXECUTION_MAX_PROCESSES', 64),
+            uid,
+            gid,
+            allowUnsandboxed,
+            ...overrides.compile,
+        },
+    };
+};
+
+// ==========================================================
+// Backends
+// ==========================================================
+
+const backends = { local: localExecutionBackend };
+let activeBackend = null;
+
+/**
+ * Registers an execution backend. A backend is an object with a `name` and an
+ * `execute({ files, compile, run, stdin, limits, onOutput, signal })` method resolving to
+ * `{ stdout, stderr, exitCode, signal, timedOut, outputLimitExceeded, cancelled, compileError }`.
+ * Commands run with the workspace (containing `files`) as working directory.
+ * `onOutput(stream, text)` is called with `stdout`, `stderr` or `compile`
+ * output as it is produced and aborting `signal` stops the run. An optional
+ * `check(limits)` method returns why the backend cannot run programs, or null.
+ *
+ * @param {object} backend - The backend implementation.
+ */
+export const registerExecutionBackend = (backend) => {
+    if (!backend?.name || typeof backend.execute !== 'function') {
+        throw new TypeError('An execution backend needs a name and an execute() method');
+    }
+    backends[backend.name] = backend;
+};
+
+/**
+ * Returns the active backend: the one set with `setExecutionBackend`, or the
+ * one named by EXECUTION_BACKEND (defaults to `local`).
+ */
+export const getExecutionBackend = () => {
+    if (activeBackend) return activeBackend;
+    const name = process.env.EXECUTION_BACKEND || 'local';
+    const backend = backends[name];
+    if (!backend) {
+        throw new Error(`Unknown execution backend: ${name}`);
+    }
+    return backend;
+};
+
+/**
+ * Overrides the active backend by name or instance. Pass null to go back to
+ * the configured default.
+ */
+export const setExecutionBackend = (backend) => {
+    if (backend === null) {
+        activeBackend = null;
+        return;
+    }
+    if (typeof backend === 'string') {
+        if (!backends[backend]) {
+            throw new Error(`Unknown execution backend: ${backend}`);
+        }
+        activeBackend = backends[backend];
+        return;
+    }
+    registerExecutionBackend(backend);
+    activeBackend = backend;
+};
+
+/**
+ * Why the active backend cannot run learner code as configured, if it cannot,
+ * e.g. to report it when the server starts.
+ *
+ * @returns {string|null}
+ */
+export const checkExecutionSandbox = () => getExecutionBackend().check?.(getExecutionLimits()) ?? null;
+
+// ==========================================================
+// Running programs
+// ==========================================================
+
+/**
+ * Runs a job on the active backend with resolved limits.
+ *
+ * @param {object} job
+ * @param {Record<string, string>} job.files - Files to place in the workspace.
+ * @param {{command: string, args: string[], env?: object}} [job.compile] - Optional compile step.
+ * @param {{command: string, args: string[], env?: object}} job.run - The program to run.
+ * @param {string} [job.stdin] - Data written to the program's stdin.
+ * @param {object} [job.limits] - Limit overrides, see getExecutionLimits.
+ * @param {Function} [job.onOutput] - Receives `(stream, text)` as output is produced.
+ * @param {AbortSignal} [job.signal] - Cancels the run when aborted.
+ */
+export const executeProgram = ({ files, compile, run, stdin = '', limits, onOutput, signal }) =>
+    getExecutionBackend().execute({
+        files,
+        compile,
+        run,
+        stdin,
+        limits: getExecutionLimits(limits),
+        onOutput,
+        signal,
+    });
+
+// Merges per-language limit overrides with the caller's overrides.
+const mergeLimits = (base = {}, overrides = {}) => ({
+    ...base,
+    ...overrides,
+    compile: { ...base.compile, ...overrides.compile },
+});
+
+/**
+ * Compiles (where needed) and runs a single-file program in any language
+ * from the registry (see languageRegistry.js).
+ *
+ * @param {object} params
+ * @param {string} params.language - A language id from the registry.
+ * @param {string} params.code - Program source.
+ * @param {string} [params.stdin] - Data written to the program's stdin.
+ * @param {object} [params.limits] - Limit overrides.
+ * @param {Function} [params.onOutput] - Receives `(stream, text)` as output is produced.
+ * @param {AbortSignal} [params.signal] - Cancels the run when aborted.
+ */
+export const runCode = async ({ language, code, stdin = '', limits, onOutput, signal }) => {
+    const definition = getLanguage(language);
+    if (!definition) {
+        throw errorHandler(400, `Unsupported language: ${language}`);
+    }
+    const toolchain = await resolveToolchain(language);
+    if (!toolchain) {
+        throw errorHandler(500, `${definition.name} is not installed on the server.`);
+    }
+
+    return executeProgram({
+        files: { [definition.fileName]: code },
+        compile: definition.compile?.(toolchain.command),
+        run: definition.run(toolchain.command, toolchain.runtime),
+        stdin,
+        limits: mergeLimits(definition.limits, limits),
+        onOutput,
+        signal,
+    });
+};
+
+/**
+ * Explains why a run failed in a way that can be shown to the learner.
+ * Returns an empty string for successful runs.
+ */
+export const describeFailure = (result) => {
+    if (result.cancelled) return 'Execution cancelled';
+    if (result.compileError) return result.stderr || 'Compilation failed';
+    if (result.timedOut) return 'Time limit exceeded';
+    if (result.outputLimitExceeded) return 'Output limit exceeded';
+    if (result.signal === 'SIGXCPU') return 'CPU time limit exceeded';
+    if (result.signal) return result.stderr || `Program was terminated by ${result.signal}`;
+    if (result.exitCode !== 0) {
+        return result.stderr || `Program exited with code ${result.exitCode}`;
+    }
+    return '';
+};
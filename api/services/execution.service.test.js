@@ -0,0 +1,189 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  describeFailure,
+  executeProgram,
+  getExecutionBackend,
+  getExecutionLimits,
+  runCode,
+  setExecutionBackend,
+} from './execution.service.js';
+import { findSandboxProblem } from './localExecutionBackend.js';
+
+const node = (script) => ({ command: process.execPath, args: ['-e', script] });
+
+describe('local execution backend', () => {
+  // Programs run as the test runner's user instead of a sandbox user
+  beforeAll(() => {
+    process.env.EXECUTION_ALLOW_UNSANDBOXED = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.EXECUTION_ALLOW_UNSANDBOXED;
+  });
+
+  test('passes stdin to the program', async () => {
+    const result = await runCode({
+      language: 'javascript',
+      code: "process.stdin.on('data', (d) => process.stdout.write(String(Number(d) * 2)));",
+      stdin: '21',
+    });
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toBe('42');
+  });
+
+  test('kills programs that exceed the wall-clock limit', async () => {
+    const result = await executeProgram({
+      run: node('setInterval(() => {}, 1000);'),
+      limits: { wallTimeMs: 300 },
+    });
+    expect(result.timedOut).toBe(true);
+    expect(describeFailure(result)).toBe('Time limit exceeded');
+  });
+
+  test('stops programs that exceed the output limit', async () => {
+    const result = await executeProgram({
+      run: node("for (;;) process.stdout.write('x'.repeat(1024));"),
+      limits: { outputBytes: 4096 },
+    });
+    expect(result.outputLimitExceeded).toBe(true);
+    expect(result.stdout.length).toBeLessThanOrEqual(4096);
+  });
+
+  test('does not expose server secrets to the program', async () => {
+    process.env.JWT_SECRET = 'super-secret';
+    try {
+      const result = await executeProgram({
+        run: node('process.stdout.write(String(process.env.JWT_SECRET));'),
+      });
+      expect(result.stdout).toBe('undefined');
+    } finally {
+      delete process.env.JWT_SECRET;
+    }
+  });
+
+  test('removes the scratch directory after the run', async () => {
+    const scratchRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'exec-test-'));
+    try {
+      const result = await executeProgram({
+        files: { 'data.txt': 'hello' },
+        run: node("process.stdout.write(require('fs').readFileSync('data.txt', 'utf8'));"),
+        limits: { scratchRoot },
+      });
+      expect(result.stdout).toBe('hello');
+      expect(fs.readdirSync(scratchRoot)).toEqual([]);
+    } finally {
+      fs.rmSync(scratchRoot, { recursive: true, force: true });
+    }
+  });
+
+  test('keeps tool caches in the run\'s own workspace', async () => {
+    const scratchRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'exec-test-'));
+    try {
+      const result = await executeProgram({
+        run: node('process.stdout.write(JSON.stringify([process.cwd(), process.env.XDG_CACHE_HOME]));'),
+        limits: { scratchRoot },
+      });
+      const [workDir, cacheDir] = JSON.parse(result.stdout);
+      expect(path.dirname(workDir)).toBe(scratchRoot);
+      expect(cacheDir).toBe(path.join(workDir, '.cache'));
+    } finally {
+      fs.rmSync(scratchRoot, { recursive: true, force: true });
+    }
+  });
+
+  test('always limits the number of processes', async () => {
+    const result = await executeProgram({
+      run: node("process.stdout.write(require('fs').readFileSync('/proc/self/limits', 'utf8'));"),
+      limits: { maxProcesses: 42 },
+    });
+    expect(result.stdout).toMatch(/Max processes\s+42\s+42/);
+  });
+});
+
+describe('execution sandbox', () => {
+  afterEach(() => {
+    delete process.env.EXECUTION_ALLOW_UNSANDBOXED;
+    delete process.env.EXECUTION_UID;
+    delete process.env.EXECUTION_GID;
+  });
+
+  test('runs programs as nobody by default', () => {
+    const limits = getExecutionLimits();
+    expect(limits).toMatchObject({ uid: 65534, gid: 65534, allowUnsandboxed: false });
+    expect(limits.compile).toMatchObject({ uid: 65534, gid: 65534 });
+  });
+
+  test('only runs programs as the server user when allowed outside production', () => {
+    process.env.EXECUTION_ALLOW_UNSANDBOXED = 'true';
+    expect(getExecutionLimits()).toMatchObject({ uid: undefined, allowUnsandboxed: true });
+
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(getExecutionLimits()).toMatchObject({ uid: 65534, allowUnsandboxed: false });
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  test('reports configurations that would not isolate programs', () => {
+    expect(findSandboxProblem({ allowUnsandboxed: false })).toMatch(/EXECUTION_UID/);
+    expect(findSandboxProblem({ allowUnsandboxed: true })).toBeNull();
+    expect(findSandboxProblem({ uid: 0, gid: 0 })).toMatch(/root/);
+    expect(findSandboxProblem({ uid: NaN, gid: 1000 })).toMatch(/numeric/);
+  });
+
+  test('needs a root server to switch to a different user', () => {
+    jest.spyOn(process, 'getuid').mockReturnValue(1000);
+    try {
+      expect(findSandboxProblem({ uid: 1000, gid: 1000 })).toMatch(/different user/);
+      expect(findSandboxProblem({ uid: 65534, gid: 65534 })).toMatch(/run as root/);
+    } finally {
+      process.getuid.mockRestore();
+    }
+  });
+
+  test('refuses to run programs without a sandbox', async () => {
+    process.env.EXECUTION_UID = '0';
+    process.env.EXECUTION_GID = '0';
+
+    await expect(executeProgram({ run: node('') })).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe('execution backends', () => {
+  afterEach(() => setExecutionBackend(null));
+
+  test('uses the local backend by default', () => {
+    expect(getExecutionBackend().name).toBe('local');
+  });
+
+  test('routes runs through a custom backend', async () => {
+    const execute = jest.fn(async () => ({ stdout: 'from backend', stderr: '', exitCode: 0 }));
+    setExecutionBackend({ name: 'fake', execute });
+
+    const result = await runCode({ language: 'cpp', code: 'int main() {}' });
+
+    expect(result.stdout).toBe('from backend');
+    const job = execute.mock.calls[0][0];
+    expect(job.files).toEqual({ 'main.cpp': 'int main() {}' });
+    expect(job.compile.command).toBe('g++');
+    expect(job.limits.wallTimeMs).toBeGreaterThan(0);
+  });
+
+  test('rejects unknown backends and languages', async () => {
+    expect(() => setExecutionBackend('missing')).toThrow('Unknown execution backend');
+    await expect(runCode({ language: 'cobol', code: '' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('describeFailure', () => {
+  test('explains why a run failed', () => {
+    expect(describeFailure({ exitCode: 0 })).toBe('');
+    expect(describeFailure({ compileError: true, stderr: 'error: x' })).toBe('error: x');
+    expect(describeFailure({ signal: 'SIGXCPU' })).toBe('CPU time limit exceeded');
+    expect(describeFailure({ exitCode: 3, stderr: '' })).toBe('Program exited with code 3');
+  });
+});
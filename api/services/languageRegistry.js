@@ -0,0 +1,220 @@
+// api/services/languageRegistry.js
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const runBinary = () => ({ command: './main', args: [] });
+
+/**
+ * Languages learner programs can be written in. Every entry describes how a
+ * single-file program is built and run:
+ * - `fileName`: name of the source file in the workspace
+ * - `toolchain`: candidate executables; the first one that answers
+ *   `versionArgs` is used and passed to `compile`/`run`
+ * - `runtime`: candidate executables the compiled program runs on, when that
+ *   is not the toolchain itself; probed with `versionArgs` like the toolchain
+ * - `compile(tool)` / `run(tool, runtime)`: commands run inside the workspace,
+ *   with optional extra `env`
+ * - `limits`: overrides of the default execution limits
+ * - `monaco`: Monaco editor language id
+ * - `traceable`: whether /api/execute can trace it step by step
+ * - `debugger`: candidate debuggers; languages traced through a debugger are
+ *   only traceable when one of them is installed
+ */
+export const LANGUAGES = {
+    javascript: {
+        name: 'JavaScript',
+        fileName: 'main.js',
+        monaco: 'javascript',
+        toolchain: [process.execPath],
+        versionArgs: ['--version'],
+        run: (node) => ({ command: node, args: ['main.js'] }),
+        traceable: true,
+    },
+    typescript: {
+        name: 'TypeScript',
+        fileName: 'main.ts',
+        monaco: 'typescript',
+        toolchain: ['tsc'],
+        versionArgs: ['--version'],
+        compile: (tsc) => ({ command: tsc, args: ['--target', 'es2020', '--module', 'commonjs', 'main.ts'] }),
+        run: () => ({ command: process.execPath, args: ['main.js'] }),
+    },
+    python: {
+        name: 'Python',
+        fileName: 'main.py',
+        monaco: 'python',
+        toolchain: ['python3', 'python'],
+        versionArgs: ['--version'],
+        run: (python) => ({ command: python, args: ['main.py'] }),
+        traceable: true,
+    },
+    c: {
+        name: 'C',
+        fileName: 'main.c',
+        monaco: 'c',
+        toolchain: ['gcc', 'clang'],
+        versionArgs: ['--version'],
+        compile: (cc) => ({ command: cc, args: ['main.c', '-o', 'main', '-lm'] }),
+        run: runBinary,
+    },
+    cpp: {
+        name: 'C++',
+        fileName: 'main.cpp',
+        monaco: 'cpp',
+        toolchain: ['g++', 'clang++'],
+        versionArgs: ['--version'],
+        compile: (cxx) => ({ command: cxx, args: ['main.cpp', '-o', 'main'] }),
+        run: runBinary,
+        traceable: true,
+        debugger: ['gdb'],
+    },
+    java: {
+        name: 'Java',
+        fileName: 'Main.java',
+        monaco: 'java',
+        toolchain: ['javac'],
+        runtime: ['java'],
+        versionArgs: ['-version'],
+        compile: (javac) => ({ command: javac, args: ['Main.java'] }),
+        run: (javac, java) => ({ command: java, args: ['-Xmx256m', '-XX:+UseSerialGC', '-XX:TieredStopAtLevel=1', 'Main'] }),
+        // The JVM reserves far more memory than the heap it is allowed to use.
+        limits: { memoryMb: 2048, compile: { memoryMb: 2048 } },
+    },
+    go: {
+        name: 'Go',
+        fileName: 'main.go',
+        monaco: 'go',
+        toolchain: ['go'],
+        versionArgs: ['version'],
+        // The build cache is the run's own (see XDG_CACHE_HOME in the local
+        // backend), so the standard library is built afresh for every run.
+        compile: (go) => ({ command: go, args: ['build', '-o', 'main', 'main.go'] }),
+        run: runBinary,
+    },
+    rust: {
+        name: 'Rust',
+        fileName: 'main.rs',
+        monaco: 'rust',
+        toolchain: ['rustc'],
+        versionArgs: ['--version'],
+        compile: (rustc) => ({ command: rustc, args: ['main.rs', '-o', 'main'] }),
+        run: runBinary,
+    },
+    ruby: {
+        name: 'Ruby',
+        fileName: 'main.rb',
+        monaco: 'ruby',
+        toolchain: ['ruby'],
+        versionArgs: ['--version'],
+        run: (ruby) => ({ command: ruby, args: ['main.rb'] }),
+        // The interpreter crashes on start-up below roughly 512 MB of address space.
+        limits: { memoryMb: 512 },
+    },
+    bash: {
+        name: 'Bash',
+        fileName: 'main.sh',
+        monaco: 'shell',
+        toolchain: ['bash'],
+        versionArgs: ['--version'],
+        run: (bash) => ({ command: bash, args: ['main.sh'] }),
+    },
+};
+
+export const LANGUAGE_IDS = Object.keys(LANGUAGES);
+
+/**
+ * @param {string} id - Language id, e.g. `cpp`.
+ * @returns {object|undefined} The registry entry, if the language is known.
+ */
+export const getLanguage = (id) => (Object.hasOwn(LANGUAGES, id) ? LANGUAGES[id] : undefined);
+
+const probe = async (command, args) => {
+    try {
+        const { stdout, stderr } = await execFileAsync(command, args, { timeout: 10000 });
+        // Some tools (javac, older Pythons) print their version to stderr.
+        return (stdout || stderr).trim().split('\n')[0];
+    } catch {
+        return null;
+    }
+};
+
+// Toolchains do not change while the server runs, so each is probed once.
+const toolchains = new Map();
+
+const resolveFirst = (key, candidates, versionArgs) => {
+    if (!toolchains.has(key)) {
+        toolchains.set(
+            key,
+            (async () => {
+                for (const command of candidates) {
+                    const version = await probe(command, versionArgs);
+                    if (version !== null) {
+                        return { command, version };
+                    }
+                }
+                return null;
+            })()
+        );
+    }
+    return toolchains.get(key);
+};
+
+/**
+ * Finds the installed toolchain for a language, and the runtime its programs
+ * run on if the language has one.
+ *
+ * @param {string} id - Language id.
+ * @returns {Promise<{command: string, version: string, runtime?: string}|null>}
+ *   The executable to use and its version, or null when none of the
+ *   candidates, or none of the runtime's, is installed.
+ */
+export const resolveToolchain = async (id) => {
+    const language = getLanguage(id);
+    const toolchain = await resolveFirst(id, language?.toolchain ?? [], language?.versionArgs);
+    if (!toolchain || !language.runtime) {
+        return toolchain;
+    }
+    const runtime = await resolveFirst(`${id}:runtime`, language.runtime, language.versionArgs);
+    return runtime && { ...toolchain, runtime: runtime.command };
+};
+
+/**
+ * Finds the installed debugger used to trace a language.
+ *
+ * @param {string} id - Language id.
+ * @returns {Promise<{command: string, version: string}|null>} The debugger,
+ *   or null when the language has none or it is not installed.
+ */
+export const resolveDebugger = (id) =>
+    resolveFirst(`${id}:debugger`, getLanguage(id)?.debugger ?? [], ['--version']);
+
+/**
+ * Whether /api/execute can trace a language on this server.
+ *
+ * @param {string} id - Language id.
+ * @returns {Promise<boolean>}
+ */
+export const isTraceable = async (id) => {
+    const language = getLanguage(id);
+    if (!language?.traceable) return false;
+    return !language.debugger || Boolean(await resolveDebugger(id));
+};
+
+/**
+ * Describes every registered language and whether it can run on this server.
+ * @returns {Promise<Array<{id: string, name: string, monaco: string, traceable: boolean, available: boolean, version: string|null}>>}
+ */
+export const listLanguages = async () => {
+    const toolchainList = await Promise.all(LANGUAGE_IDS.map(resolveToolchain));
+    const traceableList = await Promise.all(LANGUAGE_IDS.map(isTraceable));
+    return LANGUAGE_IDS.map((id, i) => ({
+        id,
+        name: LANGUAGES[id].name,
+        monaco: LANGUAGES[id].monaco,
+        traceable: traceableList[i],
+        available: Boolean(toolchainList[i]),
+        version: toolchainList[i]?.version ?? null,
+    }));
+};
@@ -0,0 +1,75 @@
+import { LANGUAGES, LANGUAGE_IDS, getLanguage, listLanguages, resolveToolchain } from './languageRegistry.js';
+import { runCode } from './execution.service.js';
+
+describe('language registry', () => {
+  // Programs run as the test runner's user instead of a sandbox user
+  beforeAll(() => {
+    process.env.EXECUTION_ALLOW_UNSANDBOXED = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.EXECUTION_ALLOW_UNSANDBOXED;
+  });
+
+  test('describes every language with a source file and run command', () => {
+    for (const id of LANGUAGE_IDS) {
+      const language = getLanguage(id);
+      expect(language.fileName).toMatch(/\./);
+      expect(language.toolchain.length).toBeGreaterThan(0);
+      expect(typeof language.run).toBe('function');
+    }
+  });
+
+  test('does not treat object prototype keys as languages', () => {
+    expect(getLanguage('constructor')).toBeUndefined();
+    expect(getLanguage('toString')).toBeUndefined();
+  });
+
+  test('reports the installed toolchain and its version', async () => {
+    const languages = await listLanguages();
+    const javascript = languages.find((l) => l.id === 'javascript');
+
+    expect(languages.map((l) => l.id)).toEqual(LANGUAGE_IDS);
+    expect(javascript).toMatchObject({ available: true, traceable: true, version: process.version });
+  });
+
+  test('resolves unknown languages to no toolchain', async () => {
+    await expect(resolveToolchain('cobol')).resolves.toBeNull();
+  });
+
+  test('languages with a separate runtime are only available when it is installed', async () => {
+    const compiled = {
+      name: 'Compiled',
+      fileName: 'main.src',
+      toolchain: [process.execPath],
+      versionArgs: ['--version'],
+      run: (compiler, runtime) => ({ command: runtime, args: ['main'] }),
+    };
+    LANGUAGES.withRuntime = { ...compiled, runtime: ['no-such-runtime', process.execPath] };
+    LANGUAGES.withoutRuntime = { ...compiled, runtime: ['no-such-runtime'] };
+    try {
+      await expect(resolveToolchain('withRuntime')).resolves.toMatchObject({
+        command: process.execPath,
+        runtime: process.execPath,
+      });
+      await expect(resolveToolchain('withoutRuntime')).resolves.toBeNull();
+    } finally {
+      delete LANGUAGES.withRuntime;
+      delete LANGUAGES.withoutRuntime;
+    }
+  });
+
+  test('runs stdin-driven programs in the installed languages', async () => {
+    const programs = {
+      bash: 'read x; echo $((x * 2))',
+      c: '#include <stdio.h>\nint main() { int x; scanf("%d", &x); printf("%d\\n", x * 2); }',
+      go: 'package main\nimport "fmt"\nfunc main() { var x int; fmt.Scan(&x); fmt.Println(x * 2) }',
+    };
+    for (const [language, code] of Object.entries(programs)) {
+      if (!(await resolveToolchain(language))) continue;
+      const result = await runCode({ language, code, stdin: '21\n' });
+      expect(result.stdout).toBe('42\n');
+    }
+    // Go builds its standard library from scratch in every run's own cache
+  }, 60000);
+});
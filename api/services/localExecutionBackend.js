@@ -0,0 +1,227 @@
+// api/services/localExecutionBackend.js
+import { spawn, execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { errorHandler } from '../utils/error.js';
+
+// Only these variables are passed through to learner programs so server
+// secrets (JWT_SECRET, MONGO_URI, ...) never reach them.
+const PASSTHROUGH_ENV = ['PATH', 'HOME', 'LANG', 'PYENV_ROOT', 'RBENV_ROOT', 'RUSTUP_HOME', 'CARGO_HOME', 'JAVA_HOME'];
+
+let prlimitAvailable;
+const hasPrlimit = () => {
+    if (prlimitAvailable === undefined) {
+        try {
+            execFileSync('prlimit', ['--version'], { stdio: 'ignore' });
+            prlimitAvailable = true;
+        } catch {
+            prlimitAvailable = false;
+        }
+    }
+    return prlimitAvailable;
+};
+
+/**
+ * Why programs cannot run safely with these limits, if they cannot. They run
+ * under prlimit, as a separate non-root user; only `limits.allowUnsandboxed`
+ * (never set in production) lets them run as the server's own user.
+ *
+ * @param {object} limits - Resolved execution limits.
+ * @returns {string|null} The problem, or null if programs can run.
+ */
+export const findSandboxProblem = (limits) => {
+    if (!hasPrlimit()) {
+        return 'prlimit is not installed';
+    }
+    if (limits.uid === undefined || limits.gid === undefined) {
+        return limits.allowUnsandboxed ? null : 'EXECUTION_UID and EXECUTION_GID must name a sandbox user and group';
+    }
+    if (!Number.isInteger(limits.uid) || !Number.isInteger(limits.gid)) {
+        return 'EXECUTION_UID and EXECUTION_GID must be numeric ids';
+    }
+    if (limits.uid === 0 || limits.gid === 0) {
+        return 'learner programs must not run as root';
+    }
+    const serverUid = process.getuid?.();
+    if (serverUid === limits.uid) {
+        return 'EXECUTION_UID must be a different user from the one the server runs as';
+    }
+    if (serverUid !== undefined && serverUid !== 0) {
+        return 'the server must run as root to switch to EXECUTION_UID';
+    }
+    return null;
+};
+
+// Temporary files and tool caches (such as Go's build cache) stay in the
+// run's own workspace, so no run can change what another one builds with.
+const buildEnv = (workDir) => {
+    const env = { TMPDIR: workDir, XDG_CACHE_HOME: path.join(workDir, '.cache') };
+    for (const key of PASSTHROUGH_ENV) {
+        if (process.env[key] !== undefined) {
+            env[key] = process.env[key];
+        }
+    }
+    return env;
+};
+
+// Wraps a command with prlimit so the kernel enforces the resource limits.
+// RLIMIT_NPROC counts every process of the user, which is why programs run as
+// a dedicated sandbox user.
+const withResourceLimits = (command, args, limits) => ({
+    command: 'prlimit',
+    args: [
+        `--cpu=${limits.cpuSeconds}`,
+        `--data=${limits.memoryMb * 1024 * 1024}`,
+        `--fsize=${limits.fileSizeBytes}`,
+        `--nproc=${limits.maxProcesses}`,
+        '--nofile=64',
+        '--core=0',
+        '--',
+        command,
+        ...args,
+    ],
+});
+
+/**
+ * Runs a single command inside the workspace and enforces the wall-clock and
+ * output limits from Node. Output is also handed to `onOutput` as it arrives
+ * and aborting `signal` kills the process. Resolves with the result; never rejects.
+ */
+const runStep = (workDir, { command, args = [], env }, { stdin = '', limits, onOutput, signal }) =>
+    new Promise((resolve) => {
+        const wrapped = withResourceLimits(command, args, limits);
+        const child = spawn(wrapped.command, wrapped.args, {
+            cwd: workDir,
+            env: { ...buildEnv(workDir), ...env },
+            // A dedicated process group lets us kill anything the program forks.
+            detached: true,
+            ...(limits.uid !== undefined && { uid: limits.uid, gid: limits.gid }),
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let outputBytes = 0;
+        let timedOut = false;
+        let outputLimitExceeded = false;
+        let cancelled = false;
+        let settled = false;
+
+        const killGroup = () => {
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch {
+                // The process group is already gone
+            }
+        };
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killGroup();
+        }, limits.wallTimeMs);
+
+        const cancel = () => {
+            cancelled = true;
+            killGroup();
+        };
+        if (signal?.aborted) cancel();
+        else signal?.addEventListener('abort', cancel, { once: true });
+
+        const collect = (stream) => (chunk) => {
+            if (outputLimitExceeded) return;
+            outputBytes += chunk.length;
+            if (outputBytes > limits.outputBytes) {
+                outputLimitExceeded = true;
+                killGroup();
+                return;
+            }
+            const text = chunk.toString();
+            if (stream === 'stdout') stdout += text;
+            else stderr += text;
+            onOutput?.(stream, text);
+        };
+
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', cancel);
+            resolve({ stdout, stderr, timedOut, outputLimitExceeded, cancelled, ...result });
+        };
+
+        child.stdout.on('data', collect('stdout'));
+        child.stderr.on('data', collect('stderr'));
+        child.on('error', (err) => {
+            stderr += err.message;
+            finish({ exitCode: null, signal: null });
+        });
+        child.on('close', (exitCode, signal) => finish({ exitCode, signal }));
+
+        // Programs that never read stdin close the pipe early; ignore that.
+        child.stdin.on('error', () => {});
+        child.stdin.end(stdin);
+    });
+
+/**
+ * Execution backend that runs programs as local child processes. Each run
+ * gets its own scratch directory which is the working directory of the
+ * program and is removed afterwards. CPU time, memory, file size and process
+ * count are enforced with rlimits (via prlimit); wall-clock time and output
+ * size are enforced here. Programs run as the non-privileged `limits.uid`
+ * and `limits.gid`, which is what makes the process limit and filesystem
+ * permissions effective; without them, or without prlimit, nothing runs (see
+ * findSandboxProblem). For stronger isolation register a container-based
+ * backend with the same interface.
+ */
+const localExecutionBackend = {
+    name: 'local',
+
+    check: findSandboxProblem,
+
+    /**
+     * @param {object} job
+     * @param {Record<string, string>} job.files - Files to create in the workspace, keyed by name.
+     * @param {{command: string, args: string[], env?: object}} [job.compile] - Optional compile step.
+     * @param {{command: string, args: string[], env?: object}} job.run - The program to run.
+     * @param {string} [job.stdin] - Data written to the program's stdin.
+     * @param {object} job.limits - Resolved execution limits.
+     * @param {(stream: string, text: string) => void} [job.onOutput] - Receives output as it is produced.
+     * @param {AbortSignal} [job.signal] - Aborting it kills the running step.
+     */
+    async execute({ files = {}, compile, run, stdin = '', limits, onOutput, signal }) {
+        const problem = findSandboxProblem(limits);
+        if (problem) {
+            throw errorHandler(503, `Code execution is not available: ${problem}.`);
+        }
+        const workDir = await fs.promises.mkdtemp(path.join(limits.scratchRoot || os.tmpdir(), 'exec-'));
+        try {
+            for (const [name, content] of Object.entries(files)) {
+                await fs.promises.writeFile(path.join(workDir, name), content);
+            }
+            if (limits.uid !== undefined) {
+                await fs.promises.chown(workDir, limits.uid, limits.gid);
+                for (const name of Object.keys(files)) {
+                    await fs.promises.chown(path.join(workDir, name), limits.uid, limits.gid);
+                }
+            }
+
+            if (compile) {
+                const compiled = await runStep(workDir, compile, {
+                    limits: limits.compile,
+                    onOutput: onOutput && ((stream, text) => onOutput('compile', text)),
+                    signal,
+                });
+                if (compiled.exitCode !== 0) {
+                    return { ...compiled, compileError: !compiled.cancelled };
+                }
+            }
+
+            const result = await runStep(workDir, run, { stdin, limits, onOutput, signal });
+            return { ...result, compileError: false };
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    },
+};
+
+export default localExecutionBackend;
@@ -0,0 +1,104 @@
+// api/services/mail.service.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import smtpMailTransport from './smtpMailTransport.js';
+import { buildMimeMessage } from '../utils/mimeMessage.js';
+
+// ==========================================================
+// Transports
+// ==========================================================
+
+// Prints mail to the server log, for local development
+const consoleMailTransport = {
+    name: 'console',
+    async send({ to, subject, text }) {
+        console.log(`Mail to ${to}: ${subject}\n${text}`);
+    },
+};
+
+// Writes each mail as an .eml file to MAIL_FILE_DIR, for development and tests
+const fileMailTransport = {
+    name: 'file',
+    async send(message) {
+        const directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'scientistshield-mail');
+        await fs.mkdir(directory, { recursive: true });
+        const file = path.join(directory, `${Date.now()}-${crypto.randomUUID()}.eml`);
+        await fs.writeFile(file, buildMimeMessage(message));
+    },
+};
+
+const transports = { console: consoleMailTransport, file: fileMailTransport, smtp: smtpMailTransport };
+let activeTransport = null;
+
+/**
+ * Registers a mail transport. A transport is an object with a `name` and a
+ * `send({ from, to, subject, text, html })` method that resolves once the
+ * mail is handed off.
+ *
+ * @param {object} transport
+ */
+export const registerMailTransport = (transport) => {
+    if (!transport?.name || typeof transport.send !== 'function') {
+        throw new TypeError('A mail transport needs a name and a send() method');
+    }
+    transports[transport.name] = transport;
+};
+
+/**
+ * Returns the active transport: the one set with `setMailTransport`, or the
+ * one named by MAIL_TRANSPORT (defaults to `smtp` in production and
+ * `console` otherwise).
+ */
+export const getMailTransport = () => {
+    if (activeTransport) return activeTransport;
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+/**
+ * Overrides the active transport by name or instance. Pass null to go back
+ * to the configured default.
+ */
+export const setMailTransport = (transport) => {
+    if (transport === null) {
+        activeTransport = null;
+        return;
+    }
+    if (typeof transport === 'string') {
+        if (!transports[transport]) {
+            throw new Error(`Unknown mail transport: ${transport}`);
+        }
+        activeTransport = transports[transport];
+        return;
+    }
+    registerMailTransport(transport);
+    activeTransport = transport;
+};
+
+// ==========================================================
+// Sending mail
+// ==========================================================
+
+/**
+ * Sends an email from MAIL_FROM through the active transport.
+ *
+ * @param {object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ */
+export const sendMail = ({ to, subject, text, html }) =>
+    getMailTransport().send({
+        from: process.env.MAIL_FROM || 'ScientistShield <no-reply@localhost>',
+        to,
+        subject,
+        text,
+        html,
+    });
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { sendMail, setMailTransport } from './mail.service.js';
+
+const message = { to: 'ada@example.com', subject: 'Réinitialiser', text: 'Hello\n.\nBye', html: '<p>Hello</p>' };
+
+// A minimal SMTP server that records what it is sent
+const startSmtpServer = () =>
+  new Promise((resolve) => {
+    const received = { commands: [], data: '' };
+    const server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 test ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) >= 0) {
+          const line = buffer.slice(0, newline);
+          buffer = buffer.slice(newline + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              received.data += `${line}\r\n`;
+            }
+            continue;
+          }
+          received.commands.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+          else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+          else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 ok\r\n');
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+  });
+
+describe('mail transports', () => {
+  afterEach(() => {
+    setMailTransport(null);
+    ['MAIL_FILE_DIR', 'MAIL_SMTP_HOST', 'MAIL_SMTP_PORT', 'MAIL_SMTP_USER', 'MAIL_SMTP_PASS', 'MAIL_FROM'].forEach(
+      (name) => delete process.env[name]
+    );
+  });
+
+  test('the file transport writes each mail as an .eml file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-test-'));
+    try {
+      process.env.MAIL_FILE_DIR = directory;
+      setMailTransport('file');
+
+      await sendMail(message);
+
+      const [file] = fs.readdirSync(directory);
+      const content = fs.readFileSync(path.join(directory, file), 'utf8');
+      expect(file).toMatch(/\.eml$/);
+      expect(content).toContain('To: ada@example.com');
+      expect(content).toContain('Subject: =?UTF-8?B?');
+      expect(content).toContain('Content-Type: multipart/alternative');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('the smtp transport authenticates and delivers the message', async () => {
+    const { server, received, port } = await startSmtpServer();
+    try {
+      Object.assign(process.env, {
+        MAIL_SMTP_HOST: '127.0.0.1',
+        MAIL_SMTP_PORT: String(port),
+        MAIL_SMTP_USER: 'mailer',
+        MAIL_SMTP_PASS: 'secret',
+        MAIL_FROM: 'ScientistShield <no-reply@example.com>',
+      });
+      setMailTransport('smtp');
+
+      await sendMail(message);
+
+      expect(received.commands).toEqual([
+        expect.stringMatching(/^EHLO /),
+        `AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`,
+        'MAIL FROM:<no-reply@example.com>',
+        'RCPT TO:<ada@example.com>',
+        'DATA',
+        'QUIT',
+      ]);
+      expect(received.data).toContain('From: ScientistShield <no-reply@example.com>');
+      expect(received.data).toContain(Buffer.from(message.text).toString('base64'));
+    } finally {
+      server.close();
+    }
+  });
+
+  test('custom transports can be plugged in', async () => {
+    const send = jest.fn().mockResolvedValue();
+    setMailTransport({ name: 'memory', send });
+
+    await sendMail(message);
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com', from: expect.any(String) }));
+  });
+});
@@ -0,0 +1,219 @@
+// api/services/oauth.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { errorHandler } from '../utils/error.js';
+
+// Firebase Authentication signs its ID tokens with these keys
+const FIREBASE_JWKS_URI = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Resolves how Google ID tokens are verified. By default they are Firebase
+ * ID tokens for FIREBASE_PROJECT_ID; GOOGLE_JWKS_URI, GOOGLE_TOKEN_ISSUER and
+ * GOOGLE_TOKEN_AUDIENCE override each part, e.g. to accept Google Identity
+ * Services tokens instead.
+ *
+ * @returns {{jwksUri: string, issuer?: string, audience?: string}}
+ */
+export const getGoogleTokenConfig = () => {
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    return {
+        jwksUri: process.env.GOOGLE_JWKS_URI || FIREBASE_JWKS_URI,
+        issuer: process.env.GOOGLE_TOKEN_ISSUER || (projectId && `https://securetoken.google.com/${projectId}`),
+        audience: process.env.GOOGLE_TOKEN_AUDIENCE || projectId,
+    };
+};
+
+// ==========================================================
+// HTTP
+// ==========================================================
+
+let oauthFetch = (...args) => fetch(...args);
+
+/**
+ * Overrides how the service talks to Google and GitHub, e.g. with a stub in
+ * tests. Pass null to go back to the global fetch. Either way the cached
+ * signing keys are dropped.
+ *
+ * @param {Function|null} fetchImpl - Same signature as fetch.
+ */
+export const setOAuthFetch = (fetchImpl) => {
+    oauthFetch = fetchImpl || ((...args) => fetch(...args));
+    jwksCache.clear();
+};
+
+// ==========================================================
+// Signing keys
+// ==========================================================
+
+// Keys are refetched once their Cache-Control max-age passes, or early when a
+// token names a key we do not have, at most once a minute.
+const DEFAULT_JWKS_MAX_AGE_MS = 60 * 60 * 1000;
+const MIN_JWKS_REFETCH_MS = 60 * 1000;
+const jwksCache = new Map(); // JWKS URI -> { keys, fetchedAt, expiresAt }
+
+const fetchJwks = async (jwksUri) => {
+    const response = await oauthFetch(jwksUri);
+    if (!response.ok) {
+        throw errorHandler(502, 'Could not fetch the sign-in signing keys');
+    }
+    const { keys = [] } = await response.json();
+    const maxAge = /max-age=(\d+)/.exec(response.headers?.get?.('cache-control') || '');
+    const fetchedAt = Date.now();
+    return {
+        keys: new Map(
+            keys
+                .filter((key) => key.kid && key.kty === 'RSA')
+                .map((key) => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])
+        ),
+        fetchedAt,
+        expiresAt: fetchedAt + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_JWKS_MAX_AGE_MS),
+    };
+};
+
+/**
+ * Finds a public key in a JSON Web Key Set.
+ *
+ * @param {string} jwksUri
+ * @param {string} kid - The key id from a token's header.
+ * @returns {Promise<crypto.KeyObject|null>} Null if the set has no such key.
+ */
+export const getSigningKey = async (jwksUri, kid) => {
+    const now = Date.now();
+    let entry = jwksCache.get(jwksUri);
+    const isStale = !entry || now >= entry.expiresAt;
+    const isUnknownKey = entry && !entry.keys.has(kid) && now - entry.fetchedAt >= MIN_JWKS_REFETCH_MS;
+    if (isStale || isUnknownKey) {
+        entry = await fetchJwks(jwksUri);
+        jwksCache.set(jwksUri, entry);
+    }
+    return entry.keys.get(kid) || null;
+};
+
+// ==========================================================
+// Providers
+// ==========================================================
+
+/**
+ * Verifies a Google (Firebase) ID token's signature, issuer, audience and
+ * expiry.
+ *
+ * @param {string} idToken
+ * @returns {Promise<{provider: 'google', providerId: string, email: string|null,
+ *   emailVerified: boolean, name?: string, picture?: string}>} The account it
+ *   was issued for.
+ */
+export const verifyGoogleIdToken = async (idToken) => {
+    const { jwksUri, issuer, audience } = getGoogleTokenConfig();
+    if (!issuer || !audience) {
+        throw errorHandler(500, 'Google sign-in is not configured');
+    }
+    const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+    if (!decoded?.header?.kid) {
+        throw errorHandler(401, 'Invalid Google ID token');
+    }
+    const key = await getSigningKey(jwksUri, decoded.header.kid);
+    if (!key) {
+        throw errorHandler(401, 'Invalid Google ID token');
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(idToken, key, { algorithms: ['RS256'], issuer, audience });
+    } catch (error) {
+        throw errorHandler(401, error.name === 'TokenExpiredError' ? 'Google ID token expired' : 'Invalid Google ID token');
+    }
+
+    // Firebase tokens also cover other providers, and their subject is the
+    // Firebase user rather than the Google account
+    const firebase = payload.firebase;
+    if (firebase && firebase.sign_in_provider !== 'google.com') {
+        throw errorHandler(401, 'The ID token is not from a Google sign-in');
+    }
+    return {
+        provider: 'google',
+        providerId: String(firebase?.identities?.['google.com']?.[0] ?? payload.sub),
+        email: payload.email ?? null,
+        emailVerified: payload.email_verified === true,
+        name: payload.name,
+        picture: payload.picture,
+    };
+};
+
+/**
+ * Exchanges a GitHub OAuth authorization code for the account that granted
+ * it, using GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET and, if the app has
+ * several, GITHUB_REDIRECT_URI.
+ *
+ * @param {string} code - The `code` GitHub redirected back with.
+ * @returns {Promise<{provider: 'github', providerId: string, email: string|null,
+ *   emailVerified: boolean, name?: string, username: string, picture?: string}>}
+ *   `email` is the account's primary email if verified, else any verified one.
+ */
+export const exchangeGithubCode = async (code) => {
+    const clientId = process.env.GITHUB_CLIENT_ID;
+    const clientSecret = process.env.GITHUB_CLIENT_SECRET;
+    if (!clientId || !clientSecret) {
+        throw errorHandler(500, 'GitHub sign-in is not configured');
+    }
+    if (typeof code !== 'string' || !code) {
+        throw errorHandler(400, 'A GitHub authorization code is required');
+    }
+
+    const tokenResponse = await oauthFetch(GITHUB_TOKEN_URL, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            client_id: clientId,
+            client_secret: clientSecret,
+            code,
+            redirect_uri: process.env.GITHUB_REDIRECT_URI || undefined,
+        }),
+    });
+    // GitHub answers a bad code with 200 and an `error` field
+    const tokenData = tokenResponse.ok ? await tokenResponse.json() : {};
+    if (!tokenData.access_token) {
+        throw errorHandler(401, 'Invalid GitHub authorization code');
+    }
+
+    const headers = { Accept: 'application/vnd.github+json', Authorization: `Bearer ${tokenData.access_token}` };
+    const [accountResponse, emailsResponse] = await Promise.all([
+        oauthFetch(`${GITHUB_API_URL}/user`, { headers }),
+        oauthFetch(`${GITHUB_API_URL}/user/emails`, { headers }),
+    ]);
+    if (!accountResponse.ok) {
+        throw errorHandler(502, 'Could not fetch the GitHub account');
+    }
+    const account = await accountResponse.json();
+    // Without the user:email scope the emails are unavailable
+    const emails = emailsResponse.ok ? await emailsResponse.json() : [];
+    const email = emails.find((entry) => entry.primary && entry.verified) || emails.find((entry) => entry.verified);
+
+    return {
+        provider: 'github',
+        providerId: String(account.id),
+        email: email?.email ?? null,
+        emailVerified: Boolean(email),
+        name: account.name || account.login,
+        username: account.login,
+        picture: account.avatar_url,
+    };
+};
+
+export const OAUTH_PROVIDERS = ['google', 'github'];
+
+/**
+ * Verifies the credentials a client sent for a provider.
+ *
+ * @param {'google'|'github'} provider
+ * @param {{idToken?: string, code?: string}} credentials - An `idToken` for
+ *   Google, a `code` for GitHub.
+ * @returns {Promise<object>} The verified account, see verifyGoogleIdToken
+ *   and exchangeGithubCode.
+ */
+export const verifyOAuthCredentials = (provider, { idToken, code } = {}) => {
+    if (provider === 'google') return verifyGoogleIdToken(idToken);
+    if (provider === 'github') return exchangeGithubCode(code);
+    return Promise.reject(errorHandler(404, `Unknown sign-in provider: ${provider}`));
+};
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { exchangeGithubCode, setOAuthFetch, verifyGoogleIdToken } from './oauth.service.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key1', alg: 'RS256', use: 'sig' }] };
+
+const jsonResponse = (body, ok = true) => ({
+  ok,
+  json: async () => body,
+  headers: { get: (name) => (name === 'cache-control' ? 'public, max-age=3600' : null) },
+});
+
+// A Firebase ID token for a Google sign-in
+const signIdToken = (claims = {}, { key = privateKey, kid = 'key1' } = {}) =>
+  jwt.sign(
+    {
+      email: 'ada@example.com',
+      email_verified: true,
+      name: 'Ada Lovelace',
+      firebase: { sign_in_provider: 'google.com', identities: { 'google.com': ['google-123'] } },
+      ...claims,
+    },
+    key,
+    {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: 'https://securetoken.google.com/test-project',
+      audience: 'test-project',
+      subject: 'firebase-uid',
+      expiresIn: '1h',
+    }
+  );
+
+describe('Google ID tokens', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    process.env.FIREBASE_PROJECT_ID = 'test-project';
+    fetchMock = jest.fn(async () => jsonResponse(jwks));
+    setOAuthFetch(fetchMock);
+  });
+
+  afterEach(() => {
+    delete process.env.FIREBASE_PROJECT_ID;
+    setOAuthFetch(null);
+  });
+
+  test('valid tokens resolve to the Google account, fetching the keys once', async () => {
+    await expect(verifyGoogleIdToken(signIdToken())).resolves.toEqual({
+      provider: 'google',
+      providerId: 'google-123',
+      email: 'ada@example.com',
+      emailVerified: true,
+      name: 'Ada Lovelace',
+      picture: undefined,
+    });
+    await verifyGoogleIdToken(signIdToken());
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('tokens signed with another key are rejected', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await expect(verifyGoogleIdToken(signIdToken({}, { key: otherKey }))).rejects.toMatchObject({ statusCode: 401 });
+    await expect(verifyGoogleIdToken(signIdToken({}, { kid: 'unknown' }))).rejects.toMatchObject({ statusCode: 401 });
+    await expect(verifyGoogleIdToken('not-a-token')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('tokens for another project or provider are rejected', async () => {
+    process.env.FIREBASE_PROJECT_ID = 'other-project';
+    await expect(verifyGoogleIdToken(signIdToken())).rejects.toMatchObject({ statusCode: 401 });
+
+    process.env.FIREBASE_PROJECT_ID = 'test-project';
+    const githubToken = signIdToken({ firebase: { sign_in_provider: 'github.com' } });
+    await expect(verifyGoogleIdToken(githubToken)).rejects.toMatchObject({
+      message: 'The ID token is not from a Google sign-in',
+    });
+  });
+
+  test('sign-in is refused until a project is configured', async () => {
+    delete process.env.FIREBASE_PROJECT_ID;
+    await expect(verifyGoogleIdToken(signIdToken())).rejects.toMatchObject({ statusCode: 500 });
+  });
+});
+
+describe('GitHub codes', () => {
+  beforeEach(() => {
+    process.env.GITHUB_CLIENT_ID = 'client-id';
+    process.env.GITHUB_CLIENT_SECRET = 'client-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_CLIENT_ID;
+    delete process.env.GITHUB_CLIENT_SECRET;
+    setOAuthFetch(null);
+  });
+
+  test('codes are exchanged for the account and its verified primary email', async () => {
+    const fetchMock = jest.fn(async (url) => {
+      if (url.endsWith('/access_token')) return jsonResponse({ access_token: 'gho_token' });
+      if (url.endsWith('/user')) return jsonResponse({ id: 42, login: 'ada', name: null, avatar_url: 'avatar.png' });
+      return jsonResponse([
+        { email: 'old@example.com', primary: false, verified: true },
+        { email: 'ada@example.com', primary: true, verified: true },
+      ]);
+    });
+    setOAuthFetch(fetchMock);
+
+    await expect(exchangeGithubCode('code123')).resolves.toEqual({
+      provider: 'github',
+      providerId: '42',
+      email: 'ada@example.com',
+      emailVerified: true,
+      name: 'ada',
+      username: 'ada',
+      picture: 'avatar.png',
+    });
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+      client_id: 'client-id',
+      client_secret: 'client-secret',
+      code: 'code123',
+    });
+    expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe('Bearer gho_token');
+  });
+
+  test('codes GitHub refuses are rejected', async () => {
+    setOAuthFetch(async () => jsonResponse({ error: 'bad_verification_code' }));
+    await expect(exchangeGithubCode('stale')).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
@@ -0,0 +1,128 @@
+// api/services/session.service.js
+import crypto from 'crypto';
+import Session from '../models/session.model.js';
+import { errorHandler } from '../utils/error.js';
+
+// Access tokens are short-lived JWTs; refresh tokens keep a device signed in
+// for as long as it keeps refreshing them within this window.
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// A refresh token that was just rotated is still accepted for this long, so
+// tabs that refresh at the same moment do not look like a stolen token.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+];
+
+const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+];
+
+/**
+ * A short, human-readable name for the device behind a User-Agent header.
+ *
+ * @param {string} [userAgent]
+ * @returns {string} e.g. "Chrome on Windows".
+ */
+export const describeDevice = (userAgent = '') => {
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+};
+
+/**
+ * Starts a session for a user who just signed in.
+ *
+ * @param {object} user - The user's document.
+ * @param {{userAgent?: string, ip?: string}} client - Who is signing in.
+ * @returns {Promise<{session: object, refreshToken: string}>}
+ */
+export const startSession = async (user, { userAgent = '', ip } = {}) => {
+    const refreshToken = generateToken();
+    const now = Date.now();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        userAgent,
+        device: describeDevice(userAgent),
+        ip,
+        lastSeenAt: new Date(now),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS),
+    });
+    return { session, refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new one. Presenting a token that was
+ * already rotated away, after the grace period, means it was copied: the
+ * session is revoked so neither copy works any more.
+ *
+ * @param {string} refreshToken
+ * @param {{userAgent?: string, ip?: string}} client - Who is refreshing.
+ * @returns {Promise<{session: object, refreshToken: string|null}>}
+ *   `refreshToken` is null when a token rotated within the grace period was
+ *   presented again; the new one was already handed out.
+ */
+export const rotateSession = async (refreshToken, { userAgent, ip } = {}) => {
+    if (!refreshToken) {
+        throw errorHandler(401, 'Not signed in');
+    }
+    const tokenHash = hashToken(refreshToken);
+    const now = Date.now();
+
+    let session = await Session.findOne({ tokenHash });
+    if (!session) {
+        const rotated = await Session.findOne({ previousTokenHash: tokenHash });
+        if (rotated && now - rotated.rotatedAt.getTime() <= ROTATION_GRACE_MS) {
+            return { session: rotated, refreshToken: null };
+        }
+        if (rotated) {
+            await Session.deleteOne({ _id: rotated._id });
+        }
+        throw errorHandler(401, 'Session expired');
+    }
+    if (session.expiresAt.getTime() <= now) {
+        await Session.deleteOne({ _id: session._id });
+        throw errorHandler(401, 'Session expired');
+    }
+
+    const nextToken = generateToken();
+    session.previousTokenHash = tokenHash;
+    session.tokenHash = hashToken(nextToken);
+    session.rotatedAt = new Date(now);
+    session.lastSeenAt = new Date(now);
+    session.expiresAt = new Date(now + REFRESH_TOKEN_TTL_MS);
+    if (userAgent) {
+        session.userAgent = userAgent;
+        session.device = describeDevice(userAgent);
+    }
+    session.ip = ip || session.ip;
+    session = await session.save();
+    return { session, refreshToken: nextToken };
+};
+
+/**
+ * Ends the session a refresh token belongs to, if any.
+ *
+ * @param {string} [refreshToken]
+ */
+export const endSession = async (refreshToken) => {
+    if (refreshToken) {
+        await Session.deleteOne({ tokenHash: hashToken(refreshToken) });
+    }
+};
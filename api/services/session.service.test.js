@@ -0,0 +1,83 @@
+import Session from '../models/session.model.js';
+import { describeDevice, endSession, rotateSession, startSession } from './session.service.js';
+
+const chromeOnWindows =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// Keeps sessions in memory instead of the database
+const mockSessionStore = () => {
+  const sessions = [];
+  jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+    const session = new Session(fields);
+    jest.spyOn(session, 'save').mockImplementation(async () => session);
+    sessions.push(session);
+    return session;
+  });
+  jest.spyOn(Session, 'findOne').mockImplementation(async (filter) => {
+    const [field, value] = Object.entries(filter)[0];
+    return sessions.find((session) => session[field] === value) || null;
+  });
+  jest.spyOn(Session, 'deleteOne').mockImplementation(async (filter) => {
+    const [field, value] = Object.entries(filter)[0];
+    const index = sessions.findIndex((session) => String(session[field]) === String(value));
+    if (index >= 0) sessions.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  });
+  return sessions;
+};
+
+describe('sessions', () => {
+  const user = { _id: '507f1f77bcf86cd799439011' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('devices are named after their browser and system', () => {
+    expect(describeDevice(chromeOnWindows)).toBe('Chrome on Windows');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Mobile Safari/604.1')).toBe(
+      'Safari on iOS'
+    );
+    expect(describeDevice('curl/8.0')).toBe('Unknown device');
+  });
+
+  test('refresh tokens rotate, and only a hash of them is stored', async () => {
+    mockSessionStore();
+    const { session, refreshToken } = await startSession(user, { userAgent: chromeOnWindows, ip: '10.0.0.1' });
+
+    expect(session.device).toBe('Chrome on Windows');
+    expect(session.tokenHash).not.toContain(refreshToken);
+
+    const rotated = await rotateSession(refreshToken, {});
+    expect(rotated.session).toBe(session);
+    expect(rotated.refreshToken).toEqual(expect.any(String));
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    await expect(rotateSession(rotated.refreshToken, {})).resolves.toMatchObject({ session });
+  });
+
+  test('a rotated token used again after the grace period revokes the session', async () => {
+    const sessions = mockSessionStore();
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    const { refreshToken } = await startSession(user);
+    const { refreshToken: nextToken } = await rotateSession(refreshToken);
+
+    // Another tab refreshing at the same moment
+    await expect(rotateSession(refreshToken)).resolves.toMatchObject({ refreshToken: null });
+
+    jest.setSystemTime(new Date('2026-03-01T12:05:00Z'));
+    await expect(rotateSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    expect(sessions).toHaveLength(0);
+    await expect(rotateSession(nextToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('signing out ends the session', async () => {
+    const sessions = mockSessionStore();
+    const { refreshToken } = await startSession(user);
+
+    await endSession(refreshToken);
+
+    expect(sessions).toHaveLength(0);
+    await expect(rotateSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
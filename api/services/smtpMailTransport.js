@@ -0,0 +1,129 @@
+// api/services/smtpMailTransport.js
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { buildMimeMessage, extractAddress } from '../utils/mimeMessage.js';
+
+const TIMEOUT_MS = 30 * 1000;
+
+const readConfig = () => ({
+    host: process.env.MAIL_SMTP_HOST || 'localhost',
+    port: Number(process.env.MAIL_SMTP_PORT) || (process.env.MAIL_SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.MAIL_SMTP_SECURE === 'true',
+    user: process.env.MAIL_SMTP_USER,
+    pass: process.env.MAIL_SMTP_PASS,
+});
+
+/**
+ * Opens an SMTP connection: `command(line)` sends a line and resolves with the
+ * server's reply, rejecting on an unexpected status code.
+ */
+const connect = ({ host, port, secure }) =>
+    new Promise((resolve, reject) => {
+        let socket;
+        let buffer = '';
+        let replyLines = [];
+        const pending = []; // Waiting for replies, in order
+        const replies = []; // Replies that arrived before anyone waited
+        let failure = null;
+
+        const handleData = (chunk) => {
+            buffer += chunk.toString('utf8');
+            let newline;
+            while ((newline = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                replyLines.push(line);
+                // "250-..." continues a reply, "250 ..." ends it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    const reply = { code: Number(line.slice(0, 3)), lines: replyLines.map((entry) => entry.slice(4)) };
+                    replyLines = [];
+                    const waiter = pending.shift();
+                    if (waiter) waiter.resolve(reply);
+                    else replies.push(reply);
+                }
+            }
+        };
+        const fail = (error) => {
+            failure = error;
+            pending.splice(0).forEach((waiter) => waiter.reject(error));
+            reject(error);
+        };
+
+        const attach = (nextSocket) => {
+            socket = nextSocket;
+            socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.on('data', handleData);
+            socket.on('error', fail);
+        };
+
+        const readReply = (expected) =>
+            new Promise((resolveReply, rejectReply) => {
+                const check = (reply) =>
+                    expected.includes(reply.code)
+                        ? resolveReply(reply)
+                        : rejectReply(new Error(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`));
+                if (replies.length) check(replies.shift());
+                else if (failure) rejectReply(failure);
+                else pending.push({ resolve: check, reject: rejectReply });
+            });
+
+        const connection = {
+            command: (line, expected) => {
+                socket.write(`${line}\r\n`);
+                return readReply(expected);
+            },
+            readReply,
+            // Upgrades the connection after STARTTLS
+            startTls: () =>
+                new Promise((resolveTls, rejectTls) => {
+                    socket.removeListener('data', handleData);
+                    socket.removeListener('error', fail);
+                    const secureSocket = tls.connect({ socket, servername: host }, () => resolveTls());
+                    secureSocket.once('error', rejectTls);
+                    attach(secureSocket);
+                }),
+            close: () => socket.end(),
+        };
+
+        const onConnect = () => resolve(connection);
+        attach(secure ? tls.connect({ host, port, servername: host }, onConnect) : net.connect({ host, port }, onConnect));
+    });
+
+/**
+ * Sends mail through an SMTP server configured with MAIL_SMTP_HOST,
+ * MAIL_SMTP_PORT, MAIL_SMTP_SECURE (implicit TLS) and MAIL_SMTP_USER /
+ * MAIL_SMTP_PASS. Connections are upgraded with STARTTLS when the server
+ * offers it.
+ */
+const smtpMailTransport = {
+    name: 'smtp',
+    async send(message) {
+        const config = readConfig();
+        const connection = await connect(config);
+        try {
+            await connection.readReply([220]);
+            let hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            if (!config.secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+                await connection.command('STARTTLS', [220]);
+                await connection.startTls();
+                hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            }
+            if (config.user) {
+                const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+            }
+            await connection.command(`MAIL FROM:<${extractAddress(message.from)}>`, [250]);
+            await connection.command(`RCPT TO:<${extractAddress(message.to)}>`, [250, 251]);
+            await connection.command('DATA', [354]);
+            // Lines starting with a dot are escaped so they do not end the data
+            const data = buildMimeMessage(message).replace(/^\./gm, '..');
+            await connection.command(`${data}\r\n.`, [250]);
+            await connection.command('QUIT', [221]);
+        } finally {
+            connection.close();
+        }
+    },
+};
+
+export default smtpMailTransport;
@@ -0,0 +1,62 @@
+// api/services/userToken.service.js
+import crypto from 'crypto';
+import UserToken from '../models/userToken.model.js';
+import { sendMail } from './mail.service.js';
+import { verificationEmail } from '../utils/authEmails.js';
+
+// How long each kind of token can be used for
+export const USER_TOKEN_TTL_MS = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a token for a user, replacing any earlier unused one with the same
+ * purpose so only the latest link works.
+ *
+ * @param {object} user - The user's document.
+ * @param {'verify-email'|'reset-password'} purpose
+ * @returns {Promise<string>} The token, to be mailed to the user.
+ */
+export const issueUserToken = async (user, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.deleteMany({ user: user._id, purpose });
+    await UserToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + USER_TOKEN_TTL_MS[purpose]),
+    });
+    return token;
+};
+
+/**
+ * Uses up a token. Each token works once, since finding it deletes it.
+ *
+ * @param {string} token
+ * @param {'verify-email'|'reset-password'} purpose
+ * @returns {Promise<string|null>} The id of the user it was issued to, or
+ *   null if it is unknown, used or expired.
+ */
+export const consumeUserToken = async (token, purpose) => {
+    if (typeof token !== 'string' || !token) {
+        return null;
+    }
+    const userToken = await UserToken.findOneAndDelete({ tokenHash: hashToken(token), purpose });
+    if (!userToken || userToken.expiresAt.getTime() <= Date.now()) {
+        return null;
+    }
+    return String(userToken.user);
+};
+
+/**
+ * Mails a user a fresh link to verify their email address.
+ *
+ * @param {object} user - The user's document.
+ */
+export const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user, 'verify-email');
+    await sendMail({ to: user.email, ...verificationEmail({ username: user.username, token }) });
+};
@@ -0,0 +1,46 @@
+// api/utils/authEmails.js
+
+// Where links in emails point: the client app
+const getClientUrl = () => (process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/$/, '');
+
+const escapeHtml = (value) =>
+    String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const buildEmail = ({ subject, greeting, intro, action, link, outro }) => ({
+    subject,
+    text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}\n`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>`
+        + `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p><p>${escapeHtml(outro)}</p>`,
+});
+
+/**
+ * The email asking a new user to confirm their address.
+ *
+ * @param {{username: string, token: string}} params
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export const verificationEmail = ({ username, token }) =>
+    buildEmail({
+        subject: 'Verify your email address',
+        greeting: `Hi ${username},`,
+        intro: 'Confirm your email address to finish setting up your account:',
+        action: 'Verify email address',
+        link: `${getClientUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+        outro: 'The link works once and expires in 24 hours. If you did not sign up, you can ignore this email.',
+    });
+
+/**
+ * The email with a link to choose a new password.
+ *
+ * @param {{username: string, token: string}} params
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export const passwordResetEmail = ({ username, token }) =>
+    buildEmail({
+        subject: 'Reset your password',
+        greeting: `Hi ${username},`,
+        intro: 'Someone asked to reset the password of your account. Choose a new one here:',
+        action: 'Reset password',
+        link: `${getClientUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+        outro: 'The link works once and expires in an hour. If you did not ask for this, you can ignore this email.',
+    });
@@ -0,0 +1,266 @@
+"""Steps through a C++ program compiled with debug info by driving gdb over
+its machine interface (MI) and prints the collected trace as JSON, mirroring
+pythonTracer.py.
+
+Usage: tracer.py <gdb> <binary> <source file>
+
+The program's stdin is taken from the tracer's own stdin; its stdout is
+captured in a file so it does not mix with the MI protocol.
+"""
+import json
+import os
+import subprocess
+import sys
+
+# gdb is slow to single-step, so long loops are cut off instead of running
+# into the wall-clock limit with nothing to show.
+MAX_STEPS = 500
+MAX_VALUE_LENGTH = 200
+
+STDIN_FILE = 'tracer-stdin.txt'
+STDOUT_FILE = 'tracer-stdout.txt'
+
+
+class MIError(Exception):
+    pass
+
+
+class MIParser:
+    """Parses the result part of an MI record: `name=value,...` where a value
+    is a C string, a `{...}` tuple or a `[...]` list."""
+
+    def __init__(self, text):
+        self.text = text
+        self.pos = 0
+
+    def peek(self):
+        return self.text[self.pos] if self.pos < len(self.text) else ''
+
+    def results(self, end=''):
+        results = {}
+        while self.pos < len(self.text) and self.peek() != end:
+            name, value = self.result()
+            results[name] = value
+            if self.peek() == ',':
+                self.pos += 1
+        return results
+
+    def result(self):
+        eq = self.text.index('=', self.pos)
+        name = self.text[self.pos:eq]
+        self.pos = eq + 1
+        return name, self.value()
+
+    def value(self):
+        char = self.peek()
+        if char == '"':
+            return self.c_string()
+        if char == '{':
+            self.pos += 1
+            value = self.results('}')
+            self.pos += 1
+            return value
+        if char == '[':
+            self.pos += 1
+            items = []
+            while self.peek() != ']':
+                # Lists hold either bare values or name=value results
+                if self.peek() in '"{[':
+                    items.append(self.value())
+                else:
+                    items.append(dict([self.result()]))
+                if self.peek() == ',':
+                    self.pos += 1
+            self.pos += 1
+            return items
+        raise MIError('Unexpected MI output: %s' % self.text)
+
+    def c_string(self):
+        self.pos += 1
+        data = bytearray()
+        escapes = {'n': b'\n', 't': b'\t', 'r': b'\r', '"': b'"', '\\': b'\\'}
+        while self.peek() != '"':
+            char = self.text[self.pos]
+            if char == '\\':
+                following = self.text[self.pos + 1]
+                if following in '01234567':
+                    data.append(int(self.text[self.pos + 1:self.pos + 4], 8))
+                    self.pos += 4
+                    continue
+                data += escapes.get(following, following.encode())
+                self.pos += 2
+                continue
+            data += char.encode()
+            self.pos += 1
+        self.pos += 1
+        return data.decode('utf-8', 'replace')
+
+
+def parse_record(line):
+    """Splits an MI output line into (token, kind, class, results)."""
+    digits = 0
+    while digits < len(line) and line[digits].isdigit():
+        digits += 1
+    token = line[:digits]
+    kind = line[digits:digits + 1]
+    rest = line[digits + 1:]
+    if kind in '~@&':
+        return token, kind, None, MIParser(rest).c_string()
+    klass, _, results = rest.partition(',')
+    return token, kind, klass, MIParser(results).results()
+
+
+class GDB:
+    def __init__(self, command, binary):
+        self.process = subprocess.Popen(
+            [command, '--interpreter=mi2', '--nx', '--quiet', binary],
+            stdin=subprocess.PIPE,
+            stdout=subprocess.PIPE,
+            stderr=subprocess.DEVNULL,
+            text=True,
+        )
+        self.token = 0
+        self.stops = []
+
+    def read_record(self):
+        line = self.process.stdout.readline()
+        if not line:
+            raise MIError('gdb exited unexpectedly')
+        line = line.rstrip('\n')
+        if not line or line.startswith('(gdb)'):
+            return None
+        return parse_record(line)
+
+    def command(self, command):
+        self.token += 1
+        token = str(self.token)
+        self.process.stdin.write('%s%s\n' % (token, command))
+        self.process.stdin.flush()
+        while True:
+            record = self.read_record()
+            if record is None:
+                continue
+            record_token, kind, klass, results = record
+            if kind == '*' and klass == 'stopped':
+                self.stops.append(results)
+            elif kind == '^' and record_token == token:
+                if klass == 'error':
+                    raise MIError(results.get('msg', 'gdb error'))
+                return results
+
+    def wait_stopped(self):
+        while not self.stops:
+            record = self.read_record()
+            if record and record[1] == '*' and record[2] == 'stopped':
+                self.stops.append(record[3])
+        return self.stops.pop(0)
+
+    def close(self):
+        try:
+            self.process.stdin.write('-gdb-exit\n')
+            self.process.stdin.flush()
+            self.process.wait(timeout=2)
+        except Exception:
+            self.process.kill()
+
+
+def in_program(frame, source):
+    return os.path.basename(frame.get('fullname') or frame.get('file') or '') == source
+
+
+def read_locals(gdb):
+    variables = gdb.command('-stack-list-variables --all-values').get('variables', [])
+    values = {}
+    for variable in variables:
+        value = variable.get('value', '')
+        if len(value) > MAX_VALUE_LENGTH:
+            value = value[:MAX_VALUE_LENGTH] + '...'
+        values[variable['name']] = value
+    return values
+
+
+def trace(gdb, source):
+    traces = []
+    gdb.command('-gdb-set print elements 50')
+    gdb.command('-gdb-set print pretty off')
+    try:
+        # Not allowed in most containers and irrelevant for tracing
+        gdb.command('-gdb-set disable-randomization off')
+    except MIError:
+        pass
+    gdb.command('-break-insert main')
+    gdb.command('-exec-arguments < %s > %s' % (STDIN_FILE, STDOUT_FILE))
+    gdb.command('-exec-run')
+
+    while True:
+        stop = gdb.wait_stopped()
+        reason = stop.get('reason', '')
+        frame = stop.get('frame', {})
+        if reason in ('exited-normally', 'exited'):
+            return traces, int(stop.get('exit-code', '0'), 8), ''
+        if reason == 'exited-signalled':
+            return traces, None, 'Program terminated with %s' % stop.get('signal-name', 'a signal')
+        if reason == 'signal-received':
+            message = 'Program received %s (%s)' % (stop.get('signal-name'), stop.get('signal-meaning'))
+            line = int(frame['line']) if in_program(frame, source) and 'line' in frame else None
+            traces.append({'event': 'error', 'line': line, 'message': message})
+            return traces, None, message
+
+        if 'file' not in frame:
+            # main has returned into the C runtime, which has no debug info
+            gdb.command('-exec-continue')
+            continue
+        if not in_program(frame, source):
+            # Inside a standard library header: run until control is back in the program
+            gdb.command('-exec-finish')
+            continue
+        if reason in ('breakpoint-hit', 'end-stepping-range'):
+            if len(traces) >= MAX_STEPS:
+                message = 'Step limit of %d exceeded' % MAX_STEPS
+                traces.append({'event': 'error', 'line': int(frame['line']), 'message': message})
+                return traces, None, message
+            traces.append({
+                'event': 'step',
+                'line': int(frame['line']),
+                'locals': read_locals(gdb),
+            })
+        gdb.command('-exec-step')
+
+
+def main(gdb_command, binary, source):
+    with open(STDIN_FILE, 'w') as f:
+        f.write(sys.stdin.read())
+    open(STDOUT_FILE, 'w').close()
+
+    gdb = GDB(gdb_command, binary)
+    status = 'ok'
+    error = ''
+    try:
+        traces, exit_code, error = trace(gdb, source)
+        if error or exit_code:
+            status = 'error'
+            error = error or 'Program exited with code %d' % exit_code
+    except MIError as e:
+        traces = []
+        status = 'error'
+        error = str(e)
+    finally:
+        gdb.close()
+
+    with open(STDOUT_FILE, 'r', errors='replace') as f:
+        stdout = f.read()
+    result = {
+        'status': status,
+        'stdout': stdout,
+        'traces': traces,
+    }
+    if status == 'error':
+        result['error'] = error
+    print(json.dumps(result))
+
+
+if __name__ == '__main__':
+    if len(sys.argv) < 4:
+        print(json.dumps({'status': 'error', 'error': 'Usage: tracer.py <gdb> <binary> <source>', 'traces': [], 'stdout': ''}))
+    else:
+        main(*sys.argv[1:4])
@@ -0,0 +1,19 @@
+// api/utils/deprecatedRoute.js
+
+// When the routes with a redundant :userId segment were deprecated, for the
+// Deprecation header (RFC 9745): 2026-10-19
+const USER_ID_ROUTES_DEPRECATED_AT = 1792368000;
+
+/**
+ * Marks a route as deprecated. It keeps working, but responses carry a
+ * Deprecation header and a Link to the route that replaces it.
+ *
+ * @param {(req: object) => string} getSuccessorPath - The path to use instead.
+ * @param {number} [deprecatedAt] - Unix time it was deprecated at.
+ * @returns {Function} Express middleware.
+ */
+export const deprecatedRoute = (getSuccessorPath, deprecatedAt = USER_ID_ROUTES_DEPRECATED_AT) => (req, res, next) => {
+    res.set('Deprecation', `@${deprecatedAt}`);
+    res.set('Link', `<${req.baseUrl}${getSuccessorPath(req.params)}>; rel="successor-version"`);
+    next();
+};
@@ -0,0 +1,153 @@
+// api/utils/diagnostics.js
+import path from 'path';
+import { getLanguage } from '../services/languageRegistry.js';
+
+// A diagnostic points at a location in the learner's program:
+// `{ file, line, column, severity, message }` where `severity` is one of
+// `error`, `warning` or `info` and line/column are 1-based. `column` is
+// omitted when only the line is known.
+
+const isProgramFile = (file, fileName) => path.basename(file) === fileName;
+
+// main.cpp:4:5: error: 'x' was not declared in this scope
+// ./main.go:4:2: undefined: x
+const GCC_PATTERN = /^(.+?):(\d+):(\d+): (?:(fatal error|error|warning|note): )?(.*)$/;
+
+const GCC_SEVERITIES = { 'fatal error': 'error', error: 'error', warning: 'warning', note: 'info' };
+
+/**
+ * Parses compiler output in the `file:line:column: severity: message` format
+ * used by gcc, clang and the Go toolchain.
+ *
+ * @param {string} output - Compiler stderr.
+ * @param {string} fileName - Name of the program file; other files are ignored.
+ * @returns {Array<object>} Diagnostics.
+ */
+export function parseGccDiagnostics(output = '', fileName) {
+    const diagnostics = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(GCC_PATTERN);
+        if (!match || !isProgramFile(match[1], fileName)) continue;
+        diagnostics.push({
+            file: fileName,
+            line: Number(match[2]),
+            column: Number(match[3]),
+            severity: GCC_SEVERITIES[match[4]] || 'error',
+            message: match[5],
+        });
+    }
+    return diagnostics;
+}
+
+// Finds the column of the first marker (`^` or `~`) printed under a source
+// line. Tracebacks print the line without its indentation, so the
+// indentation of the real source line is added back.
+const markerColumn = (displayed, markers, sourceLine = '') => {
+    const offset = markers.search(/[~^]/);
+    if (offset === -1 || !/^\s*[~^]+\s*$/.test(markers)) return undefined;
+    const displayedIndent = displayed.length - displayed.trimStart().length;
+    const sourceIndent = sourceLine.length - sourceLine.trimStart().length;
+    return offset - displayedIndent + sourceIndent + 1;
+};
+
+const PYTHON_FRAME = /^\s*File "(.+)", line (\d+)/;
+
+/**
+ * Parses a Python traceback (runtime errors and syntax errors) into a single
+ * diagnostic at the innermost frame inside the program file.
+ *
+ * @param {string} output - stderr or a formatted traceback.
+ * @param {string} fileName - Name of the program file.
+ * @param {string} [code] - Program source, used to place the column.
+ * @returns {Array<object>} Diagnostics.
+ */
+export function parsePythonTraceback(output = '', fileName, code = '') {
+    const lines = output.trimEnd().split('\n');
+    const message = lines[lines.length - 1]?.trim();
+    if (!message) return [];
+
+    let location = null;
+    lines.forEach((line, i) => {
+        const match = line.match(PYTHON_FRAME);
+        if (!match || !isProgramFile(match[1], fileName)) return;
+        const lineNumber = Number(match[2]);
+        const next = lines[i + 1] ?? '';
+        const markers = lines[i + 2] ?? '';
+        const column = PYTHON_FRAME.test(next)
+            ? undefined
+            : markerColumn(next, markers, code.split('\n')[lineNumber - 1]);
+        location = { line: lineNumber, column };
+    });
+    if (!location) return [];
+
+    return [{ file: fileName, ...location, severity: 'error', message }];
+}
+
+const JS_MESSAGE = /^(?:(?:[A-Z]\w*)?(?:Error|Exception)|Uncaught \w+)(?::|$)/;
+
+/**
+ * Parses a JavaScript error as printed by Node (uncaught exceptions and
+ * syntax errors) or an `error.stack` from the vm tracer.
+ *
+ * @param {string} output - stderr or an error stack.
+ * @param {string} fileName - Name of the program file.
+ * @param {number} [lineOffset=0] - Lines added in front of the program (e.g. by a wrapper).
+ * @returns {Array<object>} Diagnostics.
+ */
+export function parseNodeError(output = '', fileName, lineOffset = 0) {
+    const lines = output.split('\n');
+    const message = lines.find((line) => JS_MESSAGE.test(line))?.trim();
+    if (!message) return [];
+
+    const escaped = fileName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const frame = new RegExp(`${escaped}:(\\d+):(\\d+)\\)?$`);
+    const header = new RegExp(`^\\S*${escaped}:(\\d+)$`);
+
+    let location = null;
+    const frameLine = lines.find((line) => /^\s+at /.test(line) && frame.test(line));
+    if (frameLine) {
+        const [, line, column] = frameLine.match(frame);
+        location = { line: Number(line), column: Number(column) };
+    } else {
+        // Syntax errors have no stack frame, only a `file:line` header with
+        // the offending line and a caret underneath.
+        const index = lines.findIndex((line) => header.test(line));
+        if (index !== -1) {
+            const column = markerColumn(lines[index + 1] ?? '', lines[index + 2] ?? '', lines[index + 1]);
+            location = { line: Number(lines[index].match(header)[1]), column };
+        }
+    }
+    if (!location) return [];
+
+    const line = location.line - lineOffset;
+    if (line < 1) return [];
+    return [{ file: fileName, line, column: location.column, severity: 'error', message }];
+}
+
+const PARSERS = {
+    c: (output, fileName) => parseGccDiagnostics(output, fileName),
+    cpp: (output, fileName) => parseGccDiagnostics(output, fileName),
+    go: (output, fileName) => parseGccDiagnostics(output, fileName),
+    python: parsePythonTraceback,
+    javascript: (output, fileName) => parseNodeError(output, fileName),
+};
+
+/**
+ * Extracts diagnostics from a failed run of the execution service.
+ *
+ * @param {object} params
+ * @param {string} params.language - Language id.
+ * @param {string} params.code - Program source.
+ * @param {object} params.result - Result of runCode.
+ * @returns {Array<object>} Diagnostics; empty for successful runs and unsupported languages.
+ */
+export function extractDiagnostics({ language, code, result }) {
+    const parse = PARSERS[language];
+    if (!parse || !result || result.cancelled || result.timedOut || result.outputLimitExceeded) {
+        return [];
+    }
+    if (!result.compileError && result.exitCode === 0) {
+        return [];
+    }
+    return parse(result.stderr, getLanguage(language).fileName, code);
+}
@@ -0,0 +1,122 @@
+import {
+  extractDiagnostics,
+  parseGccDiagnostics,
+  parseNodeError,
+  parsePythonTraceback,
+} from './diagnostics.js';
+
+describe('parseGccDiagnostics', () => {
+  test('parses errors, warnings and notes in the program file', () => {
+    const stderr = [
+      "main.cpp: In function 'int main()':",
+      "main.cpp:3:13: error: 'x' was not declared in this scope",
+      '    3 |     int y = x + 1;',
+      '      |             ^',
+      'main.cpp:2:9: warning: unused variable \'z\' [-Wunused-variable]',
+      '/usr/include/c++/12/iostream:5:1: note: declared here',
+      "main.cpp:1:1: note: 'std' declared here",
+    ].join('\n');
+
+    expect(parseGccDiagnostics(stderr, 'main.cpp')).toEqual([
+      { file: 'main.cpp', line: 3, column: 13, severity: 'error', message: "'x' was not declared in this scope" },
+      { file: 'main.cpp', line: 2, column: 9, severity: 'warning', message: "unused variable 'z' [-Wunused-variable]" },
+      { file: 'main.cpp', line: 1, column: 1, severity: 'info', message: "'std' declared here" },
+    ]);
+  });
+
+  test('treats Go compiler messages without a severity as errors', () => {
+    expect(parseGccDiagnostics('# command-line-arguments\n./main.go:3:2: x declared and not used', 'main.go')).toEqual([
+      { file: 'main.go', line: 3, column: 2, severity: 'error', message: 'x declared and not used' },
+    ]);
+  });
+});
+
+describe('parsePythonTraceback', () => {
+  test('points at the innermost frame in the program file', () => {
+    const traceback = [
+      'Traceback (most recent call last):',
+      '  File "/tmp/exec-1/main.py", line 4, in <module>',
+      '    f()',
+      '  File "/tmp/exec-1/main.py", line 2, in f',
+      '    return 1 / 0',
+      '           ~~^~~',
+      'ZeroDivisionError: division by zero',
+    ].join('\n');
+    const code = 'def f():\n    return 1 / 0\n\nf()';
+
+    expect(parsePythonTraceback(traceback, 'main.py', code)).toEqual([
+      { file: 'main.py', line: 2, column: 12, severity: 'error', message: 'ZeroDivisionError: division by zero' },
+    ]);
+  });
+
+  test('places the caret of a syntax error', () => {
+    const traceback = ['  File "main.py", line 1', '    def f(:', '          ^', 'SyntaxError: invalid syntax'].join('\n');
+
+    expect(parsePythonTraceback(traceback, 'main.py', 'def f(:\n  pass')).toEqual([
+      { file: 'main.py', line: 1, column: 7, severity: 'error', message: 'SyntaxError: invalid syntax' },
+    ]);
+  });
+
+  test('ignores tracebacks outside the program', () => {
+    expect(parsePythonTraceback('  File "tracer.py", line 3\nMemoryError', 'main.py')).toEqual([]);
+  });
+});
+
+describe('parseNodeError', () => {
+  test('uses the first stack frame in the program file', () => {
+    const stderr = [
+      '/tmp/exec-1/main.js:2',
+      '  foo();',
+      '  ^',
+      '',
+      'ReferenceError: foo is not defined',
+      '    at Object.<anonymous> (/tmp/exec-1/main.js:2:3)',
+      '    at Module._compile (node:internal/modules/cjs/loader:1256:14)',
+    ].join('\n');
+
+    expect(parseNodeError(stderr, 'main.js')).toEqual([
+      { file: 'main.js', line: 2, column: 3, severity: 'error', message: 'ReferenceError: foo is not defined' },
+    ]);
+  });
+
+  test('reads the caret of a syntax error and applies the line offset', () => {
+    const stderr = ['/tmp/exec-1/main.js:3', 'const a = ;', '          ^', '', "SyntaxError: Unexpected token ';'"].join('\n');
+
+    expect(parseNodeError(stderr, 'main.js', 1)).toEqual([
+      { file: 'main.js', line: 2, column: 11, severity: 'error', message: "SyntaxError: Unexpected token ';'" },
+    ]);
+  });
+
+  test('parses a plain Error thrown by the program', () => {
+    const stderr = [
+      '/tmp/exec-1/main.js:1',
+      'function f(){ throw new Error("boom"); }',
+      '              ^',
+      '',
+      'Error: boom',
+      '    at f (/tmp/exec-1/main.js:1:21)',
+      '    at Object.<anonymous> (/tmp/exec-1/main.js:2:1)',
+    ].join('\n');
+
+    expect(parseNodeError(stderr, 'main.js')).toEqual([
+      { file: 'main.js', line: 1, column: 21, severity: 'error', message: 'Error: boom' },
+    ]);
+    expect(parseNodeError('Error: boom\n    at f (main.js:2:30)', 'main.js', 1)).toEqual([
+      { file: 'main.js', line: 1, column: 30, severity: 'error', message: 'Error: boom' },
+    ]);
+  });
+});
+
+describe('extractDiagnostics', () => {
+  const compileError = { compileError: true, exitCode: 1, stderr: 'main.c:1:5: error: oops' };
+
+  test('parses failed runs of supported languages', () => {
+    expect(extractDiagnostics({ language: 'c', code: '', result: compileError })).toHaveLength(1);
+  });
+
+  test('returns nothing for successful, timed out or unsupported runs', () => {
+    expect(extractDiagnostics({ language: 'c', code: '', result: { exitCode: 0, stderr: '' } })).toEqual([]);
+    expect(extractDiagnostics({ language: 'c', code: '', result: { ...compileError, timedOut: true } })).toEqual([]);
+    expect(extractDiagnostics({ language: 'bash', code: '', result: compileError })).toEqual([]);
+  });
+});
@@ -0,0 +1,273 @@
+// api/utils/giftFormat.js
+// Reads and writes Moodle's GIFT text format:
+// https://docs.moodle.org/en/GIFT_format
+//
+// Multiple choice (including true/false and weighted answers), short answer,
+// numerical and matching questions are supported. Essays and descriptions
+// are reported as unsupported.
+
+// Removes GIFT's backslash escapes
+const unescape = (text) => text.replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char));
+
+const escape = (text) =>
+    String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/[~=#{}:]/g, '\\$&')
+        .replace(/\n/g, '\\n');
+
+// Index of the first unescaped occurrence of `token` at or after `from`
+const findUnescaped = (text, token, from = 0) => {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text.startsWith(token, i)) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+// Splits text at unescaped occurrences of any of `markers`, keeping each
+// marker at the start of its part
+const splitAtMarkers = (text, markers) => {
+    const parts = [];
+    let start = -1;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (markers.includes(text[i])) {
+            if (start !== -1) parts.push(text.slice(start, i));
+            start = i;
+        }
+    }
+    if (start !== -1) parts.push(text.slice(start));
+    return parts;
+};
+
+// Drops the per-answer feedback after an unescaped '#'
+const withoutFeedback = (text) => {
+    const hash = findUnescaped(text, '#');
+    return hash === -1 ? text : text.slice(0, hash);
+};
+
+const stripHtml = (text) =>
+    text
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .trim();
+
+// Question text, without its ::title:: and [format] prefix
+const readQuestionText = (text) => {
+    let rest = text.trim();
+    if (rest.startsWith('::')) {
+        const end = findUnescaped(rest, '::', 2);
+        if (end !== -1) rest = rest.slice(end + 2).trim();
+    }
+    const markup = rest.match(/^\[(html|moodle|plain|markdown)\]/);
+    if (markup) {
+        rest = rest.slice(markup[0].length);
+        if (markup[1] === 'html') rest = stripHtml(rest);
+    }
+    return unescape(rest).trim();
+};
+
+const parseNumeric = (body) => {
+    const answer = withoutFeedback(splitAtMarkers(body, '=')[0] ?? body).replace(/^=/, '').replace(/^%\d+%/, '').trim();
+    const range = answer.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    if (range) {
+        const [min, max] = [Number(range[1]), Number(range[2])];
+        return { numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+    }
+    const [value, tolerance] = answer.split(':');
+    return { numericAnswer: Number(value), tolerance: tolerance === undefined ? 0 : Number(tolerance) };
+};
+
+/**
+ * Turns the answer block of one GIFT question into quiz question fields.
+ *
+ * @returns {{fields?: object, error?: string, warning?: string}}
+ */
+const parseAnswers = (body) => {
+    if (!body.trim()) {
+        return { error: 'essay questions are not supported.' };
+    }
+    if (body.trim().startsWith('#')) {
+        const numeric = parseNumeric(body.trim().slice(1).trim());
+        if (!Number.isFinite(numeric.numericAnswer) || !Number.isFinite(numeric.tolerance)) {
+            return { error: 'the numerical answer is not a number.' };
+        }
+        return { fields: { questionType: 'numeric', ...numeric } };
+    }
+
+    const trueFalse = withoutFeedback(body).trim().match(/^(T|TRUE|F|FALSE)$/i);
+    if (trueFalse) {
+        const isTrue = trueFalse[1][0].toUpperCase() === 'T';
+        return {
+            fields: {
+                questionType: 'mcq',
+                options: [
+                    { text: 'True', isCorrect: isTrue },
+                    { text: 'False', isCorrect: !isTrue },
+                ],
+            },
+        };
+    }
+
+    const answers = splitAtMarkers(body, '=~').map((part) => {
+        let text = withoutFeedback(part.slice(1)).trim();
+        const weight = text.match(/^%(-?[\d.]+)%/);
+        if (weight) text = text.slice(weight[0].length).trim();
+        return { marker: part[0], weight: weight ? Number(weight[1]) : null, text };
+    });
+    if (answers.length === 0) {
+        return { error: 'no answers were found between the braces.' };
+    }
+
+    if (answers.some((answer) => answer.marker === '=' && findUnescaped(answer.text, '->') !== -1)) {
+        const matchPairs = answers.map((answer) => {
+            const arrow = findUnescaped(answer.text, '->');
+            return arrow === -1
+                ? null
+                : { left: unescape(answer.text.slice(0, arrow)).trim(), right: unescape(answer.text.slice(arrow + 2)).trim() };
+        });
+        if (matchPairs.includes(null)) {
+            return { error: 'every answer of a matching question needs the form "=item -> match".' };
+        }
+        return { fields: { questionType: 'matching', matchPairs } };
+    }
+
+    if (answers.every((answer) => answer.marker === '=')) {
+        return {
+            fields: { questionType: 'fill-in-the-blank', correctAnswer: unescape(answers[0].text) },
+            ...(answers.length > 1 && { warning: 'only the first accepted answer is kept.' }),
+        };
+    }
+
+    return {
+        fields: {
+            questionType: 'mcq',
+            options: answers.map((answer) => ({
+                text: unescape(answer.text),
+                isCorrect: answer.marker === '=' || answer.weight > 0,
+            })),
+        },
+    };
+};
+
+/**
+ * Parses GIFT text.
+ *
+ * @param {string} content
+ * @returns {{questions: {question: object, line: number}[], issues: object[]}}
+ *   The questions with the line each starts on, and the problems found.
+ */
+export function parseGift(content) {
+    const lines = String(content).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let block = null;
+    lines.forEach((text, index) => {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('//') || trimmed.startsWith('$CATEGORY:')) return;
+        if (!trimmed) {
+            block = null;
+            return;
+        }
+        if (!block) {
+            block = { line: index + 1, text: '' };
+            blocks.push(block);
+        }
+        block.text += `${block.text ? '\n' : ''}${text}`;
+    });
+
+    const questions = [];
+    const issues = [];
+    for (const { line, text } of blocks) {
+        const open = findUnescaped(text, '{');
+        const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+        if (open === -1) {
+            issues.push({ severity: 'warning', line, message: 'descriptions without answers are not supported; skipped.' });
+            continue;
+        }
+        if (close === -1) {
+            issues.push({ severity: 'error', line, message: 'the answer block is missing its closing "}".' });
+            continue;
+        }
+
+        let body = text.slice(open + 1, close);
+        let explanation;
+        const generalFeedback = findUnescaped(body, '####');
+        if (generalFeedback !== -1) {
+            explanation = unescape(body.slice(generalFeedback + 4)).trim();
+            body = body.slice(0, generalFeedback);
+        }
+
+        const before = readQuestionText(text.slice(0, open));
+        const after = unescape(text.slice(close + 1)).trim();
+        // An answer block in the middle of the text marks a missing word
+        const questionText = after ? `${before} _____ ${after}` : before;
+
+        const { fields, error, warning } = parseAnswers(body);
+        if (error) {
+            issues.push({ severity: 'error', line, message: error });
+            continue;
+        }
+        if (warning) {
+            issues.push({ severity: 'warning', line, message: warning });
+        }
+        questions.push({ line, question: { questionText, ...fields, ...(explanation && { explanation }) } });
+    }
+    return { questions, issues };
+}
+
+const toGiftAnswers = (question) => {
+    switch (question.questionType) {
+        case 'mcq': {
+            const correct = question.options.filter((option) => option.isCorrect).length;
+            if (correct > 1) {
+                // Several correct options share the marks; wrong ones take them away
+                const share = Number((100 / correct).toFixed(5));
+                return question.options.map((option) => `~%${option.isCorrect ? share : -100}%${escape(option.text)}`);
+            }
+            return question.options.map((option) => `${option.isCorrect ? '=' : '~'}${escape(option.text)}`);
+        }
+        case 'fill-in-the-blank':
+            return [`=${escape(question.correctAnswer)}`];
+        case 'numeric':
+            return [`#${question.numericAnswer}${question.tolerance ? `:${question.tolerance}` : ''}`];
+        case 'matching':
+            return question.matchPairs.map((pair) => `=${escape(pair.left)} -> ${escape(pair.right)}`);
+        default:
+            return null;
+    }
+};
+
+/**
+ * Writes a quiz's questions as GIFT. Question types GIFT cannot express are
+ * left out and listed in a comment at the top.
+ *
+ * @param {object} quiz
+ * @returns {{content: string, skipped: number[]}} The GIFT text and the
+ *   (1-based) numbers of the questions left out.
+ */
+export function toGift(quiz) {
+    const skipped = [];
+    const blocks = [];
+    quiz.questions.forEach((question, index) => {
+        const answers = toGiftAnswers(question);
+        if (!answers) {
+            skipped.push(index + 1);
+            return;
+        }
+        const feedback = question.explanation ? `\n\t####${escape(question.explanation)}` : '';
+        blocks.push(
+            `::Question ${index + 1}::${escape(question.questionText)} {\n${answers.map((answer) => `\t${answer}`).join('\n')}${feedback}\n}`
+        );
+    });
+
+    const header = [`// ${String(quiz.title).replace(/\n/g, ' ')}`];
+    if (skipped.length) {
+        header.push(`// Not expressible in GIFT, so left out: question ${skipped.join(', ')}`);
+    }
+    return { content: `${header.join('\n')}\n\n${blocks.join('\n\n')}\n`, skipped };
+}
@@ -0,0 +1,106 @@
+import { parseGift, toGift } from './giftFormat.js';
+
+describe('GIFT format', () => {
+  test('reads the supported question types with their line numbers', () => {
+    const { questions, issues } = parseGift(`// A comment
+$CATEGORY: basics
+
+::Q1:: Which is a loop? {
+  =for
+  ~if #Not a loop
+  ####Loops repeat code.
+}
+
+Arrays start at index 0. {T}
+
+Pick the primes {~%50%2 ~%50%3 ~%-100%4}
+
+The keyword {=let} declares a variable.
+
+Pi to two decimals? {#3.14:0.005}
+
+Between one and two {#1..2}
+
+Match the types {
+  =1 -> number
+  =true -> boolean
+}`);
+
+    expect(issues).toEqual([]);
+    expect(questions.map(({ line }) => line)).toEqual([4, 10, 12, 14, 16, 18, 20]);
+    const [loop, trueFalse, primes, blank, pi, range, matching] = questions.map(({ question }) => question);
+    expect(loop).toEqual({
+      questionText: 'Which is a loop?',
+      questionType: 'mcq',
+      options: [
+        { text: 'for', isCorrect: true },
+        { text: 'if', isCorrect: false },
+      ],
+      explanation: 'Loops repeat code.',
+    });
+    expect(trueFalse.options).toEqual([
+      { text: 'True', isCorrect: true },
+      { text: 'False', isCorrect: false },
+    ]);
+    expect(primes.options.filter((option) => option.isCorrect).map((option) => option.text)).toEqual(['2', '3']);
+    expect(blank).toEqual({
+      questionText: 'The keyword _____ declares a variable.',
+      questionType: 'fill-in-the-blank',
+      correctAnswer: 'let',
+    });
+    expect(pi).toMatchObject({ questionType: 'numeric', numericAnswer: 3.14, tolerance: 0.005 });
+    expect(range).toMatchObject({ numericAnswer: 1.5, tolerance: 0.5 });
+    expect(matching.matchPairs).toEqual([
+      { left: '1', right: 'number' },
+      { left: 'true', right: 'boolean' },
+    ]);
+  });
+
+  test('reports unsupported and malformed questions by line', () => {
+    const { questions, issues } = parseGift(`Describe closures. {}
+
+Just some text.
+
+Alternatives {=one =uno}
+
+Never closed {=yes`);
+
+    expect(questions.map(({ question }) => question.correctAnswer)).toEqual(['one']);
+    expect(issues).toEqual([
+      { severity: 'error', line: 1, message: 'essay questions are not supported.' },
+      { severity: 'warning', line: 3, message: 'descriptions without answers are not supported; skipped.' },
+      { severity: 'warning', line: 5, message: 'only the first accepted answer is kept.' },
+      { severity: 'error', line: 7, message: 'the answer block is missing its closing "}".' },
+    ]);
+  });
+
+  test('written quizzes read back the same, escaping special characters', () => {
+    const quiz = {
+      title: 'Syntax',
+      questions: [
+        {
+          questionText: 'What does {a: 1} create?',
+          questionType: 'mcq',
+          options: [
+            { text: 'An object', isCorrect: true },
+            { text: 'A ~block~', isCorrect: false },
+          ],
+          explanation: 'Braces = object literal.',
+        },
+        { questionText: 'Arrange', questionType: 'ordering', orderItems: ['a', 'b'] },
+        { questionText: 'Half?', questionType: 'numeric', numericAnswer: 0.5, tolerance: 0 },
+      ],
+    };
+
+    const { content, skipped } = toGift(quiz);
+    expect(skipped).toEqual([2]);
+    expect(content).toContain('// Not expressible in GIFT, so left out: question 2');
+
+    const { questions, issues } = parseGift(content);
+    expect(issues).toEqual([]);
+    expect(questions.map(({ question }) => question)).toEqual([
+      quiz.questions[0],
+      { questionText: 'Half?', questionType: 'numeric', numericAnswer: 0.5, tolerance: 0 },
+    ]);
+  });
+});
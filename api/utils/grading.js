@@ -0,0 +1,146 @@
+// api/utils/grading.js
+import { runCode } from '../services/execution.service.js';
+
+const normalizeLineEndings = (text = '') => String(text).replace(/\r\n/g, '\n');
+
+const trimLines = (text) =>
+    normalizeLineEndings(text)
+        .split('\n')
+        .map((line) => line.trimEnd())
+        .join('\n')
+        .trim();
+
+const NUMBER_PATTERN = /-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Compares a program's output against the expected output of a test case.
+ *
+ * Supported comparison modes:
+ * - `exact`: byte-for-byte equality (line endings are normalised)
+ * - `trimmed`: ignores trailing whitespace on every line and surrounding blank lines
+ * - `regex`: the expected output is a regular expression matched against the output
+ * - `numeric`: every number in the output must be within `tolerance` of the
+ *   corresponding expected number; non-numeric text is compared trimmed
+ *
+ * @param {string} actual - Output produced by the learner's program.
+ * @param {string} expected - Expected output (or pattern) from the test case.
+ * @param {string} [comparison='trimmed'] - Comparison mode.
+ * @param {number} [tolerance=1e-6] - Allowed absolute difference for `numeric`.
+ * @returns {boolean} Whether the output satisfies the test case.
+ */
+export function compareOutput(actual, expected, comparison = 'trimmed', tolerance = 1e-6) {
+    switch (comparison) {
+        case 'exact':
+            return normalizeLineEndings(actual) === normalizeLineEndings(expected);
+        case 'regex': {
+            try {
+                return new RegExp(expected, 'm').test(normalizeLineEndings(actual));
+            } catch {
+                return false;
+            }
+        }
+        case 'numeric': {
+            const actualNumbers = trimLines(actual).match(NUMBER_PATTERN) || [];
+            const expectedNumbers = trimLines(expected).match(NUMBER_PATTERN) || [];
+            if (actualNumbers.length !== expectedNumbers.length) {
+                return false;
+            }
+            const numbersMatch = expectedNumbers.every(
+                (value, i) => Math.abs(Number(value) - Number(actualNumbers[i])) <= tolerance
+            );
+            const stripNumbers = (text) => trimLines(text).replace(NUMBER_PATTERN, '#');
+            return numbersMatch && stripNumbers(actual) === stripNumbers(expected);
+        }
+        case 'trimmed':
+        default:
+            return trimLines(actual) === trimLines(expected);
+    }
+}
+
+/**
+ * Runs a submission against every test case and reports per-test results.
+ * Hidden test cases only report whether they passed so their input and
+ * expected output never reach the learner.
+ *
+ * @param {object} params
+ * @param {string} params.language - Language of the submission.
+ * @param {string} params.code - Learner's source code.
+ * @param {Array<object>} params.testCases - Test cases from the chapter.
+ * @param {Function} [params.run=runCode] - Runner used to execute the code.
+ * @returns {Promise<{passed: boolean, passedCount: number, total: number, results: Array<object>}>}
+ */
+export async function gradeSubmission({ language, code, testCases = [], run = runCode }) {
+    const results = [];
+
+    for (const [index, testCase] of testCases.entries()) {
+        const execution = await run({ language, code, stdin: testCase.stdin || '' });
+        let passed = false;
+        let error = '';
+
+        if (execution.compileError) {
+            error = 'Compilation failed';
+        } else if (execution.timedOut) {
+            error = 'Time limit exceeded';
+        } else if (execution.outputLimitExceeded) {
+            error = 'Output limit exceeded';
+        } else if (execution.exitCode !== 0) {
+            error = `Program exited with code ${execution.exitCode}`;
+        } else {
+            passed = compareOutput(
+                execution.stdout,
+                testCase.expectedOutput,
+                testCase.comparison,
+                testCase.tolerance
+            );
+        }
+
+        const result = {
+            testCaseId: testCase._id,
+            name: testCase.name || `Test ${index + 1}`,
+            hidden: Boolean(testCase.hidden),
+            passed,
+            error,
+        };
+        if (!testCase.hidden) {
+            result.stdin = testCase.stdin || '';
+            result.expectedOutput = testCase.expectedOutput;
+            result.actualOutput = execution.stdout;
+            result.stderr = execution.stderr;
+        }
+        results.push(result);
+
+        // Every remaining test would fail the same way; stop early.
+        if (execution.compileError) {
+            break;
+        }
+    }
+
+    const passedCount = results.filter((r) => r.passed).length;
+    return {
+        passed: testCases.length > 0 && passedCount === testCases.length,
+        passedCount,
+        total: testCases.length,
+        results,
+    };
+}
+
+/**
+ * Strips the input and expected output of hidden test cases from a chapter
+ * tree so the public tutorial API does not leak them.
+ *
+ * @param {Array<object>} chapters - Plain chapter objects (with optional subChapters).
+ * @returns {Array<object>} Chapters with hidden test cases redacted.
+ */
+export function redactHiddenTestCases(chapters = []) {
+    return chapters.map((chapter) => ({
+        ...chapter,
+        ...(chapter.testCases && {
+            testCases: chapter.testCases.map((testCase) =>
+                testCase.hidden
+                    ? { _id: testCase._id, name: testCase.name, hidden: true }
+                    : testCase
+            ),
+        }),
+        ...(chapter.subChapters && { subChapters: redactHiddenTestCases(chapter.subChapters) }),
+    }));
+}
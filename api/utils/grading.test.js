@@ -0,0 +1,98 @@
+import { compareOutput, gradeSubmission, redactHiddenTestCases } from './grading.js';
+
+describe('compareOutput', () => {
+  test('exact comparison is sensitive to whitespace', () => {
+    expect(compareOutput('hello\n', 'hello\n', 'exact')).toBe(true);
+    expect(compareOutput('hello \n', 'hello\n', 'exact')).toBe(false);
+  });
+
+  test('trimmed comparison ignores trailing whitespace and line endings', () => {
+    expect(compareOutput('a  \r\nb\n\n', 'a\nb', 'trimmed')).toBe(true);
+    expect(compareOutput('a\nc', 'a\nb', 'trimmed')).toBe(false);
+  });
+
+  test('regex comparison matches the expected pattern', () => {
+    expect(compareOutput('Result: 42\n', '^Result: \\d+$', 'regex')).toBe(true);
+    expect(compareOutput('Result: x\n', '^Result: \\d+$', 'regex')).toBe(false);
+  });
+
+  test('regex comparison fails on an invalid pattern', () => {
+    expect(compareOutput('anything', '(', 'regex')).toBe(false);
+  });
+
+  test('numeric comparison allows differences within the tolerance', () => {
+    expect(compareOutput('pi = 3.14159', 'pi = 3.1416', 'numeric', 1e-3)).toBe(true);
+    expect(compareOutput('pi = 3.2', 'pi = 3.1416', 'numeric', 1e-3)).toBe(false);
+    expect(compareOutput('tau = 3.1416', 'pi = 3.1416', 'numeric', 1e-3)).toBe(false);
+  });
+});
+
+describe('gradeSubmission', () => {
+  const testCases = [
+    { _id: 't1', name: 'doubles', stdin: '2', expectedOutput: '4', comparison: 'trimmed' },
+    { _id: 't2', stdin: '5', expectedOutput: '10', comparison: 'trimmed', hidden: true },
+  ];
+
+  test('reports per-test results and hides hidden test details', async () => {
+    const run = jest.fn(async ({ stdin }) => ({
+      stdout: `${Number(stdin) * 2}\n`,
+      stderr: '',
+      exitCode: 0,
+      timedOut: false,
+      compileError: false,
+    }));
+
+    const grade = await gradeSubmission({ language: 'python', code: 'x', testCases, run });
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(grade.passed).toBe(true);
+    expect(grade.passedCount).toBe(2);
+    expect(grade.results[0]).toMatchObject({ name: 'doubles', stdin: '2', actualOutput: '4\n', passed: true });
+    expect(grade.results[1]).toEqual({ testCaseId: 't2', name: 'Test 2', hidden: true, passed: true, error: '' });
+  });
+
+  test('stops after a compilation failure', async () => {
+    const run = jest.fn(async () => ({
+      stdout: '',
+      stderr: 'error: expected ;',
+      exitCode: 1,
+      timedOut: false,
+      compileError: true,
+    }));
+
+    const grade = await gradeSubmission({ language: 'cpp', code: 'x', testCases, run });
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(grade.passed).toBe(false);
+    expect(grade.total).toBe(2);
+    expect(grade.results[0].error).toBe('Compilation failed');
+  });
+
+  test('fails tests that time out', async () => {
+    const run = async () => ({ stdout: '4', stderr: '', exitCode: null, timedOut: true, compileError: false });
+
+    const grade = await gradeSubmission({ language: 'python', code: 'x', testCases: [testCases[0]], run });
+
+    expect(grade.passed).toBe(false);
+    expect(grade.results[0].error).toBe('Time limit exceeded');
+  });
+});
+
+describe('redactHiddenTestCases', () => {
+  test('removes input and expected output from hidden tests, including subchapters', () => {
+    const chapters = [
+      {
+        chapterTitle: 'Intro',
+        testCases: [{ _id: 'a', stdin: '1', expectedOutput: '1', hidden: true }],
+        subChapters: [
+          { chapterTitle: 'Sub', testCases: [{ _id: 'b', stdin: '2', expectedOutput: '2', hidden: false }] },
+        ],
+      },
+    ];
+
+    const [intro] = redactHiddenTestCases(chapters);
+
+    expect(intro.testCases[0]).toEqual({ _id: 'a', name: undefined, hidden: true });
+    expect(intro.subChapters[0].testCases[0].expectedOutput).toBe('2');
+  });
+});
@@ -0,0 +1,172 @@
+// Runs a program instrumented by instrumentJavaScript (see
+// execution.controller.js) inside a vm context and prints the collected
+// trace as JSON, mirroring pythonTracer.py. It is executed as a separate,
+// resource-limited process so learner code never runs inside the API server.
+const fs = require('fs');
+const util = require('util');
+const vm = require('vm');
+
+// Keeps every step's heap snapshot small enough to ship to the browser.
+const MAX_HEAP_OBJECTS = 100;
+const MAX_ENTRIES = 50;
+
+function readStdin() {
+    try {
+        return fs.readFileSync(0, 'utf8');
+    } catch {
+        return '';
+    }
+}
+
+const display = (value) => util.inspect(value, { depth: 2, breakLength: Infinity });
+
+// Reads the bindings of one scope; those still in their temporal dead zone
+// are left out.
+function readBindings(bindings) {
+    const values = {};
+    for (const [name, read] of Object.entries(bindings)) {
+        try {
+            values[name] = read();
+        } catch {
+            // Not initialized yet
+        }
+    }
+    return values;
+}
+
+// A frame's own variables: its block and function scopes, plus the global
+// scope for the top-level frame. Inner bindings shadow outer ones.
+function frameLocals(scopes, isGlobalFrame) {
+    const own = scopes.filter(({ type }) => type === 'block' || type === 'function' || (isGlobalFrame && type === 'global'));
+    return Object.assign({}, ...own.reverse().map(({ bindings }) => readBindings(bindings)));
+}
+
+// Object identities survive between steps so the same object keeps its id.
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+
+function describeObject(value) {
+    if (typeof value === 'function') {
+        return { type: 'function', label: value.name || '(anonymous)', entries: [] };
+    }
+    if (Array.isArray(value)) {
+        return { type: 'array', label: 'Array', entries: value.map((item, index) => ({ key: String(index), item })) };
+    }
+    if (util.types.isMap(value)) {
+        return { type: 'map', label: 'Map', entries: [...value].map(([key, item]) => ({ key: display(key), item })) };
+    }
+    if (util.types.isSet(value)) {
+        return { type: 'set', label: 'Set', entries: [...value].map((item) => ({ item })) };
+    }
+    const prototype = Object.getPrototypeOf(value);
+    const label = prototype ? prototype.constructor?.name || 'Object' : 'Object';
+    const entries = Object.entries(Object.getOwnPropertyDescriptors(value))
+        .filter(([, descriptor]) => descriptor.enumerable)
+        // Getters are not called: they could change the program's state.
+        .map(([key, descriptor]) => ({ key, item: 'value' in descriptor ? descriptor.value : undefined, getter: !('value' in descriptor) }));
+    return { type: 'object', label, entries };
+}
+
+// Encodes a value as `{ value }` (its printed form) for primitives or
+// `{ ref }` pointing into `heap` for objects and functions.
+function encode(value, heap) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function') || util.types.isProxy(value)) {
+        return { value: display(value) };
+    }
+    if (!objectIds.has(value)) {
+        objectIds.set(value, String(nextObjectId++));
+    }
+    const ref = objectIds.get(value);
+    if (!heap[ref] && Object.keys(heap).length < MAX_HEAP_OBJECTS) {
+        const { type, label, entries } = describeObject(value);
+        const object = { type, label, entries: [] };
+        heap[ref] = object;
+        for (const { key, item, getter } of entries.slice(0, MAX_ENTRIES)) {
+            const encoded = getter ? { value: '[Getter]' } : encode(item, heap);
+            object.entries.push(key === undefined ? { value: encoded } : { key, value: encoded });
+        }
+        if (entries.length > MAX_ENTRIES) object.truncated = true;
+    }
+    return { ref };
+}
+
+async function main(scriptPath) {
+    const code = fs.readFileSync(scriptPath, 'utf8');
+    const events = [];
+    // Call stack of the running program, outermost frame first. Each frame
+    // keeps the scopes of the last statement it reached.
+    const frames = [{ name: 'global', line: 0, scopes: [] }];
+    // Programs read their input line by line through a browser-style prompt().
+    const inputLines = readStdin().split(/\r?\n/);
+    if (inputLines[inputLines.length - 1] === '') inputLines.pop();
+    const context = vm.createContext({
+        prompt: () => (inputLines.length ? inputLines.shift() : null),
+        console: {
+            log: (...args) => {
+                events.push({ event: 'log', value: args.map(a => (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(' ') });
+            },
+        },
+        __enter: (name, line) => {
+            frames.push({ name, line, scopes: [] });
+        },
+        __exit: () => {
+            frames.pop();
+        },
+        __trace: (line, scopes = []) => {
+            const frame = frames[frames.length - 1];
+            frame.line = line;
+            frame.scopes = scopes;
+            const heap = {};
+            const encodeAll = (values) => {
+                const encoded = {};
+                for (const [key, value] of Object.entries(values)) {
+                    encoded[key] = encode(value, heap);
+                }
+                return encoded;
+            };
+            const stack = frames.map(({ name, line: frameLine, scopes: frameScopes }, index) => ({
+                name,
+                line: frameLine,
+                locals: encodeAll(frameLocals(frameScopes, index === 0)),
+            }));
+            const locals = {};
+            for (const [key, value] of Object.entries(frameLocals(scopes, frames.length === 1))) {
+                locals[key] = display(value);
+            }
+            events.push({
+                event: 'step',
+                line,
+                locals,
+                stack,
+                scopes: scopes.map(({ type, bindings }) => ({ type, bindings: encodeAll(readBindings(bindings)) })),
+                heap,
+            });
+        },
+    });
+
+    let status = 'ok';
+    let error = '';
+    let stack = '';
+    try {
+        const script = new vm.Script(code, { filename: 'main.js' });
+        await script.runInContext(context, { timeout: 1000 });
+    } catch (err) {
+        status = 'error';
+        error = err && err.message ? err.message : String(err);
+        stack = err && err.stack ? String(err.stack) : '';
+        events.push({ event: 'error', message: error });
+    }
+
+    const result = { status, events };
+    if (status === 'error') {
+        result.error = error;
+        result.stack = stack;
+    }
+    process.stdout.write(JSON.stringify(result));
+}
+
+if (process.argv.length < 3) {
+    process.stdout.write(JSON.stringify({ status: 'error', error: 'No script path provided', events: [] }));
+} else {
+    main(process.argv[2]);
+}
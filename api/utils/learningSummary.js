@@ -0,0 +1,85 @@
+// api/utils/learningSummary.js
+import { buildTutorialProgress, getCompletedChapterIds } from './tutorialProgress.js';
+
+// Days of activity covered by the dashboard heatmap
+export const ACTIVITY_DAYS = 365;
+
+const byOrder = (a, b) => a.order - b.order;
+
+// Chapters in reading order: each chapter followed by its subchapters
+const flattenChapters = (chapters = []) =>
+    [...chapters].sort(byOrder).flatMap((chapter) => [chapter, ...flattenChapters(chapter.subChapters)]);
+
+/**
+ * The first chapter or subchapter, in reading order, that a learner has not
+ * completed yet.
+ *
+ * @param {object} tutorial
+ * @param {object|null} [progress] - The learner's Progress document, if any.
+ * @returns {{chapterId: string, chapterTitle: string, chapterSlug: string}|null}
+ *   Null once every chapter is complete.
+ */
+export function findNextChapter(tutorial, progress) {
+    const completedIds = getCompletedChapterIds(progress);
+    const next = flattenChapters(tutorial.chapters).find((chapter) => !completedIds.has(String(chapter._id)));
+    return next ? { chapterId: next._id, chapterTitle: next.chapterTitle, chapterSlug: next.chapterSlug } : null;
+}
+
+/**
+ * A tutorial the learner is enrolled in, as listed on their dashboard.
+ *
+ * @param {object} tutorial
+ * @param {object} progress - The learner's Progress document for it.
+ * @returns {object} `{ tutorialId, title, slug, thumbnail, category, completed,
+ *   percentage, timeSpentSeconds, lastActiveAt, nextChapter }`.
+ */
+export function summarizeEnrollment(tutorial, progress) {
+    const { completed, percentage, timeSpentSeconds } = buildTutorialProgress(tutorial, progress);
+    return {
+        tutorialId: tutorial._id,
+        title: tutorial.title,
+        slug: tutorial.slug,
+        thumbnail: tutorial.thumbnail,
+        category: tutorial.category,
+        completed,
+        percentage,
+        timeSpentSeconds,
+        lastActiveAt: progress.updatedAt,
+        nextChapter: findNextChapter(tutorial, progress),
+    };
+}
+
+// The UTC calendar day of a date, as YYYY-MM-DD
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Counts a learner's activity per UTC day over the last `days` days: chapters
+ * they completed and quizzes they submitted.
+ *
+ * @param {{progress?: object[], attempts?: object[]}} activity - Their Progress
+ *   documents and submitted quiz attempts.
+ * @param {{now?: Date, days?: number}} [options]
+ * @returns {{from: string, to: string, days: {date: string, count: number}[]}}
+ *   Only days with activity are listed, oldest first.
+ */
+export function buildActivityHeatmap({ progress = [], attempts = [] }, { now = new Date(), days = ACTIVITY_DAYS } = {}) {
+    const to = toDay(now);
+    const from = toDay(new Date(Date.parse(to) - (days - 1) * 24 * 60 * 60 * 1000));
+    const counts = new Map();
+    const count = (date) => {
+        if (!date) return;
+        const day = toDay(date);
+        if (day >= from && day <= to) {
+            counts.set(day, (counts.get(day) || 0) + 1);
+        }
+    };
+
+    progress.forEach((entry) => entry.chapters.forEach((chapter) => count(chapter.completedAt)));
+    attempts.forEach((attempt) => count(attempt.submittedAt));
+
+    return {
+        from,
+        to,
+        days: [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([date, total]) => ({ date, count: total })),
+    };
+}
@@ -0,0 +1,75 @@
+import { buildActivityHeatmap, findNextChapter, summarizeEnrollment } from './learningSummary.js';
+
+const tutorial = {
+  _id: 't1',
+  title: 'Loops',
+  slug: 'loops',
+  chapters: [
+    { _id: 'c2', chapterTitle: 'While', chapterSlug: 'while', order: 2, subChapters: [] },
+    {
+      _id: 'c1',
+      chapterTitle: 'For',
+      chapterSlug: 'for',
+      order: 1,
+      subChapters: [{ _id: 's1', chapterTitle: 'Ranges', chapterSlug: 'ranges', order: 1 }],
+    },
+  ],
+};
+
+describe('learning summary', () => {
+  test('the next chapter is the first unfinished one in reading order, subchapters included', () => {
+    expect(findNextChapter(tutorial, null)).toEqual({ chapterId: 'c1', chapterTitle: 'For', chapterSlug: 'for' });
+    expect(findNextChapter(tutorial, { chapters: [{ chapter: 'c1', completedAt: new Date() }] })).toMatchObject({
+      chapterSlug: 'ranges',
+    });
+
+    const done = ['c1', 's1', 'c2'].map((chapter) => ({ chapter, completedAt: new Date() }));
+    expect(findNextChapter(tutorial, { chapters: done })).toBeNull();
+  });
+
+  test('enrollments carry completion and where to resume', () => {
+    const updatedAt = new Date('2026-03-01');
+    const progress = { chapters: [{ chapter: 'c1', completedAt: updatedAt }], timeSpentSeconds: 90, updatedAt };
+
+    expect(summarizeEnrollment(tutorial, progress)).toEqual({
+      tutorialId: 't1',
+      title: 'Loops',
+      slug: 'loops',
+      thumbnail: undefined,
+      category: undefined,
+      completed: false,
+      percentage: 33,
+      timeSpentSeconds: 90,
+      lastActiveAt: updatedAt,
+      nextChapter: { chapterId: 's1', chapterTitle: 'Ranges', chapterSlug: 'ranges' },
+    });
+  });
+
+  test('the heatmap counts completions and quiz submissions per day within range', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const heatmap = buildActivityHeatmap(
+      {
+        progress: [
+          {
+            chapters: [
+              { chapter: 'c1', completedAt: new Date('2026-03-09T08:00:00Z') },
+              { chapter: 's1' },
+              { chapter: 'c2', completedAt: new Date('2026-03-01T00:00:00Z') },
+            ],
+          },
+        ],
+        attempts: [{ submittedAt: new Date('2026-03-09T23:59:00Z') }, { submittedAt: new Date('2026-03-10T01:00:00Z') }],
+      },
+      { now, days: 7 }
+    );
+
+    expect(heatmap).toEqual({
+      from: '2026-03-04',
+      to: '2026-03-10',
+      days: [
+        { date: '2026-03-09', count: 2 },
+        { date: '2026-03-10', count: 1 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,63 @@
+// api/utils/mimeMessage.js
+import crypto from 'crypto';
+
+// Non-ASCII header values are sent as RFC 2047 encoded words
+const encodeHeader = (value) =>
+    /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// Base64 bodies never need dot-stuffing and never exceed the line limit
+const encodeBody = (content) =>
+    Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+// The domain part of an address like "Name <user@example.com>"
+const domainOf = (address) => /@([^>\s]+)>?\s*$/.exec(address)?.[1] || 'localhost';
+
+/**
+ * Formats an email as a MIME message with CRLF line endings: plain text, plus
+ * an HTML alternative if one is given.
+ *
+ * @param {object} message
+ * @param {string} message.from - e.g. `Name <user@example.com>`.
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ * @param {Date} [message.date=new Date()]
+ * @returns {string}
+ */
+export const buildMimeMessage = ({ from, to, subject, text, html, date = new Date() }) => {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domainOf(from)}>`,
+        'MIME-Version: 1.0',
+    ];
+    const part = (type, content) =>
+        [`Content-Type: ${type}; charset=utf-8`, 'Content-Transfer-Encoding: base64', '', encodeBody(content)].join('\r\n');
+
+    if (!html) {
+        return [...headers, part('text/plain', text)].join('\r\n');
+    }
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        part('text/plain', text),
+        `--${boundary}`,
+        part('text/html', html),
+        `--${boundary}--`,
+        '',
+    ].join('\r\n');
+};
+
+/**
+ * The bare address in "Name <user@example.com>" or "user@example.com".
+ *
+ * @param {string} address
+ * @returns {string}
+ */
+export const extractAddress = (address) => (/<([^>]+)>/.exec(address)?.[1] || address).trim();
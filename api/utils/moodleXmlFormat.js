@@ -0,0 +1,224 @@
+// api/utils/moodleXmlFormat.js
+// Reads and writes Moodle XML: https://docs.moodle.org/en/Moodle_XML_format
+//
+// multichoice, truefalse, shortanswer, numerical and matching questions are
+// supported; category entries are skipped and other types are reported.
+import { XmlError, childElements, decodeEntities, escapeXml, firstChild, parseXml, textOf } from './xml.js';
+
+const htmlToText = (html) =>
+    decodeEntities(
+        html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|pre)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+    )
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+// The text of a <questiontext>, <feedback> or similar element, honouring
+// its format attribute
+const readText = (element) => {
+    if (!element) return '';
+    const text = textOf(firstChild(element, 'text'));
+    const format = element.attributes.format || 'html';
+    return format === 'html' || format === 'moodle_auto_format' ? htmlToText(text) : text.trim();
+};
+
+const readAnswers = (question) =>
+    childElements(question, 'answer').map((answer) => ({
+        text: readText(answer),
+        fraction: Number(answer.attributes.fraction ?? 0),
+        tolerance: textOf(firstChild(answer, 'tolerance')).trim(),
+    }));
+
+/**
+ * Turns one <question> element into quiz question fields.
+ *
+ * @returns {{fields?: object, error?: string, warning?: string, skip?: boolean}}
+ */
+const readQuestion = (element) => {
+    const type = element.attributes.type;
+    if (type === 'category') return { skip: true };
+
+    const answers = readAnswers(element);
+    switch (type) {
+        case 'multichoice':
+            return {
+                fields: {
+                    questionType: 'mcq',
+                    options: answers.map((answer) => ({ text: answer.text, isCorrect: answer.fraction > 0 })),
+                },
+            };
+        case 'truefalse': {
+            const correct = answers.find((answer) => answer.fraction > 0);
+            const isTrue = correct?.text.toLowerCase() === 'true';
+            return {
+                fields: {
+                    questionType: 'mcq',
+                    options: [
+                        { text: 'True', isCorrect: isTrue },
+                        { text: 'False', isCorrect: !isTrue },
+                    ],
+                },
+            };
+        }
+        case 'shortanswer': {
+            const accepted = answers.filter((answer) => answer.fraction === 100);
+            if (accepted.length === 0) return { error: 'the short answer question has no fully correct answer.' };
+            return {
+                fields: { questionType: 'fill-in-the-blank', correctAnswer: accepted[0].text },
+                ...((accepted.length > 1 || answers.length > accepted.length) && {
+                    warning: 'only the first fully correct answer is kept.',
+                }),
+            };
+        }
+        case 'numerical': {
+            const correct = answers.find((answer) => answer.fraction === 100);
+            const numericAnswer = Number(correct?.text);
+            const tolerance = Number(correct?.tolerance || 0);
+            if (!correct || !Number.isFinite(numericAnswer) || !Number.isFinite(tolerance)) {
+                return { error: 'the numerical question has no fully correct numeric answer.' };
+            }
+            return { fields: { questionType: 'numeric', numericAnswer, tolerance } };
+        }
+        case 'matching': {
+            const subquestions = childElements(element, 'subquestion').map((subquestion) => ({
+                left: readText(subquestion),
+                right: textOf(firstChild(firstChild(subquestion, 'answer'), 'text')).trim(),
+            }));
+            const matchPairs = subquestions.filter((pair) => pair.left);
+            return {
+                fields: { questionType: 'matching', matchPairs },
+                // Subquestions without text only add wrong choices
+                ...(matchPairs.length < subquestions.length && { warning: 'extra wrong answers are not supported and were dropped.' }),
+            };
+        }
+        default:
+            return { error: `"${type}" questions are not supported.` };
+    }
+};
+
+/**
+ * Parses a Moodle XML quiz.
+ *
+ * @param {string} content
+ * @returns {{questions: {question: object, line: number}[], issues: object[]}}
+ *   The questions with the line each starts on, and the problems found.
+ */
+export function parseMoodleXml(content) {
+    let root;
+    try {
+        root = parseXml(String(content));
+    } catch (error) {
+        if (error instanceof XmlError) {
+            return { questions: [], issues: [{ severity: 'error', line: error.line, message: error.message.replace(/^Line \d+: /, '') }] };
+        }
+        throw error;
+    }
+    if (root.name !== 'quiz') {
+        return { questions: [], issues: [{ severity: 'error', line: root.line, message: 'the root element must be <quiz>.' }] };
+    }
+
+    const questions = [];
+    const issues = [];
+    for (const element of childElements(root, 'question')) {
+        const { fields, error, warning, skip } = readQuestion(element);
+        if (skip) continue;
+        if (error) {
+            issues.push({ severity: 'error', line: element.line, message: error });
+            continue;
+        }
+        if (warning) {
+            issues.push({ severity: 'warning', line: element.line, message: warning });
+        }
+        const explanation = readText(firstChild(element, 'generalfeedback'));
+        questions.push({
+            line: element.line,
+            question: {
+                questionText: readText(firstChild(element, 'questiontext')),
+                ...fields,
+                ...(explanation && { explanation }),
+            },
+        });
+    }
+    return { questions, issues };
+}
+
+const text = (value, indent) => `${indent}<text>${escapeXml(value)}</text>`;
+
+const answerXml = (fraction, value, indent, extra = '') =>
+    `${indent}<answer fraction="${fraction}" format="plain_text">\n${text(value, `${indent}  `)}\n${extra}${indent}</answer>`;
+
+const toQuestionXml = (question, index) => {
+    const i = '    ';
+    const body = [];
+    let type;
+    switch (question.questionType) {
+        case 'mcq': {
+            type = 'multichoice';
+            const correct = question.options.filter((option) => option.isCorrect).length;
+            body.push(`${i}<single>${correct === 1}</single>`, `${i}<shuffleanswers>true</shuffleanswers>`);
+            const share = Number((100 / Math.max(correct, 1)).toFixed(5));
+            for (const option of question.options) {
+                // Moodle takes marks away for wrong answers when several are correct
+                body.push(answerXml(option.isCorrect ? share : correct > 1 ? -100 : 0, option.text, i));
+            }
+            break;
+        }
+        case 'fill-in-the-blank':
+            type = 'shortanswer';
+            body.push(`${i}<usecase>0</usecase>`, answerXml(100, question.correctAnswer, i));
+            break;
+        case 'numeric':
+            type = 'numerical';
+            body.push(answerXml(100, question.numericAnswer, i, `${i}  <tolerance>${question.tolerance || 0}</tolerance>\n`));
+            break;
+        case 'matching':
+            type = 'matching';
+            for (const pair of question.matchPairs) {
+                body.push(
+                    `${i}<subquestion format="plain_text">\n${text(pair.left, `${i}  `)}\n${i}  <answer>\n${text(pair.right, `${i}    `)}\n${i}  </answer>\n${i}</subquestion>`
+                );
+            }
+            break;
+        default:
+            return null;
+    }
+
+    return [
+        `  <question type="${type}">`,
+        `${i}<name>\n${text(`Question ${index + 1}`, `${i}  `)}\n${i}</name>`,
+        `${i}<questiontext format="plain_text">\n${text(question.questionText, `${i}  `)}\n${i}</questiontext>`,
+        `${i}<generalfeedback format="plain_text">\n${text(question.explanation || '', `${i}  `)}\n${i}</generalfeedback>`,
+        ...body,
+        '  </question>',
+    ].join('\n');
+};
+
+/**
+ * Writes a quiz's questions as Moodle XML. Question types Moodle XML cannot
+ * express are left out and listed in a comment.
+ *
+ * @param {object} quiz
+ * @returns {{content: string, skipped: number[]}} The XML and the (1-based)
+ *   numbers of the questions left out.
+ */
+export function toMoodleXml(quiz) {
+    const skipped = [];
+    const questions = [];
+    quiz.questions.forEach((question, index) => {
+        const xml = toQuestionXml(question, index);
+        if (xml) {
+            questions.push(xml);
+        } else {
+            skipped.push(index + 1);
+        }
+    });
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+    if (skipped.length) {
+        lines.push(`  <!-- Not expressible in Moodle XML, so left out: question ${skipped.join(', ')} -->`);
+    }
+    lines.push(...questions, '</quiz>');
+    return { content: `${lines.join('\n')}\n`, skipped };
+}
@@ -0,0 +1,117 @@
+import { parseMoodleXml, toMoodleXml } from './moodleXmlFormat.js';
+import { XmlError, parseXml, textOf } from './xml.js';
+
+describe('XML reader', () => {
+  test('reads elements, attributes, entities and CDATA', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<!-- note -->\n<a x="1 &amp; 2">\n  <b>&lt;i&gt;</b><c><![CDATA[<raw> & text]]></c>\n</a>');
+
+    expect(root.name).toBe('a');
+    expect(root.attributes).toEqual({ x: '1 & 2' });
+    expect(root.line).toBe(3);
+    expect(textOf(root).trim()).toBe('<i><raw> & text');
+  });
+
+  test('reports the line of malformed markup', () => {
+    expect(() => parseXml('<a>\n  <b>\n</a>')).toThrow(new XmlError('Unexpected </a>, expected </b>.', 3));
+    expect(() => parseXml('<a>\n<b/>')).toThrow(XmlError);
+  });
+});
+
+describe('Moodle XML format', () => {
+  test('reads the supported question types with their line numbers', () => {
+    const { questions, issues } = parseMoodleXml(`<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category"><category><text>$course$/Basics</text></category></question>
+  <question type="multichoice">
+    <questiontext format="html"><text><![CDATA[<p>Which is a <b>loop</b>?</p>]]></text></questiontext>
+    <generalfeedback format="html"><text>Loops &amp; repetition.</text></generalfeedback>
+    <answer fraction="100"><text>for</text></answer>
+    <answer fraction="0"><text>if</text></answer>
+  </question>
+  <question type="truefalse">
+    <questiontext format="plain_text"><text>Arrays start at 1.</text></questiontext>
+    <answer fraction="0"><text>true</text></answer>
+    <answer fraction="100"><text>false</text></answer>
+  </question>
+  <question type="shortanswer">
+    <questiontext format="plain_text"><text>Keyword for constants?</text></questiontext>
+    <answer fraction="100"><text>const</text></answer>
+  </question>
+  <question type="numerical">
+    <questiontext format="plain_text"><text>Pi?</text></questiontext>
+    <answer fraction="100"><text>3.14</text><tolerance>0.01</tolerance></answer>
+  </question>
+  <question type="matching">
+    <questiontext format="plain_text"><text>Match</text></questiontext>
+    <subquestion format="plain_text"><text>1</text><answer><text>number</text></answer></subquestion>
+    <subquestion format="plain_text"><text>"a"</text><answer><text>string</text></answer></subquestion>
+  </question>
+</quiz>`);
+
+    expect(issues).toEqual([]);
+    expect(questions.map(({ line }) => line)).toEqual([4, 10, 15, 19, 23]);
+    const [mcq, trueFalse, shortAnswer, numeric, matching] = questions.map(({ question }) => question);
+    expect(mcq).toEqual({
+      questionText: 'Which is a loop?',
+      questionType: 'mcq',
+      options: [
+        { text: 'for', isCorrect: true },
+        { text: 'if', isCorrect: false },
+      ],
+      explanation: 'Loops & repetition.',
+    });
+    expect(trueFalse.options).toEqual([
+      { text: 'True', isCorrect: false },
+      { text: 'False', isCorrect: true },
+    ]);
+    expect(shortAnswer).toMatchObject({ questionType: 'fill-in-the-blank', correctAnswer: 'const' });
+    expect(numeric).toMatchObject({ questionType: 'numeric', numericAnswer: 3.14, tolerance: 0.01 });
+    expect(matching.matchPairs).toEqual([
+      { left: '1', right: 'number' },
+      { left: '"a"', right: 'string' },
+    ]);
+  });
+
+  test('reports unsupported types and malformed XML by line', () => {
+    expect(parseMoodleXml('<quiz>\n  <question type="essay"/>\n</quiz>').issues).toEqual([
+      { severity: 'error', line: 2, message: '"essay" questions are not supported.' },
+    ]);
+    expect(parseMoodleXml('<quiz>\n  <question type="essay">\n</quiz>').issues).toEqual([
+      { severity: 'error', line: 3, message: 'Unexpected </quiz>, expected </question>.' },
+    ]);
+  });
+
+  test('written quizzes read back the same', () => {
+    const quiz = {
+      title: 'Mixed',
+      questions: [
+        {
+          questionText: 'Is 1 < 2 && 2 > 1?',
+          questionType: 'mcq',
+          options: [
+            { text: 'Yes', isCorrect: true },
+            { text: 'No', isCorrect: false },
+          ],
+          explanation: 'Both hold.',
+        },
+        { questionText: 'Fill the gaps', questionType: 'multi-blank', codeSnippet: '{{blank}}', blankAnswers: ['x'] },
+        { questionText: 'Keyword?', questionType: 'fill-in-the-blank', correctAnswer: 'let' },
+        {
+          questionText: 'Match',
+          questionType: 'matching',
+          matchPairs: [
+            { left: 'a', right: '1' },
+            { left: 'b', right: '2' },
+          ],
+        },
+      ],
+    };
+
+    const { content, skipped } = toMoodleXml(quiz);
+    expect(skipped).toEqual([2]);
+
+    const { questions, issues } = parseMoodleXml(content);
+    expect(issues).toEqual([]);
+    expect(questions.map(({ question }) => question)).toEqual([quiz.questions[0], quiz.questions[2], quiz.questions[3]]);
+  });
+});
@@ -0,0 +1,62 @@
+// api/utils/permissions.js
+// Roles and what each is allowed to do. client/src/utils/permissions.js
+// mirrors these for the UI; the API is what enforces them.
+
+export const ROLES = ['learner', 'author', 'reviewer', 'moderator', 'admin'];
+
+export const PERMISSIONS = {
+    WRITE_POSTS: 'posts:write', // Create posts and edit or delete your own
+    WRITE_TUTORIALS: 'tutorials:write', // Likewise for tutorials and their chapters
+    WRITE_QUIZZES: 'quizzes:write', // Likewise for quizzes, plus the question bank
+    EDIT_ANY_CONTENT: 'content:edit-any', // Edit anyone's posts, tutorials and quizzes
+    DELETE_ANY_CONTENT: 'content:delete-any', // Delete anyone's posts, tutorials and quizzes
+    VIEW_QUIZ_ATTEMPTS: 'quiz-attempts:read', // See every learner's quiz attempts
+    MODERATE_COMMENTS: 'comments:moderate', // List, edit and delete anyone's comments
+    VIEW_USERS: 'users:read', // List every user
+    MANAGE_USERS: 'users:manage', // Edit and delete other users and assign roles
+};
+
+const AUTHOR_PERMISSIONS = [PERMISSIONS.WRITE_POSTS, PERMISSIONS.WRITE_TUTORIALS, PERMISSIONS.WRITE_QUIZZES];
+
+export const ROLE_PERMISSIONS = {
+    learner: [],
+    author: AUTHOR_PERMISSIONS,
+    reviewer: [...AUTHOR_PERMISSIONS, PERMISSIONS.EDIT_ANY_CONTENT, PERMISSIONS.VIEW_QUIZ_ATTEMPTS],
+    moderator: [PERMISSIONS.DELETE_ANY_CONTENT, PERMISSIONS.MODERATE_COMMENTS, PERMISSIONS.VIEW_USERS],
+    admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * A user's role. Users from before roles have none, and are admins if their
+ * legacy isAdmin flag is set and learners otherwise.
+ *
+ * @param {object|null} [user] - A User document or an access token's payload.
+ * @returns {string} One of ROLES.
+ */
+export const getUserRole = (user) => {
+    if (ROLES.includes(user?.role)) {
+        return user.role;
+    }
+    return user?.isAdmin ? 'admin' : 'learner';
+};
+
+/**
+ * Whether a user's role grants a permission.
+ *
+ * @param {object|null} [user] - A User document or an access token's payload.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => ROLE_PERMISSIONS[getUserRole(user)].includes(permission);
+
+/**
+ * Whether a user may change a post, tutorial, quiz or comment: they are its
+ * stored author, or their role covers everyone's.
+ *
+ * @param {object|null} [user] - An access token's payload.
+ * @param {*} ownerId - The id of the stored author (`userId`, `authorId` or `createdBy`).
+ * @param {string} permission - The permission covering everyone's, e.g. EDIT_ANY_CONTENT.
+ * @returns {boolean}
+ */
+export const canModify = (user, ownerId, permission) =>
+    (ownerId != null && user?.id != null && String(ownerId) === String(user.id)) || hasPermission(user, permission);
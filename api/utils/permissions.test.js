@@ -0,0 +1,50 @@
+import { PERMISSIONS, canModify, getUserRole, hasPermission } from './permissions.js';
+import { requirePermission } from './verifyUser.js';
+
+describe('permissions', () => {
+  test('accounts from before roles keep their admin flag', () => {
+    expect(getUserRole({ isAdmin: true })).toBe('admin');
+    expect(getUserRole({ isAdmin: false })).toBe('learner');
+    expect(getUserRole({ role: 'author', isAdmin: true })).toBe('author');
+    expect(getUserRole(null)).toBe('learner');
+  });
+
+  test('authors write content without managing users', () => {
+    const author = { role: 'author' };
+    expect(hasPermission(author, PERMISSIONS.WRITE_TUTORIALS)).toBe(true);
+    expect(hasPermission(author, PERMISSIONS.EDIT_ANY_CONTENT)).toBe(false);
+    expect(hasPermission(author, PERMISSIONS.MANAGE_USERS)).toBe(false);
+  });
+
+  test('moderators remove content and comments but cannot write it', () => {
+    const moderator = { role: 'moderator' };
+    expect(hasPermission(moderator, PERMISSIONS.DELETE_ANY_CONTENT)).toBe(true);
+    expect(hasPermission(moderator, PERMISSIONS.MODERATE_COMMENTS)).toBe(true);
+    expect(hasPermission(moderator, PERMISSIONS.WRITE_POSTS)).toBe(false);
+  });
+
+  test('admins have every permission', () => {
+    expect(Object.values(PERMISSIONS).every((permission) => hasPermission({ role: 'admin' }, permission))).toBe(true);
+  });
+
+  test('requirePermission lets through users with any of the permissions', () => {
+    const guard = requirePermission(PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.DELETE_ANY_CONTENT);
+    const next = jest.fn();
+
+    guard({ user: { role: 'moderator' } }, {}, next);
+    guard({ user: { role: 'learner' } }, {}, next);
+
+    expect(next.mock.calls[0]).toEqual([]);
+    expect(next.mock.calls[1][0]).toMatchObject({ statusCode: 403 });
+  });
+
+  test('canModify compares against the stored author', () => {
+    const author = { id: '507f1f77bcf86cd799439011', role: 'author' };
+    const ownerId = { toString: () => '507f1f77bcf86cd799439011' }; // As an ObjectId would be
+
+    expect(canModify(author, ownerId, PERMISSIONS.EDIT_ANY_CONTENT)).toBe(true);
+    expect(canModify(author, '507f1f77bcf86cd799439022', PERMISSIONS.EDIT_ANY_CONTENT)).toBe(false);
+    expect(canModify(author, undefined, PERMISSIONS.EDIT_ANY_CONTENT)).toBe(false);
+    expect(canModify({ role: 'reviewer' }, '507f1f77bcf86cd799439022', PERMISSIONS.EDIT_ANY_CONTENT)).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+// api/utils/progressMigration.js
+// Plans the move of the `completedBy` arrays once stored in tutorial
+// documents into Progress documents. See api/scripts/migrateTutorialProgress.js.
+
+// Calls `visit(chapter, path)` for every chapter and subchapter, with the
+// chapter's path in the raw tutorial document
+const walkChapters = (chapters = [], visit, prefix = 'chapters') => {
+    chapters.forEach((chapter, index) => {
+        const path = `${prefix}.${index}`;
+        visit(chapter, path);
+        walkChapters(chapter.subChapters, visit, `${path}.subChapters`);
+    });
+};
+
+/**
+ * Plans the migration of one raw tutorial document.
+ *
+ * @param {object} tutorial - The tutorial as stored, with its `completedBy` arrays.
+ * @param {Date} migratedAt - Recorded as the completion date, since the
+ *   original ones were never stored.
+ * @returns {{progress: object[], unset: string[]}} One Progress document per
+ *   learner who completed anything, and the paths of the `completedBy`
+ *   arrays to remove from the tutorial.
+ */
+export function planProgressMigration(tutorial, migratedAt) {
+    const byUser = new Map();
+    const progressFor = (userId) => {
+        const key = String(userId);
+        if (!byUser.has(key)) {
+            byUser.set(key, { user: userId, tutorial: tutorial._id, chapters: [] });
+        }
+        return byUser.get(key);
+    };
+
+    const unset = [];
+    walkChapters(tutorial.chapters, (chapter, path) => {
+        if (!chapter.completedBy) return;
+        unset.push(`${path}.completedBy`);
+        for (const userId of new Set(chapter.completedBy.map(String))) {
+            progressFor(userId).chapters.push({ chapter: chapter._id, completedAt: migratedAt, timeSpentSeconds: 0 });
+        }
+    });
+    if (tutorial.completedBy) {
+        unset.push('completedBy');
+        for (const userId of tutorial.completedBy) {
+            progressFor(userId).completedAt = migratedAt;
+        }
+    }
+
+    return { progress: [...byUser.values()], unset };
+}
+
+/**
+ * The write operations that store a planned Progress document without
+ * overwriting progress recorded since, so the migration can be run again.
+ *
+ * @param {object} progress - From planProgressMigration.
+ * @returns {object[]} Operations for `Progress.bulkWrite`, in order.
+ */
+export function toProgressWrites({ user, tutorial, chapters, completedAt }) {
+    const filter = { user, tutorial };
+    return [
+        {
+            updateOne: {
+                filter,
+                update: { $setOnInsert: { user, tutorial, chapters: [] } },
+                upsert: true,
+            },
+        },
+        ...chapters.map((entry) => ({
+            updateOne: {
+                filter: { ...filter, 'chapters.chapter': { $ne: entry.chapter } },
+                update: { $push: { chapters: entry } },
+            },
+        })),
+        ...(completedAt
+            ? [{ updateOne: { filter: { ...filter, completedAt: { $exists: false } }, update: { $set: { completedAt } } } }]
+            : []),
+    ];
+}
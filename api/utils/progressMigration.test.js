@@ -0,0 +1,56 @@
+import { planProgressMigration, toProgressWrites } from './progressMigration.js';
+
+describe('progress migration', () => {
+  const migratedAt = new Date('2026-03-01');
+  const tutorial = {
+    _id: 't1',
+    completedBy: ['u1'],
+    chapters: [
+      { _id: 'c1', completedBy: ['u1', 'u2', 'u1'], subChapters: [{ _id: 's1', completedBy: ['u1'] }] },
+      { _id: 'c2', completedBy: [], subChapters: [] },
+    ],
+  };
+
+  test('every completion moves to the progress of its learner', () => {
+    const { progress, unset } = planProgressMigration(tutorial, migratedAt);
+
+    expect(progress).toEqual([
+      {
+        user: 'u1',
+        tutorial: 't1',
+        completedAt: migratedAt,
+        chapters: [
+          { chapter: 'c1', completedAt: migratedAt, timeSpentSeconds: 0 },
+          { chapter: 's1', completedAt: migratedAt, timeSpentSeconds: 0 },
+        ],
+      },
+      { user: 'u2', tutorial: 't1', chapters: [{ chapter: 'c1', completedAt: migratedAt, timeSpentSeconds: 0 }] },
+    ]);
+    expect(unset).toEqual([
+      'chapters.0.completedBy',
+      'chapters.0.subChapters.0.completedBy',
+      'chapters.1.completedBy',
+      'completedBy',
+    ]);
+  });
+
+  test('migrated tutorials have nothing left to migrate', () => {
+    expect(planProgressMigration({ _id: 't1', chapters: [{ _id: 'c1', subChapters: [] }] }, migratedAt)).toEqual({
+      progress: [],
+      unset: [],
+    });
+  });
+
+  test('writes never overwrite progress recorded since', () => {
+    const [progress] = planProgressMigration(tutorial, migratedAt).progress;
+    const writes = toProgressWrites(progress);
+
+    expect(writes).toHaveLength(4);
+    expect(writes[0].updateOne).toMatchObject({ upsert: true, update: { $setOnInsert: { user: 'u1', tutorial: 't1' } } });
+    expect(writes[1].updateOne.filter).toEqual({ user: 'u1', tutorial: 't1', 'chapters.chapter': { $ne: 'c1' } });
+    expect(writes[3].updateOne).toEqual({
+      filter: { user: 'u1', tutorial: 't1', completedAt: { $exists: false } },
+      update: { $set: { completedAt: migratedAt } },
+    });
+  });
+});
@@ -2,16 +2,106 @@ import sys
 import json
 import io
 import ast
+import traceback
 
 traces = []
+program_path = None
+
+# Keeps every step's heap snapshot small enough to ship to the browser.
+MAX_HEAP_OBJECTS = 100
+MAX_ENTRIES = 50
+
+PRIMITIVES = (int, float, complex, bool, str, bytes, type(None))
+
+# Heap ids by id(); the objects are kept alive so ids are never reused and
+# the same object keeps its id between steps.
+heap_ids = {}
+
+
+def visible_locals(frame):
+    """Frame locals without the tracer's helpers and module dunders."""
+    return {
+        k: v for k, v in frame.f_locals.items()
+        if k != 'trace_expr' and not (k.startswith('__') and k.endswith('__'))
+    }
+
+
+def heap_id(value):
+    key = id(value)
+    if key not in heap_ids:
+        heap_ids[key] = (str(len(heap_ids) + 1), value)
+    return heap_ids[key][0]
+
+
+def describe_object(value):
+    """Returns (type, label, entries) for a heap object, or None when the
+    value is shown by its repr instead (classes, modules, ...)."""
+    if isinstance(value, (list, tuple)):
+        kind = 'list' if isinstance(value, list) else 'tuple'
+        return kind, type(value).__name__, [(str(i), item) for i, item in enumerate(value)]
+    if isinstance(value, (set, frozenset)):
+        return 'set', type(value).__name__, [(None, item) for item in value]
+    if isinstance(value, dict):
+        return 'dict', type(value).__name__, [(repr(k), item) for k, item in value.items()]
+    if callable(value) and hasattr(value, '__code__'):
+        return 'function', value.__name__, []
+    if not isinstance(value, type) and hasattr(value, '__dict__') and not hasattr(value, '__file__'):
+        return 'object', type(value).__name__, list(vars(value).items())
+    return None
+
+
+def encode(value, heap):
+    """Encodes a value as {'value': repr} or {'ref': id} into `heap`."""
+    if isinstance(value, PRIMITIVES):
+        return {'value': repr(value)}
+    description = describe_object(value)
+    if description is None:
+        return {'value': repr(value)}
+    ref = heap_id(value)
+    if ref not in heap and len(heap) < MAX_HEAP_OBJECTS:
+        kind, label, entries = description
+        obj = {'type': kind, 'label': label, 'entries': []}
+        heap[ref] = obj
+        for key, item in entries[:MAX_ENTRIES]:
+            entry = {'value': encode(item, heap)}
+            if key is not None:
+                entry['key'] = key
+            obj['entries'].append(entry)
+        if len(entries) > MAX_ENTRIES:
+            obj['truncated'] = True
+    return {'ref': ref}
+
+
+def snapshot_stack(frame):
+    """Call stack of the program, outermost frame first, with its heap."""
+    frames = []
+    while frame is not None and frame.f_code.co_filename == program_path:
+        frames.append(frame)
+        frame = frame.f_back
+    heap = {}
+    stack = []
+    for f in reversed(frames):
+        name = f.f_code.co_name
+        stack.append({
+            'name': 'global' if name == '<module>' else name,
+            'line': f.f_lineno,
+            'locals': {k: encode(v, heap) for k, v in visible_locals(f).items()},
+        })
+    return stack, heap
 
 
 def tracefunc(frame, event, arg):
+    # Only the learner's program is traced, not the tracer's own helpers
+    if frame.f_code.co_filename != program_path:
+        return None
     if event == 'line':
+        stack, heap = snapshot_stack(frame)
         traces.append({
             'event': 'step',
             'line': frame.f_lineno,
-            'locals': {k: repr(v) for k, v in frame.f_locals.items()},
+            'locals': {k: repr(v) for k, v in visible_locals(frame).items()},
+            'stack': stack,
+            'heap': heap,
         })
     return tracefunc
 
@@ -32,7 +122,9 @@ class ExprTracer(ast.NodeTransformer):
 
     def visit(self, node):
         node = super().visit(node)
-        if isinstance(node, ast.expr) and not isinstance(node, (ast.Constant, ast.Name)):
+        # Assignment and del targets (e.g. `self.x = 1`) cannot be wrapped in a call
+        is_target = isinstance(getattr(node, 'ctx', None), (ast.Store, ast.Del))
+        if isinstance(node, ast.expr) and not isinstance(node, (ast.Constant, ast.Name)) and not is_target:
             expr_source = ast.get_source_segment(self.source, node) or ''
             line = getattr(node, 'lineno', -1)
             new_node = ast.Call(
@@ -52,8 +144,9 @@ def instrument_code(code, script_path):
 
 
 def main(script_path):
-    global traces
+    global traces, program_path
     traces = []
+    program_path = script_path
     with open(script_path, 'r') as f:
         code = f.read()
     stdout_buffer = io.StringIO()
@@ -61,6 +154,7 @@ def main(script_path):
     sys.settrace(tracefunc)
     status = 'ok'
     error = ''
+    caught = None
     try:
         tree = instrument_code(code, script_path)
         global_env = {'trace_expr': trace_expr}
@@ -68,9 +162,14 @@ def main(script_path):
     except Exception as e:
         status = 'error'
         error = str(e)
+        caught = e
     finally:
         sys.settrace(None)
         sys.stdout = sys.__stdout__
+    # Formatted only once tracing is off so the traceback code is not traced
+    error_traceback = ''
+    if caught is not None:
+        error_traceback = ''.join(traceback.format_exception(type(caught), caught, caught.__traceback__))
     result = {
         'status': status,
         'stdout': stdout_buffer.getvalue(),
@@ -78,6 +177,7 @@ def main(script_path):
     }
     if status == 'error':
         result['error'] = error
+        result['traceback'] = error_traceback
     print(json.dumps(result))
 
 if __name__ == '__main__':
@@ -0,0 +1,99 @@
+// api/utils/questionBank.js
+import Question from '../models/question.model.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Lower-cases, trims and de-duplicates tags, dropping empty ones.
+ *
+ * @param {string[]|string} [tags] - An array, or a comma-separated string.
+ * @returns {string[]}
+ */
+export function normalizeTags(tags = []) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Cleans up the question pools of a quiz as submitted by its author.
+ *
+ * @param {object[]} [pools]
+ * @returns {object[]}
+ */
+export function normalizePools(pools = []) {
+    return pools.map(({ tags, difficulty, language, count }) => ({
+        tags: normalizeTags(tags),
+        difficulty: difficulty || undefined,
+        language: language ? String(language).toLowerCase() : undefined,
+        count: Number(count),
+    }));
+}
+
+/**
+ * The bank questions a pool draws from.
+ *
+ * @param {object} pool - `{ tags, difficulty, language }`.
+ * @returns {object} A MongoDB filter.
+ */
+export function getPoolFilter({ tags, difficulty, language }) {
+    return {
+        ...(tags?.length && { tags: { $in: tags } }),
+        ...(difficulty && { difficulty }),
+        ...(language && { language }),
+    };
+}
+
+/**
+ * Checks that every pool asks for a sensible number of questions of a
+ * known difficulty.
+ *
+ * @param {object[]} [pools] - Normalized pools.
+ * @returns {string|null} An error message, or null.
+ */
+export function findInvalidPool(pools = []) {
+    for (const [index, pool] of pools.entries()) {
+        if (!Number.isInteger(pool.count) || pool.count < 1) {
+            return `Question pool ${index + 1}: draw at least one question.`;
+        }
+        if (pool.difficulty && !DIFFICULTIES.includes(pool.difficulty)) {
+            return `Question pool ${index + 1}: difficulty must be easy, medium or hard.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks that the bank holds enough questions for every pool.
+ *
+ * @param {object[]} [pools] - Normalized pools.
+ * @returns {Promise<string|null>} An error message, or null.
+ */
+export async function findPoolShortfall(pools = []) {
+    for (const [index, pool] of pools.entries()) {
+        const available = await Question.countDocuments(getPoolFilter(pool));
+        if (available < pool.count) {
+            return `Question pool ${index + 1}: only ${available} bank questions match, but ${pool.count} are drawn.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Draws random questions from the bank for one attempt. A question is drawn
+ * at most once, even when it matches several pools. Pools whose questions
+ * have since been deleted from the bank draw as many as are left.
+ *
+ * @param {object[]} [pools]
+ * @returns {Promise<object[]>} Plain question objects.
+ */
+export async function drawQuestions(pools = []) {
+    const drawn = [];
+    for (const pool of pools) {
+        const sample = await Question.aggregate([
+            { $match: { ...getPoolFilter(pool), _id: { $nin: drawn.map((question) => question._id) } } },
+            { $sample: { size: pool.count } },
+        ]);
+        drawn.push(...sample);
+    }
+    return drawn;
+}
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import Question from '../models/question.model.js';
+import { drawQuestions, findInvalidPool, getPoolFilter, normalizePools, normalizeTags } from './questionBank.js';
+
+describe('question bank', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tags are trimmed, lower-cased and de-duplicated', () => {
+    expect(normalizeTags([' Loops', 'loops', '', 'Recursion '])).toEqual(['loops', 'recursion']);
+    expect(normalizeTags('arrays, Strings,')).toEqual(['arrays', 'strings']);
+  });
+
+  test('pools only filter on what they set', () => {
+    const [pool] = normalizePools([{ tags: 'Loops', difficulty: '', language: 'Python', count: '3' }]);
+
+    expect(pool).toEqual({ tags: ['loops'], difficulty: undefined, language: 'python', count: 3 });
+    expect(getPoolFilter(pool)).toEqual({ tags: { $in: ['loops'] }, language: 'python' });
+    expect(getPoolFilter({ tags: [], count: 1 })).toEqual({});
+  });
+
+  test('pools must draw at least one question', () => {
+    expect(findInvalidPool([{ tags: [], count: 2 }])).toBeNull();
+    expect(findInvalidPool([{ tags: [], count: 2 }, { tags: [], count: 0 }])).toBe(
+      'Question pool 2: draw at least one question.'
+    );
+  });
+
+  test('a question is drawn at most once across pools', async () => {
+    const first = { _id: new mongoose.Types.ObjectId(), questionText: 'A' };
+    const second = { _id: new mongoose.Types.ObjectId(), questionText: 'B' };
+    const aggregate = jest
+      .spyOn(Question, 'aggregate')
+      .mockResolvedValueOnce([first])
+      .mockResolvedValueOnce([second]);
+
+    const drawn = await drawQuestions([
+      { tags: ['loops'], count: 1 },
+      { tags: ['loops', 'arrays'], count: 1 },
+    ]);
+
+    expect(drawn).toEqual([first, second]);
+    const [match, sample] = aggregate.mock.calls[1][0];
+    expect(match.$match._id.$nin).toEqual([first._id]);
+    expect(sample).toEqual({ $sample: { size: 1 } });
+  });
+});
@@ -0,0 +1,137 @@
+// api/utils/quizImport.js
+import questionSchema from '../models/question.schema.js';
+import { parseGift, toGift } from './giftFormat.js';
+import { parseMoodleXml, toMoodleXml } from './moodleXmlFormat.js';
+import { parseQuizJson, toQuizJson } from './quizJsonFormat.js';
+import { findGradingProblem } from './quizQuestions.js';
+
+const QUESTION_TYPES = questionSchema.path('questionType').enumValues;
+
+// The formats quizzes can be imported from and exported to
+export const QUIZ_FORMATS = {
+    gift: { parse: parseGift, write: toGift, extension: 'gift', contentType: 'text/plain' },
+    'moodle-xml': { parse: parseMoodleXml, write: toMoodleXml, extension: 'xml', contentType: 'application/xml' },
+    json: { parse: parseQuizJson, write: toQuizJson, extension: 'json', contentType: 'application/json' },
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' || typeof value === 'number';
+const isNumber = (value) =>
+    typeof value === 'number' ? Number.isFinite(value) : typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+
+const TEXT_FIELDS = ['questionText', 'correctAnswer', 'codeSnippet', 'codeLanguage', 'explanation'];
+const NUMBER_FIELDS = ['numericAnswer', 'tolerance'];
+const TEXT_LIST_FIELDS = ['orderItems', 'blankAnswers'];
+// Lists of sub-documents, with their text fields
+const OBJECT_LIST_FIELDS = {
+    options: ['text'],
+    matchPairs: ['left', 'right'],
+    testCases: ['name', 'stdin', 'expectedOutput', 'comparison'],
+};
+
+// Files can give any field any shape; the question schema expects these
+const findShapeProblem = (question) => {
+    const present = (value) => value !== undefined && value !== null;
+    for (const field of TEXT_FIELDS) {
+        if (present(question[field]) && !isText(question[field])) {
+            return `"${field}" must be text.`;
+        }
+    }
+    for (const field of NUMBER_FIELDS) {
+        if (present(question[field]) && !isNumber(question[field])) {
+            return `"${field}" must be a number.`;
+        }
+    }
+    for (const field of TEXT_LIST_FIELDS) {
+        if (present(question[field]) && !(Array.isArray(question[field]) && question[field].every(isText))) {
+            return `"${field}" must be a list of text.`;
+        }
+    }
+    for (const [field, textFields] of Object.entries(OBJECT_LIST_FIELDS)) {
+        if (!present(question[field])) continue;
+        if (!Array.isArray(question[field]) || !question[field].every(isObject)) {
+            return `"${field}" must be a list of objects.`;
+        }
+        for (const item of question[field]) {
+            const wrong = textFields.find((key) => present(item[key]) && !isText(item[key]));
+            if (wrong) {
+                return `"${wrong}" in "${field}" must be text.`;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks that an imported question could be saved and graded.
+ *
+ * @param {object} question
+ * @returns {string|null} What is wrong with the question, or null.
+ */
+export function findImportProblem(question) {
+    const shapeProblem = findShapeProblem(question);
+    if (shapeProblem) {
+        return shapeProblem;
+    }
+    if (!QUESTION_TYPES.includes(question.questionType)) {
+        return `unknown question type "${question.questionType}".`;
+    }
+    if (typeof question.questionText !== 'string' || !question.questionText.trim()) {
+        return 'the question has no text.';
+    }
+    if (question.questionType === 'mcq') {
+        const options = Array.isArray(question.options) ? question.options : [];
+        if (options.length < 2 || options.some((option) => !String(option.text ?? '').trim())) {
+            return 'multiple choice questions need at least two options, each with text.';
+        }
+        if (!options.some((option) => option.isCorrect)) {
+            return 'multiple choice questions need at least one correct option.';
+        }
+    } else if (['fill-in-the-blank', 'code-output'].includes(question.questionType)) {
+        if (!String(question.correctAnswer ?? '').trim()) {
+            return 'the question has no correct answer.';
+        }
+    }
+    return findGradingProblem(question);
+}
+
+/**
+ * Reads a quiz file and reports every problem found in it.
+ *
+ * @param {string} format - One of the keys of QUIZ_FORMATS.
+ * @param {string} content - The file's text.
+ * @returns {{quiz: object, questions: object[], issues: object[]}} The quiz
+ *   details found in the file (JSON only), the questions that can be
+ *   imported, and the issues found, as `{ severity, line, message }` sorted
+ *   by line. Questions with errors are left out.
+ */
+export function parseQuizFile(format, content) {
+    const { parse } = QUIZ_FORMATS[format];
+    const { quiz = {}, questions: parsed, issues } = parse(content);
+
+    const questions = [];
+    parsed.forEach(({ line, question }) => {
+        const problem = findImportProblem(question);
+        if (problem) {
+            issues.push({ severity: 'error', line, message: problem });
+        } else {
+            questions.push(question);
+        }
+    });
+    issues.sort((a, b) => a.line - b.line);
+    return { quiz, questions, issues };
+}
+
+/**
+ * Writes a quiz in one of the supported formats.
+ *
+ * @param {string} format - One of the keys of QUIZ_FORMATS.
+ * @param {object} quiz - A plain quiz object.
+ * @returns {{content: string, skipped: number[], extension: string, contentType: string}}
+ *   The file's text, the (1-based) numbers of the questions the format
+ *   cannot express, and how to serve the file.
+ */
+export function writeQuizFile(format, quiz) {
+    const { write, extension, contentType } = QUIZ_FORMATS[format];
+    return { ...write(quiz), extension, contentType };
+}
@@ -0,0 +1,102 @@
+import { findImportProblem, parseQuizFile, writeQuizFile } from './quizImport.js';
+
+const quiz = {
+  title: 'Everything',
+  description: 'One of each',
+  category: 'JavaScript',
+  questions: [
+    {
+      questionText: 'Pick one',
+      questionType: 'mcq',
+      options: [
+        { text: 'a', isCorrect: true },
+        { text: 'b', isCorrect: false },
+      ],
+    },
+    { questionText: 'Output?', questionType: 'code-output', codeSnippet: 'console.log(1)', correctAnswer: '1' },
+    {
+      questionText: 'Print the sum',
+      questionType: 'code-writing',
+      codeLanguage: 'python',
+      testCases: [{ name: 'sum', stdin: '1 2', expectedOutput: '3', comparison: 'trimmed', tolerance: 0.000001, hidden: true }],
+    },
+    { questionText: 'Arrange', questionType: 'ordering', orderItems: ['first', 'second'] },
+    { questionText: 'Fill the gaps', questionType: 'multi-blank', codeSnippet: '{{blank}} = 1', blankAnswers: ['x'] },
+  ],
+};
+
+describe('quiz import', () => {
+  test('JSON keeps every question type and the quiz details', () => {
+    const { content, skipped, extension, contentType } = writeQuizFile('json', quiz);
+    expect({ skipped, extension, contentType }).toEqual({ skipped: [], extension: 'json', contentType: 'application/json' });
+    expect(JSON.parse(content)).toMatchObject({ format: 'scientistshield-quiz', version: 1 });
+
+    const imported = parseQuizFile('json', content);
+    expect(imported.issues).toEqual([]);
+    expect(imported.quiz).toEqual({ title: 'Everything', description: 'One of each', category: 'JavaScript' });
+    expect(imported.questions).toEqual(quiz.questions);
+  });
+
+  test('questions that could not be saved or graded are reported at their line and left out', () => {
+    const { questions, issues } = parseQuizFile(
+      'json',
+      `{
+  "questions": [
+    { "questionText": "Fine", "questionType": "fill-in-the-blank", "correctAnswer": "yes" },
+    { "questionText": "No answer", "questionType": "mcq", "options": [{ "text": "a" }, { "text": "b" }] },
+    { "questionText": "Essay", "questionType": "essay" },
+    "not a question"
+  ]
+}`
+    );
+
+    expect(questions.map((question) => question.questionText)).toEqual(['Fine']);
+    expect(issues).toEqual([
+      { severity: 'error', line: 4, message: 'multiple choice questions need at least one correct option.' },
+      { severity: 'error', line: 5, message: 'unknown question type "essay".' },
+      { severity: 'error', line: 6, message: 'a question must be an object.' },
+    ]);
+  });
+
+  test('fields of the wrong shape are reported instead of throwing', () => {
+    const { questions, issues } = parseQuizFile(
+      'json',
+      '{"questions":[{"questionType":"mcq","questionText":"x","options":[null,1]}]}'
+    );
+    expect(questions).toEqual([]);
+    expect(issues).toEqual([{ severity: 'error', line: 1, message: '"options" must be a list of objects.' }]);
+
+    expect(findImportProblem({ questionText: 'x', questionType: 'mcq', options: 'a, b' })).toBe(
+      '"options" must be a list of objects.'
+    );
+    expect(findImportProblem({ questionText: { en: 'x' }, questionType: 'mcq' })).toBe('"questionText" must be text.');
+    expect(findImportProblem({ questionText: 'x', questionType: 'ordering', orderItems: [{}, 'b'] })).toBe(
+      '"orderItems" must be a list of text.'
+    );
+    expect(
+      findImportProblem({ questionText: 'x', questionType: 'matching', matchPairs: [{ left: ['a'], right: 'b' }, { left: 'c', right: 'd' }] })
+    ).toBe('"left" in "matchPairs" must be text.');
+    expect(findImportProblem({ questionText: 'x', questionType: 'numeric', numericAnswer: 4, tolerance: 'lots' })).toBe(
+      '"tolerance" must be a number.'
+    );
+  });
+
+  test('invalid JSON is reported at the line of the error', () => {
+    expect(parseQuizFile('json', '{\n  "questions": [],\n  oops\n}').issues).toEqual([
+      expect.objectContaining({ severity: 'error', line: 3 }),
+    ]);
+  });
+
+  test('imported questions are checked like authored ones', () => {
+    expect(findImportProblem({ questionText: ' ', questionType: 'mcq' })).toBe('the question has no text.');
+    expect(findImportProblem({ questionText: 'Pairs', questionType: 'matching', matchPairs: [{ left: 'a', right: 'b' }] })).toBe(
+      'matching questions need at least two pairs.'
+    );
+    expect(findImportProblem(quiz.questions[2])).toBeNull();
+  });
+
+  test('other formats leave out what they cannot express', () => {
+    expect(writeQuizFile('gift', quiz).skipped).toEqual([2, 3, 4, 5]);
+    expect(writeQuizFile('moodle-xml', quiz)).toMatchObject({ skipped: [2, 3, 4, 5], extension: 'xml' });
+  });
+});
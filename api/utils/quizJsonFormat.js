@@ -0,0 +1,168 @@
+// api/utils/quizJsonFormat.js
+// The site's own quiz interchange format, which keeps every question type
+// intact. The schema is documented in the README under "Quiz import and
+// export".
+
+export const JSON_FORMAT_NAME = 'scientistshield-quiz';
+export const JSON_FORMAT_VERSION = 1;
+
+// The question fields written and read, with the fields kept of their
+// sub-documents
+const QUESTION_FIELDS = [
+    'questionText',
+    'questionType',
+    'options',
+    'correctAnswer',
+    'codeSnippet',
+    'orderItems',
+    'matchPairs',
+    'blankAnswers',
+    'numericAnswer',
+    'tolerance',
+    'codeLanguage',
+    'testCases',
+    'explanation',
+];
+const SUBDOCUMENT_FIELDS = {
+    options: ['text', 'isCorrect'],
+    matchPairs: ['left', 'right'],
+    testCases: ['name', 'stdin', 'expectedOutput', 'comparison', 'tolerance', 'hidden'],
+};
+
+const pick = (source, fields) =>
+    Object.fromEntries(fields.filter((field) => source[field] !== undefined && source[field] !== null).map((field) => [field, source[field]]));
+
+// Sub-documents of the wrong shape are kept as they are, for the import
+// checks to report
+const toPlainQuestion = (question) => {
+    const plain = pick(question, QUESTION_FIELDS);
+    for (const [field, keys] of Object.entries(SUBDOCUMENT_FIELDS)) {
+        if (Array.isArray(plain[field]) && plain[field].length === 0) {
+            delete plain[field];
+        } else if (Array.isArray(plain[field])) {
+            plain[field] = plain[field].map((item) =>
+                item !== null && typeof item === 'object' && !Array.isArray(item) ? pick(item, keys) : item
+            );
+        }
+    }
+    for (const field of ['orderItems', 'blankAnswers']) {
+        if (Array.isArray(plain[field]) && plain[field].length === 0) delete plain[field];
+    }
+    return plain;
+};
+
+const lineAt = (text, position) => text.slice(0, position).split('\n').length;
+
+// The start offset of every item of the top-level "questions" array, so that
+// problems with a question can be reported at its line
+const locateQuestions = (text) => {
+    const starts = [];
+    let depth = 0;
+    let inQuestions = false;
+    let expectItem = false;
+    let lastKey = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            const start = i;
+            for (i++; i < text.length && text[i] !== '"'; i++) {
+                if (text[i] === '\\') i++;
+            }
+            if (expectItem) {
+                starts.push(start);
+                expectItem = false;
+            }
+            if (depth === 1) lastKey = text.slice(start + 1, i);
+        } else if (char === '{' || char === '[') {
+            if (expectItem) {
+                starts.push(i);
+                expectItem = false;
+            }
+            depth++;
+            if (depth === 2 && char === '[' && lastKey === 'questions') {
+                inQuestions = true;
+                expectItem = true;
+            }
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 1) inQuestions = false;
+            expectItem = false;
+        } else if (char === ',' && depth === 2 && inQuestions) {
+            expectItem = true;
+        } else if (expectItem && /\S/.test(char)) {
+            starts.push(i);
+            expectItem = false;
+        }
+    }
+    return starts;
+};
+
+/**
+ * Parses a quiz in the JSON interchange format.
+ *
+ * @param {string} content
+ * @returns {{quiz: object, questions: {question: object, line: number}[], issues: object[]}}
+ *   The quiz's title, description and category, its questions with the line
+ *   each starts on, and the problems found.
+ */
+export function parseQuizJson(content) {
+    const text = String(content);
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        const position = error.message.match(/at position (\d+)/);
+        return {
+            quiz: {},
+            questions: [],
+            issues: [{ severity: 'error', line: position ? lineAt(text, Number(position[1])) : 1, message: `invalid JSON: ${error.message}` }],
+        };
+    }
+
+    const issues = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !Array.isArray(data.questions)) {
+        return {
+            quiz: {},
+            questions: [],
+            issues: [{ severity: 'error', line: 1, message: 'expected an object with a "questions" array.' }],
+        };
+    }
+    if (data.format !== undefined && data.format !== JSON_FORMAT_NAME) {
+        issues.push({ severity: 'warning', line: 1, message: `unknown format "${data.format}"; reading it as ${JSON_FORMAT_NAME}.` });
+    }
+    if (data.version !== undefined && data.version > JSON_FORMAT_VERSION) {
+        issues.push({ severity: 'warning', line: 1, message: `version ${data.version} is newer than this site supports (${JSON_FORMAT_VERSION}).` });
+    }
+
+    const starts = locateQuestions(text);
+    const questions = [];
+    data.questions.forEach((question, index) => {
+        const line = starts[index] === undefined ? 1 : lineAt(text, starts[index]);
+        if (!question || typeof question !== 'object' || Array.isArray(question)) {
+            issues.push({ severity: 'error', line, message: 'a question must be an object.' });
+            return;
+        }
+        questions.push({ line, question: toPlainQuestion(question) });
+    });
+
+    const quiz = pick(data, ['title', 'description', 'category']);
+    return { quiz, questions, issues };
+}
+
+/**
+ * Writes a quiz in the JSON interchange format. Every question type is kept;
+ * question pools, settings and related tutorials are specific to this site
+ * and are left out.
+ *
+ * @param {object} quiz
+ * @returns {{content: string, skipped: number[]}}
+ */
+export function toQuizJson(quiz) {
+    const data = {
+        format: JSON_FORMAT_NAME,
+        version: JSON_FORMAT_VERSION,
+        ...pick(quiz, ['title', 'description', 'category']),
+        questions: quiz.questions.map(toPlainQuestion),
+    };
+    return { content: `${JSON.stringify(data, null, 2)}\n`, skipped: [] };
+}
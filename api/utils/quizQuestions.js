@@ -0,0 +1,111 @@
+// api/utils/quizQuestions.js
+import { getLanguage } from '../services/languageRegistry.js';
+import { redactHiddenTestCases } from './grading.js';
+import { shuffle } from './quizSettings.js';
+
+// A code-writing question is graded against its test cases, or against
+// `correctAnswer` as the expected output of a run without input.
+export const getQuestionTestCases = (question) => {
+    if (question.testCases?.length) {
+        return question.testCases;
+    }
+    if (question.correctAnswer) {
+        return [{ name: 'Expected output', stdin: '', expectedOutput: question.correctAnswer, comparison: 'trimmed' }];
+    }
+    return [];
+};
+
+// Marks each gap in the code snippet of a multi-blank question
+export const BLANK_MARKER = '{{blank}}';
+
+export const countBlanks = (codeSnippet = '') => codeSnippet.split(BLANK_MARKER).length - 1;
+
+/**
+ * Checks that a question could be graded.
+ *
+ * @param {object} question
+ * @returns {string|null} Why the question could never be graded, or null.
+ */
+export const findGradingProblem = (question) => {
+    if (question.questionType === 'code-writing') {
+        if (!getLanguage(question.codeLanguage)) {
+            return 'choose a supported language for the code-writing question.';
+        }
+        if (getQuestionTestCases(question).length === 0) {
+            return 'provide the expected output or at least one test case.';
+        }
+    } else if (question.questionType === 'ordering') {
+        if (!Array.isArray(question.orderItems) || question.orderItems.length < 2) {
+            return 'ordering questions need at least two items.';
+        }
+    } else if (question.questionType === 'matching') {
+        if (!Array.isArray(question.matchPairs) || question.matchPairs.length < 2) {
+            return 'matching questions need at least two pairs.';
+        }
+    } else if (question.questionType === 'multi-blank') {
+        const blanks = countBlanks(question.codeSnippet);
+        if (blanks === 0 || blanks !== question.blankAnswers?.length) {
+            return `provide one answer for every ${BLANK_MARKER} in the code snippet.`;
+        }
+    } else if (question.questionType === 'numeric') {
+        const answer = question.numericAnswer;
+        if (answer === '' || answer === null || !Number.isFinite(Number(answer))) {
+            return 'numeric questions need a numeric answer.';
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks that every question of a quiz could be graded.
+ *
+ * @param {object[]} [questions]
+ * @returns {string|null} An error message naming the first question that
+ *   could never be graded, or null.
+ */
+export const findUngradableQuestion = (questions = []) => {
+    for (const [index, question] of questions.entries()) {
+        const problem = findGradingProblem(question);
+        if (problem) {
+            return `Question ${index + 1}: ${problem}`;
+        }
+    }
+    return null;
+};
+
+// Ordering items are never sent in their correct order
+const shuffleOrderItems = (items) => {
+    if (new Set(items).size < 2) return items;
+    let shuffled;
+    do {
+        shuffled = shuffle(items);
+    } while (shuffled.every((item, i) => item === items[i]));
+    return shuffled;
+};
+
+// What learners see of a question before they submit: no answer keys,
+// explanations or hidden test cases. The graded results of a submission
+// include the correct answers and explanations.
+const toLearnerQuestion = ({ correctAnswer, explanation, blankAnswers, numericAnswer, tolerance, ...question }) => ({
+    ...question,
+    // Code-writing questions show the output the program must print
+    ...(question.questionType === 'code-writing' && correctAnswer && { correctAnswer }),
+    options: (question.options || []).map(({ _id, text }) => ({ _id, text })),
+    ...(question.questionType === 'mcq' && {
+        allowsMultiple: question.options.filter((option) => option.isCorrect).length > 1,
+    }),
+    ...(question.orderItems?.length && { orderItems: shuffleOrderItems(question.orderItems) }),
+    ...(question.matchPairs?.length && {
+        matchPairs: question.matchPairs.map(({ _id, left }) => ({ _id, left })),
+        matchChoices: shuffle(question.matchPairs.map((pair) => pair.right)),
+    }),
+});
+
+
+/**
+ * What learners see of a quiz's questions before they submit.
+ *
+ * @param {object[]} questions - Plain question objects.
+ * @returns {object[]}
+ */
+export const toLearnerQuestions = (questions = []) => redactHiddenTestCases(questions.map(toLearnerQuestion));
@@ -0,0 +1,83 @@
+// api/utils/quizSettings.js
+
+// Submissions may arrive this long after an attempt's deadline, to make up
+// for network latency.
+export const SUBMISSION_GRACE_MS = 10 * 1000;
+
+/**
+ * Whether attempts at a quiz must be started with
+ * `POST /api/quizzes/:quizId/start` before they can be submitted. Timed,
+ * attempt-limited and shuffled quizzes need a started attempt to enforce
+ * their settings.
+ *
+ * @param {object} [settings] - The quiz's settings.
+ * @returns {boolean}
+ */
+export function requiresStart(settings = {}) {
+    return Boolean(
+        settings.timeLimitSeconds || settings.maxAttempts || settings.shuffleQuestions || settings.shuffleOptions
+    );
+}
+
+/**
+ * Checks a quiz's availability window.
+ *
+ * @param {object} [settings] - The quiz's settings.
+ * @param {Date} [now=new Date()]
+ * @returns {string|null} Why the quiz cannot be taken now, or null.
+ */
+export function getAvailabilityError(settings = {}, now = new Date()) {
+    if (settings.opensAt && now < settings.opensAt) {
+        return `This quiz opens on ${settings.opensAt.toISOString()}.`;
+    }
+    if (settings.closesAt && now > settings.closesAt) {
+        return 'This quiz has closed.';
+    }
+    return null;
+}
+
+/**
+ * The time by which an attempt started at `startedAt` must be submitted:
+ * the end of its time limit, or the quiz's closing date if that is earlier.
+ *
+ * @param {object} [settings] - The quiz's settings.
+ * @param {Date} startedAt
+ * @returns {Date|null} Null when the attempt has no deadline.
+ */
+export function getAttemptDeadline(settings = {}, startedAt) {
+    const candidates = [];
+    if (settings.timeLimitSeconds) {
+        candidates.push(startedAt.getTime() + settings.timeLimitSeconds * 1000);
+    }
+    if (settings.closesAt) {
+        candidates.push(settings.closesAt.getTime());
+    }
+    return candidates.length ? new Date(Math.min(...candidates)) : null;
+}
+
+/**
+ * Whether a submission at `now` is too late for `deadline`, allowing for
+ * SUBMISSION_GRACE_MS.
+ *
+ * @param {Date|null} deadline
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export function isPastDeadline(deadline, now = new Date()) {
+    return Boolean(deadline) && now.getTime() > deadline.getTime() + SUBMISSION_GRACE_MS;
+}
+
+/**
+ * Returns a shuffled copy of `items` (Fisher-Yates).
+ *
+ * @param {Array} items
+ * @returns {Array}
+ */
+export function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
@@ -0,0 +1,41 @@
+import {
+  SUBMISSION_GRACE_MS,
+  getAttemptDeadline,
+  getAvailabilityError,
+  isPastDeadline,
+  requiresStart,
+} from './quizSettings.js';
+
+describe('quiz settings', () => {
+  const startedAt = new Date('2025-01-01T10:00:00Z');
+
+  test('only quizzes with settings to enforce need a started attempt', () => {
+    expect(requiresStart({})).toBe(false);
+    expect(requiresStart({ timeLimitSeconds: 0, maxAttempts: 0 })).toBe(false);
+    expect(requiresStart({ timeLimitSeconds: 600 })).toBe(true);
+    expect(requiresStart({ maxAttempts: 2 })).toBe(true);
+    expect(requiresStart({ shuffleOptions: true })).toBe(true);
+  });
+
+  test('reports quizzes outside their availability window', () => {
+    const settings = { opensAt: new Date('2025-01-01T09:00:00Z'), closesAt: new Date('2025-01-01T11:00:00Z') };
+    expect(getAvailabilityError(settings, new Date('2025-01-01T08:59:00Z'))).toMatch('opens on');
+    expect(getAvailabilityError(settings, startedAt)).toBeNull();
+    expect(getAvailabilityError(settings, new Date('2025-01-01T11:01:00Z'))).toBe('This quiz has closed.');
+  });
+
+  test('the deadline is the earlier of the time limit and the closing date', () => {
+    expect(getAttemptDeadline({}, startedAt)).toBeNull();
+    expect(getAttemptDeadline({ timeLimitSeconds: 600 }, startedAt)).toEqual(new Date('2025-01-01T10:10:00Z'));
+    expect(
+      getAttemptDeadline({ timeLimitSeconds: 3600, closesAt: new Date('2025-01-01T10:30:00Z') }, startedAt)
+    ).toEqual(new Date('2025-01-01T10:30:00Z'));
+  });
+
+  test('late submissions are allowed a short grace period', () => {
+    const deadline = new Date('2025-01-01T10:10:00Z');
+    expect(isPastDeadline(null, new Date())).toBe(false);
+    expect(isPastDeadline(deadline, new Date(deadline.getTime() + SUBMISSION_GRACE_MS))).toBe(false);
+    expect(isPastDeadline(deadline, new Date(deadline.getTime() + SUBMISSION_GRACE_MS + 1))).toBe(true);
+  });
+});
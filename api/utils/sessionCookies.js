@@ -0,0 +1,66 @@
+// api/utils/sessionCookies.js
+import jwt from 'jsonwebtoken';
+import { errorHandler } from './error.js';
+import { getUserRole } from './permissions.js';
+import { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS } from '../services/session.service.js';
+
+// The refresh token is only ever sent to the API
+const REFRESH_COOKIE_PATH = '/api';
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+});
+
+/**
+ * Signs a JWT for the provided payload using the application's secret.
+ * An expiration is included to reduce the risk of token replay and enforce
+ * re-authentication. The secret is read from the environment and an error is
+ * thrown if it is missing so callers can handle it consistently.
+ *
+ * @param {object} payload - Data to embed within the token.
+ * @returns {string} Signed JSON Web Token.
+ */
+const signToken = (payload) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    // Using the same error handler ensures consistent error responses
+    throw errorHandler(500, 'JWT secret is missing');
+  }
+  return jwt.sign(payload, secret, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+};
+
+/**
+ * Sets the cookies that keep a device signed in: a short-lived access token
+ * naming the session, and the session's refresh token.
+ *
+ * @param {object} res - Express response.
+ * @param {object} params
+ * @param {object} params.user - The user's document.
+ * @param {object} params.session - Their Session document.
+ * @param {string|null} params.refreshToken - Null to leave the refresh cookie as it is.
+ */
+export const setSessionCookies = (res, { user, session, refreshToken }) => {
+  const token = signToken({ id: user._id, role: getUserRole(user), sid: session._id });
+  res.cookie('access_token', token, { ...cookieOptions(), maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 });
+  if (refreshToken) {
+    res.cookie('refresh_token', refreshToken, {
+      ...cookieOptions(),
+      path: REFRESH_COOKIE_PATH,
+      maxAge: REFRESH_TOKEN_TTL_MS,
+    });
+  }
+};
+
+// Signs the device out
+export const clearSessionCookies = (res) => {
+  res.clearCookie('access_token', cookieOptions());
+  res.clearCookie('refresh_token', { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+// Who is signing in or refreshing, as recorded on their session
+export const getClientInfo = (req) => ({
+  userAgent: req.headers?.['user-agent'] || '',
+  ip: req.ip,
+});
@@ -0,0 +1,126 @@
+// api/utils/tutorialProgress.js
+
+// Reports of time spent reading are capped, so a tab left open for hours
+// cannot inflate it
+export const MAX_TIME_REPORT_SECONDS = 5 * 60;
+
+/**
+ * The chapters and subchapters a learner has completed.
+ *
+ * @param {object|null} [progress] - The learner's Progress document, if any.
+ * @returns {Set<string>} Their ids.
+ */
+export function getCompletedChapterIds(progress) {
+    return new Set(
+        (progress?.chapters || []).filter((entry) => entry.completedAt).map((entry) => String(entry.chapter))
+    );
+}
+
+const toPercentage = (completedCount, totalCount) =>
+    totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
+
+const byOrder = (a, b) => a.order - b.order;
+
+/**
+ * A learner's progress through chapters and their subchapters, in order.
+ * Every chapter and subchapter counts once, so a chapter's counts cover
+ * itself and everything nested below it.
+ *
+ * @param {object[]} [chapters]
+ * @param {Set<string>} completedIds - See getCompletedChapterIds.
+ * @returns {object[]} `{ chapterId, chapterTitle, chapterSlug, completed,
+ *   completedCount, totalCount, percentage, subChapters }` per chapter.
+ */
+export function buildChapterProgress(chapters = [], completedIds) {
+    return [...chapters].sort(byOrder).map((chapter) => {
+        const subChapters = buildChapterProgress(chapter.subChapters, completedIds);
+        const completed = completedIds.has(String(chapter._id));
+        const completedCount = (completed ? 1 : 0) + subChapters.reduce((sum, sub) => sum + sub.completedCount, 0);
+        const totalCount = 1 + subChapters.reduce((sum, sub) => sum + sub.totalCount, 0);
+        return {
+            chapterId: chapter._id,
+            chapterTitle: chapter.chapterTitle,
+            chapterSlug: chapter.chapterSlug,
+            completed,
+            completedCount,
+            totalCount,
+            percentage: toPercentage(completedCount, totalCount),
+            subChapters,
+        };
+    });
+}
+
+/**
+ * A learner's progress through a whole tutorial.
+ *
+ * @param {object} tutorial
+ * @param {object|null} [progress] - The learner's Progress document, if any.
+ * @returns {{tutorialId: string, completed: boolean, completedCount: number,
+ *   totalCount: number, percentage: number, chapters: object[],
+ *   lastChapterId: string|null, lastPosition: number, timeSpentSeconds: number}}
+ *   `completed` is true once every chapter and subchapter is complete.
+ */
+export function buildTutorialProgress(tutorial, progress) {
+    const chapters = buildChapterProgress(tutorial.chapters, getCompletedChapterIds(progress));
+    const completedCount = chapters.reduce((sum, chapter) => sum + chapter.completedCount, 0);
+    const totalCount = chapters.reduce((sum, chapter) => sum + chapter.totalCount, 0);
+    return {
+        tutorialId: tutorial._id,
+        completed: totalCount > 0 && completedCount === totalCount,
+        completedCount,
+        totalCount,
+        percentage: toPercentage(completedCount, totalCount),
+        chapters,
+        lastChapterId: progress?.lastChapter ?? null,
+        lastPosition: progress?.lastPosition ?? 0,
+        timeSpentSeconds: progress?.timeSpentSeconds ?? 0,
+    };
+}
+
+// The entry for a chapter in a Progress document, added if missing
+const getChapterEntry = (progress, chapterId) => {
+    let entry = progress.chapters.find((candidate) => String(candidate.chapter) === String(chapterId));
+    if (!entry) {
+        progress.chapters.push({ chapter: chapterId, timeSpentSeconds: 0 });
+        entry = progress.chapters[progress.chapters.length - 1];
+    }
+    return entry;
+};
+
+/**
+ * Marks a chapter or subchapter as complete in a Progress document, and the
+ * tutorial once every chapter and subchapter is. Does not save it.
+ *
+ * @param {object} progress - The learner's Progress document.
+ * @param {object} tutorial
+ * @param {string} chapterId
+ * @param {Date} [now=new Date()]
+ * @returns {boolean} False if the chapter was already complete.
+ */
+export function completeChapter(progress, tutorial, chapterId, now = new Date()) {
+    const entry = getChapterEntry(progress, chapterId);
+    if (entry.completedAt) {
+        return false;
+    }
+    entry.completedAt = now;
+    if (!progress.completedAt && buildTutorialProgress(tutorial, progress).completed) {
+        progress.completedAt = now;
+    }
+    return true;
+}
+
+/**
+ * Records where a learner is in a tutorial and the time they spent reading a
+ * chapter since their last report. Does not save the Progress document.
+ *
+ * @param {object} progress - The learner's Progress document.
+ * @param {string} chapterId
+ * @param {{position?: number, timeSpentSeconds?: number}} report
+ */
+export function recordVisit(progress, chapterId, { position = 0, timeSpentSeconds = 0 }) {
+    const entry = getChapterEntry(progress, chapterId);
+    entry.timeSpentSeconds += timeSpentSeconds;
+    progress.timeSpentSeconds += timeSpentSeconds;
+    progress.lastChapter = chapterId;
+    progress.lastPosition = position;
+}
@@ -0,0 +1,96 @@
+import {
+  buildChapterProgress,
+  buildTutorialProgress,
+  completeChapter,
+  getCompletedChapterIds,
+  recordVisit,
+} from './tutorialProgress.js';
+
+const tutorial = {
+  _id: 'tutorial1',
+  chapters: [
+    {
+      _id: 'c2',
+      chapterTitle: 'Loops',
+      chapterSlug: 'loops',
+      order: 2,
+      subChapters: [
+        { _id: 'c2a', chapterTitle: 'For', chapterSlug: 'for', order: 1 },
+        { _id: 'c2b', chapterTitle: 'While', chapterSlug: 'while', order: 2 },
+      ],
+    },
+    { _id: 'c1', chapterTitle: 'Intro', chapterSlug: 'intro', order: 1, subChapters: [] },
+  ],
+};
+
+const createProgress = (chapters = []) => ({ chapters, timeSpentSeconds: 0, lastPosition: 0 });
+const done = new Date('2026-01-01');
+
+describe('tutorial progress', () => {
+  test('only completed entries count as completed chapters', () => {
+    const progress = createProgress([
+      { chapter: 'c1', completedAt: done },
+      { chapter: 'c2', timeSpentSeconds: 30 },
+    ]);
+    expect([...getCompletedChapterIds(progress)]).toEqual(['c1']);
+    expect(getCompletedChapterIds(null).size).toBe(0);
+  });
+
+  test('every chapter counts itself and its subchapters, in order', () => {
+    const [intro, loops] = buildChapterProgress(tutorial.chapters, new Set(['c1', 'c2a']));
+
+    expect(intro).toMatchObject({ chapterId: 'c1', completed: true, completedCount: 1, totalCount: 1, percentage: 100 });
+    expect(loops).toMatchObject({ chapterId: 'c2', completed: false, completedCount: 1, totalCount: 3, percentage: 33 });
+    expect(loops.subChapters.map((sub) => [sub.chapterSlug, sub.completed])).toEqual([
+      ['for', true],
+      ['while', false],
+    ]);
+  });
+
+  test('learners without progress have completed nothing', () => {
+    expect(buildTutorialProgress(tutorial, null)).toMatchObject({
+      completed: false,
+      completedCount: 0,
+      totalCount: 4,
+      percentage: 0,
+      lastChapterId: null,
+      timeSpentSeconds: 0,
+    });
+    expect(buildTutorialProgress({ chapters: [] }, null)).toMatchObject({ completed: false, percentage: 0 });
+  });
+
+  test('completing the last chapter completes the tutorial', () => {
+    const progress = createProgress([
+      { chapter: 'c1', completedAt: done },
+      { chapter: 'c2', completedAt: done },
+      { chapter: 'c2a', completedAt: done },
+    ]);
+
+    expect(completeChapter(progress, tutorial, 'c2a')).toBe(false);
+    expect(progress.completedAt).toBeUndefined();
+
+    const now = new Date('2026-02-01');
+    expect(completeChapter(progress, tutorial, 'c2b', now)).toBe(true);
+    expect(progress.chapters[3]).toMatchObject({ chapter: 'c2b', completedAt: now });
+    expect(progress.completedAt).toBe(now);
+    expect(buildTutorialProgress(tutorial, progress)).toMatchObject({ completed: true, percentage: 100 });
+  });
+
+  test('visits record the position and add up reading time', () => {
+    const progress = createProgress([{ chapter: 'c1', completedAt: done, timeSpentSeconds: 10 }]);
+
+    recordVisit(progress, 'c1', { position: 0.5, timeSpentSeconds: 20 });
+    recordVisit(progress, 'c2', { position: 0.25, timeSpentSeconds: 5 });
+
+    expect(progress.chapters).toEqual([
+      { chapter: 'c1', completedAt: done, timeSpentSeconds: 30 },
+      { chapter: 'c2', timeSpentSeconds: 5 },
+    ]);
+    expect(buildTutorialProgress(tutorial, progress)).toMatchObject({
+      lastChapterId: 'c2',
+      lastPosition: 0.25,
+      timeSpentSeconds: 25,
+      completedCount: 1,
+    });
+  });
+});
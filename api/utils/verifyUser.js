@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { errorHandler } from './error.js';
+import { hasPermission } from './permissions.js';
 
 export const verifyToken = (req, res, next) => {
     const token = req.cookies?.access_token;
@@ -26,4 +27,33 @@ export const verifyToken = (req, res, next) => {
         }
         return next(errorHandler(401, 'Unauthorized'));
     }
-};
\ No newline at end of file
+};
+/**
+ * Sets req.user when the request carries a valid access token, and lets
+ * every request through, so public routes can tailor what signed-in users see.
+ */
+export const identifyUser = (req, res, next) => {
+    const token = req.cookies?.access_token;
+    const secret = process.env.JWT_SECRET;
+    if (token && secret) {
+        try {
+            req.user = jwt.verify(token, secret);
+        } catch {
+            // An expired or forged token is treated as signed out
+        }
+    }
+    next();
+};
+/**
+ * Lets a request through only if the signed-in user has at least one of the
+ * permissions. Goes after verifyToken.
+ *
+ * @param {...string} permissions - From PERMISSIONS in permissions.js.
+ * @returns {Function} Express middleware.
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.some((permission) => hasPermission(req.user, permission))) {
+        return next(errorHandler(403, 'You do not have permission to do this'));
+    }
+    next();
+};
@@ -0,0 +1,175 @@
+// api/utils/xml.js
+// A small XML reader and writer for the quiz interchange formats. It handles
+// elements, attributes, text, CDATA sections, comments and the predefined and
+// numeric entities; DTDs and processing instructions are skipped.
+
+/**
+ * Raised for malformed XML, with the line it was found on.
+ */
+export class XmlError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'XmlError';
+        this.line = line;
+    }
+}
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Replaces entity references in text or attribute values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Escapes text for use in element content or attribute values.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const NAME = /^[A-Za-z_:][\w:.-]*/;
+const ATTRIBUTE = /^\s+([A-Za-z_:][\w:.-]*)\s*=\s*("([^"]*)"|'([^']*)')/;
+
+/**
+ * Parses an XML document.
+ *
+ * @param {string} source
+ * @returns {{name: string, attributes: object, children: Array, line: number}}
+ *   The root element. Children are elements or strings; every element records
+ *   the line its start tag is on.
+ * @throws {XmlError} When the document is malformed.
+ */
+export function parseXml(source) {
+    let pos = 0;
+    let line = 1;
+    const root = { name: '#document', attributes: {}, children: [], line: 1 };
+    const stack = [root];
+
+    const advance = (to) => {
+        for (let i = pos; i < to; i++) {
+            if (source[i] === '\n') line++;
+        }
+        pos = to;
+    };
+    const skipPast = (terminator, what) => {
+        const end = source.indexOf(terminator, pos);
+        if (end === -1) throw new XmlError(`Unterminated ${what}.`, line);
+        const content = source.slice(pos, end);
+        advance(end + terminator.length);
+        return content;
+    };
+    const current = () => stack[stack.length - 1];
+
+    while (pos < source.length) {
+        const next = source.indexOf('<', pos);
+        if (next === -1 || next > pos) {
+            const text = source.slice(pos, next === -1 ? source.length : next);
+            if (text.trim() && stack.length === 1) throw new XmlError('Text outside the root element.', line);
+            if (stack.length > 1) current().children.push(decodeEntities(text));
+            advance(next === -1 ? source.length : next);
+            continue;
+        }
+
+        if (source.startsWith('<!--', pos)) {
+            advance(pos + 4);
+            skipPast('-->', 'comment');
+        } else if (source.startsWith('<![CDATA[', pos)) {
+            advance(pos + 9);
+            const text = skipPast(']]>', 'CDATA section');
+            current().children.push(text);
+        } else if (source.startsWith('<?', pos)) {
+            advance(pos + 2);
+            skipPast('?>', 'processing instruction');
+        } else if (source.startsWith('<!', pos)) {
+            advance(pos + 2);
+            skipPast('>', 'declaration');
+        } else if (source.startsWith('</', pos)) {
+            const tagLine = line;
+            advance(pos + 2);
+            const name = skipPast('>', 'end tag').trim();
+            const open = current();
+            if (stack.length === 1 || open.name !== name) {
+                throw new XmlError(`Unexpected </${name}>${stack.length > 1 ? `, expected </${open.name}>` : ''}.`, tagLine);
+            }
+            stack.pop();
+        } else {
+            const tagLine = line;
+            advance(pos + 1);
+            const nameMatch = source.slice(pos).match(NAME);
+            if (!nameMatch) throw new XmlError('Invalid tag name.', tagLine);
+            const element = { name: nameMatch[0], attributes: {}, children: [], line: tagLine };
+            advance(pos + nameMatch[0].length);
+
+            let attribute;
+            while ((attribute = source.slice(pos).match(ATTRIBUTE))) {
+                element.attributes[attribute[1]] = decodeEntities(attribute[3] ?? attribute[4]);
+                advance(pos + attribute[0].length);
+            }
+            const close = source.slice(pos).match(/^\s*(\/?)>/);
+            if (!close) throw new XmlError(`Malformed <${element.name}> tag.`, tagLine);
+            advance(pos + close[0].length);
+
+            if (stack.length === 1 && root.children.length) {
+                throw new XmlError('More than one root element.', tagLine);
+            }
+            current().children.push(element);
+            if (!close[1]) stack.push(element);
+        }
+    }
+
+    if (stack.length > 1) throw new XmlError(`<${current().name}> is never closed.`, current().line);
+    if (!root.children.length) throw new XmlError('The document has no root element.', line);
+    return root.children[0];
+}
+
+/**
+ * The child elements of `element`, optionally only those named `name`.
+ *
+ * @param {object} element
+ * @param {string} [name]
+ * @returns {object[]}
+ */
+export function childElements(element, name) {
+    return (element?.children || []).filter((child) => typeof child === 'object' && (!name || child.name === name));
+}
+
+/**
+ * The first child element of `element` named `name`, if any.
+ *
+ * @param {object} element
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+export function firstChild(element, name) {
+    return childElements(element, name)[0];
+}
+
+/**
+ * All the text inside `element`, including that of its descendants.
+ *
+ * @param {object} [element]
+ * @returns {string}
+ */
+export function textOf(element) {
+    if (!element) return '';
+    return element.children.map((child) => (typeof child === 'string' ? child : textOf(child))).join('');
+}
@@ -17,4 +17,10 @@ module.exports = {
       { allowConstantExport: true },
     ],
   },
+  overrides: [
+    {
+      files: ['**/__tests__/**'],
+      env: { jest: true },
+    },
+  ],
 }
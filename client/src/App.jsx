@@ -6,13 +6,18 @@ import 'highlight.js/styles/atom-one-dark.css';
 // Import layout and route protection components statically
 import MainLayout from './components/MainLayout';
 import PrivateRoute from './components/PrivateRoute';
-import OnlyAdminPrivateRoute from './components/OnlyAdminPrivateRoute';
+import PermissionPrivateRoute from './components/PermissionPrivateRoute';
+import { PERMISSIONS } from './utils/permissions';
 
 // LAZY LOAD all page components for code-splitting
 const Home = lazy(() => import('./pages/Home'));
 const About = lazy(() => import('./pages/About'));
 const SignIn = lazy(() => import('./pages/SignIn'));
 const SignUp = lazy(() => import('./pages/SignUp'));
+const GithubCallback = lazy(() => import('./pages/GithubCallback'));
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
 const Dashboard = lazy(() => import('./pages/Dashboard'));
 const Projects = lazy(() => import('./pages/Projects'));
 const CreatePost = lazy(() => import('./pages/CreatePost'));
@@ -74,15 +79,25 @@ export default function App() {
                             <Route path="dashboard" element={<Dashboard />} />
                         </Route>
 
-                        {/* Admin Routes also use the main layout */}
-                        <Route element={<OnlyAdminPrivateRoute />}>
+                        {/* Authoring Routes also use the main layout */}
+                        <Route element={<PermissionPrivateRoute permissions={[PERMISSIONS.WRITE_POSTS]} />}>
                             <Route path="create-post" element={<CreatePost />} />
+                        </Route>
+                        <Route element={<PermissionPrivateRoute permissions={[PERMISSIONS.WRITE_POSTS, PERMISSIONS.EDIT_ANY_CONTENT]} />}>
                             <Route path="update-post/:postId" element={<UpdatePost />} />
-                            {/* Admin Tutorial Routes */}
+                        </Route>
+                        {/* Tutorial Authoring Routes */}
+                        <Route element={<PermissionPrivateRoute permissions={[PERMISSIONS.WRITE_TUTORIALS]} />}>
                             <Route path="create-tutorial" element={<CreateTutorial />} />
+                        </Route>
+                        <Route element={<PermissionPrivateRoute permissions={[PERMISSIONS.WRITE_TUTORIALS, PERMISSIONS.EDIT_ANY_CONTENT]} />}>
                             <Route path="update-tutorial/:tutorialId" element={<UpdateTutorial />} />
-                            {/* Admin Quiz Routes */}
+                        </Route>
+                        {/* Quiz Authoring Routes */}
+                        <Route element={<PermissionPrivateRoute permissions={[PERMISSIONS.WRITE_QUIZZES]} />}>
                             <Route path="create-quiz" element={<CreateQuiz />} />
+                        </Route>
+                        <Route element={<PermissionPrivateRoute permissions={[PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.EDIT_ANY_CONTENT]} />}>
                             <Route path="update-quiz/:quizId" element={<UpdateQuiz />} />
                         </Route>
 
@@ -91,6 +106,10 @@ export default function App() {
 
                     <Route path="/sign-in" element={<SignIn />} />
                     <Route path="/sign-up" element={<SignUp />} />
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route path="/oauth/github" element={<GithubCallback />} />
                 </Routes>
             </Suspense>
         </BrowserRouter>
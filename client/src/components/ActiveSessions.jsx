@@ -0,0 +1,68 @@
+// client/src/components/ActiveSessions.jsx
+import { Alert, Badge, Button, Spinner } from 'flowbite-react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useDispatch } from 'react-redux';
+import { HiDesktopComputer } from 'react-icons/hi';
+import { getSessions, revokeSession } from '../services/authService';
+import { signoutSuccess } from '../redux/user/userSlice';
+
+/**
+ * The devices the signed-in user is signed in on, each of which can be
+ * signed out remotely.
+ */
+export default function ActiveSessions() {
+    const dispatch = useDispatch();
+    const queryClient = useQueryClient();
+    const { data: sessions, isLoading, isError, error } = useQuery({
+        queryKey: ['sessions'],
+        queryFn: getSessions,
+    });
+
+    const revokeMutation = useMutation({
+        mutationFn: ({ id }) => revokeSession(id),
+        onSuccess: (_data, { current }) => {
+            if (current) {
+                dispatch(signoutSuccess());
+                return;
+            }
+            queryClient.invalidateQueries({ queryKey: ['sessions'] });
+        },
+    });
+
+    if (isLoading) return <Spinner className='self-center' />;
+    if (isError) return <Alert color='failure'>{error.message}</Alert>;
+
+    return (
+        <div className='flex flex-col gap-3'>
+            <h2 className='font-semibold text-lg'>Sessions</h2>
+            <ul className='divide-y dark:divide-gray-700'>
+                {sessions.map((session) => (
+                    <li key={session.id} className='py-2 flex justify-between items-center gap-2'>
+                        <div className='flex items-center gap-3'>
+                            <HiDesktopComputer className='w-5 h-5 shrink-0 text-gray-500' />
+                            <div>
+                                <p className='flex items-center gap-2'>
+                                    {session.device}
+                                    {session.current && <Badge color='info'>This device</Badge>}
+                                </p>
+                                <p className='text-xs text-gray-500 dark:text-gray-400'>
+                                    Last active {new Date(session.lastSeenAt).toLocaleString()}
+                                    {session.ip && ` · ${session.ip}`}
+                                </p>
+                            </div>
+                        </div>
+                        <Button
+                            size='xs'
+                            color='light'
+                            disabled={revokeMutation.isPending}
+                            onClick={() => revokeMutation.mutate(session)}
+                        >
+                            {session.current ? 'Sign out' : 'Revoke'}
+                        </Button>
+                    </li>
+                ))}
+            </ul>
+            {revokeMutation.isError && <Alert color='failure'>{revokeMutation.error.message}</Alert>}
+        </div>
+    );
+}
@@ -0,0 +1,79 @@
+// client/src/components/ActivityHeatmap.jsx
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Darker squares for busier days
+const levelClasses = [
+    'bg-gray-200 dark:bg-gray-700',
+    'bg-teal-200 dark:bg-teal-900',
+    'bg-teal-400 dark:bg-teal-700',
+    'bg-teal-600 dark:bg-teal-500',
+    'bg-teal-800 dark:bg-teal-300',
+];
+
+const toLevel = (count) => (count === 0 ? 0 : Math.min(levelClasses.length - 1, Math.ceil(count / 2)));
+
+/**
+ * A calendar of daily activity, one column per week, like a contribution
+ * graph. Dates are UTC days, as the API counts them.
+ */
+export default function ActivityHeatmap({ activity }) {
+    const weeks = useMemo(() => {
+        const counts = new Map(activity.days.map(({ date, count }) => [date, count]));
+        const start = Date.parse(activity.from);
+        const end = Date.parse(activity.to);
+        // Pad the first week so every column starts on a Sunday
+        const cells = Array.from({ length: new Date(start).getUTCDay() }, () => null);
+        for (let time = start; time <= end; time += DAY_MS) {
+            const date = new Date(time).toISOString().slice(0, 10);
+            cells.push({ date, count: counts.get(date) || 0 });
+        }
+        const columns = [];
+        for (let index = 0; index < cells.length; index += 7) {
+            columns.push(cells.slice(index, index + 7));
+        }
+        return columns;
+    }, [activity]);
+
+    const total = activity.days.reduce((sum, day) => sum + day.count, 0);
+
+    return (
+        <div>
+            <div className='flex gap-[3px] overflow-x-auto pb-2'>
+                {weeks.map((week, weekIndex) => (
+                    <div key={weekIndex} className='flex flex-col gap-[3px]'>
+                        {week.map((day, dayIndex) =>
+                            day ? (
+                                <div
+                                    key={day.date}
+                                    title={`${day.count} ${day.count === 1 ? 'activity' : 'activities'} on ${day.date}`}
+                                    className={`w-3 h-3 rounded-sm ${levelClasses[toLevel(day.count)]}`}
+                                />
+                            ) : (
+                                <div key={`pad-${dayIndex}`} className='w-3 h-3' />
+                            )
+                        )}
+                    </div>
+                ))}
+            </div>
+            <p className='text-sm text-gray-500 dark:text-gray-400 mt-1'>
+                {total} completed {total === 1 ? 'chapter or quiz' : 'chapters and quizzes'} in the last year
+            </p>
+        </div>
+    );
+}
+
+ActivityHeatmap.propTypes = {
+    activity: PropTypes.shape({
+        from: PropTypes.string.isRequired,
+        to: PropTypes.string.isRequired,
+        days: PropTypes.arrayOf(
+            PropTypes.shape({
+                date: PropTypes.string.isRequired,
+                count: PropTypes.number.isRequired,
+            })
+        ).isRequired,
+    }).isRequired,
+};
@@ -0,0 +1,223 @@
+// client/src/components/BankQuestionForm.jsx
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Button, Checkbox, Label, Select, Spinner, TextInput, Textarea } from 'flowbite-react';
+import { FaTrash, FaPlus } from 'react-icons/fa';
+import CodeWritingQuestionFields from './CodeWritingQuestionFields';
+import StructuredQuestionFields from './StructuredQuestionFields';
+
+const labelClass = 'block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300';
+
+const emptyBankQuestion = {
+    questionText: '',
+    questionType: 'mcq',
+    options: [
+        { text: '', isCorrect: false },
+        { text: '', isCorrect: false },
+    ],
+    correctAnswer: '',
+    codeSnippet: '',
+    explanation: '',
+    tags: [],
+    difficulty: 'medium',
+    language: '',
+};
+
+/**
+ * Edits a question in the question bank: the question itself, as in the
+ * quiz editor, plus the tags, difficulty and language quizzes draw it by.
+ */
+export default function BankQuestionForm({ initialQuestion = emptyBankQuestion, onSubmit, onCancel, isSaving = false, error }) {
+    const [question, setQuestion] = useState({
+        ...emptyBankQuestion,
+        ...initialQuestion,
+        options: initialQuestion.options?.length ? initialQuestion.options : emptyBankQuestion.options,
+        tags: (initialQuestion.tags || []).join(', '),
+    });
+
+    const setField = (field, value) => setQuestion((prev) => ({ ...prev, [field]: value }));
+
+    const setOption = (optIndex, field, value) =>
+        setField(
+            'options',
+            question.options.map((option, i) => {
+                if (i === optIndex) return { ...option, [field]: value };
+                return field === 'isCorrect' && value ? { ...option, isCorrect: false } : option;
+            })
+        );
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        // The server splits and normalizes the comma-separated tags
+        onSubmit(question);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+            <div>
+                <label htmlFor="bank-questionText" className={labelClass}>Question Text</label>
+                <Textarea
+                    id="bank-questionText"
+                    placeholder='Type your question here...'
+                    required
+                    value={question.questionText}
+                    onChange={(e) => setField('questionText', e.target.value)}
+                    rows={3}
+                />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label htmlFor="bank-questionType" className={labelClass}>Question Type</label>
+                    <Select id="bank-questionType" value={question.questionType} onChange={(e) => setField('questionType', e.target.value)}>
+                        <option value="mcq">Multiple Choice</option>
+                        <option value="fill-in-the-blank">Fill in the Blank</option>
+                        <option value="code-output">Code Output (JS only)</option>
+                        <option value="code-writing">Write Code (run and graded)</option>
+                        <option value="ordering">Ordering (drag into place)</option>
+                        <option value="matching">Matching Pairs</option>
+                        <option value="multi-blank">Code with Blanks</option>
+                        <option value="numeric">Numeric Answer</option>
+                    </Select>
+                </div>
+                <div>
+                    <label htmlFor="bank-difficulty" className={labelClass}>Difficulty</label>
+                    <Select id="bank-difficulty" value={question.difficulty} onChange={(e) => setField('difficulty', e.target.value)}>
+                        <option value="easy">Easy</option>
+                        <option value="medium">Medium</option>
+                        <option value="hard">Hard</option>
+                    </Select>
+                </div>
+                <div>
+                    <label htmlFor="bank-language" className={labelClass}>Language (Optional)</label>
+                    <TextInput
+                        id="bank-language"
+                        placeholder='e.g. python'
+                        value={question.language || ''}
+                        onChange={(e) => setField('language', e.target.value)}
+                    />
+                </div>
+            </div>
+
+            <div>
+                <label htmlFor="bank-tags" className={labelClass}>Tags</label>
+                <TextInput
+                    id="bank-tags"
+                    placeholder='Comma-separated topics, e.g. loops, recursion'
+                    value={question.tags}
+                    onChange={(e) => setField('tags', e.target.value)}
+                />
+            </div>
+
+            {question.questionType === 'mcq' && (
+                <div className="border border-dashed border-gray-300 dark:border-gray-600 p-4 rounded-md">
+                    <h4 className="font-semibold text-gray-700 dark:text-gray-200 mb-3">Options</h4>
+                    {question.options.map((option, optIndex) => (
+                        <div key={optIndex} className="flex items-center gap-2 mb-2">
+                            <TextInput
+                                placeholder={`Option ${optIndex + 1}`}
+                                value={option.text}
+                                onChange={(e) => setOption(optIndex, 'text', e.target.value)}
+                                className="flex-grow"
+                                required
+                            />
+                            <div className="flex items-center">
+                                <Checkbox
+                                    id={`bank-isCorrect-${optIndex}`}
+                                    checked={option.isCorrect}
+                                    onChange={(e) => setOption(optIndex, 'isCorrect', e.target.checked)}
+                                />
+                                <Label htmlFor={`bank-isCorrect-${optIndex}`} className="ml-1 text-sm">Correct</Label>
+                            </div>
+                            <Button
+                                type="button"
+                                size="xs"
+                                color="red"
+                                onClick={() => setField('options', question.options.filter((_, i) => i !== optIndex))}
+                                className="p-1"
+                                disabled={question.options.length <= 2}
+                            >
+                                <FaTrash />
+                            </Button>
+                        </div>
+                    ))}
+                    <Button
+                        type="button"
+                        size="sm"
+                        outline
+                        gradientDuoTone="greenToBlue"
+                        onClick={() => setField('options', [...question.options, { text: '', isCorrect: false }])}
+                        className="mt-2"
+                    >
+                        <FaPlus className="mr-1" /> Add Option
+                    </Button>
+                </div>
+            )}
+
+            {(question.questionType === 'fill-in-the-blank' || question.questionType === 'code-output') && (
+                <div className="flex flex-col gap-3">
+                    {question.questionType === 'code-output' && (
+                        <div>
+                            <label htmlFor="bank-codeSnippet" className={labelClass}>Code Snippet (JavaScript)</label>
+                            <Textarea
+                                id="bank-codeSnippet"
+                                value={question.codeSnippet || ''}
+                                onChange={(e) => setField('codeSnippet', e.target.value)}
+                                rows={6}
+                                className="font-mono"
+                                required
+                            />
+                        </div>
+                    )}
+                    <div>
+                        <label htmlFor="bank-correctAnswer" className={labelClass}>
+                            {question.questionType === 'code-output' ? 'Expected Console Output' : 'Correct Answer'}
+                        </label>
+                        <Textarea
+                            id="bank-correctAnswer"
+                            value={question.correctAnswer || ''}
+                            onChange={(e) => setField('correctAnswer', e.target.value)}
+                            rows={2}
+                            required
+                        />
+                    </div>
+                </div>
+            )}
+
+            {question.questionType === 'code-writing' && (
+                <CodeWritingQuestionFields question={question} qIndex={0} onFieldChange={setField} />
+            )}
+
+            <StructuredQuestionFields question={question} qIndex={0} onFieldChange={setField} />
+
+            <div>
+                <label htmlFor="bank-explanation" className={labelClass}>Explanation (Optional)</label>
+                <Textarea
+                    id="bank-explanation"
+                    value={question.explanation || ''}
+                    onChange={(e) => setField('explanation', e.target.value)}
+                    rows={3}
+                />
+            </div>
+
+            {error && <Alert color="failure">{error}</Alert>}
+
+            <div className="flex justify-end gap-3">
+                <Button type="button" color="gray" onClick={onCancel} disabled={isSaving}>
+                    Cancel
+                </Button>
+                <Button type="submit" gradientDuoTone="purpleToPink" disabled={isSaving}>
+                    {isSaving ? <><Spinner size="sm" /><span className="pl-3">Saving...</span></> : 'Save Question'}
+                </Button>
+            </div>
+        </form>
+    );
+}
+
+BankQuestionForm.propTypes = {
+    initialQuestion: PropTypes.object,
+    onSubmit: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    isSaving: PropTypes.bool,
+    error: PropTypes.string,
+};
@@ -0,0 +1,54 @@
+// client/src/components/BreakpointsPanel.jsx
+import PropTypes from 'prop-types';
+import { FaTimes } from 'react-icons/fa';
+
+// Breakpoints set from the editor gutter, each with an optional condition.
+export default function BreakpointsPanel({ breakpoints, onChange }) {
+    const lines = Object.keys(breakpoints).map(Number).sort((a, b) => a - b);
+
+    const setCondition = (line, condition) => onChange({ ...breakpoints, [line]: { condition } });
+
+    const remove = (line) => {
+        const next = { ...breakpoints };
+        delete next[line];
+        onChange(next);
+    };
+
+    return (
+        <div className="p-2 rounded bg-gray-100 dark:bg-gray-700 text-sm">
+            <h4 className="font-semibold mb-1">Breakpoints</h4>
+            {lines.length === 0 ? (
+                <p className="text-xs text-gray-500">Click the editor gutter to add a breakpoint.</p>
+            ) : (
+                <ul className="space-y-1">
+                    {lines.map((line) => (
+                        <li key={line} className="flex items-center gap-2 text-xs">
+                            <span className="w-2 h-2 rounded-full bg-red-600 shrink-0" />
+                            <span className="w-12 shrink-0">Line {line}</span>
+                            <input
+                                value={breakpoints[line].condition}
+                                onChange={(e) => setCondition(line, e.target.value)}
+                                placeholder="Condition (optional), e.g. i === 3"
+                                aria-label={`Condition for line ${line}`}
+                                className="flex-1 p-1 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 font-mono"
+                            />
+                            <button
+                                type="button"
+                                onClick={() => remove(line)}
+                                className="text-gray-500 hover:text-red-500"
+                                aria-label={`Remove breakpoint on line ${line}`}
+                            >
+                                <FaTimes />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+BreakpointsPanel.propTypes = {
+    breakpoints: PropTypes.objectOf(PropTypes.shape({ condition: PropTypes.string })).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
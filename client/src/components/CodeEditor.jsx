@@ -1,5 +1,5 @@
 // client/src/components/CodeEditor.jsx
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import Editor from '@monaco-editor/react';
 import { Button, ToggleSwitch, Alert, Select, Dropdown } from 'flowbite-react';
 import { useSelector } from 'react-redux';
@@ -23,22 +23,70 @@ import {
     FaJs,
     FaPython,
     FaFileCode,
+    FaClipboardCheck,
+    FaJava,
 } from 'react-icons/fa';
-import { SiCplusplus } from 'react-icons/si';
+import { SiC, SiCplusplus, SiGnubash, SiGo, SiRuby, SiRust, SiTypescript } from 'react-icons/si';
 import { motion, AnimatePresence } from 'framer-motion';
 import PropTypes from 'prop-types';
 
 import LanguageSelector from './LanguageSelector';
 import TerminalPane from './TerminalPane';
+import TestResultsPanel from './TestResultsPanel';
+import ProblemsPanel from './ProblemsPanel';
+import { streamExecution, cancelExecution } from '../services/executionService';
 
 const defaultCodes = {
     html: `<!DOCTYPE html>\n<html>\n<body>\n\n  <h1>Try It Yourself</h1>\n  <p>Edit the code below and see the output.</p>\n\n</body>\n</html>`,
     css: `body {\n  font-family: sans-serif;\n  background-color: #f0f0f0;\n}\nh1 {\n  color: #333;\n}`,
     javascript: `console.log("This is the JS console output.");`,
     cpp: `#include <iostream>\n\nint main() {\n    std::cout << "Hello, C++ World!";\n    return 0;\n}`,
-    python: `print("Hello, Python!")`
+    python: `print("Hello, Python!")`,
+    typescript: `const greeting: string = "Hello, TypeScript!";\nconsole.log(greeting);`,
+    c: `#include <stdio.h>\n\nint main(void) {\n    printf("Hello, C World!\\n");\n    return 0;\n}`,
+    java: `public class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello, Java!");\n    }\n}`,
+    go: `package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello, Go!")\n}`,
+    rust: `fn main() {\n    println!("Hello, Rust!");\n}`,
+    ruby: `puts "Hello, Ruby!"`,
+    bash: `echo "Hello, Bash!"`
 };
 
+const markerSeverities = { error: 'Error', warning: 'Warning', info: 'Info' };
+
+// Converts a diagnostic from the server into a Monaco marker. Diagnostics
+// without a column underline the whole line; otherwise the word at the
+// column is underlined.
+const toMarker = (monaco, model, diagnostic) => {
+    const line = Math.min(Math.max(diagnostic.line, 1), model.getLineCount());
+    const startColumn = diagnostic.column || model.getLineFirstNonWhitespaceColumn(line) || 1;
+    const word = diagnostic.column ? model.getWordAtPosition({ lineNumber: line, column: startColumn }) : null;
+    const endColumn = diagnostic.column
+        ? Math.max(word?.endColumn || startColumn + 1, startColumn + 1)
+        : model.getLineMaxColumn(line);
+    return {
+        severity: monaco.MarkerSeverity[markerSeverities[diagnostic.severity] || 'Error'],
+        message: diagnostic.message,
+        startLineNumber: line,
+        startColumn,
+        endLineNumber: line,
+        endColumn,
+    };
+};
+
+// File created when a language without an open file is selected
+const defaultFileNames = {
+    typescript: 'main.ts',
+    c: 'main.c',
+    java: 'Main.java',
+    go: 'main.go',
+    rust: 'main.rs',
+    ruby: 'main.rb',
+    bash: 'main.sh',
+};
+
+// Monaco ids for languages whose id differs from ours
+const monacoLanguages = { bash: 'shell' };
+
 const suggestions = {
     javascript: [
             {
@@ -94,6 +142,16 @@ const suggestions = {
     ],
 };
 
+// Splits the program input into the lines handed out by prompt() in the live preview.
+const toInputLines = (text) => {
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+};
+
+// Serialises a value for inlining into a <script> without closing the tag early.
+const toScriptLiteral = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
 let monacoInitialized = false;
 const initializeMonaco = (monaco) => {
     if (monacoInitialized) return;
@@ -155,7 +213,7 @@ const initializeMonaco = (monaco) => {
     });
 };
 
-export default function CodeEditor({ initialCode = {}, language = 'html', expectedOutput = '' }) {
+export default function CodeEditor({ initialCode = {}, language = 'html', expectedOutput = '', defaultStdin = '', onSubmitTests }) {
     const { theme } = useSelector((state) => state.theme);
 
     const getFileIcon = (lang) => {
@@ -170,17 +228,39 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
                 return <FaPython className="text-blue-400" />;
             case 'cpp':
                 return <SiCplusplus className="text-blue-600" />;
+            case 'c':
+                return <SiC className="text-blue-700" />;
+            case 'typescript':
+                return <SiTypescript className="text-blue-500" />;
+            case 'java':
+                return <FaJava className="text-red-500" />;
+            case 'go':
+                return <SiGo className="text-cyan-500" />;
+            case 'rust':
+                return <SiRust className="text-orange-700" />;
+            case 'ruby':
+                return <SiRuby className="text-red-600" />;
+            case 'bash':
+                return <SiGnubash className="text-gray-600" />;
             default:
                 return <FaFileCode />;
         }
     };
 
+    const createDefaultFile = (lang, id = `${lang}-${Date.now()}`) => ({
+        id,
+        name: defaultFileNames[lang],
+        language: lang,
+        code: initialCode[lang] || defaultCodes[lang] || '',
+    });
+
     const createInitialFiles = () => [
         { id: 'html-1', name: 'index.html', language: 'html', code: initialCode.html || defaultCodes.html },
         { id: 'css-1', name: 'style.css', language: 'css', code: initialCode.css || defaultCodes.css },
         { id: 'js-1', name: 'script.js', language: 'javascript', code: initialCode.javascript || defaultCodes.javascript },
         { id: 'cpp-1', name: 'main.cpp', language: 'cpp', code: initialCode.cpp || defaultCodes.cpp },
         { id: 'py-1', name: 'main.py', language: 'python', code: initialCode.python || defaultCodes.python },
+        ...(defaultFileNames[language] ? [createDefaultFile(language, `${language}-1`)] : []),
     ];
 
     const [files, setFiles] = useState(createInitialFiles);
@@ -193,6 +273,14 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
     const selectedLanguage = selectedFile.language;
     const [srcDoc, setSrcDoc] = useState('');
     const [consoleOutput, setConsoleOutput] = useState('');
+    const [stdin, setStdin] = useState(defaultStdin);
+    // Events of the current server-side run, rendered live by TerminalPane
+    const [runEvents, setRunEvents] = useState([]);
+    const runIdRef = useRef(null);
+    // Problems reported by the last run and the file they belong to
+    const [diagnostics, setDiagnostics] = useState([]);
+    const [diagnosticsFileId, setDiagnosticsFileId] = useState(null);
+    const runAbortRef = useRef(null);
     // Flag to automatically re-run code on changes
     const [autoRun, setAutoRun] = useState(true);
     const [isRunning, setIsRunning] = useState(false);
@@ -202,6 +290,9 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
     const [isSaving, setIsSaving] = useState(false);
     const [shareMessage, setShareMessage] = useState('');
     const [isFullScreen, setIsFullScreen] = useState(false);
+    const [grade, setGrade] = useState(null);
+    const [gradeError, setGradeError] = useState('');
+    const [isGrading, setIsGrading] = useState(false);
 
     // Editor appearance and behavior options
     const [editorOptions, setEditorOptions] = useState({
@@ -214,6 +305,7 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
     const [showSettings, setShowSettings] = useState(false);
     const [editorWidth, setEditorWidth] = useState(50);
     const editorRef = useRef(null);
+    const monacoRef = useRef(null);
     const [cursorPosition, setCursorPosition] = useState({ line: 1, column: 1 });
 
     // Keep the Monaco editor theme in sync with the application theme
@@ -239,14 +331,19 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
         setEditorOptions(prev => ({ ...prev, [option]: !prev[option] }));
     };
 
-    const getCodeByLang = (lang) =>
-        files.filter((f) => f.language === lang).map((f) => f.code).join('\n');
+    const getCodeByLang = useCallback(
+        (lang) => files.filter((f) => f.language === lang).map((f) => f.code).join('\n'),
+        [files]
+    );
 
     const addFile = () => {
         const name = window.prompt('Enter file name (e.g., script2.js)');
         if (!name) return;
         const ext = name.split('.').pop();
-        const map = { html: 'html', htm: 'html', css: 'css', js: 'javascript', jsx: 'javascript', py: 'python', cpp: 'cpp', cxx: 'cpp' };
+        const map = {
+            html: 'html', htm: 'html', css: 'css', js: 'javascript', jsx: 'javascript', ts: 'typescript', py: 'python',
+            c: 'c', cpp: 'cpp', cxx: 'cpp', java: 'java', go: 'go', rs: 'rust', rb: 'ruby', sh: 'bash',
+        };
         const lang = map[ext];
         if (!lang) {
             window.alert('Unsupported file type');
@@ -269,50 +366,53 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
 
     const handleLanguageChange = (lang) => {
         const file = files.find((f) => f.language === lang);
-        if (file) setSelectedFileId(file.id);
+        if (file) {
+            setSelectedFileId(file.id);
+        } else if (defaultFileNames[lang]) {
+            const newFile = createDefaultFile(lang);
+            setFiles((prev) => [...prev, newFile]);
+            setSelectedFileId(newFile.id);
+        }
     };
 
-    const runCode = async () => {
+    const isLivePreviewLanguage = selectedLanguage === 'html' || selectedLanguage === 'css' || selectedLanguage === 'javascript';
+
+    const runCode = useCallback(async () => {
         setIsRunning(true);
         setRunError(null);
         setConsoleOutput('');
 
-        if (selectedLanguage === 'cpp') {
+        if (!isLivePreviewLanguage) {
+            const controller = new AbortController();
+            runAbortRef.current = controller;
+            setRunEvents([]);
+            setDiagnostics([]);
+            setDiagnosticsFileId(selectedFileId);
             try {
-                const res = await fetch('/api/code/run-cpp', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ code: selectedFile.code }),
+                await streamExecution({
+                    language: selectedLanguage,
+                    code: selectedFile.code,
+                    stdin,
+                    signal: controller.signal,
+                    onEvent: ({ event, data }) => {
+                        if (event === 'start') {
+                            runIdRef.current = data.runId;
+                            return;
+                        }
+                        if (event === 'exit') {
+                            setDiagnostics(data.diagnostics || []);
+                        }
+                        setRunEvents((prev) => [...prev, { event, data }]);
+                    },
                 });
-                const data = await res.json();
-                if (data.error) {
-                    setRunError(data.output);
-                } else {
-                    setConsoleOutput(data.output);
-                }
             } catch (error) {
-                setRunError('An error occurred while running the C++ code.');
-                console.error(error);
-            } finally {
-                setIsRunning(false);
-            }
-        } else if (selectedLanguage === 'python') {
-            try {
-                const res = await fetch('/api/code/run-python', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ code: selectedFile.code }),
-                });
-                const data = await res.json();
-                if (data.error) {
-                    setRunError(data.output);
-                } else {
-                    setConsoleOutput(data.output);
+                if (error.name !== 'AbortError') {
+                    setRunError('An error occurred while running the code.');
+                    console.error(error);
                 }
-            } catch (error) {
-                setRunError('An error occurred while running the Python code.');
-                console.error(error);
             } finally {
+                runIdRef.current = null;
+                runAbortRef.current = null;
                 setIsRunning(false);
             }
         } else {
@@ -324,6 +424,8 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
                     <body>
                         ${getCodeByLang('html')}
                         <script>
+                            const stdinLines = ${toScriptLiteral(toInputLines(stdin))};
+                            window.prompt = () => (stdinLines.length ? stdinLines.shift() : null);
                             const originalLog = console.log;
                             let outputBuffer = '';
                             console.log = (...args) => {
@@ -353,9 +455,24 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
             setSrcDoc(fullSrcDoc);
             setIsRunning(false);
         }
+    }, [isLivePreviewLanguage, selectedFileId, selectedLanguage, selectedFile.code, stdin, getCodeByLang]);
+
+    const cancelRun = () => {
+        if (runIdRef.current) {
+            // Let the server kill the program so the final exit event still arrives
+            cancelExecution(runIdRef.current).catch((error) => {
+                console.error(error);
+                runAbortRef.current?.abort();
+            });
+        } else {
+            runAbortRef.current?.abort();
+        }
     };
 
-    const saveSnippet = async () => {
+    // Stop any program that is still running when the editor unmounts
+    useEffect(() => () => runAbortRef.current?.abort(), []);
+
+    const saveSnippet = useCallback(async () => {
         setIsSaving(true);
         setShareMessage('');
         try {
@@ -384,9 +501,22 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
             setIsSaving(false);
             setTimeout(() => setShareMessage(''), 3000);
         }
-    };
+    }, [getCodeByLang, selectedLanguage]);
 
-    const isLivePreviewLanguage = selectedLanguage === 'html' || selectedLanguage === 'css' || selectedLanguage === 'javascript';
+    const submitTests = async () => {
+        if (!onSubmitTests) return;
+        setIsGrading(true);
+        setGrade(null);
+        setGradeError('');
+        try {
+            setGrade(await onSubmitTests(selectedFile.code, selectedLanguage));
+        } catch (error) {
+            console.error(error);
+            setGradeError(error.response?.data?.message || error.message || 'Failed to grade your code.');
+        } finally {
+            setIsGrading(false);
+        }
+    };
 
     useEffect(() => {
         if (!autoRun || !isLivePreviewLanguage) return;
@@ -394,11 +524,14 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
             runCode();
         }, 1000);
         return () => clearTimeout(timeout);
-    }, [files, autoRun, selectedLanguage, isLivePreviewLanguage]);
+    }, [autoRun, isLivePreviewLanguage, runCode]);
 
+    // Preview once on switching language, not on every edit as runCode changes
+    const runCodeRef = useRef(runCode);
+    runCodeRef.current = runCode;
     useEffect(() => {
         if (isLivePreviewLanguage) {
-            runCode();
+            runCodeRef.current();
         }
     }, [isLivePreviewLanguage, selectedLanguage]);
 
@@ -421,9 +554,12 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
 
     const resetCode = () => {
         setFiles(createInitialFiles());
+        setStdin(defaultStdin);
         setSrcDoc('');
         setConsoleOutput('');
         setRunError(null);
+        setRunEvents([]);
+        setDiagnostics([]);
     };
 
     const copyCurrentCode = async () => {
@@ -438,11 +574,38 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
         }
     };
 
-    const formatCode = () => {
+    // Show the last run's diagnostics as markers while their file is open
+    useEffect(() => {
+        const editor = editorRef.current;
+        const monaco = monacoRef.current;
+        const model = editor?.getModel();
+        if (!monaco || !model) return;
+        const markers = diagnosticsFileId === selectedFileId
+            ? diagnostics.map((diagnostic) => toMarker(monaco, model, diagnostic))
+            : [];
+        monaco.editor.setModelMarkers(model, 'code-runner', markers);
+    }, [diagnostics, diagnosticsFileId, selectedFileId]);
+
+    const revealDiagnostic = (diagnostic) => {
+        if (diagnosticsFileId && diagnosticsFileId !== selectedFileId) {
+            setSelectedFileId(diagnosticsFileId);
+        }
+        // Wait for the editor to load the file before moving the cursor
+        setTimeout(() => {
+            const editor = editorRef.current;
+            if (!editor) return;
+            const position = { lineNumber: diagnostic.line, column: diagnostic.column || 1 };
+            editor.revealLineInCenter(position.lineNumber);
+            editor.setPosition(position);
+            editor.focus();
+        });
+    };
+
+    const formatCode = useCallback(() => {
         if (editorRef.current) {
             editorRef.current.getAction('editor.action.formatDocument').run();
         }
-    };
+    }, []);
 
     useEffect(() => {
         const handleKeyDown = (e) => {
@@ -609,6 +772,22 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
                             </Dropdown.Item>
                         </Dropdown>
                     </motion.div>
+                    {onSubmitTests && (
+                        <motion.div
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                        >
+                            <Button
+                                gradientDuoTone="greenToBlue"
+                                onClick={submitTests}
+                                isProcessing={isGrading}
+                                disabled={isGrading}
+                                title="Run your code against the chapter's test cases"
+                            >
+                                <FaClipboardCheck className="mr-2 h-4 w-4" /> Submit
+                            </Button>
+                        </motion.div>
+                    )}
                     {expectedOutput && (
                         <motion.div
                             whileHover={{ scale: 1.05 }}
@@ -685,14 +864,15 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
                             <Editor
                                 className="flex-1"
                                 beforeMount={initializeMonaco}
-                                onMount={(editor) => {
+                                onMount={(editor, monaco) => {
                                     editorRef.current = editor;
+                                    monacoRef.current = monaco;
                                     editor.onDidChangeCursorPosition((e) =>
                                         setCursorPosition({ line: e.position.lineNumber, column: e.position.column })
                                     );
                                 }}
                                 height="100%"
-                                language={selectedLanguage}
+                                language={monacoLanguages[selectedLanguage] || selectedLanguage}
                                 value={selectedFile.code}
                                 theme={editorOptions.theme}
                                 onChange={handleCodeChange}
@@ -777,19 +957,25 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
                                                         setConsoleOutput('');
                                                         setRunError(null);
                                                     }}
+                                                    stdin={stdin}
+                                                    onStdinChange={setStdin}
                                                 />
                                             )}
                                         </div>
                                     ) : (
                                         <TerminalPane
-                                            output={consoleOutput || 'Execution complete.'}
                                             error={runError || ''}
                                             isRunning={isRunning}
                                             theme={theme}
                                             onClear={() => {
-                                                setConsoleOutput('');
+                                                setRunEvents([]);
                                                 setRunError(null);
+                                                setDiagnostics([]);
                                             }}
+                                            stream={runEvents}
+                                            onCancel={cancelRun}
+                                            stdin={stdin}
+                                            onStdinChange={setStdin}
                                         />
                                     )}
                                 </div>
@@ -799,6 +985,8 @@ export default function CodeEditor({ initialCode = {}, language = 'html', expect
                                         <pre className="whitespace-pre-wrap text-xs text-gray-800 dark:text-gray-200">{expectedOutput}</pre>
                                     </div>
                                 )}
+                                <ProblemsPanel diagnostics={diagnostics} onSelect={revealDiagnostic} />
+                                <TestResultsPanel grade={grade} error={gradeError} />
                             </div>
                         </motion.div>
                     </AnimatePresence>
@@ -812,4 +1000,6 @@ CodeEditor.propTypes = {
     initialCode: PropTypes.object,
     language: PropTypes.string,
     expectedOutput: PropTypes.string,
+    defaultStdin: PropTypes.string,
+    onSubmitTests: PropTypes.func,
 };
@@ -0,0 +1,76 @@
+// client/src/components/CodeWritingQuestionFields.jsx
+import PropTypes from 'prop-types';
+import { Select, Textarea } from 'flowbite-react';
+import useExecutionLanguages from '../hooks/useExecutionLanguages';
+import TestCaseEditor from './TestCaseEditor';
+
+// Offered until the server reports which toolchains are installed
+const fallbackLanguages = [
+    { id: 'javascript', name: 'JavaScript' },
+    { id: 'python', name: 'Python' },
+    { id: 'cpp', name: 'C++' },
+];
+
+/**
+ * Authoring fields for a 'code-writing' quiz question: the language, the
+ * starter code, the output the program must print and optional test cases
+ * with their own input.
+ */
+export default function CodeWritingQuestionFields({ question, qIndex, onFieldChange }) {
+    const { languages } = useExecutionLanguages();
+    const offered = languages ? languages.filter((language) => language.available) : fallbackLanguages;
+
+    return (
+        <div className="mb-4 flex flex-col gap-3">
+            <div>
+                <label htmlFor={`codeLanguage-${qIndex}`} className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300">Language</label>
+                <Select
+                    id={`codeLanguage-${qIndex}`}
+                    value={question.codeLanguage || ''}
+                    onChange={(e) => onFieldChange('codeLanguage', e.target.value)}
+                    required
+                >
+                    <option value="" disabled>Choose a language</option>
+                    {offered.map((language) => (
+                        <option key={language.id} value={language.id}>{language.name}</option>
+                    ))}
+                </Select>
+            </div>
+            <div>
+                <label htmlFor={`codeSnippet-${qIndex}`} className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300">Starter Code (Optional)</label>
+                <Textarea
+                    id={`codeSnippet-${qIndex}`}
+                    placeholder='Code the learner starts from.'
+                    value={question.codeSnippet || ''}
+                    onChange={(e) => onFieldChange('codeSnippet', e.target.value)}
+                    rows={6}
+                />
+            </div>
+            <div>
+                <label htmlFor={`correctAnswer-${qIndex}-writing`} className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300">Expected Output</label>
+                <Textarea
+                    id={`correctAnswer-${qIndex}-writing`}
+                    placeholder='What the program must print. Leave empty to grade against the test cases only.'
+                    value={question.correctAnswer || ''}
+                    onChange={(e) => onFieldChange('correctAnswer', e.target.value)}
+                    rows={4}
+                />
+            </div>
+            <TestCaseEditor
+                testCases={question.testCases || []}
+                onChange={(testCases) => onFieldChange('testCases', testCases)}
+            />
+        </div>
+    );
+}
+
+CodeWritingQuestionFields.propTypes = {
+    question: PropTypes.shape({
+        codeLanguage: PropTypes.string,
+        codeSnippet: PropTypes.string,
+        correctAnswer: PropTypes.string,
+        testCases: PropTypes.arrayOf(PropTypes.object),
+    }).isRequired,
+    qIndex: PropTypes.number.isRequired,
+    onFieldChange: PropTypes.func.isRequired,
+};
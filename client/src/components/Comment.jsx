@@ -2,6 +2,7 @@ import moment from 'moment';
 import { useEffect, useState } from 'react';
 import { FaThumbsUp, FaEdit, FaTrashAlt } from 'react-icons/fa';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { Button, Textarea, Spinner } from 'flowbite-react';
 import { motion } from 'framer-motion';
 import useUser from '../hooks/useUser'; // Import our new hook
@@ -135,7 +136,7 @@ export default function Comment({ comment, onLike, onEdit, onDelete }) {
                     </button>
 
                     {currentUser &&
-                        (currentUser._id === comment.userId || currentUser.isAdmin) && (
+                        (currentUser._id === comment.userId || hasPermission(currentUser, PERMISSIONS.MODERATE_COMMENTS)) && (
                             <div className='flex gap-4'>
                               <button
                                   type='button'
@@ -1,11 +1,13 @@
 import { Modal, Table, Button } from 'flowbite-react';
 import { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { HiOutlineExclamationCircle } from 'react-icons/hi';
 import { FaCheck, FaTimes } from 'react-icons/fa';
 
 export default function DashComments() {
   const { currentUser } = useSelector((state) => state.user);
+  const canModerate = hasPermission(currentUser, PERMISSIONS.MODERATE_COMMENTS);
   const [comments, setComments] = useState([]);
   const [showMore, setShowMore] = useState(true);
   const [showModal, setShowModal] = useState(false);
@@ -25,10 +27,10 @@ export default function DashComments() {
         console.log(error.message);
       }
     };
-    if (currentUser.isAdmin) {
+    if (canModerate) {
       fetchComments();
     }
-  }, [currentUser._id]);
+  }, [currentUser._id, canModerate]);
 
   const handleShowMore = async () => {
     const startIndex = comments.length;
@@ -73,7 +75,7 @@ export default function DashComments() {
 
   return (
     <div className='table-auto overflow-x-scroll md:mx-auto p-3 scrollbar scrollbar-track-slate-100 scrollbar-thumb-slate-300 dark:scrollbar-track-slate-700 dark:scrollbar-thumb-slate-500'>
-      {currentUser.isAdmin && comments.length > 0 ? (
+      {canModerate && comments.length > 0 ? (
         <>
           <Table hoverable className='shadow-md'>
             <Table.Head>
@@ -0,0 +1,161 @@
+// client/src/components/DashLearning.jsx
+import { Alert, Badge, Button, Progress, Spinner } from 'flowbite-react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { HiArrowRight, HiBookmark, HiCheckCircle } from 'react-icons/hi';
+import { getMyLearning } from '../services/userService';
+import ActivityHeatmap from './ActivityHeatmap';
+
+const formatTimeSpent = (seconds) => {
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const Section = ({ title, children }) => (
+    <section className='mb-10'>
+        <h2 className='text-xl font-semibold mb-4'>{title}</h2>
+        {children}
+    </section>
+);
+
+Section.propTypes = {
+    title: PropTypes.string.isRequired,
+    children: PropTypes.node,
+};
+
+function EnrollmentCard({ enrollment }) {
+    const { title, slug, percentage, completed, timeSpentSeconds, nextChapter } = enrollment;
+    return (
+        <div className='flex flex-col gap-3 p-4 rounded-md shadow-md bg-white dark:bg-slate-800'>
+            <div className='flex justify-between items-start gap-2'>
+                <Link to={`/tutorials/${slug}`} className='font-semibold hover:underline'>{title}</Link>
+                {completed && <Badge color='success' icon={HiCheckCircle}>Completed</Badge>}
+            </div>
+            <div>
+                <div className='flex justify-between text-sm text-gray-500 dark:text-gray-400 mb-1'>
+                    <span>{percentage}% complete</span>
+                    <span>{formatTimeSpent(timeSpentSeconds)} spent</span>
+                </div>
+                <Progress progress={percentage} size='sm' color={completed ? 'green' : 'teal'} />
+            </div>
+            {nextChapter && (
+                <Link to={`/tutorials/${slug}/${nextChapter.chapterSlug}`} className='mt-auto'>
+                    <Button size='sm' gradientDuoTone='purpleToBlue' outline className='w-full'>
+                        Resume: {nextChapter.chapterTitle}
+                        <HiArrowRight className='ml-2 h-4 w-4' />
+                    </Button>
+                </Link>
+            )}
+        </div>
+    );
+}
+
+EnrollmentCard.propTypes = {
+    enrollment: PropTypes.shape({
+        title: PropTypes.string.isRequired,
+        slug: PropTypes.string.isRequired,
+        percentage: PropTypes.number.isRequired,
+        completed: PropTypes.bool.isRequired,
+        timeSpentSeconds: PropTypes.number.isRequired,
+        nextChapter: PropTypes.shape({
+            chapterTitle: PropTypes.string.isRequired,
+            chapterSlug: PropTypes.string.isRequired,
+        }),
+    }).isRequired,
+};
+
+export default function DashLearning() {
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['myLearning'],
+        queryFn: getMyLearning,
+    });
+
+    if (isLoading) {
+        return (
+            <div className='flex justify-center items-center min-h-screen'>
+                <Spinner size='xl' />
+            </div>
+        );
+    }
+
+    if (isError) {
+        return (
+            <Alert color='failure' className='m-4'>
+                Error fetching your learning: {error.message}
+            </Alert>
+        );
+    }
+
+    const { enrollments, recentQuizzes, bookmarks, activity } = data;
+    // Unfinished tutorials come first; both lists stay most recently active first
+    const sortedEnrollments = [
+        ...enrollments.filter((enrollment) => !enrollment.completed),
+        ...enrollments.filter((enrollment) => enrollment.completed),
+    ];
+
+    return (
+        <div className='p-3 md:p-6 max-w-6xl mx-auto w-full'>
+            <Section title='Continue learning'>
+                {sortedEnrollments.length > 0 ? (
+                    <div className='grid gap-4 sm:grid-cols-2 lg:grid-cols-3'>
+                        {sortedEnrollments.map((enrollment) => (
+                            <EnrollmentCard key={enrollment.tutorialId} enrollment={enrollment} />
+                        ))}
+                    </div>
+                ) : (
+                    <p className='text-gray-500 dark:text-gray-400'>
+                        You have not started a tutorial yet. <Link to='/tutorials' className='text-teal-500 hover:underline'>Browse tutorials</Link>
+                    </p>
+                )}
+            </Section>
+
+            <Section title='Activity'>
+                <ActivityHeatmap activity={activity} />
+            </Section>
+
+            <div className='grid gap-6 md:grid-cols-2'>
+                <Section title='Recent quiz scores'>
+                    {recentQuizzes.length > 0 ? (
+                        <ul className='divide-y dark:divide-gray-700'>
+                            {recentQuizzes.map((attempt) => (
+                                <li key={attempt.attemptId} className='py-2 flex justify-between items-center gap-2'>
+                                    <div>
+                                        {attempt.quiz ? (
+                                            <Link to={`/quizzes/${attempt.quiz.slug}`} className='hover:underline'>{attempt.quiz.title}</Link>
+                                        ) : (
+                                            <span className='italic text-gray-500'>Deleted quiz</span>
+                                        )}
+                                        <p className='text-xs text-gray-500 dark:text-gray-400'>
+                                            {new Date(attempt.submittedAt).toLocaleDateString()}
+                                        </p>
+                                    </div>
+                                    <Badge color={attempt.percentage >= 70 ? 'success' : 'warning'}>
+                                        {attempt.score}/{attempt.totalQuestions} ({attempt.percentage}%)
+                                    </Badge>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className='text-gray-500 dark:text-gray-400'>No quizzes taken yet.</p>
+                    )}
+                </Section>
+
+                <Section title='Bookmarks'>
+                    {bookmarks.length > 0 ? (
+                        <ul className='divide-y dark:divide-gray-700'>
+                            {bookmarks.map((post) => (
+                                <li key={post._id} className='py-2 flex items-center gap-2'>
+                                    <HiBookmark className='text-teal-500 shrink-0' />
+                                    <Link to={`/post/${post.slug}`} className='hover:underline line-clamp-1'>{post.title}</Link>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className='text-gray-500 dark:text-gray-400'>No bookmarked posts yet.</p>
+                    )}
+                </Section>
+            </div>
+        </div>
+    );
+}
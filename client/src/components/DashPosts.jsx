@@ -2,12 +2,14 @@ import { Modal, Table, Button, Spinner, Alert } from 'flowbite-react';
 import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useState } from 'react';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { Link } from 'react-router-dom';
 import { HiOutlineExclamationCircle } from 'react-icons/hi';
 import { getAdminPosts, deletePost } from '../services/postService';
 
 export default function DashPosts() {
   const { currentUser } = useSelector((state) => state.user);
+  const canManagePosts = hasPermission(currentUser, PERMISSIONS.WRITE_POSTS, PERMISSIONS.EDIT_ANY_CONTENT, PERMISSIONS.DELETE_ANY_CONTENT);
   const queryClient = useQueryClient();
   const [showModal, setShowModal] = useState(false);
 
@@ -32,7 +34,7 @@ export default function DashPosts() {
       // Use the count of all fetched posts as the next starting index
       return allPages.reduce((acc, page) => acc + page.posts.length, 0);
     },
-    enabled: !!currentUser?.isAdmin,
+    enabled: canManagePosts,
   });
 
   const deleteMutation = useMutation({
@@ -70,7 +72,7 @@ export default function DashPosts() {
             </Alert>
         )}
 
-        {currentUser.isAdmin && posts.length > 0 ? (
+        {canManagePosts && posts.length > 0 ? (
             <>
               <Table hoverable className='shadow-md'>
                 <Table.Head>
@@ -97,11 +99,10 @@ export default function DashPosts() {
                         </Table.Cell>
                         <Table.Cell>{post.category}</Table.Cell>
                         <Table.Cell>
-                          {/* 2. UPDATED: Set an object with both postId and userId */}
                           <span
                               onClick={() => {
                                 setShowModal(true);
-                                setPostToDelete({ postId: post._id, userId: post.userId });
+                                setPostToDelete({ postId: post._id });
                               }}
                               className='font-medium text-red-500 hover:underline cursor-pointer'
                           >
@@ -2,6 +2,7 @@
 import { Alert, Button, FileInput, Select, TextInput, Textarea, Spinner, Modal } from 'flowbite-react';
 import { useEffect, useRef, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { CircularProgressbar } from 'react-circular-progressbar';
 import 'react-circular-progressbar/dist/styles.css';
 import { Link } from 'react-router-dom';
@@ -9,6 +10,8 @@ import { Link } from 'react-router-dom';
 // Import our advanced custom hook and modal component
 import { useCloudinaryUpload } from '../hooks/useCloudinaryUpload';
 import DeleteConfirmationModal from './DeleteConfirmationModal';
+import LinkedAccounts from './LinkedAccounts';
+import ActiveSessions from './ActiveSessions';
 
 // Import Redux actions
 import {
@@ -97,7 +100,11 @@ export default function DashProfile() {
         setUpdateUserError(data.message);
       } else {
         dispatch(updateSuccess(data));
-        setUpdateUserSuccess("Your profile has been updated successfully!");
+        setUpdateUserSuccess(
+          data.emailVerified === false
+            ? `Your profile has been updated. Check ${data.email} for a link to verify your new address.`
+            : "Your profile has been updated successfully!"
+        );
         setFormData({}); // Clear form data after successful update
       }
     } catch (error) {
@@ -182,28 +189,36 @@ export default function DashProfile() {
             {loading ? 'Loading...' : 'Update'}
           </Button>
 
-          {currentUser.isAdmin && (
-              <>
-                <Link to={'/create-post'}>
-                  <Button type='button' gradientDuoTone='purpleToPink' className='w-full'>
-                    Create a post
-                  </Button>
-                </Link>
-                {/* Link to Create Tutorial page */}
-                <Link to={'/create-tutorial'}>
-                  <Button type='button' gradientDuoTone='tealToLime' className='w-full'>
-                    Create a tutorial
-                  </Button>
-                </Link>
-                {/* NEW: Link to Create Quiz page */}
-                <Link to={'/create-quiz'}>
-                  <Button type='button' gradientDuoTone='cyanToBlue' className='w-full'>
-                    Create a quiz
-                  </Button>
-                </Link>
-              </>
+          {hasPermission(currentUser, PERMISSIONS.WRITE_POSTS) && (
+              <Link to={'/create-post'}>
+                <Button type='button' gradientDuoTone='purpleToPink' className='w-full'>
+                  Create a post
+                </Button>
+              </Link>
+          )}
+          {/* Link to Create Tutorial page */}
+          {hasPermission(currentUser, PERMISSIONS.WRITE_TUTORIALS) && (
+              <Link to={'/create-tutorial'}>
+                <Button type='button' gradientDuoTone='tealToLime' className='w-full'>
+                  Create a tutorial
+                </Button>
+              </Link>
+          )}
+          {/* NEW: Link to Create Quiz page */}
+          {hasPermission(currentUser, PERMISSIONS.WRITE_QUIZZES) && (
+              <Link to={'/create-quiz'}>
+                <Button type='button' gradientDuoTone='cyanToBlue' className='w-full'>
+                  Create a quiz
+                </Button>
+              </Link>
           )}
         </form>
+        <div className='mt-8'>
+          <LinkedAccounts />
+        </div>
+        <div className='mt-8'>
+          <ActiveSessions />
+        </div>
         <div className='text-red-500 flex justify-between mt-5'>
           <span onClick={() => setShowModal(true)} className='cursor-pointer'>Delete Account</span>
           <span onClick={handleSignout} className='cursor-pointer'>Sign Out</span>
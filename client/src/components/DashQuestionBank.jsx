@@ -0,0 +1,231 @@
+// client/src/components/DashQuestionBank.jsx
+import { Modal, Table, Button, Spinner, Alert, Badge, Select, TextInput } from 'flowbite-react';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+import { HiOutlineExclamationCircle } from 'react-icons/hi';
+import { FaPlus } from 'react-icons/fa';
+import {
+    getBankQuestions,
+    getBankFacets,
+    createBankQuestion,
+    updateBankQuestion,
+    deleteBankQuestion,
+} from '../services/questionBankService';
+import BankQuestionForm from './BankQuestionForm';
+
+const PAGE_SIZE = 20;
+const difficultyColors = { easy: 'success', medium: 'warning', hard: 'failure' };
+
+/**
+ * Dashboard tab for the question bank that quizzes draw their question
+ * pools from. Questions can be filtered by tag, difficulty and language.
+ */
+export default function DashQuestionBank() {
+    const { currentUser } = useSelector((state) => state.user);
+    const canWriteQuizzes = hasPermission(currentUser, PERMISSIONS.WRITE_QUIZZES);
+    const queryClient = useQueryClient();
+    const [filters, setFilters] = useState({ tag: '', difficulty: '', language: '', searchTerm: '' });
+    // The question being edited: null when the editor is closed, {} for a new one
+    const [editing, setEditing] = useState(null);
+    const [questionToDelete, setQuestionToDelete] = useState(null);
+
+    const { data: facets } = useQuery({
+        queryKey: ['questionBankFacets'],
+        queryFn: getBankFacets,
+        enabled: canWriteQuizzes,
+    });
+
+    const {
+        data,
+        isLoading,
+        isError,
+        error,
+        fetchNextPage,
+        hasNextPage,
+        isFetchingNextPage,
+    } = useInfiniteQuery({
+        queryKey: ['questionBank', filters],
+        queryFn: ({ pageParam = 0 }) => getBankQuestions({ ...filters, startIndex: pageParam, limit: PAGE_SIZE }),
+        initialPageParam: 0,
+        getNextPageParam: (lastPage, allPages) => {
+            if (lastPage.questions.length < PAGE_SIZE) return undefined;
+            return allPages.reduce((acc, page) => acc + page.questions.length, 0);
+        },
+        enabled: canWriteQuizzes,
+    });
+
+    const refreshBank = () => {
+        queryClient.invalidateQueries({ queryKey: ['questionBank'] });
+        queryClient.invalidateQueries({ queryKey: ['questionBankFacets'] });
+    };
+
+    const saveMutation = useMutation({
+        mutationFn: (question) =>
+            editing?._id ? updateBankQuestion({ questionId: editing._id, question }) : createBankQuestion(question),
+        onSuccess: () => {
+            setEditing(null);
+            refreshBank();
+        },
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: deleteBankQuestion,
+        onSuccess: refreshBank,
+    });
+
+    const handleDeleteQuestion = () => {
+        deleteMutation.mutate(questionToDelete);
+        setQuestionToDelete(null);
+    };
+
+    const openEditor = (question) => {
+        saveMutation.reset();
+        setEditing(question);
+    };
+
+    const setFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+
+    const questions = data?.pages.flatMap((page) => page.questions) ?? [];
+    const totalQuestions = data?.pages[0]?.totalQuestions ?? 0;
+
+    return (
+        <div className='table-auto overflow-x-scroll md:mx-auto p-3 scrollbar scrollbar-track-slate-100 scrollbar-thumb-slate-300 dark:scrollbar-track-slate-700 dark:scrollbar-thumb-slate-500'>
+            <div className='flex flex-wrap items-end gap-3 mb-4'>
+                <TextInput placeholder='Search questions...' value={filters.searchTerm} onChange={setFilter('searchTerm')} />
+                <Select value={filters.tag} onChange={setFilter('tag')} aria-label='Tag'>
+                    <option value=''>All tags</option>
+                    {facets?.tags.map((tag) => (
+                        <option key={tag} value={tag}>{tag}</option>
+                    ))}
+                </Select>
+                <Select value={filters.difficulty} onChange={setFilter('difficulty')} aria-label='Difficulty'>
+                    <option value=''>Any difficulty</option>
+                    <option value='easy'>Easy</option>
+                    <option value='medium'>Medium</option>
+                    <option value='hard'>Hard</option>
+                </Select>
+                <Select value={filters.language} onChange={setFilter('language')} aria-label='Language'>
+                    <option value=''>All languages</option>
+                    {facets?.languages.map((language) => (
+                        <option key={language} value={language}>{language}</option>
+                    ))}
+                </Select>
+                <Button gradientDuoTone='purpleToPink' className='ml-auto' onClick={() => openEditor({})}>
+                    <FaPlus className='mr-2' /> Add Question
+                </Button>
+            </div>
+
+            {isLoading && (
+                <div className='flex justify-center items-center min-h-screen'>
+                    <Spinner size='xl' />
+                </div>
+            )}
+            {isError && (
+                <Alert color='failure' className='my-4'>
+                    Error fetching the question bank: {error.message}
+                </Alert>
+            )}
+            {deleteMutation.isError && (
+                <Alert color='failure' onDismiss={() => deleteMutation.reset()}>
+                    Failed to delete question: {deleteMutation.error.message}
+                </Alert>
+            )}
+
+            {canWriteQuizzes && questions.length > 0 ? (
+                <>
+                    <p className='text-sm text-gray-500 dark:text-gray-400 mb-2'>{totalQuestions} questions</p>
+                    <Table hoverable className='shadow-md'>
+                        <Table.Head>
+                            <Table.HeadCell>Question</Table.HeadCell>
+                            <Table.HeadCell>Type</Table.HeadCell>
+                            <Table.HeadCell>Difficulty</Table.HeadCell>
+                            <Table.HeadCell>Tags</Table.HeadCell>
+                            <Table.HeadCell>Language</Table.HeadCell>
+                            <Table.HeadCell>Delete</Table.HeadCell>
+                            <Table.HeadCell>
+                                <span>Edit</span>
+                            </Table.HeadCell>
+                        </Table.Head>
+                        <Table.Body className='divide-y'>
+                            {questions.map((question) => (
+                                <Table.Row key={question._id} className='bg-white dark:border-gray-700 dark:bg-gray-800'>
+                                    <Table.Cell className='max-w-xs truncate font-medium text-gray-900 dark:text-white'>
+                                        {question.questionText}
+                                    </Table.Cell>
+                                    <Table.Cell>{question.questionType}</Table.Cell>
+                                    <Table.Cell>
+                                        <Badge color={difficultyColors[question.difficulty]} className='w-fit'>{question.difficulty}</Badge>
+                                    </Table.Cell>
+                                    <Table.Cell>{question.tags.join(', ')}</Table.Cell>
+                                    <Table.Cell>{question.language || '—'}</Table.Cell>
+                                    <Table.Cell>
+                                        <span
+                                            onClick={() => setQuestionToDelete(question._id)}
+                                            className='font-medium text-red-500 hover:underline cursor-pointer'
+                                        >
+                                            Delete
+                                        </span>
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                        <span onClick={() => openEditor(question)} className='text-teal-500 hover:underline cursor-pointer'>
+                                            Edit
+                                        </span>
+                                    </Table.Cell>
+                                </Table.Row>
+                            ))}
+                        </Table.Body>
+                    </Table>
+                    {hasNextPage && (
+                        <button
+                            onClick={() => fetchNextPage()}
+                            disabled={isFetchingNextPage}
+                            className='w-full text-teal-500 self-center text-sm py-7'
+                        >
+                            {isFetchingNextPage ? 'Loading...' : 'Show more'}
+                        </button>
+                    )}
+                </>
+            ) : (
+                !isLoading && <p>No questions in the bank match these filters.</p>
+            )}
+
+            <Modal show={editing !== null} onClose={() => setEditing(null)} size='4xl'>
+                <Modal.Header>{editing?._id ? 'Edit Question' : 'Add Question'}</Modal.Header>
+                <Modal.Body>
+                    {editing !== null && (
+                        <BankQuestionForm
+                            key={editing._id || 'new'}
+                            initialQuestion={editing._id ? editing : undefined}
+                            onSubmit={(question) => saveMutation.mutate(question)}
+                            onCancel={() => setEditing(null)}
+                            isSaving={saveMutation.isPending}
+                            error={saveMutation.error?.response?.data?.message || saveMutation.error?.message}
+                        />
+                    )}
+                </Modal.Body>
+            </Modal>
+
+            <Modal show={questionToDelete !== null} onClose={() => setQuestionToDelete(null)} popup size='md'>
+                <Modal.Header />
+                <Modal.Body>
+                    <div className='text-center'>
+                        <HiOutlineExclamationCircle className='h-14 w-14 text-gray-400 dark:text-gray-200 mb-4 mx-auto' />
+                        <h3 className='mb-5 text-lg text-gray-500 dark:text-gray-400'>
+                            Are you sure you want to delete this question? Quizzes will stop drawing it.
+                        </h3>
+                        <div className='flex justify-center gap-4'>
+                            <Button color='failure' onClick={handleDeleteQuestion} isProcessing={deleteMutation.isPending}>
+                                {"Yes, I'm sure"}
+                            </Button>
+                            <Button color='gray' onClick={() => setQuestionToDelete(null)} disabled={deleteMutation.isPending}>
+                                No, cancel
+                            </Button>
+                        </div>
+                    </div>
+                </Modal.Body>
+            </Modal>
+        </div>
+    );
+}
@@ -3,15 +3,30 @@ import { Modal, Table, Button, Spinner, Alert } from 'flowbite-react';
 import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useState } from 'react';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { Link } from 'react-router-dom';
-import { HiOutlineExclamationCircle } from 'react-icons/hi';
-import { getQuizzes as getQuizzesService, deleteQuiz as deleteQuizService } from '../services/quizService'; // NEW: Import quiz services
+import { HiOutlineExclamationCircle, HiUpload } from 'react-icons/hi';
+import {
+    getQuizzes as getQuizzesService,
+    deleteQuiz as deleteQuizService,
+    exportQuiz as exportQuizService,
+} from '../services/quizService'; // NEW: Import quiz services
+import QuizImportModal from './QuizImportModal';
+
+const exportFormats = [
+    { value: 'json', label: 'JSON' },
+    { value: 'gift', label: 'GIFT' },
+    { value: 'moodle-xml', label: 'XML' },
+];
 
 export default function DashQuizzes() {
     const { currentUser } = useSelector((state) => state.user);
+    const canManageQuizzes = hasPermission(currentUser, PERMISSIONS.WRITE_QUIZZES, PERMISSIONS.EDIT_ANY_CONTENT, PERMISSIONS.DELETE_ANY_CONTENT);
     const queryClient = useQueryClient();
     const [showModal, setShowModal] = useState(false);
     const [quizToDelete, setQuizToDelete] = useState(null);
+    const [showImport, setShowImport] = useState(false);
+    const [notice, setNotice] = useState(null);
 
     const {
         data,
@@ -29,7 +44,7 @@ export default function DashQuizzes() {
             if (lastPage.quizzes.length < 9) return undefined;
             return allPages.reduce((acc, page) => acc + page.quizzes.length, 0);
         },
-        enabled: !!currentUser?.isAdmin,
+        enabled: canManageQuizzes,
     });
 
     const deleteMutation = useMutation({
@@ -46,6 +61,29 @@ export default function DashQuizzes() {
         }
     };
 
+    // Saves the exported file through a temporary link
+    const exportMutation = useMutation({
+        mutationFn: ({ quizId, format }) => exportQuizService(quizId, format),
+        onSuccess: ({ file, filename, skipped }) => {
+            const url = URL.createObjectURL(file);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+            setNotice(
+                skipped.length
+                    ? `${filename} leaves out question ${skipped.join(', ')}, which the format cannot express.`
+                    : null
+            );
+        },
+    });
+
+    const handleImported = (quiz) => {
+        queryClient.invalidateQueries({ queryKey: ['adminQuizzes'] });
+        setNotice(`Imported "${quiz.title}" with ${quiz.questions.length} questions.`);
+    };
+
     const quizzes = data?.pages.flatMap(page => page.quizzes) ?? [];
 
     return (
@@ -60,13 +98,31 @@ export default function DashQuizzes() {
                     Error fetching quizzes: {error.message}
                 </Alert>
             )}
+            {hasPermission(currentUser, PERMISSIONS.WRITE_QUIZZES) && (
+                <div className='flex justify-end mb-3'>
+                    <Button gradientDuoTone='purpleToPink' outline onClick={() => setShowImport(true)}>
+                        <HiUpload className='mr-2 h-5 w-5' />
+                        Import Quiz
+                    </Button>
+                </div>
+            )}
+            {notice && (
+                <Alert color='info' className='mb-3' onDismiss={() => setNotice(null)}>
+                    {notice}
+                </Alert>
+            )}
+            {exportMutation.isError && (
+                <Alert color='failure' onDismiss={() => exportMutation.reset()}>
+                    Failed to export quiz: {exportMutation.error.message}
+                </Alert>
+            )}
             {deleteMutation.isError && (
                 <Alert color='failure' onDismiss={() => deleteMutation.reset()}>
                     Failed to delete quiz: {deleteMutation.error.message}
                 </Alert>
             )}
 
-            {currentUser.isAdmin && quizzes.length > 0 ? (
+            {canManageQuizzes && quizzes.length > 0 ? (
                 <>
                     <Table hoverable className='shadow-md'>
                         <Table.Head>
@@ -74,6 +130,7 @@ export default function DashQuizzes() {
                             <Table.HeadCell>Quiz title</Table.HeadCell>
                             <Table.HeadCell>Category</Table.HeadCell>
                             <Table.HeadCell>Questions</Table.HeadCell>
+                            <Table.HeadCell>Export</Table.HeadCell>
                             <Table.HeadCell>Delete</Table.HeadCell>
                             <Table.HeadCell>
                                 <span>Edit</span>
@@ -87,12 +144,31 @@ export default function DashQuizzes() {
                                         <Link className='font-medium text-gray-900 dark:text-white' to={`/quizzes/${quiz.slug}`}>{quiz.title}</Link>
                                     </Table.Cell>
                                     <Table.Cell>{quiz.category}</Table.Cell>
-                                    <Table.Cell>{quiz.questions.length}</Table.Cell>
+                                    <Table.Cell>
+                                        {quiz.questions.length}
+                                        {quiz.questionPools?.length > 0 &&
+                                            ` + ${quiz.questionPools.reduce((sum, pool) => sum + pool.count, 0)} drawn`}
+                                    </Table.Cell>
+                                    <Table.Cell>
+                                        <div className='flex gap-2'>
+                                            {exportFormats.map(({ value, label }) => (
+                                                <button
+                                                    key={value}
+                                                    type='button'
+                                                    onClick={() => exportMutation.mutate({ quizId: quiz._id, format: value })}
+                                                    disabled={exportMutation.isPending}
+                                                    className='text-teal-500 hover:underline'
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </Table.Cell>
                                     <Table.Cell>
                                         <span
                                             onClick={() => {
                                                 setShowModal(true);
-                                                setQuizToDelete({ quizId: quiz._id, userId: quiz.createdBy }); // Pass createdBy as userId
+                                                setQuizToDelete({ quizId: quiz._id });
                                             }}
                                             className='font-medium text-red-500 hover:underline cursor-pointer'
                                         >
@@ -122,6 +198,8 @@ export default function DashQuizzes() {
                 !isLoading && <p>You have no quizzes yet!</p>
             )}
 
+            <QuizImportModal show={showImport} onClose={() => setShowImport(false)} onImported={handleImported} />
+
             <Modal show={showModal} onClose={() => setShowModal(false)} popup size='md'>
                 <Modal.Header />
                 <Modal.Body>
@@ -8,20 +8,28 @@ import {
   HiAnnotation,
   HiChartPie,
   HiPuzzle, // NEW: Import puzzle icon for quizzes
+  HiCollection,
+  HiAcademicCap,
 } from 'react-icons/hi';
 import { useEffect, useState, useCallback } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { signoutSuccess } from '../redux/user/userSlice';
+import { PERMISSIONS, getUserRole, hasPermission } from '../utils/permissions';
 
-// Define sidebar links in a configuration array
+const { WRITE_POSTS, WRITE_TUTORIALS, WRITE_QUIZZES, EDIT_ANY_CONTENT, DELETE_ANY_CONTENT } = PERMISSIONS;
+
+// Define sidebar links in a configuration array. Links with permissions only
+// show for users with any of them.
 const sidebarLinks = [
-  { tab: 'dash', label: 'Dashboard', icon: HiChartPie, adminOnly: true },
-  { tab: 'posts', label: 'Posts', icon: HiDocumentText, adminOnly: true },
-  { tab: 'users', label: 'Users', icon: HiOutlineUserGroup, adminOnly: true },
-  { tab: 'comments', label: 'Comments', icon: HiAnnotation, adminOnly: true },
-  { tab: 'tutorials', label: 'Tutorials', icon: HiDocumentText, adminOnly: true },
-  { tab: 'quizzes', label: 'Quizzes', icon: HiPuzzle, adminOnly: true }, // NEW: Add Quizzes link
+  { tab: 'dash', label: 'Dashboard', icon: HiChartPie, permissions: [PERMISSIONS.VIEW_USERS] },
+  { tab: 'learning', label: 'My Learning', icon: HiAcademicCap },
+  { tab: 'posts', label: 'Posts', icon: HiDocumentText, permissions: [WRITE_POSTS, EDIT_ANY_CONTENT, DELETE_ANY_CONTENT] },
+  { tab: 'users', label: 'Users', icon: HiOutlineUserGroup, permissions: [PERMISSIONS.VIEW_USERS] },
+  { tab: 'comments', label: 'Comments', icon: HiAnnotation, permissions: [PERMISSIONS.MODERATE_COMMENTS] },
+  { tab: 'tutorials', label: 'Tutorials', icon: HiDocumentText, permissions: [WRITE_TUTORIALS, EDIT_ANY_CONTENT, DELETE_ANY_CONTENT] },
+  { tab: 'quizzes', label: 'Quizzes', icon: HiPuzzle, permissions: [WRITE_QUIZZES, EDIT_ANY_CONTENT, DELETE_ANY_CONTENT] }, // NEW: Add Quizzes link
+  { tab: 'question-bank', label: 'Question Bank', icon: HiCollection, permissions: [WRITE_QUIZZES] },
 ];
 
 export default function DashSidebar() {
@@ -29,6 +37,9 @@ export default function DashSidebar() {
   const dispatch = useDispatch();
   const { currentUser } = useSelector((state) => state.user);
   const [tab, setTab] = useState('');
+  // The tab the dashboard opens without one in the URL
+  const defaultTab = hasPermission(currentUser, PERMISSIONS.VIEW_USERS) ? 'dash' : 'learning';
+  const role = getUserRole(currentUser);
 
   useEffect(() => {
     const urlParams = new URLSearchParams(location.search);
@@ -56,7 +67,7 @@ export default function DashSidebar() {
               <Sidebar.Item
                   active={tab === 'profile'}
                   icon={HiUser}
-                  label={currentUser.isAdmin ? 'Admin' : 'User'}
+                  label={role.charAt(0).toUpperCase() + role.slice(1)}
                   labelColor='dark'
                   as='div'
               >
@@ -66,11 +77,11 @@ export default function DashSidebar() {
 
             {/* Render links dynamically from the configuration array */}
             {sidebarLinks
-                .filter(link => currentUser.isAdmin || !link.adminOnly)
+                .filter(link => !link.permissions || hasPermission(currentUser, ...link.permissions))
                 .map(link => (
                     <Link to={`/dashboard?tab=${link.tab}`} key={link.tab}>
                       <Sidebar.Item
-                          active={tab === link.tab || (link.tab === 'dash' && !tab)}
+                          active={tab === link.tab || (link.tab === defaultTab && !tab)}
                           icon={link.icon}
                           as='div'
                       >
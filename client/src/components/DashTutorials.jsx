@@ -2,12 +2,14 @@ import { Modal, Table, Button, Spinner, Alert } from 'flowbite-react';
 import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useState } from 'react';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { Link } from 'react-router-dom';
 import { HiOutlineExclamationCircle } from 'react-icons/hi';
 import { getTutorials as getTutorialsService, deleteTutorial as deleteTutorialService } from '../services/tutorialService';
 
 export default function DashTutorials() {
     const { currentUser } = useSelector((state) => state.user);
+    const canManageTutorials = hasPermission(currentUser, PERMISSIONS.WRITE_TUTORIALS, PERMISSIONS.EDIT_ANY_CONTENT, PERMISSIONS.DELETE_ANY_CONTENT);
     const queryClient = useQueryClient();
     const [showModal, setShowModal] = useState(false);
     const [tutorialToDelete, setTutorialToDelete] = useState(null);
@@ -29,7 +31,7 @@ export default function DashTutorials() {
             if (lastPage.tutorials.length < 9) return undefined;
             return allPages.reduce((acc, page) => acc + page.tutorials.length, 0);
         },
-        enabled: !!currentUser?.isAdmin,
+        enabled: canManageTutorials,
     });
 
     const deleteMutation = useMutation({
@@ -46,10 +48,7 @@ export default function DashTutorials() {
         // FIX: Pass the correct object structure to the mutation
         // =================================================================
         if (tutorialToDelete) {
-            deleteMutation.mutate({
-                tutorialId: tutorialToDelete.tutorialId,
-                userId: currentUser._id // Use the current user's ID for consistency
-            });
+            deleteMutation.mutate({ tutorialId: tutorialToDelete.tutorialId });
         }
     };
 
@@ -73,7 +72,7 @@ export default function DashTutorials() {
                 </Alert>
             )}
 
-            {currentUser.isAdmin && tutorials.length > 0 ? (
+            {canManageTutorials && tutorials.length > 0 ? (
                 <>
                     <Table hoverable className='shadow-md'>
                         <Table.Head>
@@ -1,8 +1,9 @@
-import { Modal, Table, Button } from 'flowbite-react';
+import { Alert, Modal, Table, Button, Select } from 'flowbite-react';
 import { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
 import { HiOutlineExclamationCircle } from 'react-icons/hi';
-import { FaCheck, FaTimes } from 'react-icons/fa';
+import { PERMISSIONS, ROLES, getUserRole, hasPermission } from '../utils/permissions';
+import { updateUserRole } from '../services/userService';
 
 export default function DashUsers() {
   const { currentUser } = useSelector((state) => state.user);
@@ -10,6 +11,9 @@ export default function DashUsers() {
   const [showMore, setShowMore] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [userIdToDelete, setUserIdToDelete] = useState('');
+  const [roleError, setRoleError] = useState(null);
+  const canViewUsers = hasPermission(currentUser, PERMISSIONS.VIEW_USERS);
+  const canManageUsers = hasPermission(currentUser, PERMISSIONS.MANAGE_USERS);
   useEffect(() => {
     const fetchUsers = async () => {
       try {
@@ -25,10 +29,10 @@ export default function DashUsers() {
         console.log(error.message);
       }
     };
-    if (currentUser.isAdmin) {
+    if (canViewUsers) {
       fetchUsers();
     }
-  }, [currentUser._id]);
+  }, [currentUser._id, canViewUsers]);
 
   const handleShowMore = async () => {
     const startIndex = users.length;
@@ -46,6 +50,16 @@ export default function DashUsers() {
     }
   };
 
+  const handleRoleChange = async (userId, role) => {
+    setRoleError(null);
+    try {
+      const updatedUser = await updateUserRole({ userId, role });
+      setUsers((prev) => prev.map((user) => (user._id === userId ? updatedUser : user)));
+    } catch (error) {
+      setRoleError(error.response?.data?.message || error.message);
+    }
+  };
+
   const handleDeleteUser = async () => {
     try {
         const res = await fetch(`/api/user/delete/${userIdToDelete}`, {
@@ -65,16 +79,21 @@ export default function DashUsers() {
 
   return (
     <div className='table-auto overflow-x-scroll md:mx-auto p-3 scrollbar scrollbar-track-slate-100 scrollbar-thumb-slate-300 dark:scrollbar-track-slate-700 dark:scrollbar-thumb-slate-500'>
-      {currentUser.isAdmin && users.length > 0 ? (
+      {canViewUsers && users.length > 0 ? (
         <>
+          {roleError && (
+            <Alert color='failure' className='mb-3' onDismiss={() => setRoleError(null)}>
+              {roleError}
+            </Alert>
+          )}
           <Table hoverable className='shadow-md'>
             <Table.Head>
               <Table.HeadCell>Date created</Table.HeadCell>
               <Table.HeadCell>User image</Table.HeadCell>
               <Table.HeadCell>Username</Table.HeadCell>
               <Table.HeadCell>Email</Table.HeadCell>
-              <Table.HeadCell>Admin</Table.HeadCell>
-              <Table.HeadCell>Delete</Table.HeadCell>
+              <Table.HeadCell>Role</Table.HeadCell>
+              {canManageUsers && <Table.HeadCell>Delete</Table.HeadCell>}
             </Table.Head>
             {users.map((user) => (
               <Table.Body className='divide-y' key={user._id}>
@@ -92,23 +111,36 @@ export default function DashUsers() {
                   <Table.Cell>{user.username}</Table.Cell>
                   <Table.Cell>{user.email}</Table.Cell>
                   <Table.Cell>
-                    {user.isAdmin ? (
-                      <FaCheck className='text-green-500' />
+                    {canManageUsers ? (
+                      <Select
+                        sizing='sm'
+                        value={getUserRole(user)}
+                        onChange={(e) => handleRoleChange(user._id, e.target.value)}
+                        aria-label={`Role of ${user.username}`}
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </Select>
                     ) : (
-                      <FaTimes className='text-red-500' />
+                      <span className='capitalize'>{getUserRole(user)}</span>
                     )}
                   </Table.Cell>
-                  <Table.Cell>
-                    <span
-                      onClick={() => {
-                        setShowModal(true);
-                        setUserIdToDelete(user._id);
-                      }}
-                      className='font-medium text-red-500 hover:underline cursor-pointer'
-                    >
-                      Delete
-                    </span>
-                  </Table.Cell>
+                  {canManageUsers && (
+                    <Table.Cell>
+                      <span
+                        onClick={() => {
+                          setShowModal(true);
+                          setUserIdToDelete(user._id);
+                        }}
+                        className='font-medium text-red-500 hover:underline cursor-pointer'
+                      >
+                        Delete
+                      </span>
+                    </Table.Cell>
+                  )}
                 </Table.Row>
               </Table.Body>
             ))}
@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { HiAnnotation, HiDocumentText, HiOutlineUserGroup } from 'react-icons/hi';
 import { Alert, Spinner, Table } from 'flowbite-react';
 import StatCard from './StatCard'; // Import new component
@@ -61,7 +62,7 @@ export default function DashboardComp() {
       }
     };
 
-    if (currentUser.isAdmin) {
+    if (hasPermission(currentUser, PERMISSIONS.VIEW_USERS)) {
       fetchData();
     }
   }, [currentUser]);
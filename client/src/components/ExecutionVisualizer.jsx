@@ -2,6 +2,18 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import Editor from '@monaco-editor/react';
 import * as d3 from 'd3';
 import LanguageSelector from './LanguageSelector';
+import MemoryView from './MemoryView';
+import BreakpointsPanel from './BreakpointsPanel';
+import WatchPanel from './WatchPanel';
+import useExecutionLanguages from '../hooks/useExecutionLanguages';
+import {
+    findBreakpoint,
+    findSnapshot,
+    findStepOut,
+    findStepOver,
+    getStepVariables,
+    hitsBreakpoint,
+} from '../utils/traceNavigation';
 
 const defaultCodeSnippets = {
     javascript: `function greet(name) {
@@ -21,12 +33,34 @@ for (let i = 0; i < 2; i++) {
     return message
 
 result = greet("World")
-print(result)`
+print(result)`,
+    cpp: `#include <iostream>
+#include <string>
+
+std::string greet(const std::string& name) {
+    std::string message = "Hello, " + name;
+    return message;
+}
+
+int main() {
+    for (int i = 0; i < 2; i++) {
+        std::string result = greet("World");
+        std::cout << result << std::endl;
+    }
+    return 0;
+}`
+};
+
+const stdinPlaceholders = {
+    javascript: 'Program input for prompt(), one value per line',
+    python: 'Program input for input(), one value per line',
+    cpp: 'Program input for std::cin',
 };
 
 export default function ExecutionVisualizer() {
     const [language, setLanguage] = useState('javascript');
     const [code, setCode] = useState(defaultCodeSnippets['javascript']);
+    const [stdin, setStdin] = useState('');
     const [events, setEvents] = useState([]);
     const [logs, setLogs] = useState([]);
     const [output, setOutput] = useState('');
@@ -35,16 +69,32 @@ export default function ExecutionVisualizer() {
     const [isRunning, setIsRunning] = useState(false);
     const [isPlaying, setIsPlaying] = useState(false);
     const [playSpeed, setPlaySpeed] = useState(800);
+    const [view, setView] = useState('flowchart');
+    // Breakpoints keyed by line, each with an optional condition
+    const [breakpoints, setBreakpoints] = useState({});
+    const [watches, setWatches] = useState([]);
+    const { languages: serverLanguages } = useExecutionLanguages();
+    // C++ can only be traced when the server has gdb
+    const traceableLanguages = serverLanguages
+        ? serverLanguages.filter((l) => l.traceable && l.available).map((l) => l.id)
+        : ['javascript', 'python'];
+
+    // Expression events carry no stack, so the memory view and watches use
+    // the latest step at or before the current one.
+    const snapshot = findSnapshot(events, currentStep) || events[currentStep];
+    const stepVariables = getStepVariables(snapshot);
 
     const svgRef = useRef(null);
     const editorRef = useRef(null);
     const monacoRef = useRef(null);
     const decorationsRef = useRef([]);
+    const breakpointDecorationsRef = useRef([]);
     const simulationRef = useRef();
 
     useEffect(() => {
         const stored = localStorage.getItem(`execvis_code_${language}`);
         setCode(stored || defaultCodeSnippets[language]);
+        setBreakpoints({});
     }, [language]);
 
     useEffect(() => {
@@ -193,10 +243,45 @@ export default function ExecutionVisualizer() {
             return;
         }
         const id = setTimeout(() => {
-            setCurrentStep((s) => Math.min(events.length - 1, s + 1));
+            const next = currentStep + 1;
+            setCurrentStep(next);
+            // Playback pauses on breakpoints like a debugger would
+            if (hitsBreakpoint(events[next], breakpoints)) setIsPlaying(false);
         }, playSpeed);
         return () => clearTimeout(id);
-    }, [isPlaying, currentStep, playSpeed, events.length]);
+    }, [isPlaying, currentStep, playSpeed, events, breakpoints]);
+
+    useEffect(() => {
+        if (!editorRef.current || !monacoRef.current) return;
+        const monaco = monacoRef.current;
+        breakpointDecorationsRef.current = editorRef.current.deltaDecorations(
+            breakpointDecorationsRef.current,
+            Object.entries(breakpoints).map(([line, { condition }]) => ({
+                range: new monaco.Range(Number(line), 1, Number(line), 1),
+                options: {
+                    glyphMarginClassName: condition.trim() ? 'breakpoint-glyph conditional' : 'breakpoint-glyph',
+                    glyphMarginHoverMessage: { value: condition.trim() ? `Breakpoint if \`${condition}\`` : 'Breakpoint' },
+                },
+            }))
+        );
+    }, [breakpoints]);
+
+    const toggleBreakpoint = (line) => {
+        setBreakpoints((prev) => {
+            const next = { ...prev };
+            if (next[line]) delete next[line];
+            else next[line] = { condition: '' };
+            return next;
+        });
+    };
+
+    // Jumps to a step found by one of the navigation helpers; `fallback` is
+    // used when there is no such step (e.g. no breakpoint ahead).
+    const goToStep = (index, fallback) => {
+        setIsPlaying(false);
+        const target = index === -1 ? fallback : index;
+        if (target !== undefined && target >= 0) setCurrentStep(target);
+    };
 
     useEffect(() => {
         if (!editorRef.current || !monacoRef.current) return;
@@ -225,7 +310,7 @@ export default function ExecutionVisualizer() {
             const res = await fetch('/api/execute', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ language, code }),
+                body: JSON.stringify({ language, code, stdin }),
             });
             const data = await res.json();
 
@@ -247,7 +332,7 @@ export default function ExecutionVisualizer() {
         } finally {
             setIsRunning(false);
         }
-    }, [language, code]);
+    }, [language, code, stdin]);
 
     useEffect(() => {
         const handler = (e) => {
@@ -275,7 +360,7 @@ export default function ExecutionVisualizer() {
             <LanguageSelector
                 selectedLanguage={language}
                 setSelectedLanguage={setLanguage}
-                languages={['javascript', 'python']}
+                languages={traceableLanguages}
             />
             <Editor
                 height="40vh"
@@ -284,9 +369,24 @@ export default function ExecutionVisualizer() {
                 onMount={(editor, monaco) => {
                     editorRef.current = editor;
                     monacoRef.current = monaco;
+                    editor.onMouseDown((e) => {
+                        const { GUTTER_GLYPH_MARGIN, GUTTER_LINE_NUMBERS } = monaco.editor.MouseTargetType;
+                        if (e.target.type === GUTTER_GLYPH_MARGIN || e.target.type === GUTTER_LINE_NUMBERS) {
+                            toggleBreakpoint(e.target.position.lineNumber);
+                        }
+                    });
                 }}
+                options={{ glyphMargin: true }}
                 onChange={(value) => setCode(value ?? '')}
             />
+            <textarea
+                rows={2}
+                value={stdin}
+                onChange={(e) => setStdin(e.target.value)}
+                placeholder={stdinPlaceholders[language]}
+                aria-label="Program input"
+                className="w-full p-2 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 font-mono text-sm"
+            />
             <div className="flex gap-2">
                 <button
                     onClick={runCode}
@@ -303,6 +403,10 @@ export default function ExecutionVisualizer() {
                     Reset Code
                 </button>
             </div>
+            <div className="grid gap-2 md:grid-cols-2">
+                <BreakpointsPanel breakpoints={breakpoints} onChange={setBreakpoints} />
+                <WatchPanel expressions={watches} onChange={setWatches} variables={stepVariables} />
+            </div>
             {error && <div className="text-red-500">{error}</div>}
             {events.length > 0 && (
                 <div className="space-y-2">
@@ -311,6 +415,23 @@ export default function ExecutionVisualizer() {
                         <button onClick={() => { setIsPlaying((p) => { if (!p && currentStep < 0 && events.length > 0) setCurrentStep(0); return !p; }); }} className="px-3 py-1 rounded bg-gray-300">{isPlaying ? 'Pause' : 'Play'}</button>
                         <button onClick={() => { setIsPlaying(false); setCurrentStep((s) => Math.min(events.length - 1, s + 1)); }} disabled={currentStep >= events.length - 1} className="px-3 py-1 rounded bg-gray-300 disabled:opacity-50">Next</button>
                         <button onClick={() => { setIsPlaying(false); setCurrentStep(0); }} className="px-3 py-1 rounded bg-gray-300">Reset</button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <button onClick={() => goToStep(findBreakpoint(events, currentStep, breakpoints, -1), 0)} disabled={currentStep <= 0} className="px-3 py-1 rounded bg-gray-300 disabled:opacity-50" title="Run backwards to the previous breakpoint">Reverse Continue</button>
+                        <button onClick={() => goToStep(findStepOver(events, currentStep), events.length - 1)} disabled={currentStep >= events.length - 1} className="px-3 py-1 rounded bg-gray-300 disabled:opacity-50" title="Next step in this function, skipping over calls">Step Over</button>
+                        <button onClick={() => goToStep(findStepOut(events, currentStep), events.length - 1)} disabled={currentStep >= events.length - 1} className="px-3 py-1 rounded bg-gray-300 disabled:opacity-50" title="Run until the current function returns">Step Out</button>
+                        <button onClick={() => goToStep(findBreakpoint(events, currentStep, breakpoints), events.length - 1)} disabled={currentStep >= events.length - 1} className="px-3 py-1 rounded bg-gray-300 disabled:opacity-50" title="Run to the next breakpoint">Continue</button>
+                        <div className="flex items-center space-x-1 ml-4">
+                            {['flowchart', 'memory'].map((option) => (
+                                <button
+                                    key={option}
+                                    onClick={() => setView(option)}
+                                    className={`px-3 py-1 rounded capitalize ${view === option ? 'bg-purple-600 text-white' : 'bg-gray-300'}`}
+                                >
+                                    {option}
+                                </button>
+                            ))}
+                        </div>
                         <div className="flex items-center space-x-1 ml-4">
                             <label className="text-sm">Speed</label>
                             <input type="range" min="100" max="2000" step="100" value={playSpeed} onChange={(e) => setPlaySpeed(Number(e.target.value))} className="w-32" />
@@ -338,7 +459,8 @@ export default function ExecutionVisualizer() {
                         </pre>
                     </div>
                 )}
-                <svg ref={svgRef}></svg>
+                {view === 'memory' && snapshot?.stack && <MemoryView stack={snapshot.stack} heap={snapshot.heap} />}
+                <svg ref={svgRef} className={view === 'memory' ? 'hidden' : ''}></svg>
             </div>
             {(output || logs.length > 0) && (
                 <div className="p-4 bg-white dark:bg-gray-800 rounded shadow space-y-2">
@@ -1,16 +1,30 @@
 // client/src/components/LanguageSelector.jsx
 import React from 'react';
 import { motion } from 'framer-motion';
+import useExecutionLanguages from '../hooks/useExecutionLanguages';
 
+// HTML and CSS are rendered by the browser and never need a server toolchain.
+const browserLanguages = ['html', 'css'];
 const defaultLanguages = ['html', 'css', 'javascript', 'cpp', 'python'];
 
-export default function LanguageSelector({ selectedLanguage, setSelectedLanguage, languages = defaultLanguages }) {
+export default function LanguageSelector({ selectedLanguage, setSelectedLanguage, languages }) {
+    const { languages: serverLanguages } = useExecutionLanguages();
+
+    // Until the server reports its toolchains, fall back to the classic set.
+    let offered = languages || defaultLanguages;
+    if (serverLanguages) {
+        const installed = serverLanguages.filter((l) => l.available).map((l) => l.id);
+        offered = (languages || [...browserLanguages, ...installed]).filter(
+            (lang) => browserLanguages.includes(lang) || installed.includes(lang)
+        );
+    }
+
     return (
         <motion.div
             layout
             className="flex flex-wrap items-center gap-2"
         >
-            {languages.map((lang) => (
+            {offered.map((lang) => (
                 <motion.button
                     key={lang}
                     onClick={() => setSelectedLanguage(lang)}
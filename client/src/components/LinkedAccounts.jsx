@@ -0,0 +1,96 @@
+// client/src/components/LinkedAccounts.jsx
+import { Alert, Badge, Button, Spinner } from 'flowbite-react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { AiFillGoogleCircle, AiFillGithub } from 'react-icons/ai';
+import { GoogleAuthProvider, signInWithPopup, getAuth } from 'firebase/auth';
+import { app } from '../firebase';
+import { getIdentities, linkIdentity, unlinkIdentity } from '../services/authService';
+import { startGithubAuthorization } from '../utils/githubOAuth';
+
+const providers = [
+    { provider: 'google', label: 'Google', icon: AiFillGoogleCircle },
+    { provider: 'github', label: 'GitHub', icon: AiFillGithub },
+];
+
+// Links a provider with the same flow as signing in with it
+const startLinking = async (provider) => {
+    if (provider === 'github') {
+        startGithubAuthorization('link');
+        return null;
+    }
+    const googleProvider = new GoogleAuthProvider();
+    googleProvider.setCustomParameters({ prompt: 'select_account' });
+    const result = await signInWithPopup(getAuth(app), googleProvider);
+    return linkIdentity('google', { idToken: await result.user.getIdToken() });
+};
+
+/**
+ * The signed-in user's ways to sign in: their password and the Google and
+ * GitHub logins linked to their account.
+ */
+export default function LinkedAccounts() {
+    const queryClient = useQueryClient();
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['identities'],
+        queryFn: getIdentities,
+    });
+
+    const onSuccess = (methods) => {
+        if (methods) queryClient.setQueryData(['identities'], methods);
+    };
+    const linkMutation = useMutation({ mutationFn: startLinking, onSuccess });
+    const unlinkMutation = useMutation({ mutationFn: unlinkIdentity, onSuccess });
+    const mutationError = linkMutation.error || unlinkMutation.error;
+
+    if (isLoading) return <Spinner className='self-center' />;
+    if (isError) return <Alert color='failure'>{error.message}</Alert>;
+
+    // The last way to sign in cannot be removed
+    const canUnlink = data.password || data.identities.length > 1;
+
+    return (
+        <div className='flex flex-col gap-3'>
+            <h2 className='font-semibold text-lg'>Sign-in methods</h2>
+            <div className='flex justify-between items-center'>
+                <span>Password</span>
+                {data.password ? <Badge color='success'>Set</Badge> : <Badge color='gray'>Not set</Badge>}
+            </div>
+            {providers.map(({ provider, label, icon: Icon }) => {
+                const identity = data.identities.find((candidate) => candidate.provider === provider);
+                return (
+                    <div key={provider} className='flex justify-between items-center gap-2'>
+                        <span className='flex items-center gap-2'>
+                            <Icon className='w-5 h-5' />
+                            {label}
+                            {identity?.email && <span className='text-sm text-gray-500'>({identity.email})</span>}
+                        </span>
+                        {identity ? (
+                            <Button
+                                size='xs'
+                                color='light'
+                                disabled={!canUnlink || unlinkMutation.isPending}
+                                onClick={() => unlinkMutation.mutate(provider)}
+                            >
+                                Unlink
+                            </Button>
+                        ) : (
+                            <Button
+                                size='xs'
+                                gradientDuoTone='purpleToBlue'
+                                outline
+                                disabled={linkMutation.isPending}
+                                onClick={() => linkMutation.mutate(provider)}
+                            >
+                                Link
+                            </Button>
+                        )}
+                    </div>
+                );
+            })}
+            {!data.password && (
+                <p className='text-sm text-gray-500'>Set a password above to sign in with your email as well.</p>
+            )}
+            {mutationError && <Alert color='failure'>{mutationError.message}</Alert>}
+        </div>
+    );
+}
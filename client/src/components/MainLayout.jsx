@@ -5,13 +5,17 @@ import ScrollToTop from './ScrollToTop';
 import BackToTopButton from './BackToTopButton';
 import Onboarding from './Onboarding';
 import ProfileCompletionPrompt from './ProfileCompletionPrompt';
+import useSessionRefresh from '../hooks/useSessionRefresh';
 
 /**
  * Renders the common layout for the application, including the
- * Header, Footer, and scroll-to-top functionality.
+ * Header, Footer, and scroll-to-top functionality, and keeps the
+ * signed-in user's session alive.
  * The <Outlet /> component renders the active child route.
  */
 export default function MainLayout() {
+    useSessionRefresh();
+
     return (
         <>
             {/* Skip link for improved accessibility */}
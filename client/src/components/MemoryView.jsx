@@ -0,0 +1,177 @@
+// client/src/components/MemoryView.jsx
+import { useLayoutEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+
+// A value in a frame or heap object is either printed in place or points at
+// a heap object, which is drawn as an arrow.
+function Value({ value }) {
+    if (value?.ref) {
+        return (
+            <span
+                data-ref={value.ref}
+                className="inline-block w-3 h-3 rounded-full bg-purple-600"
+                title={`Object #${value.ref}`}
+            />
+        );
+    }
+    return <span className="font-mono">{value?.value}</span>;
+}
+
+Value.propTypes = {
+    value: PropTypes.shape({ ref: PropTypes.string, value: PropTypes.string }),
+};
+
+function Frame({ frame, isCurrent }) {
+    const locals = Object.entries(frame.locals || {});
+    return (
+        <div
+            className={`rounded border p-2 bg-white dark:bg-gray-800 ${
+                isCurrent ? 'border-purple-500 shadow' : 'border-gray-300 dark:border-gray-600'
+            }`}
+        >
+            <p className="text-xs font-semibold mb-1">
+                {frame.name} <span className="text-gray-500">line {frame.line}</span>
+            </p>
+            {locals.length === 0 ? (
+                <p className="text-xs text-gray-500">No variables</p>
+            ) : (
+                <table className="text-xs">
+                    <tbody>
+                        {locals.map(([name, value]) => (
+                            <tr key={name}>
+                                <td className="pr-3 text-right font-mono">{name}</td>
+                                <td className="py-0.5">
+                                    <Value value={value} />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+Frame.propTypes = {
+    frame: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        line: PropTypes.number,
+        locals: PropTypes.object,
+    }).isRequired,
+    isCurrent: PropTypes.bool,
+};
+
+function HeapObject({ id, object }) {
+    const isSequence = ['array', 'list', 'tuple', 'set'].includes(object.type);
+    return (
+        <div data-heap-id={id} className="rounded border border-gray-300 dark:border-gray-600 p-2 bg-yellow-50 dark:bg-gray-700">
+            <p className="text-xs text-gray-500 mb-1">
+                {object.type === 'function' ? 'function' : object.label}
+                {object.type === 'function' && <span className="font-mono text-gray-800 dark:text-gray-200"> {object.label}</span>}
+            </p>
+            {object.entries.length > 0 && (
+                <div className={`text-xs ${isSequence ? 'flex flex-wrap' : 'space-y-0.5'}`}>
+                    {object.entries.map((entry, index) => (
+                        <div
+                            key={entry.key ?? index}
+                            className={isSequence ? 'border border-gray-300 dark:border-gray-600 px-2 py-1 text-center' : 'flex gap-2'}
+                        >
+                            {entry.key !== undefined && (
+                                <span className={isSequence ? 'block text-[10px] text-gray-500' : 'font-mono text-gray-500'}>
+                                    {entry.key}
+                                </span>
+                            )}
+                            <Value value={entry.value} />
+                        </div>
+                    ))}
+                    {object.truncated && <span className="px-2 text-gray-500">…</span>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+HeapObject.propTypes = {
+    id: PropTypes.string.isRequired,
+    object: PropTypes.shape({
+        type: PropTypes.string.isRequired,
+        label: PropTypes.string,
+        entries: PropTypes.array.isRequired,
+        truncated: PropTypes.bool,
+    }).isRequired,
+};
+
+/**
+ * Draws a trace step's call stack next to the heap objects it references,
+ * with an arrow from every reference to its object.
+ */
+export default function MemoryView({ stack = [], heap = {} }) {
+    const containerRef = useRef(null);
+    const [arrows, setArrows] = useState([]);
+
+    // Arrows are positioned from the rendered boxes, so they are measured
+    // after every layout change.
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        const origin = container.getBoundingClientRect();
+        const offsetX = container.scrollLeft - origin.left;
+        const offsetY = container.scrollTop - origin.top;
+        const next = [];
+        container.querySelectorAll('[data-ref]').forEach((pointer, index) => {
+            const target = container.querySelector(`[data-heap-id="${pointer.dataset.ref}"]`);
+            if (!target) return;
+            const from = pointer.getBoundingClientRect();
+            const to = target.getBoundingClientRect();
+            next.push({
+                key: index,
+                x1: from.left + from.width / 2 + offsetX,
+                y1: from.top + from.height / 2 + offsetY,
+                x2: to.left + offsetX,
+                y2: to.top + 10 + offsetY,
+            });
+        });
+        setArrows(next);
+    }, [stack, heap]);
+
+    return (
+        <div ref={containerRef} data-testid="memory-view" className="relative overflow-auto max-h-[500px]">
+            <div className="grid grid-cols-2 gap-16 p-2">
+                <div className="space-y-2">
+                    <h4 className="text-sm font-semibold">Frames</h4>
+                    {stack.map((frame, index) => (
+                        <Frame key={index} frame={frame} isCurrent={index === stack.length - 1} />
+                    ))}
+                </div>
+                <div className="space-y-3">
+                    <h4 className="text-sm font-semibold">Objects</h4>
+                    {Object.entries(heap).map(([id, object]) => (
+                        <HeapObject key={id} id={id} object={object} />
+                    ))}
+                </div>
+            </div>
+            <svg className="absolute top-0 left-0 w-full h-full pointer-events-none overflow-visible">
+                <defs>
+                    <marker id="memory-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                        <path d="M0,0 L8,4 L0,8 z" className="fill-purple-600" />
+                    </marker>
+                </defs>
+                {arrows.map(({ key, x1, y1, x2, y2 }) => (
+                    <path
+                        key={key}
+                        d={`M${x1},${y1} C${x1 + 40},${y1} ${x2 - 40},${y2} ${x2},${y2}`}
+                        className="stroke-purple-600"
+                        fill="none"
+                        strokeWidth="1.5"
+                        markerEnd="url(#memory-arrow)"
+                    />
+                ))}
+            </svg>
+        </div>
+    );
+}
+
+MemoryView.propTypes = {
+    stack: PropTypes.arrayOf(PropTypes.object),
+    heap: PropTypes.objectOf(PropTypes.object),
+};
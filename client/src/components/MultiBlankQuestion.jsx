@@ -0,0 +1,51 @@
+// client/src/components/MultiBlankQuestion.jsx
+import PropTypes from 'prop-types';
+import { BLANK_MARKER } from '../utils/quizQuestions';
+
+/**
+ * Renders a code snippet with an input in place of every {{blank}}.
+ * `answers[i]` fills the i-th blank.
+ */
+export default function MultiBlankQuestion({ codeSnippet = '', answers = [], onChange, disabled = false, results }) {
+    const parts = codeSnippet.split(BLANK_MARKER);
+
+    const updateAnswer = (index, value) => {
+        const next = Array.from({ length: parts.length - 1 }, (_, i) => answers[i] ?? '');
+        next[index] = value;
+        onChange(next);
+    };
+
+    return (
+        <pre className="bg-gray-800 text-white p-3 rounded-md overflow-x-auto text-sm leading-8">
+            <code>
+                {parts.map((part, index) => (
+                    <span key={index}>
+                        {part}
+                        {index < parts.length - 1 && (
+                            <input
+                                type="text"
+                                aria-label={`Blank ${index + 1}`}
+                                value={answers[index] ?? ''}
+                                onChange={(e) => updateAnswer(index, e.target.value)}
+                                disabled={disabled}
+                                size={Math.max((answers[index] ?? '').length, 4)}
+                                className={`mx-1 px-1 py-0 rounded bg-gray-700 text-white font-mono text-sm border ${
+                                    results ? (results[index] ? 'border-green-500' : 'border-red-500') : 'border-gray-500'
+                                }`}
+                            />
+                        )}
+                    </span>
+                ))}
+            </code>
+        </pre>
+    );
+}
+
+MultiBlankQuestion.propTypes = {
+    codeSnippet: PropTypes.string,
+    answers: PropTypes.arrayOf(PropTypes.string),
+    onChange: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    // After grading: whether each blank was filled correctly
+    results: PropTypes.arrayOf(PropTypes.bool),
+};
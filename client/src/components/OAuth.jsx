@@ -1,62 +1,38 @@
-import { Button } from 'flowbite-react';
+import { Alert, Button } from 'flowbite-react';
 import { AiFillGoogleCircle, AiFillGithub } from 'react-icons/ai';
-import { GoogleAuthProvider, GithubAuthProvider, signInWithPopup, getAuth } from 'firebase/auth';
+import { GoogleAuthProvider, signInWithPopup, getAuth } from 'firebase/auth';
 import { app } from '../firebase';
+import { useState } from 'react';
 import { useDispatch } from 'react-redux';
 import { signInSuccess } from '../redux/user/userSlice';
 import { useNavigate } from 'react-router-dom';
+import { signInWithProvider } from '../services/authService';
+import { startGithubAuthorization } from '../utils/githubOAuth';
 
 export default function OAuth() {
     const auth = getAuth(app)
     const dispatch = useDispatch()
     const navigate = useNavigate()
+    const [error, setError] = useState(null)
+
+    // The server verifies the Firebase ID token rather than trusting the profile
     const handleGoogleClick = async () =>{
         const provider = new GoogleAuthProvider()
         provider.setCustomParameters({ prompt: 'select_account' })
         try {
+            setError(null)
             const resultsFromGoogle = await signInWithPopup(auth, provider)
-            const res = await fetch('/api/auth/google', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    name: resultsFromGoogle.user.displayName,
-                    email: resultsFromGoogle.user.email,
-                    googlePhotoUrl: resultsFromGoogle.user.photoURL,
-                }),
-                })
-            const data = await res.json()
-            if (res.ok){
-                dispatch(signInSuccess(data))
-                navigate('/')
-            }
+            const idToken = await resultsFromGoogle.user.getIdToken()
+            const data = await signInWithProvider('google', { idToken })
+            dispatch(signInSuccess(data))
+            navigate('/')
         } catch (error) {
-            console.log(error);
+            setError(error.message)
         }
     }
 
-    const handleGithubClick = async () => {
-        const provider = new GithubAuthProvider();
-        provider.setCustomParameters({ allow_signup: 'false' });
-        try {
-            const results = await signInWithPopup(auth, provider);
-            const res = await fetch('/api/auth/github', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    name: results.user.displayName,
-                    email: results.user.email,
-                    githubPhotoUrl: results.user.photoURL,
-                }),
-            });
-            const data = await res.json();
-            if (res.ok) {
-                dispatch(signInSuccess(data));
-                navigate('/');
-            }
-        } catch (error) {
-            console.log(error);
-        }
-    };
+    // GitHub redirects back to /oauth/github, which finishes signing in
+    const handleGithubClick = () => startGithubAuthorization('signin');
 
     return (
         <div className='flex flex-col gap-2'>
@@ -68,6 +44,7 @@ export default function OAuth() {
                 <AiFillGithub className='w-6 h-6 mr-2'/>
                 Continue with GitHub
             </Button>
+            {error && <Alert color='failure'>{error}</Alert>}
         </div>
     )
-}
\ No newline at end of file
+}
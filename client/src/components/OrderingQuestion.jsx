@@ -0,0 +1,120 @@
+// client/src/components/OrderingQuestion.jsx
+import { useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useDrag, useDrop } from 'react-dnd';
+import { FaChevronUp, FaChevronDown, FaGripVertical } from 'react-icons/fa';
+
+const ItemTypes = {
+    ORDER_ITEM: 'orderItem',
+};
+
+function OrderItem({ questionId, item, index, count, moveItem, disabled }) {
+    const ref = useRef(null);
+
+    const [, drop] = useDrop({
+        accept: `${ItemTypes.ORDER_ITEM}-${questionId}`,
+        hover(dragged, monitor) {
+            if (!ref.current || dragged.index === index) return;
+            const rect = ref.current.getBoundingClientRect();
+            const middleY = (rect.bottom - rect.top) / 2;
+            const hoverY = monitor.getClientOffset().y - rect.top;
+            if (dragged.index < index && hoverY < middleY) return;
+            if (dragged.index > index && hoverY > middleY) return;
+            moveItem(dragged.index, index);
+            dragged.index = index;
+        },
+    });
+
+    // Items of another question on the same page cannot be dropped here
+    const [{ isDragging }, drag] = useDrag({
+        type: `${ItemTypes.ORDER_ITEM}-${questionId}`,
+        item: () => ({ index }),
+        canDrag: !disabled,
+        collect: (monitor) => ({ isDragging: monitor.isDragging() }),
+    });
+
+    drag(drop(ref));
+
+    return (
+        <li
+            ref={ref}
+            className={`flex items-center gap-2 p-2 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 ${
+                isDragging ? 'opacity-40' : ''
+            } ${disabled ? '' : 'cursor-move'}`}
+        >
+            <FaGripVertical className="text-gray-400 shrink-0" />
+            <code className="flex-1 whitespace-pre text-sm overflow-x-auto">{item}</code>
+            <button
+                type="button"
+                onClick={() => moveItem(index, index - 1)}
+                disabled={disabled || index === 0}
+                className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30"
+                aria-label="Move up"
+            >
+                <FaChevronUp />
+            </button>
+            <button
+                type="button"
+                onClick={() => moveItem(index, index + 1)}
+                disabled={disabled || index === count - 1}
+                className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30"
+                aria-label="Move down"
+            >
+                <FaChevronDown />
+            </button>
+        </li>
+    );
+}
+
+OrderItem.propTypes = {
+    questionId: PropTypes.string.isRequired,
+    item: PropTypes.string.isRequired,
+    index: PropTypes.number.isRequired,
+    count: PropTypes.number.isRequired,
+    moveItem: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+};
+
+/**
+ * Lets the learner drag (or move with the arrow buttons) the items of an
+ * ordering question into place. Must be rendered inside a DndProvider.
+ */
+export default function OrderingQuestion({ questionId, items, onChange, disabled = false }) {
+    const moveItem = (from, to) => {
+        const next = [...items];
+        const [moved] = next.splice(from, 1);
+        next.splice(to, 0, moved);
+        onChange(next);
+    };
+
+    // Items may repeat (e.g. two closing braces); repeats are keyed by occurrence
+    // so an item keeps its key while it is dragged around.
+    const seen = {};
+    const keys = items.map((item) => {
+        seen[item] = (seen[item] || 0) + 1;
+        return `${item}#${seen[item]}`;
+    });
+
+    return (
+        <ol className="space-y-2">
+            {items.map((item, index) => (
+                <OrderItem
+                    key={keys[index]}
+                    questionId={questionId}
+                    item={item}
+                    index={index}
+                    count={items.length}
+                    moveItem={moveItem}
+                    disabled={disabled}
+                />
+            ))}
+        </ol>
+    );
+}
+
+OrderingQuestion.propTypes = {
+    questionId: PropTypes.string.isRequired,
+    items: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onChange: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+};
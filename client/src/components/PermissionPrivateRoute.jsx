@@ -0,0 +1,17 @@
+import { useSelector } from 'react-redux';
+import { Outlet, Navigate } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { hasPermission } from '../utils/permissions';
+
+// Renders the nested routes for signed-in users with any of the permissions
+export default function PermissionPrivateRoute({ permissions }) {
+  const { currentUser } = useSelector((state) => state.user);
+  if (!currentUser) {
+    return <Navigate to='/sign-in' />;
+  }
+  return hasPermission(currentUser, ...permissions) ? <Outlet /> : <Navigate to='/dashboard' />;
+}
+
+PermissionPrivateRoute.propTypes = {
+  permissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
@@ -0,0 +1,56 @@
+// client/src/components/ProblemsPanel.jsx
+import PropTypes from 'prop-types';
+import { Badge } from 'flowbite-react';
+import { FaTimesCircle, FaExclamationTriangle, FaInfoCircle } from 'react-icons/fa';
+
+const severityIcons = {
+    error: <FaTimesCircle className="text-red-500 shrink-0" />,
+    warning: <FaExclamationTriangle className="text-yellow-500 shrink-0" />,
+    info: <FaInfoCircle className="text-blue-500 shrink-0" />,
+};
+
+// Lists compiler and runtime diagnostics; clicking one jumps to its location.
+export default function ProblemsPanel({ diagnostics = [], onSelect }) {
+    if (diagnostics.length === 0) return null;
+
+    return (
+        <div className="mt-2 p-2 rounded-md bg-gray-100 dark:bg-gray-700 max-h-48 overflow-auto">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Problems</h4>
+                <Badge color="failure">{diagnostics.length}</Badge>
+            </div>
+            <ul className="space-y-1">
+                {diagnostics.map((diagnostic, index) => (
+                    <li key={`${diagnostic.line}:${diagnostic.column}:${index}`}>
+                        <button
+                            type="button"
+                            onClick={() => onSelect(diagnostic)}
+                            className="w-full flex items-start gap-2 text-left text-xs p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600"
+                            title="Go to this problem"
+                        >
+                            {severityIcons[diagnostic.severity] || severityIcons.error}
+                            <span className="flex-1 text-gray-800 dark:text-gray-200 break-words">{diagnostic.message}</span>
+                            <span className="font-mono text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                                {diagnostic.file} {diagnostic.line}
+                                {diagnostic.column ? `:${diagnostic.column}` : ''}
+                            </span>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+ProblemsPanel.propTypes = {
+    diagnostics: PropTypes.arrayOf(
+        PropTypes.shape({
+            file: PropTypes.string,
+            line: PropTypes.number.isRequired,
+            column: PropTypes.number,
+            severity: PropTypes.oneOf(['error', 'warning', 'info']),
+            message: PropTypes.string.isRequired,
+        })
+    ),
+    onSelect: PropTypes.func.isRequired,
+};
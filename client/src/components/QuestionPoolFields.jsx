@@ -0,0 +1,119 @@
+// client/src/components/QuestionPoolFields.jsx
+import PropTypes from 'prop-types';
+import { useQuery } from '@tanstack/react-query';
+import { Button, Select, TextInput } from 'flowbite-react';
+import { FaTrash, FaPlus } from 'react-icons/fa';
+import { getBankFacets } from '../services/questionBankService';
+
+const labelClass = 'block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300';
+
+/**
+ * Authoring fields for a quiz's question pools. Every attempt draws `count`
+ * random questions from the question bank for each pool, matching any of
+ * its tags and, when set, its difficulty and language. `onChange` receives
+ * the whole updated list.
+ */
+export default function QuestionPoolFields({ pools = [], onChange }) {
+    const { data: facets } = useQuery({
+        queryKey: ['questionBankFacets'],
+        queryFn: getBankFacets,
+        staleTime: 1000 * 60 * 5,
+    });
+
+    const updatePool = (poolIndex, field, value) =>
+        onChange(pools.map((pool, i) => (i === poolIndex ? { ...pool, [field]: value } : pool)));
+
+    return (
+        <div className="flex flex-col gap-3">
+            {pools.map((pool, poolIndex) => (
+                <div
+                    key={pool._id || poolIndex}
+                    className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_6rem_auto] items-end gap-3 p-4 rounded-md border border-dashed border-gray-300 dark:border-gray-600"
+                >
+                    <div>
+                        <label htmlFor={`poolTags-${poolIndex}`} className={labelClass}>Tags</label>
+                        <TextInput
+                            id={`poolTags-${poolIndex}`}
+                            placeholder='Any of, e.g. loops, arrays'
+                            // Typed as text; the server splits the tags
+                            value={Array.isArray(pool.tags) ? pool.tags.join(', ') : pool.tags || ''}
+                            onChange={(e) => updatePool(poolIndex, 'tags', e.target.value)}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor={`poolDifficulty-${poolIndex}`} className={labelClass}>Difficulty</label>
+                        <Select
+                            id={`poolDifficulty-${poolIndex}`}
+                            value={pool.difficulty || ''}
+                            onChange={(e) => updatePool(poolIndex, 'difficulty', e.target.value)}
+                        >
+                            <option value=''>Any</option>
+                            <option value='easy'>Easy</option>
+                            <option value='medium'>Medium</option>
+                            <option value='hard'>Hard</option>
+                        </Select>
+                    </div>
+                    <div>
+                        <label htmlFor={`poolLanguage-${poolIndex}`} className={labelClass}>Language</label>
+                        <Select
+                            id={`poolLanguage-${poolIndex}`}
+                            value={pool.language || ''}
+                            onChange={(e) => updatePool(poolIndex, 'language', e.target.value)}
+                        >
+                            <option value=''>Any</option>
+                            {facets?.languages.map((language) => (
+                                <option key={language} value={language}>{language}</option>
+                            ))}
+                        </Select>
+                    </div>
+                    <div>
+                        <label htmlFor={`poolCount-${poolIndex}`} className={labelClass}>Questions</label>
+                        <TextInput
+                            id={`poolCount-${poolIndex}`}
+                            type="number"
+                            min="1"
+                            value={pool.count}
+                            onChange={(e) => updatePool(poolIndex, 'count', Number(e.target.value))}
+                            required
+                        />
+                    </div>
+                    <Button
+                        type="button"
+                        size="sm"
+                        color="red"
+                        onClick={() => onChange(pools.filter((_, i) => i !== poolIndex))}
+                        className="p-1 mb-1"
+                        title="Remove Pool"
+                    >
+                        <FaTrash />
+                    </Button>
+                </div>
+            ))}
+            {facets?.tags.length > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Tags in the bank: {facets.tags.join(', ')}</p>
+            )}
+            <Button
+                type="button"
+                size="sm"
+                outline
+                gradientDuoTone="greenToBlue"
+                onClick={() => onChange([...pools, { tags: '', difficulty: '', language: '', count: 1 }])}
+                className="w-fit"
+            >
+                <FaPlus className="mr-1" /> Add Question Pool
+            </Button>
+        </div>
+    );
+}
+
+QuestionPoolFields.propTypes = {
+    pools: PropTypes.arrayOf(
+        PropTypes.shape({
+            tags: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.string), PropTypes.string]),
+            difficulty: PropTypes.string,
+            language: PropTypes.string,
+            count: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        })
+    ),
+    onChange: PropTypes.func.isRequired,
+};
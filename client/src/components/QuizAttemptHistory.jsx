@@ -0,0 +1,124 @@
+// client/src/components/QuizAttemptHistory.jsx
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@tanstack/react-query';
+import { Spinner, Alert, Badge } from 'flowbite-react';
+import { HiCheckCircle, HiXCircle, HiChevronDown, HiChevronUp } from 'react-icons/hi';
+import { getMyQuizAttempts } from '../services/quizService';
+
+const formatDuration = (seconds) => {
+    if (seconds === undefined || seconds === null) return '—';
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const formatAnswer = (answer) => {
+    // Matching questions list their pairs
+    if (Array.isArray(answer)) return answer.map((item) => (item?.left ? `${item.left} → ${item.right}` : item)).join(', ');
+    if (answer === undefined || answer === null || answer === '') return '(no answer)';
+    return String(answer);
+};
+
+function AttemptReview({ attempt }) {
+    return (
+        <ul className="mt-3 space-y-3">
+            {attempt.answers.map((answer, index) => (
+                <li key={answer.questionId} className="p-3 rounded-md bg-white dark:bg-gray-800 text-sm">
+                    <p className="font-semibold flex items-center gap-2">
+                        {answer.isCorrect ? (
+                            <HiCheckCircle className="text-green-500 shrink-0" />
+                        ) : (
+                            <HiXCircle className="text-red-500 shrink-0" />
+                        )}
+                        {index + 1}. {answer.questionText}
+                    </p>
+                    <p className="mt-1">
+                        Your answer: <span className="font-mono whitespace-pre-wrap">{formatAnswer(answer.userAnswer)}</span>
+                    </p>
+                    {!answer.isCorrect && (
+                        <p className="text-green-700 dark:text-green-400">
+                            Correct answer: <span className="font-mono whitespace-pre-wrap">{formatAnswer(answer.correctAnswer)}</span>
+                        </p>
+                    )}
+                    {answer.explanation && (
+                        <p className="text-gray-600 dark:text-gray-300 italic mt-1">Explanation: {answer.explanation}</p>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+AttemptReview.propTypes = {
+    attempt: PropTypes.shape({
+        answers: PropTypes.array.isRequired,
+    }).isRequired,
+};
+
+/**
+ * The signed-in user's previous attempts at a quiz, newest first. Each
+ * attempt can be expanded to review the answers given.
+ */
+export default function QuizAttemptHistory({ quizId }) {
+    const [openAttemptId, setOpenAttemptId] = useState(null);
+
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['quizAttempts', quizId],
+        queryFn: () => getMyQuizAttempts(quizId),
+        enabled: !!quizId,
+    });
+
+    if (isLoading) {
+        return (
+            <div className="flex justify-center p-4">
+                <Spinner size="lg" />
+            </div>
+        );
+    }
+
+    if (isError) {
+        return <Alert color="failure">Error loading your attempts: {error?.message || 'Please try again later.'}</Alert>;
+    }
+
+    const attempts = data?.attempts || [];
+    if (attempts.length === 0) {
+        return <p className="text-center text-gray-500 dark:text-gray-400">You have not attempted this quiz yet.</p>;
+    }
+
+    return (
+        <ul className="space-y-3">
+            {attempts.map((attempt) => {
+                const isOpen = openAttemptId === attempt._id;
+                const passed = attempt.score / Math.max(attempt.totalQuestions, 1) >= 0.5;
+                return (
+                    <li key={attempt._id} className="p-4 rounded-lg bg-gray-100 dark:bg-gray-700">
+                        <button
+                            type="button"
+                            onClick={() => setOpenAttemptId(isOpen ? null : attempt._id)}
+                            className="w-full flex flex-wrap items-center justify-between gap-2 text-left"
+                            aria-expanded={isOpen}
+                        >
+                            <span className="text-sm text-gray-600 dark:text-gray-300">
+                                {new Date(attempt.submittedAt).toLocaleString()}
+                            </span>
+                            <span className="flex items-center gap-3">
+                                <Badge color={passed ? 'success' : 'failure'}>
+                                    {attempt.score} / {attempt.totalQuestions}
+                                </Badge>
+                                <span className="text-sm text-gray-600 dark:text-gray-300">
+                                    {formatDuration(attempt.durationSeconds)}
+                                </span>
+                                {isOpen ? <HiChevronUp /> : <HiChevronDown />}
+                            </span>
+                        </button>
+                        {isOpen && <AttemptReview attempt={attempt} />}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+QuizAttemptHistory.propTypes = {
+    quizId: PropTypes.string.isRequired,
+};
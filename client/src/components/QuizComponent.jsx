@@ -1,18 +1,54 @@
 // client/src/components/QuizComponent.jsx
-import { useQuery, useMutation } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Editor from '@monaco-editor/react';
 // CORRECT IMPORTS: Using the new, explicit function name
-import { getSingleQuizById, submitQuiz } from '../services/quizService';
-import { Spinner, Alert, Button, Radio, Label, Checkbox, TextInput } from 'flowbite-react';
-import { useState, useEffect } from 'react';
+import { getSingleQuizById, startQuiz, submitQuiz } from '../services/quizService';
+import { Spinner, Alert, Button, Radio, Label, Checkbox, TextInput, Select } from 'flowbite-react';
+import { useState, useEffect, useRef } from 'react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
 import { useSelector } from 'react-redux';
-import { HiCheckCircle, HiXCircle, HiInformationCircle } from 'react-icons/hi';
+import { HiCheckCircle, HiXCircle, HiInformationCircle, HiClock } from 'react-icons/hi';
 import { FaCode } from 'react-icons/fa'; // For code-output questions
+import TestResultsPanel from './TestResultsPanel';
+import OrderingQuestion from './OrderingQuestion';
+import MultiBlankQuestion from './MultiBlankQuestion';
+import QuizCountdown from './QuizCountdown';
+import { requiresStart } from '../utils/quizQuestions';
+
+// Monaco names some languages differently from the execution API
+const monacoLanguages = { bash: 'shell' };
+
+// Code-writing questions start from their starter code and ordering
+// questions from the items as the server shuffled them
+const getInitialAnswers = (quiz) =>
+    Object.fromEntries(
+        (quiz?.questions || []).flatMap((question) => {
+            if (question.questionType === 'code-writing') return [[question._id, question.codeSnippet || '']];
+            if (question.questionType === 'ordering') return [[question._id, [...(question.orderItems || [])]]];
+            return [];
+        })
+    );
+
+// Puts `items` in the order of `ids`, as shuffled by the server for a
+// started attempt. Items it does not know about keep their place at the end.
+const orderById = (items, ids) => {
+    if (!ids?.length) return items;
+    const position = new Map(ids.map((id, index) => [String(id), index]));
+    return [...items].sort((a, b) => (position.get(String(a._id)) ?? Infinity) - (position.get(String(b._id)) ?? Infinity));
+};
 
 export default function QuizComponent({ quizId }) {
     const { currentUser } = useSelector((state) => state.user);
+    const { theme } = useSelector((state) => state.theme);
     const [userAnswers, setUserAnswers] = useState({});
     const [submitted, setSubmitted] = useState(false);
     const [quizResult, setQuizResult] = useState(null);
+    // The attempt started on the server, for quizzes that need one
+    const [attempt, setAttempt] = useState(null);
+    // When the current attempt started, so its duration can be stored
+    const startedAt = useRef(Date.now());
+    const queryClient = useQueryClient();
 
     const { data: quiz, isLoading, isError, error } = useQuery({
         queryKey: ['quiz', quizId],
@@ -22,15 +58,30 @@ export default function QuizComponent({ quizId }) {
         staleTime: Infinity, // Quizzes are static, so cache indefinitely
     });
 
+    const startMutation = useMutation({
+        mutationFn: () => startQuiz(quizId),
+        onSuccess: (data) => {
+            // How far the browser's clock is ahead of the server's
+            setAttempt({ ...data, clockOffset: Date.now() - new Date(data.serverTime).getTime() });
+            // Questions drawn from the question bank for this attempt
+            setUserAnswers((prev) => ({ ...getInitialAnswers({ questions: data.questions }), ...prev }));
+            setQuizResult(null);
+            startedAt.current = Date.now();
+        },
+    });
+
     const submitMutation = useMutation({
-        mutationFn: (answers) => submitQuiz(quizId, answers),
+        mutationFn: (answers) =>
+            submitQuiz(quizId, answers, (Date.now() - startedAt.current) / 1000, attempt?.attemptToken),
         onSuccess: (data) => {
             setQuizResult(data);
             setSubmitted(true);
+            // The new attempt shows up in the attempt history
+            queryClient.invalidateQueries({ queryKey: ['quizAttempts', quizId] });
         },
         onError: (err) => {
             console.error('Quiz submission failed:', err);
-            setQuizResult({ error: err.message || 'Failed to submit quiz.' });
+            setQuizResult({ error: err.response?.data?.message || err.message || 'Failed to submit quiz.' });
         },
     });
 
@@ -39,8 +90,14 @@ export default function QuizComponent({ quizId }) {
         setUserAnswers({});
         setSubmitted(false);
         setQuizResult(null);
+        setAttempt(null);
+        startedAt.current = Date.now();
     }, [quizId]);
 
+    useEffect(() => {
+        setUserAnswers(getInitialAnswers(quiz));
+    }, [quiz]);
+
     if (isLoading) {
         return (
             <div className='flex justify-center items-center p-8'>
@@ -68,19 +125,27 @@ export default function QuizComponent({ quizId }) {
         }));
     };
 
+    const submitAnswers = () => {
+        const answersArray = Object.keys(userAnswers).map((qId) => ({
+            questionId: qId,
+            userAnswer: userAnswers[qId],
+        }));
+
+        submitMutation.mutate(answersArray);
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
         if (!currentUser) {
             alert('Please sign in to submit the quiz.');
             return;
         }
+        submitAnswers();
+    };
 
-        const answersArray = Object.keys(userAnswers).map((qId) => ({
-            questionId: qId,
-            userAnswer: userAnswers[qId],
-        }));
-
-        submitMutation.mutate(answersArray);
+    // Whatever has been answered is submitted when the time runs out
+    const handleExpire = () => {
+        if (!submitted && !submitMutation.isPending) submitAnswers();
     };
 
     const getAnswerFeedback = (questionId) => {
@@ -93,6 +158,9 @@ export default function QuizComponent({ quizId }) {
         const isCorrect = feedback?.isCorrect;
         const feedbackClass = submitted ? (isCorrect ? 'text-green-500' : 'text-red-500') : '';
         const FeedbackIcon = submitted ? (isCorrect ? HiCheckCircle : HiXCircle) : null;
+        // The quiz itself carries no answers; they come with the graded results
+        const isCorrectOption = (option) =>
+            submitted && Array.isArray(feedback?.correctAnswer) && feedback.correctAnswer.includes(option.text);
 
         return (
             <div key={question._id} className="mb-6 p-4 border rounded-lg bg-gray-100 dark:bg-gray-700 shadow-sm">
@@ -102,9 +170,9 @@ export default function QuizComponent({ quizId }) {
 
                 {question.questionType === 'mcq' && (
                     <div className="space-y-2">
-                        {question.options.map((option, optIndex) => (
+                        {orderById(question.options, attempt?.optionOrder?.[question._id]).map((option, optIndex) => (
                             <div key={optIndex} className="flex items-center">
-                                {Array.isArray(question.options.filter(o => o.isCorrect)) && question.options.filter(o => o.isCorrect).length > 1 ? (
+                                {question.allowsMultiple ? (
                                     // Render checkboxes if multiple correct answers are possible
                                     <Checkbox
                                         id={`mcq-${question._id}-${optIndex}`}
@@ -122,7 +190,7 @@ export default function QuizComponent({ quizId }) {
                                         }}
                                         checked={userAnswers[question._id]?.includes(option.text) || false}
                                         disabled={submitted}
-                                        className={submitted && option.isCorrect ? 'checked:bg-green-500' : ''}
+                                        className={isCorrectOption(option) ? 'checked:bg-green-500' : ''}
                                     />
                                 ) : (
                                     // Render radio buttons for single correct answer
@@ -133,10 +201,10 @@ export default function QuizComponent({ quizId }) {
                                         onChange={(e) => handleAnswerChange(question._id, e.target.value)}
                                         checked={userAnswers[question._id] === option.text}
                                         disabled={submitted}
-                                        className={submitted && option.isCorrect ? 'checked:bg-green-500' : ''}
+                                        className={isCorrectOption(option) ? 'checked:bg-green-500' : ''}
                                     />
                                 )}
-                                <Label htmlFor={`mcq-${question._id}-${optIndex}`} className={`ml-2 cursor-pointer ${submitted && option.isCorrect ? 'font-bold text-green-600 dark:text-green-400' : ''}`}>
+                                <Label htmlFor={`mcq-${question._id}-${optIndex}`} className={`ml-2 cursor-pointer ${isCorrectOption(option) ? 'font-bold text-green-600 dark:text-green-400' : ''}`}>
                                     {option.text}
                                 </Label>
                             </div>
@@ -170,6 +238,107 @@ export default function QuizComponent({ quizId }) {
                     </div>
                 )}
 
+                {question.questionType === 'code-writing' && (
+                    <div className="flex flex-col gap-2">
+                        <p className="font-medium flex items-center gap-1">
+                            <FaCode /> Write a {question.codeLanguage} program
+                            {question.correctAnswer && ' that prints:'}
+                        </p>
+                        {question.correctAnswer && (
+                            <pre className="bg-gray-800 text-white p-3 rounded-md overflow-x-auto text-sm">
+                                <code>{question.correctAnswer}</code>
+                            </pre>
+                        )}
+                        <div className="rounded-md overflow-hidden border border-gray-300 dark:border-gray-600">
+                            <Editor
+                                height="240px"
+                                language={monacoLanguages[question.codeLanguage] || question.codeLanguage}
+                                value={userAnswers[question._id] ?? ''}
+                                onChange={(value) => handleAnswerChange(question._id, value ?? '')}
+                                theme={theme === 'dark' ? 'vs-dark' : 'light'}
+                                options={{ minimap: { enabled: false }, readOnly: submitted, automaticLayout: true }}
+                            />
+                        </div>
+                        {submitted && feedback?.testResults && (
+                            <TestResultsPanel
+                                grade={{
+                                    passed: feedback.isCorrect,
+                                    passedCount: feedback.testResults.filter((result) => result.passed).length,
+                                    total: feedback.testResults.length,
+                                    results: feedback.testResults,
+                                }}
+                            />
+                        )}
+                    </div>
+                )}
+
+                {question.questionType === 'ordering' && (
+                    <OrderingQuestion
+                        questionId={question._id}
+                        items={userAnswers[question._id] || []}
+                        onChange={(items) => handleAnswerChange(question._id, items)}
+                        disabled={submitted}
+                    />
+                )}
+
+                {question.questionType === 'matching' && (
+                    <div className="space-y-2">
+                        {question.matchPairs.map((pair, pairIndex) => (
+                            <div key={pair._id || pairIndex} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                                <Label htmlFor={`match-${question._id}-${pairIndex}`} className="sm:w-1/2 font-mono">
+                                    {pair.left}
+                                </Label>
+                                <Select
+                                    id={`match-${question._id}-${pairIndex}`}
+                                    className="sm:w-1/2"
+                                    value={userAnswers[question._id]?.[pairIndex] ?? ''}
+                                    onChange={(e) => {
+                                        const current = userAnswers[question._id] || question.matchPairs.map(() => '');
+                                        handleAnswerChange(
+                                            question._id,
+                                            current.map((choice, i) => (i === pairIndex ? e.target.value : choice))
+                                        );
+                                    }}
+                                    disabled={submitted}
+                                >
+                                    <option value="" disabled>Choose a match</option>
+                                    {question.matchChoices?.map((choice, choiceIndex) => (
+                                        <option key={choiceIndex} value={choice}>{choice}</option>
+                                    ))}
+                                </Select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {question.questionType === 'multi-blank' && (
+                    <MultiBlankQuestion
+                        codeSnippet={question.codeSnippet}
+                        answers={userAnswers[question._id]}
+                        onChange={(answers) => handleAnswerChange(question._id, answers)}
+                        disabled={submitted}
+                        results={
+                            submitted && Array.isArray(feedback?.correctAnswer)
+                                ? feedback.correctAnswer.map(
+                                      (expected, i) => (userAnswers[question._id]?.[i] ?? '').trim() === expected.trim()
+                                  )
+                                : undefined
+                        }
+                    />
+                )}
+
+                {question.questionType === 'numeric' && (
+                    <TextInput
+                        type="number"
+                        step="any"
+                        placeholder="Your answer"
+                        value={userAnswers[question._id] ?? ''}
+                        onChange={(e) => handleAnswerChange(question._id, e.target.value)}
+                        disabled={submitted}
+                        className={submitted && isCorrect ? 'border-green-500' : submitted && !isCorrect ? 'border-red-500' : ''}
+                    />
+                )}
+
                 {submitted && feedback && (
                     <div className="mt-4 text-sm">
                         <p className={isCorrect ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
@@ -186,6 +355,54 @@ export default function QuizComponent({ quizId }) {
         );
     };
 
+    const settings = quiz.settings || {};
+    const drawnCount = (quiz.questionPools || []).reduce((sum, pool) => sum + pool.count, 0);
+    const needsStart = requiresStart(settings) || drawnCount > 0;
+    // The quiz's own questions and those drawn from the bank for the attempt
+    const questions = orderById([...quiz.questions, ...(attempt?.questions || [])], attempt?.questionOrder);
+
+    const renderStartPanel = () => (
+        <div className="max-w-md mx-auto p-5 rounded-lg bg-gray-100 dark:bg-gray-700 text-center">
+            <ul className="space-y-1 mb-5 text-gray-700 dark:text-gray-200">
+                {settings.timeLimitSeconds > 0 && (
+                    <li className="flex items-center justify-center gap-2">
+                        <HiClock /> Time limit: {Math.round(settings.timeLimitSeconds / 60)} minutes
+                    </li>
+                )}
+                {settings.maxAttempts > 0 && (
+                    <li>
+                        {settings.maxAttempts === 1 ? 'One attempt allowed' : `${settings.maxAttempts} attempts allowed`}
+                    </li>
+                )}
+                {drawnCount > 0 && <li>{quiz.questions.length + drawnCount} questions, some drawn at random</li>}
+                {settings.opensAt && <li>Opens {new Date(settings.opensAt).toLocaleString()}</li>}
+                {settings.closesAt && <li>Closes {new Date(settings.closesAt).toLocaleString()}</li>}
+            </ul>
+            {settings.timeLimitSeconds > 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    The timer starts when you press Start and keeps running if you leave the page. Your answers are
+                    submitted when it runs out.
+                </p>
+            )}
+            <Button
+                gradientDuoTone='cyanToBlue'
+                className="w-full"
+                onClick={() => startMutation.mutate()}
+                disabled={!currentUser || startMutation.isPending}
+            >
+                {startMutation.isPending ? 'Starting...' : 'Start Quiz'}
+            </Button>
+            {!currentUser && (
+                <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">Sign in to start this quiz.</p>
+            )}
+            {startMutation.isError && (
+                <Alert color='failure' className='mt-4'>
+                    {startMutation.error.response?.data?.message || startMutation.error.message}
+                </Alert>
+            )}
+        </div>
+    );
+
     return (
         <div className="quiz-container p-5 bg-white dark:bg-gray-800 rounded-lg shadow-xl">
             <h2 className="text-3xl font-extrabold text-center mb-6 text-gray-900 dark:text-white">
@@ -193,20 +410,31 @@ export default function QuizComponent({ quizId }) {
             </h2>
             {quiz.description && <p className="text-center text-gray-600 dark:text-gray-300 mb-8">{quiz.description}</p>}
 
-            <form onSubmit={handleSubmit}>
-                {quiz.questions.map(renderQuestion)}
+            {needsStart && !attempt && !submitted ? (
+                renderStartPanel()
+            ) : (
+                <form onSubmit={handleSubmit}>
+                    {attempt?.deadline && !submitted && (
+                        <QuizCountdown deadline={attempt.deadline} clockOffset={attempt.clockOffset} onExpire={handleExpire} />
+                    )}
 
-                {!submitted && (
-                    <Button
-                        type="submit"
-                        gradientDuoTone='cyanToBlue'
-                        className="mt-6 w-full"
-                        disabled={submitMutation.isPending || Object.keys(userAnswers).length !== quiz.questions.length}
-                    >
-                        {submitMutation.isPending ? 'Submitting...' : 'Submit Quiz'}
-                    </Button>
-                )}
-            </form>
+                    {/* Ordering questions are rearranged by drag and drop */}
+                    <DndProvider backend={HTML5Backend}>
+                        {questions.map(renderQuestion)}
+                    </DndProvider>
+
+                    {!submitted && (
+                        <Button
+                            type="submit"
+                            gradientDuoTone='cyanToBlue'
+                            className="mt-6 w-full"
+                            disabled={submitMutation.isPending || Object.keys(userAnswers).length !== questions.length}
+                        >
+                            {submitMutation.isPending ? 'Submitting...' : 'Submit Quiz'}
+                        </Button>
+                    )}
+                </form>
+            )}
 
             {quizResult && quizResult.error && (
                 <Alert color='failure' className='mt-5'>
@@ -228,8 +456,11 @@ export default function QuizComponent({ quizId }) {
                         gradientDuoTone='purpleToPink'
                         onClick={() => {
                             setSubmitted(false);
-                            setUserAnswers({});
+                            setUserAnswers(getInitialAnswers(quiz));
                             setQuizResult(null);
+                            // Quizzes with settings start a new attempt first
+                            setAttempt(null);
+                            startedAt.current = Date.now();
                         }}
                     >
                         Retake Quiz
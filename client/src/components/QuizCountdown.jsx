@@ -0,0 +1,55 @@
+// client/src/components/QuizCountdown.jsx
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { HiClock } from 'react-icons/hi';
+import { formatCountdown } from '../utils/quizQuestions';
+
+// Seconds from now until `deadline` by the server's clock
+const secondsUntil = (deadline, clockOffset) => (new Date(deadline).getTime() - (Date.now() - clockOffset)) / 1000;
+
+/**
+ * Counts down to a started attempt's server deadline and calls `onExpire`
+ * once when it is reached. `clockOffset` is how far the browser's clock is
+ * ahead of the server's, in milliseconds.
+ */
+export default function QuizCountdown({ deadline, clockOffset = 0, onExpire }) {
+    const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(deadline, clockOffset));
+    const expired = useRef(false);
+    const onExpireRef = useRef(onExpire);
+    onExpireRef.current = onExpire;
+
+    useEffect(() => {
+        expired.current = false;
+        const tick = () => {
+            const left = secondsUntil(deadline, clockOffset);
+            setSecondsLeft(left);
+            if (left <= 0 && !expired.current) {
+                expired.current = true;
+                onExpireRef.current();
+            }
+        };
+        tick();
+        const timer = setInterval(tick, 250);
+        return () => clearInterval(timer);
+    }, [deadline, clockOffset]);
+
+    const urgent = secondsLeft <= 60;
+    return (
+        <div
+            role="timer"
+            aria-live={urgent ? 'assertive' : 'off'}
+            className={`sticky top-16 z-10 ml-auto mb-4 w-fit flex items-center gap-2 px-3 py-1 rounded-full font-mono text-lg shadow ${
+                urgent ? 'bg-red-100 text-red-700 dark:bg-red-900/60 dark:text-red-200' : 'bg-blue-100 text-blue-700 dark:bg-blue-900/60 dark:text-blue-200'
+            }`}
+        >
+            <HiClock />
+            {formatCountdown(secondsLeft)}
+        </div>
+    );
+}
+
+QuizCountdown.propTypes = {
+    deadline: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
+    clockOffset: PropTypes.number,
+    onExpire: PropTypes.func.isRequired,
+};
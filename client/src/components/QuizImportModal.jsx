@@ -0,0 +1,190 @@
+// client/src/components/QuizImportModal.jsx
+import { Modal, Table, Button, Alert, Badge, FileInput, Label, Select, TextInput } from 'flowbite-react';
+import { useMutation } from '@tanstack/react-query';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { importQuiz } from '../services/quizService';
+
+const formats = [
+    { value: 'gift', label: 'GIFT' },
+    { value: 'moodle-xml', label: 'Moodle XML' },
+    { value: 'json', label: 'JSON' },
+];
+
+const typeLabels = {
+    mcq: 'Multiple choice',
+    'fill-in-the-blank': 'Fill in the blank',
+    'code-output': 'Code output',
+    'code-writing': 'Code writing',
+    ordering: 'Ordering',
+    matching: 'Matching',
+    'multi-blank': 'Multi-blank',
+    numeric: 'Numeric',
+};
+
+// Guesses the format from the file's extension
+const detectFormat = (fileName) => {
+    if (/\.xml$/i.test(fileName)) return 'moodle-xml';
+    if (/\.json$/i.test(fileName)) return 'json';
+    return 'gift';
+};
+
+const emptyDetails = { title: '', description: '', category: '' };
+
+/**
+ * Imports a quiz from a GIFT, Moodle XML or JSON file. The file is previewed
+ * first, listing the questions that will be imported and any problems found
+ * with their line numbers; the quiz is only created once the preview is
+ * confirmed.
+ */
+export default function QuizImportModal({ show, onClose, onImported }) {
+    const [file, setFile] = useState(null);
+    const [format, setFormat] = useState('gift');
+    const [details, setDetails] = useState(emptyDetails);
+    const [preview, setPreview] = useState(null);
+
+    const previewMutation = useMutation({
+        mutationFn: async () => importQuiz({ format, content: await file.text(), ...details, dryRun: true }),
+        onSuccess: (data) => {
+            setPreview(data);
+            // JSON files carry the quiz details; keep whatever was typed in
+            setDetails((current) => ({
+                title: current.title || data.title || '',
+                description: current.description || data.description || '',
+                category: current.category || data.category || '',
+            }));
+        },
+    });
+
+    const importMutation = useMutation({
+        mutationFn: async () => importQuiz({ format, content: await file.text(), ...details }),
+        onSuccess: (data) => {
+            handleClose();
+            onImported(data.quiz);
+        },
+    });
+
+    const handleClose = () => {
+        setFile(null);
+        setFormat('gift');
+        setDetails(emptyDetails);
+        setPreview(null);
+        previewMutation.reset();
+        importMutation.reset();
+        onClose();
+    };
+
+    const handleFileChange = (e) => {
+        const chosen = e.target.files[0] ?? null;
+        setFile(chosen);
+        setPreview(null);
+        if (chosen) setFormat(detectFormat(chosen.name));
+    };
+
+    const handleDetailChange = (e) => setDetails({ ...details, [e.target.id]: e.target.value });
+
+    const requestError = previewMutation.error || importMutation.error;
+    const errorCount = preview?.issues.filter((issue) => issue.severity === 'error').length ?? 0;
+
+    return (
+        <Modal show={show} onClose={handleClose} size='4xl'>
+            <Modal.Header>Import Quiz</Modal.Header>
+            <Modal.Body>
+                <div className='flex flex-col gap-4'>
+                    <div className='flex flex-col sm:flex-row gap-4'>
+                        <div className='flex-1'>
+                            <Label htmlFor='quizFile' value='File' />
+                            <FileInput id='quizFile' accept='.gift,.txt,.xml,.json' onChange={handleFileChange} />
+                        </div>
+                        <div>
+                            <Label htmlFor='format' value='Format' />
+                            <Select
+                                id='format'
+                                value={format}
+                                onChange={(e) => {
+                                    setFormat(e.target.value);
+                                    setPreview(null);
+                                }}
+                            >
+                                {formats.map(({ value, label }) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </Select>
+                        </div>
+                    </div>
+                    <div className='flex flex-col sm:flex-row gap-4'>
+                        <TextInput id='title' placeholder='Quiz title' value={details.title} onChange={handleDetailChange} className='flex-1' />
+                        <TextInput id='category' placeholder='Category' value={details.category} onChange={handleDetailChange} />
+                    </div>
+                    <TextInput id='description' placeholder='Description' value={details.description} onChange={handleDetailChange} />
+
+                    {requestError && (
+                        <Alert color='failure'>{requestError.response?.data?.message || requestError.message}</Alert>
+                    )}
+
+                    {preview && (
+                        <>
+                            {preview.issues.length > 0 && (
+                                <div className='flex flex-col gap-1'>
+                                    <h3 className='font-semibold'>Problems found</h3>
+                                    {preview.issues.map((issue, index) => (
+                                        <div key={index} className='flex items-center gap-2 text-sm'>
+                                            <Badge color={issue.severity === 'error' ? 'failure' : 'warning'}>{issue.severity}</Badge>
+                                            <span>Line {issue.line}: {issue.message}</span>
+                                        </div>
+                                    ))}
+                                    {errorCount > 0 && (
+                                        <p className='text-sm text-gray-500'>Questions with errors are left out of the import.</p>
+                                    )}
+                                </div>
+                            )}
+                            <Table>
+                                <Table.Head>
+                                    <Table.HeadCell>#</Table.HeadCell>
+                                    <Table.HeadCell>Type</Table.HeadCell>
+                                    <Table.HeadCell>Question</Table.HeadCell>
+                                </Table.Head>
+                                <Table.Body className='divide-y'>
+                                    {preview.questions.map((question, index) => (
+                                        <Table.Row key={index} className='bg-white dark:border-gray-700 dark:bg-gray-800'>
+                                            <Table.Cell>{index + 1}</Table.Cell>
+                                            <Table.Cell className='whitespace-nowrap'>{typeLabels[question.questionType]}</Table.Cell>
+                                            <Table.Cell className='max-w-lg truncate'>{question.questionText}</Table.Cell>
+                                        </Table.Row>
+                                    ))}
+                                </Table.Body>
+                            </Table>
+                            {preview.questions.length === 0 && (
+                                <p className='text-sm text-gray-500'>The file has no questions that can be imported.</p>
+                            )}
+                        </>
+                    )}
+                </div>
+            </Modal.Body>
+            <Modal.Footer>
+                <Button
+                    color='gray'
+                    onClick={() => previewMutation.mutate()}
+                    disabled={!file || importMutation.isPending}
+                    isProcessing={previewMutation.isPending}
+                >
+                    Preview
+                </Button>
+                <Button
+                    gradientDuoTone='purpleToPink'
+                    onClick={() => importMutation.mutate()}
+                    disabled={!preview || preview.questions.length === 0 || !details.title || previewMutation.isPending}
+                    isProcessing={importMutation.isPending}
+                >
+                    Import {preview ? preview.questions.length : ''} Questions
+                </Button>
+            </Modal.Footer>
+        </Modal>
+    );
+}
+
+QuizImportModal.propTypes = {
+    show: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    onImported: PropTypes.func.isRequired,
+};
@@ -0,0 +1,92 @@
+// client/src/components/QuizSettingsFields.jsx
+import PropTypes from 'prop-types';
+import { Checkbox, Label, TextInput } from 'flowbite-react';
+
+const labelClass = 'block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300';
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date) => {
+    if (!date) return '';
+    const value = new Date(date);
+    return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Authoring fields for a quiz's time limit, attempt limit, availability
+ * window and shuffling. `onChange` receives the whole updated settings.
+ */
+export default function QuizSettingsFields({ settings = {}, onChange }) {
+    const update = (field, value) => onChange({ ...settings, [field]: value });
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 rounded-md border border-dashed border-gray-300 dark:border-gray-600">
+            <div>
+                <label htmlFor="timeLimitMinutes" className={labelClass}>Time Limit (minutes, 0 for none)</label>
+                <TextInput
+                    id="timeLimitMinutes"
+                    type="number"
+                    min="0"
+                    value={Math.round((settings.timeLimitSeconds || 0) / 60)}
+                    onChange={(e) => update('timeLimitSeconds', Math.max(Number(e.target.value) || 0, 0) * 60)}
+                />
+            </div>
+            <div>
+                <label htmlFor="maxAttempts" className={labelClass}>Attempts per Learner (0 for unlimited)</label>
+                <TextInput
+                    id="maxAttempts"
+                    type="number"
+                    min="0"
+                    value={settings.maxAttempts || 0}
+                    onChange={(e) => update('maxAttempts', Math.max(Math.floor(Number(e.target.value)) || 0, 0))}
+                />
+            </div>
+            <div>
+                <label htmlFor="opensAt" className={labelClass}>Opens (Optional)</label>
+                <TextInput
+                    id="opensAt"
+                    type="datetime-local"
+                    value={toLocalInput(settings.opensAt)}
+                    onChange={(e) => update('opensAt', fromLocalInput(e.target.value))}
+                />
+            </div>
+            <div>
+                <label htmlFor="closesAt" className={labelClass}>Closes (Optional)</label>
+                <TextInput
+                    id="closesAt"
+                    type="datetime-local"
+                    value={toLocalInput(settings.closesAt)}
+                    onChange={(e) => update('closesAt', fromLocalInput(e.target.value))}
+                />
+            </div>
+            <div className="flex items-center gap-2">
+                <Checkbox
+                    id="shuffleQuestions"
+                    checked={Boolean(settings.shuffleQuestions)}
+                    onChange={(e) => update('shuffleQuestions', e.target.checked)}
+                />
+                <Label htmlFor="shuffleQuestions">Shuffle questions for each attempt</Label>
+            </div>
+            <div className="flex items-center gap-2">
+                <Checkbox
+                    id="shuffleOptions"
+                    checked={Boolean(settings.shuffleOptions)}
+                    onChange={(e) => update('shuffleOptions', e.target.checked)}
+                />
+                <Label htmlFor="shuffleOptions">Shuffle multiple choice options</Label>
+            </div>
+        </div>
+    );
+}
+
+QuizSettingsFields.propTypes = {
+    settings: PropTypes.shape({
+        timeLimitSeconds: PropTypes.number,
+        maxAttempts: PropTypes.number,
+        opensAt: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+        closesAt: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+        shuffleQuestions: PropTypes.bool,
+        shuffleOptions: PropTypes.bool,
+    }),
+    onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,178 @@
+// client/src/components/StructuredQuestionFields.jsx
+import PropTypes from 'prop-types';
+import { Button, TextInput, Textarea } from 'flowbite-react';
+import { FaTrash, FaPlus } from 'react-icons/fa';
+import { BLANK_MARKER, countBlanks } from '../utils/quizQuestions';
+
+const labelClass = 'block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300';
+
+function OrderingFields({ question, qIndex, onFieldChange }) {
+    return (
+        <div>
+            <label htmlFor={`orderItems-${qIndex}`} className={labelClass}>Items in the Correct Order</label>
+            <Textarea
+                id={`orderItems-${qIndex}`}
+                placeholder='One item per line, e.g. the lines of a program. Learners see them shuffled.'
+                value={(question.orderItems || []).join('\n')}
+                onChange={(e) => onFieldChange('orderItems', e.target.value.split('\n'))}
+                rows={6}
+                className="font-mono"
+                required
+            />
+        </div>
+    );
+}
+
+function MatchingFields({ question, onFieldChange }) {
+    const pairs = question.matchPairs || [];
+    const updatePair = (pairIndex, side, value) =>
+        onFieldChange('matchPairs', pairs.map((pair, i) => (i === pairIndex ? { ...pair, [side]: value } : pair)));
+
+    return (
+        <div className="border border-dashed border-gray-300 dark:border-gray-600 p-4 rounded-md">
+            <h4 className="font-semibold text-gray-700 dark:text-gray-200 mb-3">Pairs</h4>
+            {pairs.map((pair, pairIndex) => (
+                <div key={pair._id || pairIndex} className="flex items-center gap-2 mb-2">
+                    <TextInput
+                        placeholder='Item'
+                        value={pair.left}
+                        onChange={(e) => updatePair(pairIndex, 'left', e.target.value)}
+                        className="flex-grow"
+                    />
+                    <TextInput
+                        placeholder='Matches'
+                        value={pair.right}
+                        onChange={(e) => updatePair(pairIndex, 'right', e.target.value)}
+                        className="flex-grow"
+                    />
+                    <Button
+                        type="button"
+                        size="xs"
+                        color="red"
+                        onClick={() => onFieldChange('matchPairs', pairs.filter((_, i) => i !== pairIndex))}
+                        className="p-1"
+                    >
+                        <FaTrash />
+                    </Button>
+                </div>
+            ))}
+            <Button
+                type="button"
+                size="sm"
+                outline
+                gradientDuoTone="greenToBlue"
+                onClick={() => onFieldChange('matchPairs', [...pairs, { left: '', right: '' }])}
+                className="mt-2"
+            >
+                <FaPlus className="mr-1" /> Add Pair
+            </Button>
+        </div>
+    );
+}
+
+function MultiBlankFields({ question, qIndex, onFieldChange }) {
+    const blankCount = countBlanks(question.codeSnippet);
+    const answers = question.blankAnswers || [];
+
+    // Keeps one answer per blank while the snippet is edited
+    const updateSnippet = (codeSnippet) => {
+        const count = countBlanks(codeSnippet);
+        onFieldChange('codeSnippet', codeSnippet);
+        onFieldChange('blankAnswers', Array.from({ length: count }, (_, i) => answers[i] ?? ''));
+    };
+
+    return (
+        <div className="flex flex-col gap-3">
+            <div>
+                <label htmlFor={`codeSnippet-${qIndex}-blanks`} className={labelClass}>Code Snippet</label>
+                <Textarea
+                    id={`codeSnippet-${qIndex}-blanks`}
+                    placeholder={`Write ${BLANK_MARKER} wherever the learner fills in a gap.`}
+                    value={question.codeSnippet || ''}
+                    onChange={(e) => updateSnippet(e.target.value)}
+                    rows={8}
+                    className="font-mono"
+                    required
+                />
+            </div>
+            {blankCount === 0 ? (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Add {BLANK_MARKER} to the snippet to create a gap.</p>
+            ) : (
+                answers.map((answer, blankIndex) => (
+                    <TextInput
+                        key={blankIndex}
+                        placeholder={`Answer for blank ${blankIndex + 1}`}
+                        value={answer}
+                        onChange={(e) =>
+                            onFieldChange('blankAnswers', answers.map((value, i) => (i === blankIndex ? e.target.value : value)))
+                        }
+                        className="font-mono"
+                        required
+                    />
+                ))
+            )}
+        </div>
+    );
+}
+
+function NumericFields({ question, qIndex, onFieldChange }) {
+    return (
+        <div className="flex gap-4">
+            <div className="flex-1">
+                <label htmlFor={`numericAnswer-${qIndex}`} className={labelClass}>Correct Answer</label>
+                <TextInput
+                    id={`numericAnswer-${qIndex}`}
+                    type="number"
+                    step="any"
+                    value={question.numericAnswer ?? ''}
+                    onChange={(e) => onFieldChange('numericAnswer', e.target.value === '' ? '' : Number(e.target.value))}
+                    required
+                />
+            </div>
+            <div className="flex-1">
+                <label htmlFor={`tolerance-${qIndex}`} className={labelClass}>Tolerance (±)</label>
+                <TextInput
+                    id={`tolerance-${qIndex}`}
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={question.tolerance ?? 0}
+                    onChange={(e) => onFieldChange('tolerance', Number(e.target.value) || 0)}
+                />
+            </div>
+        </div>
+    );
+}
+
+const fieldsByType = {
+    ordering: OrderingFields,
+    matching: MatchingFields,
+    'multi-blank': MultiBlankFields,
+    numeric: NumericFields,
+};
+
+const fieldPropTypes = {
+    question: PropTypes.object.isRequired,
+    qIndex: PropTypes.number.isRequired,
+    onFieldChange: PropTypes.func.isRequired,
+};
+OrderingFields.propTypes = fieldPropTypes;
+MatchingFields.propTypes = fieldPropTypes;
+MultiBlankFields.propTypes = fieldPropTypes;
+NumericFields.propTypes = fieldPropTypes;
+
+/**
+ * Authoring fields for the ordering, matching, multi-blank and numeric
+ * question types. Renders nothing for other types.
+ */
+export default function StructuredQuestionFields({ question, qIndex, onFieldChange }) {
+    const Fields = fieldsByType[question.questionType];
+    if (!Fields) return null;
+    return (
+        <div className="mb-4">
+            <Fields question={question} qIndex={qIndex} onFieldChange={onFieldChange} />
+        </div>
+    );
+}
+
+StructuredQuestionFields.propTypes = fieldPropTypes;
@@ -1,20 +1,42 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { Button, Spinner, Alert } from 'flowbite-react';
-import { FaTerminal, FaChevronDown, FaChevronRight, FaTrash, FaKeyboard } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import { Button, Spinner, Alert, Textarea } from 'flowbite-react';
+import { FaTerminal, FaChevronDown, FaChevronRight, FaTrash, FaKeyboard, FaStream, FaStop } from 'react-icons/fa';
 import { Terminal } from 'xterm';
 import 'xterm/css/xterm.css';
 
+// Summarises a run's `exit` event in one line. Compiler output and stderr have
+// already been streamed, so they are not repeated here.
+const describeExit = (data) => {
+    if (data.compileError) return 'Compilation failed';
+    if (data.cancelled || data.timedOut || data.outputLimitExceeded) return data.message;
+    if (data.signal) {
+        return data.signal === 'SIGXCPU' ? data.message : `Process was terminated by ${data.signal}`;
+    }
+    return `Process exited with code ${data.exitCode}`;
+};
+
 export default function TerminalPane({
     output = '',
     error = '',
     isRunning = false,
     theme = 'light',
     onClear,
+    stdin = '',
+    onStdinChange,
+    stream,
+    onCancel,
 }) {
     const containerRef = useRef(null);
     const terminalRef = useRef(null);
+    const writtenEventsRef = useRef(0);
+    const firstEventRef = useRef(null);
     const [isOpen, setIsOpen] = useState(true);
-    const showSuccess = output && !error;
+    const [showInput, setShowInput] = useState(Boolean(stdin));
+    // When `stream` is given the terminal renders run events live instead of `output`.
+    const isStreaming = stream !== undefined;
+    const exitEvent = stream?.find((e) => e.event === 'exit');
+    const showSuccess = isStreaming ? Boolean(exitEvent && !exitEvent.data.message) : output && !error;
 
     useEffect(() => {
         terminalRef.current = new Terminal({
@@ -44,13 +66,37 @@ export default function TerminalPane({
     useEffect(() => {
         if (!terminalRef.current) return;
         if (!output && !error) {
-            terminalRef.current.clear();
+            if (!isStreaming) terminalRef.current.clear();
             return;
         }
         const timestamp = new Date().toLocaleTimeString();
         const text = error ? `\x1b[31m${error}\x1b[0m` : output;
         terminalRef.current.writeln(`[${timestamp}] ${text}`.replace(/\n/g, '\r\n'));
-    }, [output, error]);
+    }, [output, error, isStreaming]);
+
+    useEffect(() => {
+        const terminal = terminalRef.current;
+        if (!terminal || !stream) return;
+        // A new run starts with a new first event; clear the previous run's output
+        if (stream[0] !== firstEventRef.current) {
+            if (writtenEventsRef.current > 0) terminal.clear();
+            firstEventRef.current = stream[0];
+            writtenEventsRef.current = 0;
+        }
+        stream.slice(writtenEventsRef.current).forEach(({ event, data }) => {
+            if (event === 'stdout') {
+                terminal.write(data.data);
+            } else if (event === 'stderr' || event === 'compile') {
+                terminal.write(`\x1b[31m${data.data}\x1b[0m`);
+            } else if (event === 'error') {
+                terminal.writeln(`\x1b[31m${data.message}\x1b[0m`);
+            } else if (event === 'exit') {
+                const color = data.message ? 31 : 32;
+                terminal.writeln(`\r\n\x1b[${color}m[${new Date().toLocaleTimeString()}] ${describeExit(data)}\x1b[0m`);
+            }
+        });
+        writtenEventsRef.current = stream.length;
+    }, [stream]);
 
     const handleClear = () => {
         terminalRef.current?.clear();
@@ -70,6 +116,29 @@ export default function TerminalPane({
                     <FaTerminal /> Terminal
                 </h3>
                 <div className="flex items-center gap-2">
+                    {isRunning && onCancel && (
+                        <Button
+                            size="xs"
+                            color="failure"
+                            onClick={onCancel}
+                            title="Stop the running program"
+                            aria-label="Stop the running program"
+                        >
+                            <FaStop />
+                        </Button>
+                    )}
+                    {onStdinChange && (
+                        <Button
+                            size="xs"
+                            outline={!showInput}
+                            gradientDuoTone="purpleToBlue"
+                            onClick={() => setShowInput(!showInput)}
+                            title={showInput ? 'Hide program input' : 'Show program input'}
+                            aria-label={showInput ? 'Hide program input' : 'Show program input'}
+                        >
+                            <FaStream />
+                        </Button>
+                    )}
                     <Button
                         size="xs"
                         outline
@@ -107,6 +176,21 @@ export default function TerminalPane({
                     <span className="font-medium">Success:</span> Experiment completed securely.
                 </Alert>
             )}
+            {isOpen && onStdinChange && showInput && (
+                <div className="mb-2">
+                    <label htmlFor="terminal-stdin" className="block text-xs font-medium mb-1 text-gray-700 dark:text-gray-300">
+                        Program input (stdin) — sent to the program when you run it
+                    </label>
+                    <Textarea
+                        id="terminal-stdin"
+                        rows={3}
+                        className="font-mono text-xs"
+                        placeholder="One value per line, e.g. what cin or input() should read"
+                        value={stdin}
+                        onChange={(e) => onStdinChange(e.target.value)}
+                    />
+                </div>
+            )}
             {isOpen && (
                 <p className="text-xs font-bold mb-2 text-gray-700 dark:text-gray-300">
                     Note: This terminal runs in a secure sandbox environment.
@@ -118,7 +202,7 @@ export default function TerminalPane({
                 }`}
             >
                 <div ref={containerRef} className="absolute inset-0" />
-                {isRunning && (
+                {isRunning && !stream?.length && (
                     <div className="absolute inset-0 flex items-center justify-center text-gray-400">
                         <Spinner size="sm" /> <span className="ml-2">Running...</span>
                     </div>
@@ -127,3 +211,21 @@ export default function TerminalPane({
         </div>
     );
 }
+
+TerminalPane.propTypes = {
+    output: PropTypes.string,
+    error: PropTypes.string,
+    isRunning: PropTypes.bool,
+    theme: PropTypes.oneOf(['light', 'dark']),
+    onClear: PropTypes.func,
+    stdin: PropTypes.string,
+    onStdinChange: PropTypes.func,
+    // Run events ({ event, data }) from streamExecution, rendered as they arrive
+    stream: PropTypes.arrayOf(
+        PropTypes.shape({
+            event: PropTypes.string.isRequired,
+            data: PropTypes.object,
+        })
+    ),
+    onCancel: PropTypes.func,
+};
@@ -0,0 +1,102 @@
+// client/src/components/TestCaseEditor.jsx
+import PropTypes from 'prop-types';
+import { Button, Checkbox, Label, Select, TextInput, Textarea } from 'flowbite-react';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+
+const emptyTestCase = {
+    name: '',
+    stdin: '',
+    expectedOutput: '',
+    comparison: 'trimmed',
+    tolerance: 1e-6,
+    hidden: false,
+};
+
+export default function TestCaseEditor({ testCases = [], onChange }) {
+    const updateTestCase = (index, field, value) => {
+        onChange(testCases.map((testCase, i) => (i === index ? { ...testCase, [field]: value } : testCase)));
+    };
+
+    const addTestCase = () => onChange([...testCases, { ...emptyTestCase }]);
+
+    const removeTestCase = (index) => onChange(testCases.filter((_, i) => i !== index));
+
+    return (
+        <div className="flex flex-col gap-3">
+            <div className="flex items-center justify-between">
+                <p className="text-sm font-semibold text-gray-700 dark:text-gray-300">Test Cases</p>
+                <Button type="button" size="xs" gradientDuoTone="cyanToBlue" onClick={addTestCase}>
+                    <FaPlus className="mr-1" /> Add Test Case
+                </Button>
+            </div>
+            {testCases.length === 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    No test cases yet. Learners can only be graded automatically when at least one test case exists.
+                </p>
+            )}
+            {testCases.map((testCase, index) => (
+                <div key={testCase._id || index} className="p-3 rounded-md border border-gray-300 dark:border-gray-600 flex flex-col gap-2">
+                    <div className="flex items-center gap-2">
+                        <TextInput
+                            className="flex-1"
+                            sizing="sm"
+                            placeholder={`Test ${index + 1}`}
+                            value={testCase.name || ''}
+                            onChange={(e) => updateTestCase(index, 'name', e.target.value)}
+                        />
+                        <Select
+                            sizing="sm"
+                            value={testCase.comparison || 'trimmed'}
+                            onChange={(e) => updateTestCase(index, 'comparison', e.target.value)}
+                        >
+                            <option value="trimmed">Trimmed</option>
+                            <option value="exact">Exact</option>
+                            <option value="regex">Regex</option>
+                            <option value="numeric">Numeric (tolerance)</option>
+                        </Select>
+                        {testCase.comparison === 'numeric' && (
+                            <TextInput
+                                sizing="sm"
+                                type="number"
+                                step="any"
+                                className="w-28"
+                                value={testCase.tolerance ?? 1e-6}
+                                onChange={(e) => updateTestCase(index, 'tolerance', Number(e.target.value))}
+                                title="Allowed absolute difference"
+                            />
+                        )}
+                        <Button type="button" size="xs" color="failure" onClick={() => removeTestCase(index)}>
+                            <FaTrash />
+                        </Button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        <Textarea
+                            rows={3}
+                            placeholder="Standard input"
+                            value={testCase.stdin || ''}
+                            onChange={(e) => updateTestCase(index, 'stdin', e.target.value)}
+                        />
+                        <Textarea
+                            rows={3}
+                            placeholder={testCase.comparison === 'regex' ? 'Expected output pattern' : 'Expected output'}
+                            value={testCase.expectedOutput || ''}
+                            onChange={(e) => updateTestCase(index, 'expectedOutput', e.target.value)}
+                        />
+                    </div>
+                    <Label className="flex items-center gap-2 text-xs">
+                        <Checkbox
+                            checked={Boolean(testCase.hidden)}
+                            onChange={(e) => updateTestCase(index, 'hidden', e.target.checked)}
+                        />
+                        Hidden (learners only see whether it passed)
+                    </Label>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+TestCaseEditor.propTypes = {
+    testCases: PropTypes.arrayOf(PropTypes.object),
+    onChange: PropTypes.func.isRequired,
+};
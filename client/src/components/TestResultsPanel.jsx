@@ -0,0 +1,78 @@
+// client/src/components/TestResultsPanel.jsx
+import PropTypes from 'prop-types';
+import { Alert, Badge } from 'flowbite-react';
+import { FaCheckCircle, FaTimesCircle, FaLock } from 'react-icons/fa';
+
+export default function TestResultsPanel({ grade, error = '' }) {
+    if (error) {
+        return (
+            <Alert color="failure" className="mt-2">
+                {error}
+            </Alert>
+        );
+    }
+    if (!grade) return null;
+
+    return (
+        <div className="mt-2 p-2 rounded-md bg-gray-100 dark:bg-gray-700 max-h-64 overflow-auto">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Test Results</h4>
+                <Badge color={grade.passed ? 'success' : 'failure'}>
+                    {grade.passedCount} / {grade.total} passed
+                </Badge>
+            </div>
+            {grade.chapterCompleted && (
+                <p className="text-xs text-green-600 dark:text-green-400 mb-2">
+                    All tests passed — this chapter has been marked as complete.
+                </p>
+            )}
+            <ul className="space-y-2">
+                {grade.results.map((result) => (
+                    <li key={result.testCaseId || result.name} className="text-xs">
+                        <div className="flex items-center gap-2 font-medium text-gray-800 dark:text-gray-200">
+                            {result.passed ? (
+                                <FaCheckCircle className="text-green-500" />
+                            ) : (
+                                <FaTimesCircle className="text-red-500" />
+                            )}
+                            <span>{result.name}</span>
+                            {result.hidden && (
+                                <span className="flex items-center gap-1 text-gray-500" title="Hidden test case">
+                                    <FaLock /> hidden
+                                </span>
+                            )}
+                            {result.error && <span className="text-red-500">{result.error}</span>}
+                        </div>
+                        {!result.hidden && !result.passed && (
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-1">
+                                <div>
+                                    <p className="font-semibold text-gray-600 dark:text-gray-400">Input</p>
+                                    <pre className="whitespace-pre-wrap text-gray-800 dark:text-gray-200">{result.stdin || '(none)'}</pre>
+                                </div>
+                                <div>
+                                    <p className="font-semibold text-gray-600 dark:text-gray-400">Expected</p>
+                                    <pre className="whitespace-pre-wrap text-gray-800 dark:text-gray-200">{result.expectedOutput}</pre>
+                                </div>
+                                <div>
+                                    <p className="font-semibold text-gray-600 dark:text-gray-400">Your output</p>
+                                    <pre className="whitespace-pre-wrap text-gray-800 dark:text-gray-200">{result.actualOutput || result.stderr}</pre>
+                                </div>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+TestResultsPanel.propTypes = {
+    grade: PropTypes.shape({
+        passed: PropTypes.bool,
+        passedCount: PropTypes.number,
+        total: PropTypes.number,
+        chapterCompleted: PropTypes.bool,
+        results: PropTypes.arrayOf(PropTypes.object),
+    }),
+    error: PropTypes.string,
+};
@@ -20,6 +20,7 @@ import { CharacterCount } from '@tiptap/extension-character-count';
 import { Youtube } from '@tiptap/extension-youtube';
 import { HorizontalRule } from '@tiptap/extension-horizontal-rule';
 import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import Placeholder from '@tiptap/extension-placeholder';
 import { ListItem } from '@tiptap/extension-list-item';
 import TiptapToolbar from './TiptapToolbar';
@@ -158,8 +159,8 @@ export default function TiptapEditor({ content, onChange, placeholder }) {
     }, [editor, upload]);
 
     const addCodeSnippet = useCallback(async () => {
-        if (!currentUser || !currentUser.isAdmin) {
-            alert('You must be an admin to add a code snippet.');
+        if (!hasPermission(currentUser, PERMISSIONS.WRITE_TUTORIALS)) {
+            alert('You must be a tutorial author to add a code snippet.');
             return;
         }
         if (!editor) return;
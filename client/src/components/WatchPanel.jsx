@@ -0,0 +1,61 @@
+// client/src/components/WatchPanel.jsx
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaTimes } from 'react-icons/fa';
+import { evaluateExpression, formatWatchValue } from '../utils/traceNavigation';
+
+// Watch expressions, re-evaluated against the variables of the current step.
+export default function WatchPanel({ expressions, onChange, variables }) {
+    const [draft, setDraft] = useState('');
+
+    const addExpression = (e) => {
+        e.preventDefault();
+        const expression = draft.trim();
+        if (!expression || expressions.includes(expression)) return;
+        onChange([...expressions, expression]);
+        setDraft('');
+    };
+
+    return (
+        <div className="p-2 rounded bg-gray-100 dark:bg-gray-700 text-sm">
+            <h4 className="font-semibold mb-1">Watch</h4>
+            <ul className="space-y-1 mb-2">
+                {expressions.map((expression) => {
+                    const { value, error } = evaluateExpression(expression, variables);
+                    return (
+                        <li key={expression} className="flex items-center gap-2 font-mono text-xs">
+                            <span className="text-purple-700 dark:text-purple-300">{expression}</span>
+                            <span>=</span>
+                            <span className={`flex-1 truncate ${error ? 'text-red-500' : ''}`} title={error || formatWatchValue(value)}>
+                                {error || formatWatchValue(value)}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => onChange(expressions.filter((item) => item !== expression))}
+                                className="text-gray-500 hover:text-red-500"
+                                aria-label={`Remove watch ${expression}`}
+                            >
+                                <FaTimes />
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+            <form onSubmit={addExpression}>
+                <input
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Add expression, e.g. items.length"
+                    aria-label="Watch expression"
+                    className="w-full p-1 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 font-mono text-xs"
+                />
+            </form>
+        </div>
+    );
+}
+
+WatchPanel.propTypes = {
+    expressions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onChange: PropTypes.func.isRequired,
+    variables: PropTypes.object.isRequired,
+};
@@ -0,0 +1,65 @@
+// src/hooks/useChapterTracking.js
+import { useEffect, useRef } from 'react';
+import { saveTutorialProgress } from '../services/tutorialService';
+
+const REPORT_INTERVAL_MS = 60 * 1000;
+
+// How far down the page the reader has scrolled, from 0 to 1
+const getScrollPosition = () => {
+    const totalHeight = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+    return totalHeight > 0 ? Math.min(1, Math.max(0, window.scrollY / totalHeight)) : 0;
+};
+
+/**
+ * Reports the time spent reading a chapter and how far down it the learner
+ * scrolled, every minute and when they leave the chapter. Time only counts
+ * while the tab is visible.
+ *
+ * @param {object} params
+ * @param {string} [params.tutorialId]
+ * @param {string} [params.chapterId]
+ * @param {boolean} params.enabled - False for guests, who have no progress.
+ * @param {Function} [params.onReport] - Called with the updated progress.
+ */
+export const useChapterTracking = ({ tutorialId, chapterId, enabled, onReport }) => {
+    const onReportRef = useRef(onReport);
+    onReportRef.current = onReport;
+
+    useEffect(() => {
+        if (!enabled || !tutorialId || !chapterId) return undefined;
+
+        let visibleSince = document.hidden ? null : Date.now();
+        let unreportedMs = 0;
+
+        const report = () => {
+            if (visibleSince !== null) {
+                unreportedMs += Date.now() - visibleSince;
+                visibleSince = document.hidden ? null : Date.now();
+            }
+            const timeSpentSeconds = Math.round(unreportedMs / 1000);
+            unreportedMs = 0;
+            saveTutorialProgress({ tutorialId, chapterId, position: getScrollPosition(), timeSpentSeconds })
+                .then((progress) => onReportRef.current?.(progress))
+                .catch((error) => console.error(error.message));
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.hidden && visibleSince !== null) {
+                unreportedMs += Date.now() - visibleSince;
+                visibleSince = null;
+            } else if (!document.hidden && visibleSince === null) {
+                visibleSince = Date.now();
+            }
+        };
+
+        const interval = setInterval(report, REPORT_INTERVAL_MS);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            report();
+        };
+    }, [tutorialId, chapterId, enabled]);
+};
+
+export default useChapterTracking;
@@ -0,0 +1,34 @@
+// client/src/hooks/useExecutionLanguages.js
+import { useState, useEffect } from 'react';
+import { getExecutionLanguages } from '../services/executionService';
+
+// Installed toolchains do not change while the page is open, so every
+// component shares a single request.
+let languagesRequest = null;
+
+export default function useExecutionLanguages() {
+    const [languages, setLanguages] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let ignore = false;
+        if (!languagesRequest) {
+            languagesRequest = getExecutionLanguages().catch((err) => {
+                languagesRequest = null;
+                throw err;
+            });
+        }
+        languagesRequest
+            .then((data) => {
+                if (!ignore && Array.isArray(data)) setLanguages(data);
+            })
+            .catch((err) => {
+                if (!ignore) setError(err.message);
+            });
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    return { languages, isLoading: !languages && !error, error };
+}
@@ -0,0 +1,47 @@
+// src/hooks/useSessionRefresh.js
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { refreshSession } from '../services/sessionRefresh';
+import { signInSuccess, signoutSuccess } from '../redux/user/userSlice';
+
+// Access tokens last 15 minutes, so they are renewed well before that
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Keeps the signed-in user's session alive by refreshing it in the
+ * background, and signs them out here once it has been revoked or expired.
+ */
+export default function useSessionRefresh() {
+    const dispatch = useDispatch();
+    const isSignedIn = useSelector((state) => Boolean(state.user.currentUser));
+
+    useEffect(() => {
+        if (!isSignedIn) return undefined;
+
+        let lastRefreshAt = 0;
+        const refresh = async () => {
+            lastRefreshAt = Date.now();
+            try {
+                dispatch(signInSuccess(await refreshSession()));
+            } catch (error) {
+                if (error.status === 401) dispatch(signoutSuccess());
+            }
+        };
+
+        // The access token may have expired while the app was closed
+        refresh();
+        const interval = setInterval(() => {
+            if (!document.hidden) refresh();
+        }, REFRESH_INTERVAL_MS);
+        // Timers are throttled in background tabs
+        const handleVisibilityChange = () => {
+            if (!document.hidden && Date.now() - lastRefreshAt >= REFRESH_INTERVAL_MS) refresh();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [isSignedIn, dispatch]);
+}
@@ -6,6 +6,11 @@ import { useMutation, useQuery } from '@tanstack/react-query';
 import { createQuiz as createQuizService } from '../services/quizService';
 import { getTutorials as getTutorialsService } from '../services/tutorialService'; // To link quizzes to tutorials
 import { FaTrash, FaPlus } from 'react-icons/fa';
+import CodeWritingQuestionFields from '../components/CodeWritingQuestionFields';
+import StructuredQuestionFields from '../components/StructuredQuestionFields';
+import QuizSettingsFields from '../components/QuizSettingsFields';
+import QuestionPoolFields from '../components/QuestionPoolFields';
+import { validateStructuredQuestion } from '../utils/quizQuestions';
 
 const QUIZ_DRAFT_KEY = 'quizDraft';
 
@@ -15,7 +20,9 @@ const quizInitialState = {
         description: '',
         category: 'uncategorized',
         questions: [],
+        questionPools: [],
         relatedTutorials: [],
+        settings: {},
     },
     publishError: null,
     loading: false,
@@ -212,8 +219,12 @@ export default function CreateQuiz() {
         if (!state.formData.title.trim()) {
             return dispatch({ type: 'PUBLISH_ERROR', payload: 'Quiz title is required.' });
         }
-        if (state.formData.questions.length === 0) {
-            return dispatch({ type: 'PUBLISH_ERROR', payload: 'Please add at least one question.' });
+        if (state.formData.questions.length === 0 && !state.formData.questionPools?.length) {
+            return dispatch({ type: 'PUBLISH_ERROR', payload: 'Please add at least one question or question pool.' });
+        }
+        const { opensAt, closesAt } = state.formData.settings || {};
+        if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+            return dispatch({ type: 'PUBLISH_ERROR', payload: 'The quiz must close after it opens.' });
         }
 
         // Validate each question
@@ -243,6 +254,18 @@ export default function CreateQuiz() {
                 if (q.questionType === 'code-output' && !q.codeSnippet?.trim()) {
                     return dispatch({ type: 'PUBLISH_ERROR', payload: `Question ${i + 1}: Code snippet is required for code output questions.` });
                 }
+            } else if (q.questionType === 'code-writing') {
+                if (!q.codeLanguage) {
+                    return dispatch({ type: 'PUBLISH_ERROR', payload: `Question ${i + 1}: Choose the language learners write their code in.` });
+                }
+                if (!q.correctAnswer?.trim() && !q.testCases?.length) {
+                    return dispatch({ type: 'PUBLISH_ERROR', payload: `Question ${i + 1}: Provide the expected output or at least one test case.` });
+                }
+            } else {
+                const structuredError = validateStructuredQuestion(q);
+                if (structuredError) {
+                    return dispatch({ type: 'PUBLISH_ERROR', payload: `Question ${i + 1}: ${structuredError}` });
+                }
             }
         }
 
@@ -308,6 +331,12 @@ export default function CreateQuiz() {
                     </div>
                 </div>
 
+                <h2 className="text-2xl font-bold mt-4 text-gray-900 dark:text-white">Settings</h2>
+                <QuizSettingsFields
+                    settings={state.formData.settings}
+                    onChange={(settings) => dispatch({ type: 'FIELD_CHANGE', payload: { settings } })}
+                />
+
                 {/* Questions Management */}
                 <h2 className="text-2xl font-bold mt-8 mb-4 text-gray-900 dark:text-white">Questions</h2>
                 {state.formData.questions.length === 0 && (
@@ -351,6 +380,11 @@ export default function CreateQuiz() {
                                 <option value="mcq">Multiple Choice</option>
                                 <option value="fill-in-the-blank">Fill in the Blank</option>
                                 <option value="code-output">Code Output (JS only)</option>
+                                <option value="code-writing">Write Code (run and graded)</option>
+                                <option value="ordering">Ordering (drag into place)</option>
+                                <option value="matching">Matching Pairs</option>
+                                <option value="multi-blank">Code with Blanks</option>
+                                <option value="numeric">Numeric Answer</option>
                             </Select>
                         </div>
 
@@ -428,6 +462,20 @@ export default function CreateQuiz() {
                             </div>
                         )}
 
+                        {question.questionType === 'code-writing' && (
+                            <CodeWritingQuestionFields
+                                question={question}
+                                qIndex={qIndex}
+                                onFieldChange={(field, value) => handleQuestionFieldChange(qIndex, field, value)}
+                            />
+                        )}
+
+                        <StructuredQuestionFields
+                            question={question}
+                            qIndex={qIndex}
+                            onFieldChange={(field, value) => handleQuestionFieldChange(qIndex, field, value)}
+                        />
+
                         <div className="mb-4">
                             <label htmlFor={`explanation-${qIndex}`} className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300">Explanation (Optional)</label>
                             <Textarea
@@ -444,6 +492,15 @@ export default function CreateQuiz() {
                     <FaPlus className="mr-2" /> Add New Question
                 </Button>
 
+                <h2 className="text-2xl font-bold mt-4 text-gray-900 dark:text-white">Random Questions from the Bank</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400 -mt-4">
+                    Each pool adds its number of questions to every attempt, drawn at random from the question bank.
+                </p>
+                <QuestionPoolFields
+                    pools={state.formData.questionPools}
+                    onChange={(questionPools) => dispatch({ type: 'FIELD_CHANGE', payload: { questionPools } })}
+                />
+
                 <Button type='submit' gradientDuoTone='purpleToPink' disabled={state.loading || createQuizMutation.isPending} className="mt-8">
                     {state.loading || createQuizMutation.isPending ? (<><Spinner size='sm' /><span className='pl-3'>Publishing...</span></>) : 'Publish Quiz'}
                 </Button>
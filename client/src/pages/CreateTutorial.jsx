@@ -1,4 +1,4 @@
-import { Alert, Button, FileInput, Select, TextInput, Spinner, Modal, Progress } from 'flowbite-react';
+import { Alert, Button, FileInput, Select, TextInput, Spinner, Modal, Progress, Textarea } from 'flowbite-react';
 import { useState, useReducer, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { HiOutlineExclamationCircle } from 'react-icons/hi';
@@ -14,6 +14,7 @@ import TiptapEditor from '../components/TiptapEditor';
 import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 import DraggableChapter from '../components/DraggableChapter';
+import TestCaseEditor from '../components/TestCaseEditor';
 
 const DRAFT_KEY_TUTORIAL = 'tutorialDraft';
 
@@ -129,6 +130,9 @@ function tutorialReducer(state, action) {
                 contentType: 'text',
                 initialCode: '',
                 expectedOutput: '',
+                codeLanguage: 'javascript',
+                defaultStdin: '',
+                testCases: [],
                 quizId: '',
                 subChapters: [],
             };
@@ -270,6 +274,33 @@ const NestedChapterList = ({ chapters, handleChapterFieldChange, handleChapterCo
                                     value={chapter.expectedOutput || ''}
                                     onChange={(e) => handleChapterFieldChange(chapter._id, 'expectedOutput', e.target.value)}
                                 />
+                                <Select
+                                    value={chapter.codeLanguage || 'javascript'}
+                                    onChange={(e) => handleChapterFieldChange(chapter._id, 'codeLanguage', e.target.value)}
+                                >
+                                    <option value='javascript'>JavaScript</option>
+                                    <option value='typescript'>TypeScript</option>
+                                    <option value='python'>Python</option>
+                                    <option value='c'>C</option>
+                                    <option value='cpp'>C++</option>
+                                    <option value='java'>Java</option>
+                                    <option value='go'>Go</option>
+                                    <option value='rust'>Rust</option>
+                                    <option value='ruby'>Ruby</option>
+                                    <option value='bash'>Bash</option>
+                                    <option value='html'>HTML</option>
+                                    <option value='css'>CSS</option>
+                                </Select>
+                                <Textarea
+                                    rows={2}
+                                    placeholder='Default program input (stdin), pre-filled in the learner’s input panel'
+                                    value={chapter.defaultStdin || ''}
+                                    onChange={(e) => handleChapterFieldChange(chapter._id, 'defaultStdin', e.target.value)}
+                                />
+                                <TestCaseEditor
+                                    testCases={chapter.testCases || []}
+                                    onChange={(testCases) => handleChapterFieldChange(chapter._id, 'testCases', testCases)}
+                                />
                             </div>
                         )}
                         {chapter.contentType === 'quiz' && (
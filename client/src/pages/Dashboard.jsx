@@ -1,6 +1,8 @@
 // client/src/pages/Dashboard.jsx
 import { useEffect, useState, lazy, Suspense } from 'react';
 import { useLocation } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import { Spinner } from 'flowbite-react';
 import DashSidebar from '../components/DashSidebar';
 
@@ -12,27 +14,34 @@ const DashComments = lazy(() => import('../components/DashComments'));
 const DashboardComp = lazy(() => import('../components/DashboardComp'));
 const DashTutorials = lazy(() => import('../components/DashTutorials'));
 const DashQuizzes = lazy(() => import('../components/DashQuizzes')); // NEW: Import DashQuizzes component
+const DashQuestionBank = lazy(() => import('../components/DashQuestionBank'));
+const DashLearning = lazy(() => import('../components/DashLearning'));
 
 // Create a map to associate tab names with their components.
 const componentMap = {
     profile: DashProfile,
+    learning: DashLearning,
     posts: DashPosts,
     users: DashUsers,
     comments: DashComments,
     dash: DashboardComp,
     tutorials: DashTutorials,
     quizzes: DashQuizzes, // NEW: Add DashQuizzes to the map
+    'question-bank': DashQuestionBank,
 };
 
 export default function Dashboard() {
     const location = useLocation();
+    const { currentUser } = useSelector((state) => state.user);
     const [tab, setTab] = useState('');
+    const canViewStats = hasPermission(currentUser, PERMISSIONS.VIEW_USERS);
 
     useEffect(() => {
         const urlParams = new URLSearchParams(location.search);
         const tabFromUrl = urlParams.get('tab');
-        setTab(tabFromUrl || 'dash');
-    }, [location.search]);
+        // Learners land on their learning overview, those who oversee users on the site stats
+        setTab(tabFromUrl || (canViewStats ? 'dash' : 'learning'));
+    }, [location.search, canViewStats]);
 
     const ActiveComponent = componentMap[tab];
 
@@ -0,0 +1,91 @@
+// client/src/pages/ForgotPassword.jsx
+import { Alert, Button, Label, Spinner, TextInput } from 'flowbite-react';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+
+import { requestPasswordReset } from '../services/authService';
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Please enter a valid email address.'),
+});
+
+export default function ForgotPassword() {
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+  });
+
+  const handleFormSubmit = async ({ email }) => {
+    setLoading(true);
+    setErrorMessage(null);
+    try {
+      setSuccessMessage(await requestPasswordReset(email));
+    } catch (error) {
+      setErrorMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+      <div className='min-h-screen mt-20'>
+        <div className='p-3 max-w-md mx-auto flex flex-col gap-5'>
+          <h1 className='text-3xl font-semibold'>Forgot your password?</h1>
+          <p className='text-sm'>
+            Enter the email address of your account and we will send you a link
+            to choose a new password.
+          </p>
+          <form
+              className='flex flex-col gap-4'
+              onSubmit={handleSubmit(handleFormSubmit)}
+              noValidate
+          >
+            <div>
+              <Label value='Your email' />
+              <TextInput
+                  type='email'
+                  placeholder='name@company.com'
+                  id='email'
+                  {...register('email')}
+              />
+              {errors.email && (
+                  <p className='text-red-500 text-sm mt-1'>{errors.email.message}</p>
+              )}
+            </div>
+            <Button
+                gradientDuoTone='purpleToPink'
+                type='submit'
+                disabled={loading}
+            >
+              {loading ? (
+                  <>
+                    <Spinner size='sm' />
+                    <span className='pl-3'>Loading...</span>
+                  </>
+              ) : (
+                  'Send reset link'
+              )}
+            </Button>
+          </form>
+          <div className='flex gap-2 text-sm'>
+            <span>Remembered it?</span>
+            <Link to='/sign-in' className='text-blue-500'>
+              Sign In
+            </Link>
+          </div>
+          {successMessage && <Alert color='success'>{successMessage}</Alert>}
+          {errorMessage && <Alert color='failure'>{errorMessage}</Alert>}
+        </div>
+      </div>
+  );
+}
@@ -0,0 +1,58 @@
+// client/src/pages/GithubCallback.jsx
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { Alert, Spinner } from 'flowbite-react';
+import { signInSuccess } from '../redux/user/userSlice';
+import { linkIdentity, signInWithProvider } from '../services/authService';
+import { completeGithubAuthorization } from '../utils/githubOAuth';
+
+// Where GitHub redirects back to after the learner authorizes the app
+export default function GithubCallback() {
+    const [searchParams] = useSearchParams();
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const [error, setError] = useState(null);
+    const hasStarted = useRef(false);
+
+    useEffect(() => {
+        // GitHub codes only work once
+        if (hasStarted.current) return;
+        hasStarted.current = true;
+
+        const code = searchParams.get('code');
+        const intent = completeGithubAuthorization(searchParams.get('state'));
+        if (!code || !intent) {
+            setError(searchParams.get('error_description') || 'The GitHub sign-in could not be completed.');
+            return;
+        }
+
+        const finish = async () => {
+            try {
+                if (intent === 'link') {
+                    await linkIdentity('github', { code });
+                    navigate('/dashboard?tab=profile', { replace: true });
+                } else {
+                    dispatch(signInSuccess(await signInWithProvider('github', { code })));
+                    navigate('/', { replace: true });
+                }
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        finish();
+    }, [searchParams, dispatch, navigate]);
+
+    return (
+        <div className='min-h-screen flex flex-col justify-center items-center gap-4 p-3'>
+            {error ? (
+                <>
+                    <Alert color='failure'>{error}</Alert>
+                    <Link to='/sign-in' className='text-teal-500 hover:underline'>Back to sign in</Link>
+                </>
+            ) : (
+                <Spinner size='xl' />
+            )}
+        </div>
+    );
+}
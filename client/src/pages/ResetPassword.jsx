@@ -0,0 +1,117 @@
+// client/src/pages/ResetPassword.jsx
+import { Alert, Button, Label, Spinner, TextInput } from 'flowbite-react';
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+
+import { resetPassword } from '../services/authService';
+
+// The same rules as signing up
+const resetPasswordSchema = z.object({
+  password: z
+      .string()
+      .min(8, 'Password must be at least 8 characters long.')
+      .regex(/[a-zA-Z]/, 'Password must contain at least one letter.')
+      .regex(/[0-9]/, 'Password must contain at least one number.'),
+  confirmPassword: z.string(),
+})
+    .refine((data) => data.password === data.confirmPassword, {
+      message: "Passwords do not match.",
+      path: ["confirmPassword"],
+    });
+
+// Where the link in the password reset email leads
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [errorMessage, setErrorMessage] = useState(token ? null : 'This reset link is incomplete.');
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+  });
+
+  const handleFormSubmit = async ({ password }) => {
+    setLoading(true);
+    setErrorMessage(null);
+    try {
+      setSuccessMessage(await resetPassword({ token, password }));
+    } catch (error) {
+      setErrorMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+      <div className='min-h-screen mt-20'>
+        <div className='p-3 max-w-md mx-auto flex flex-col gap-5'>
+          <h1 className='text-3xl font-semibold'>Choose a new password</h1>
+          {successMessage ? (
+              <>
+                <Alert color='success'>{successMessage}</Alert>
+                <Link to='/sign-in' className='text-blue-500 text-sm'>
+                  Sign In
+                </Link>
+              </>
+          ) : (
+              <form
+                  className='flex flex-col gap-4'
+                  onSubmit={handleSubmit(handleFormSubmit)}
+                  noValidate
+              >
+                <div>
+                  <Label value='New password' />
+                  <TextInput
+                      type='password'
+                      placeholder='Password'
+                      id='password'
+                      {...register('password')}
+                  />
+                  {errors.password && (
+                      <p className='text-red-500 text-sm mt-1'>{errors.password.message}</p>
+                  )}
+                </div>
+                <div>
+                  <Label value='Confirm your new password' />
+                  <TextInput
+                      type='password'
+                      placeholder='Confirm Password'
+                      id='confirmPassword'
+                      {...register('confirmPassword')}
+                  />
+                  {errors.confirmPassword && (
+                      <p className='text-red-500 text-sm mt-1'>{errors.confirmPassword.message}</p>
+                  )}
+                </div>
+                <Button
+                    gradientDuoTone='purpleToPink'
+                    type='submit'
+                    disabled={loading || !token}
+                >
+                  {loading ? (
+                      <>
+                        <Spinner size='sm' />
+                        <span className='pl-3'>Loading...</span>
+                      </>
+                  ) : (
+                      'Reset password'
+                  )}
+                </Button>
+                <Link to='/forgot-password' className='text-blue-500 text-sm'>
+                  Need a new link?
+                </Link>
+              </form>
+          )}
+          {errorMessage && <Alert color='failure'>{errorMessage}</Alert>}
+        </div>
+      </div>
+  );
+}
@@ -11,7 +11,7 @@ import {
   signInSuccess,
   signInFailure,
 } from '../redux/user/userSlice';
-import { signInUser } from '../services/authService'; // <-- Import our new service
+import { resendVerification, signInUser } from '../services/authService'; // <-- Import our new service
 import OAuth from '../components/OAuth';
 
 // 1. Define the validation schema with Zod
@@ -27,6 +27,9 @@ export default function SignIn() {
   const { loading, error: errorMessage } = useSelector((state) => state.user);
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  // The email of an account that has to be verified before signing in
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+  const [resendMessage, setResendMessage] = useState(null);
 
   // 2. Set up React Hook Form
   const {
@@ -39,6 +42,8 @@ export default function SignIn() {
 
   // 3. The new submit handler is much cleaner
   const handleFormSubmit = async (formData) => {
+    setUnverifiedEmail(null);
+    setResendMessage(null);
     try {
       dispatch(signInStart());
       const data = await signInUser(formData); // Use the service
@@ -46,6 +51,17 @@ export default function SignIn() {
       navigate('/');
     } catch (error) {
       dispatch(signInFailure(error.message));
+      if (error.status === 403) {
+        setUnverifiedEmail(formData.email);
+      }
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      setResendMessage(await resendVerification(unverifiedEmail));
+    } catch (error) {
+      setResendMessage(error.message);
     }
   };
 
@@ -125,10 +141,27 @@ export default function SignIn() {
               <Link to='/sign-up' className='text-blue-500'>
                 Sign Up
               </Link>
+              <Link to='/forgot-password' className='text-blue-500 ml-auto'>
+                Forgot password?
+              </Link>
             </div>
             {errorMessage && (
                 <Alert className='mt-5' color='failure'>
                   {errorMessage}
+                  {unverifiedEmail && (
+                      <button
+                          type='button'
+                          className='block mt-2 underline'
+                          onClick={handleResendVerification}
+                      >
+                        Send the verification email again
+                      </button>
+                  )}
+                </Alert>
+            )}
+            {resendMessage && (
+                <Alert className='mt-3' color='info'>
+                  {resendMessage}
                 </Alert>
             )}
           </div>
@@ -1,6 +1,6 @@
 import { Alert, Button, Label, Spinner, TextInput } from 'flowbite-react';
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
@@ -32,7 +32,7 @@ export default function SignUp() {
   // We still use local state for loading and API errors
   const [errorMessage, setErrorMessage] = useState(null);
   const [loading, setLoading] = useState(false);
-  const navigate = useNavigate();
+  const [successMessage, setSuccessMessage] = useState(null);
 
   // 2. Set up React Hook Form
   const {
@@ -48,8 +48,8 @@ export default function SignUp() {
     setLoading(true);
     setErrorMessage(null);
     try {
-      await signUpUser(formData);
-      navigate('/sign-in');
+      // The account can sign in once its email address is verified
+      setSuccessMessage(await signUpUser(formData));
     } catch (error) {
       setErrorMessage(error.message);
     } finally {
@@ -150,6 +150,11 @@ export default function SignUp() {
                 Sign In
               </Link>
             </div>
+            {successMessage && (
+                <Alert className='mt-5' color='success'>
+                  {successMessage}
+                </Alert>
+            )}
             {errorMessage && (
                 <Alert className='mt-5' color='failure'>
                   {errorMessage}
@@ -1,6 +1,7 @@
 // client/src/pages/SingleQuizPage.jsx
 import { useParams, Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
+import { useSelector } from 'react-redux';
 import { Helmet } from 'react-helmet-async';
 import { Spinner, Alert } from 'flowbite-react';
 import { FaQuestionCircle } from 'react-icons/fa';
@@ -10,10 +11,12 @@ import { getSingleQuizBySlug } from '../services/quizService';
 
 // Import the existing component we already built
 import QuizComponent from '../components/QuizComponent';
+import QuizAttemptHistory from '../components/QuizAttemptHistory';
 
 export default function SingleQuizPage() {
     // Get the quiz slug from the URL
     const { quizSlug } = useParams();
+    const { currentUser } = useSelector((state) => state.user);
 
     // Fetch quiz data by slug
     const { data: quiz, isLoading, isError, error } = useQuery({
@@ -92,6 +95,14 @@ export default function SingleQuizPage() {
                     <QuizComponent quizId={quiz._id} />
                 </div>
 
+                {/* Previous scores and answer review for signed-in learners */}
+                {currentUser && (
+                    <div className="max-w-4xl mx-auto mt-12">
+                        <h2 className="text-2xl font-bold mb-4 text-center">My attempts</h2>
+                        <QuizAttemptHistory quizId={quiz._id} />
+                    </div>
+                )}
+
                 {quiz.relatedTutorials && quiz.relatedTutorials.length > 0 && (
                     <div className="max-w-4xl mx-auto mt-12 p-6 bg-blue-50 dark:bg-gray-800 rounded-lg text-gray-800 dark:text-gray-200">
                         <h2 className="text-2xl font-bold mb-4 text-center">Struggling with the quiz?</h2>
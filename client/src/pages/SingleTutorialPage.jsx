@@ -1,10 +1,11 @@
-import { useParams, Link, useNavigate } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
-import { getTutorials } from '../services/tutorialService';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getTutorials, getTutorialProgress, gradeChapter } from '../services/tutorialService';
 import { Spinner, Alert, Button, Progress } from 'flowbite-react';
 import DOMPurify from 'dompurify';
 import parse from 'html-react-parser';
 import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
 import { Helmet } from 'react-helmet-async';
 import { useSelector } from 'react-redux';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -15,6 +16,7 @@ import TableOfContents from '../components/TableOfContents';
 import SocialShare from '../components/SocialShare';
 import { calculateReadingTime } from '../utils/helpers';
 import useUser from '../hooks/useUser';
+import useChapterTracking from '../hooks/useChapterTracking';
 import CommentSection from '../components/CommentSection';
 import CodeEditor from '../components/CodeEditor';
 import QuizComponent from '../components/QuizComponent';
@@ -73,7 +75,38 @@ const categoryToLanguageMap = {
 
 // New sub-component for rendering dynamic chapter content.
 // This greatly simplifies the main component and keeps the rendering logic self-contained.
-const ChapterContent = ({ activeChapter, sanitizedContent, parserOptions }) => {
+const chapterShape = PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    chapterTitle: PropTypes.string,
+    chapterSlug: PropTypes.string,
+    order: PropTypes.number,
+    contentType: PropTypes.oneOf(['text', 'code-interactive', 'quiz', 'video']),
+    content: PropTypes.string,
+    initialCode: PropTypes.string,
+    expectedOutput: PropTypes.string,
+    codeLanguage: PropTypes.string,
+    defaultStdin: PropTypes.string,
+    // Hidden test cases only carry their name unless the reader may edit the tutorial
+    testCases: PropTypes.arrayOf(PropTypes.object),
+    quizId: PropTypes.string,
+    subChapters: PropTypes.arrayOf(PropTypes.object),
+});
+
+const tutorialShape = PropTypes.shape({
+    title: PropTypes.string,
+    slug: PropTypes.string,
+    chapters: PropTypes.arrayOf(chapterShape),
+});
+
+// Completion of a chapter, or of the whole tutorial, from buildTutorialProgress
+const progressShape = PropTypes.shape({
+    completed: PropTypes.bool,
+    completedCount: PropTypes.number,
+    totalCount: PropTypes.number,
+    percentage: PropTypes.number,
+});
+
+const ChapterContent = ({ activeChapter, sanitizedContent, parserOptions, onSubmitTests }) => {
     switch (activeChapter.contentType) {
         case 'code-interactive':
             // Renders a code editor, often with a description from the Tiptap editor.
@@ -92,6 +125,8 @@ const ChapterContent = ({ activeChapter, sanitizedContent, parserOptions }) => {
                         initialCode={{ [activeChapter.codeLanguage || 'html']: activeChapter.initialCode || '' }}
                         language={activeChapter.codeLanguage || 'html'}
                         expectedOutput={activeChapter.expectedOutput || ''}
+                        defaultStdin={activeChapter.defaultStdin || ''}
+                        onSubmitTests={activeChapter.testCases?.length > 0 ? onSubmitTests : undefined}
                     />
                 </motion.div>
             );
@@ -143,9 +178,39 @@ const ChapterContent = ({ activeChapter, sanitizedContent, parserOptions }) => {
     }
 };
 
-const ChapterLink = ({ chapter, tutorial, activeChapterId, currentUser }) => {
-    const isCompleted = currentUser && chapter.completedBy?.includes(currentUser._id);
+ChapterContent.propTypes = {
+    activeChapter: chapterShape.isRequired,
+    sanitizedContent: PropTypes.string.isRequired,
+    parserOptions: PropTypes.object,
+    // Grades the learner's code against the chapter's test cases
+    onSubmitTests: PropTypes.func,
+};
+
+// Finds a chapter or subchapter by its ID
+const findChapterById = (chapters, chapterId) => {
+    for (const chapter of chapters) {
+        if (chapter._id === chapterId) return chapter;
+        const foundSubchapter = findChapterById(chapter.subChapters || [], chapterId);
+        if (foundSubchapter) return foundSubchapter;
+    }
+    return null;
+};
+
+// Indexes a progress tree by chapter ID, including subchapters
+const indexProgress = (chapters = [], index = new Map()) => {
+    for (const chapter of chapters) {
+        index.set(chapter.chapterId, chapter);
+        indexProgress(chapter.subChapters, index);
+    }
+    return index;
+};
+
+const ChapterLink = ({ chapter, tutorial, activeChapterId, progressById }) => {
+    const progress = progressById.get(chapter._id);
+    const isCompleted = progress?.completed;
     const isActive = activeChapterId === chapter._id;
+    // Chapters with subchapters show how much of the whole section is done
+    const showPercentage = progress && progress.totalCount > 1 && progress.percentage < 100;
 
     const Icon =
         chapter.contentType === 'code-interactive' ? FaCode :
@@ -172,6 +237,11 @@ const ChapterLink = ({ chapter, tutorial, activeChapterId, currentUser }) => {
                     <Icon className={`text-sm ${isActive ? 'text-white' : 'text-blue-500 group-hover:text-blue-600 dark:text-blue-300'}`} />
                 </div>
                 <span className="flex-1 ml-3 text-sm">{chapter.chapterTitle}</span>
+                {showPercentage && (
+                    <span className={`text-xs ml-2 ${isActive ? 'text-blue-100' : 'text-gray-500 dark:text-gray-400'}`}>
+                        {progress.percentage}%
+                    </span>
+                )}
                 {isCompleted && (
                     <HiCheckCircle className={`text-lg transition-colors duration-200 ${isActive ? 'text-green-200' : 'text-green-500'}`} />
                 )}
@@ -180,8 +250,16 @@ const ChapterLink = ({ chapter, tutorial, activeChapterId, currentUser }) => {
     );
 };
 
+ChapterLink.propTypes = {
+    chapter: chapterShape.isRequired,
+    tutorial: tutorialShape.isRequired,
+    activeChapterId: PropTypes.string,
+    // Chapter ID -> its progress, from indexProgress
+    progressById: PropTypes.instanceOf(Map).isRequired,
+};
+
 // NEW: A recursive component to render chapters and subchapters
-const NestedChapterList = ({ chapters, tutorial, activeChapterId, currentUser }) => {
+const NestedChapterList = ({ chapters, tutorial, activeChapterId, progressById }) => {
     if (!chapters || chapters.length === 0) return null;
     const sortedChapters = [...chapters].sort((a, b) => a.order - b.order);
     return (
@@ -192,7 +270,7 @@ const NestedChapterList = ({ chapters, tutorial, activeChapterId, currentUser })
                         chapter={chapter}
                         tutorial={tutorial}
                         activeChapterId={activeChapterId}
-                        currentUser={currentUser}
+                        progressById={progressById}
                     />
                     {/* Recursively render subchapters if they exist */}
                     {chapter.subChapters && chapter.subChapters.length > 0 && (
@@ -200,7 +278,7 @@ const NestedChapterList = ({ chapters, tutorial, activeChapterId, currentUser })
                             chapters={chapter.subChapters}
                             tutorial={tutorial}
                             activeChapterId={activeChapterId}
-                            currentUser={currentUser}
+                            progressById={progressById}
                         />
                     )}
                 </li>
@@ -209,11 +287,27 @@ const NestedChapterList = ({ chapters, tutorial, activeChapterId, currentUser })
     );
 };
 
-const SidebarNavigation = ({ tutorial, sortedChapters, activeChapter, currentUser }) => (
+NestedChapterList.propTypes = {
+    chapters: PropTypes.arrayOf(chapterShape),
+    tutorial: tutorialShape.isRequired,
+    activeChapterId: PropTypes.string,
+    progressById: PropTypes.instanceOf(Map).isRequired,
+};
+
+const SidebarNavigation = ({ tutorial, activeChapter, progress, progressById }) => (
     <aside className="md:w-72 w-full p-4 border-r border-gray-200 dark:border-gray-700 bg-gray-100 dark:bg-gray-800 shadow-lg md:h-screen md:sticky md:top-0 overflow-y-auto scrollbar-custom z-10">
         <h3 className="text-2xl font-extrabold mb-5 text-gray-900 dark:text-white border-b pb-3 border-gray-300 dark:border-gray-600">
             {tutorial.title}
         </h3>
+        {progress && (
+            <div className="mb-5">
+                <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+                    <span>{progress.completedCount} of {progress.totalCount} complete</span>
+                    <span>{progress.percentage}%</span>
+                </div>
+                <Progress progress={progress.percentage} size="sm" color="green" />
+            </div>
+        )}
         <motion.ul
             className="space-y-3"
             initial="hidden"
@@ -226,17 +320,26 @@ const SidebarNavigation = ({ tutorial, sortedChapters, activeChapter, currentUse
                 chapters={tutorial?.chapters}
                 tutorial={tutorial}
                 activeChapterId={activeChapter?._id}
-                currentUser={currentUser}
+                progressById={progressById}
             />
         </motion.ul>
     </aside>
 );
 
+SidebarNavigation.propTypes = {
+    tutorial: tutorialShape.isRequired,
+    activeChapter: chapterShape,
+    progress: progressShape,
+    progressById: PropTypes.instanceOf(Map).isRequired,
+};
+
 export default function SingleTutorialPage() {
     const { tutorialSlug, chapterSlug } = useParams();
     const navigate = useNavigate();
+    const location = useLocation();
+    const queryClient = useQueryClient();
 
-    const { data, isLoading, isError, error, refetch } = useQuery({
+    const { data, isLoading, isError, error } = useQuery({
         queryKey: ['tutorial', tutorialSlug],
         queryFn: () => getTutorials(`slug=${tutorialSlug}`),
         staleTime: 1000 * 60 * 10,
@@ -246,7 +349,16 @@ export default function SingleTutorialPage() {
     const { user: author, isLoading: isAuthorLoading } = useUser(tutorial?.authorId);
     const { currentUser } = useSelector((state) => state.user);
     const [isCompleted, setIsCompleted] = useState(false);
-    const [completionPercentage, setCompletionPercentage] = useState(0);
+
+    // Completion of every chapter and subchapter for the signed-in learner
+    const progressQueryKey = ['tutorialProgress', tutorial?._id, currentUser?._id];
+    const { data: progress, isPending: isProgressPending, refetch: refetchProgress } = useQuery({
+        queryKey: progressQueryKey,
+        queryFn: () => getTutorialProgress(tutorial._id),
+        enabled: !!tutorial && !!currentUser,
+    });
+    const progressById = useMemo(() => indexProgress(currentUser ? progress?.chapters : []), [progress, currentUser]);
+    const completionPercentage = currentUser ? progress?.percentage ?? 0 : 0;
 
     const findChapterBySlug = (chapters, slug) => {
         for (const chapter of chapters) {
@@ -294,53 +406,68 @@ export default function SingleTutorialPage() {
                     'Authorization': `Bearer ${localStorage.getItem('token')}`,
                 },
             });
-            if (res.ok) { setIsCompleted(true); refetch(); }
+            if (res.ok) { setIsCompleted(true); refetchProgress(); }
             else { const data = await res.json(); console.error(data.message); }
         } catch (error) { console.error(error.message); }
     };
 
-    const countCompletedChapters = (chapters) => {
-        if (!chapters) return 0;
-        return chapters.reduce((count, chapter) => {
-            const isCompleted = chapter.completedBy?.includes(currentUser._id);
-            const subChapterCount = chapter.subChapters ? countCompletedChapters(chapter.subChapters) : 0;
-            return count + (isCompleted ? 1 : 0) + subChapterCount;
-        }, 0);
-    };
-
-    const countTotalChapters = (chapters) => {
-        if (!chapters) return 0;
-        return chapters.reduce((count, chapter) => {
-            const subChapterCount = chapter.subChapters ? countTotalChapters(chapter.subChapters) : 0;
-            return count + 1 + subChapterCount;
-        }, 0);
+    // Grades the learner's code on the server; passing every test completes the chapter.
+    const handleSubmitTests = async (code) => {
+        if (!currentUser) {
+            navigate('/sign-in');
+            return null;
+        }
+        const grade = await gradeChapter({ tutorialId: tutorial._id, chapterId: activeChapter._id, code });
+        if (grade.chapterCompleted) {
+            setIsCompleted(true);
+            refetchProgress();
+        }
+        return grade;
     };
 
     useEffect(() => {
         if (activeChapter && currentUser) {
-            const completed = activeChapter.completedBy && activeChapter.completedBy.includes(currentUser._id);
-            setIsCompleted(completed);
+            setIsCompleted(Boolean(progressById.get(activeChapter._id)?.completed));
         } else { setIsCompleted(false); }
-    }, [activeChapter, currentUser]);
+    }, [activeChapter, currentUser, progressById]);
+
+    // Reports reading time and scroll position for the learner's progress
+    useChapterTracking({
+        tutorialId: tutorial?._id,
+        chapterId: activeChapter?._id,
+        enabled: !!currentUser,
+        onReport: (updatedProgress) => queryClient.setQueryData(progressQueryKey, updatedProgress),
+    });
 
+    // Scrolls back to where the learner left off when resuming a tutorial
     useEffect(() => {
-        if (tutorial && currentUser) {
-            const completedChapters = countCompletedChapters(tutorial.chapters);
-            const totalChapters = countTotalChapters(tutorial.chapters);
-            const newPercentage = totalChapters > 0 ? Math.round((completedChapters / totalChapters) * 100) : 0;
-            setCompletionPercentage(newPercentage);
-        } else { setCompletionPercentage(0); }
-    }, [tutorial, currentUser]);
+        if (location.state?.resumePosition && activeChapter) {
+            requestAnimationFrame(() => {
+                const totalHeight = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+                window.scrollTo({ top: totalHeight * location.state.resumePosition });
+            });
+        }
+    }, [location.state, activeChapter]);
 
     useEffect(() => {
         if (tutorial && tutorial.chapters.length > 0) {
             if (!chapterSlug && activeChapter) {
+                // Signed-in learners resume at the chapter they were last reading
+                if (currentUser && isProgressPending) return;
+                const lastChapter = progress?.lastChapterId && findChapterById(tutorial.chapters, progress.lastChapterId);
+                if (lastChapter?.chapterSlug) {
+                    navigate(`/tutorials/${tutorial.slug}/${lastChapter.chapterSlug}`, {
+                        replace: true,
+                        state: { resumePosition: progress.lastPosition },
+                    });
+                    return;
+                }
                 navigate(`/tutorials/${tutorial.slug}/${activeChapter.chapterSlug}`, { replace: true });
             } else if (chapterSlug && !activeChapter) {
                 navigate('/404', { replace: true });
             }
         }
-    }, [tutorial, chapterSlug, navigate, activeChapter]);
+    }, [tutorial, chapterSlug, navigate, activeChapter, currentUser, isProgressPending, progress]);
 
     const createMetaDescription = (htmlContent) => {
         if (!htmlContent) return '';
@@ -437,7 +564,8 @@ export default function SingleTutorialPage() {
                 <SidebarNavigation
                     tutorial={tutorial}
                     activeChapter={activeChapter}
-                    currentUser={currentUser}
+                    progress={currentUser ? progress : null}
+                    progressById={progressById}
                 />
 
                 <main className="flex-1 p-8 overflow-x-hidden">
@@ -469,6 +597,7 @@ export default function SingleTutorialPage() {
                                 activeChapter={activeChapter}
                                 sanitizedContent={sanitizedContent}
                                 parserOptions={parserOptions}
+                                onSubmitTests={handleSubmitTests}
                             />
                         </div>
 
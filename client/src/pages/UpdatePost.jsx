@@ -69,10 +69,7 @@ export default function UpdatePost() {
     e.preventDefault();
     if (debounceTimeout.current) clearTimeout(debounceTimeout.current);
 
-    updateMutation.mutate({
-      postId: formData._id,
-      userId: formData.userId
-    });
+    updateMutation.mutate({ postId: formData._id });
   };
 
   if (isLoading) {
@@ -4,10 +4,14 @@ import { useState, useReducer, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 // CORRECT IMPORTS: Use the new, explicit function names
-import { getSingleQuizById as getSingleQuizService, updateQuiz as updateQuizService } from '../services/quizService';
+import { getQuizForEditing, updateQuiz as updateQuizService } from '../services/quizService';
 import { getTutorials as getTutorialsService } from '../services/tutorialService'; // To link quizzes to tutorials
 import { FaTrash, FaPlus } from 'react-icons/fa';
-import { useSelector } from 'react-redux';
+import CodeWritingQuestionFields from '../components/CodeWritingQuestionFields';
+import StructuredQuestionFields from '../components/StructuredQuestionFields';
+import QuizSettingsFields from '../components/QuizSettingsFields';
+import QuestionPoolFields from '../components/QuestionPoolFields';
+import { validateStructuredQuestion } from '../utils/quizQuestions';
 
 const quizInitialState = {
     formData: {
@@ -15,7 +19,9 @@ const quizInitialState = {
         description: '',
         category: 'uncategorized',
         questions: [],
+        questionPools: [],
         relatedTutorials: [],
+        settings: {},
     },
     publishError: null,
     loading: false,
@@ -126,13 +132,12 @@ export default function UpdateQuiz() {
     const navigate = useNavigate();
     const queryClient = useQueryClient(); // Add useQueryClient
     const [state, dispatch] = useReducer(quizReducer, quizInitialState);
-    const { currentUser } = useSelector((state) => state.user);
 
     // Fetch existing quiz data
     const { data: quizData, isLoading: quizLoading, isError: quizError } = useQuery({
         queryKey: ['quizToUpdate', quizId],
-        // CORRECT FUNCTION CALL: Use getSingleQuizById
-        queryFn: () => getSingleQuizService(quizId),
+        // The public quiz endpoints leave out the answers
+        queryFn: () => getQuizForEditing(quizId),
         enabled: !!quizId,
         onSuccess: (data) => {
             // Transform relatedTutorials from array of objects to array of IDs if needed
@@ -224,8 +229,12 @@ export default function UpdateQuiz() {
         if (!state.formData.title.trim()) {
             return dispatch({ type: 'UPDATE_ERROR', payload: 'Quiz title is required.' });
         }
-        if (state.formData.questions.length === 0) {
-            return dispatch({ type: 'UPDATE_ERROR', payload: 'Please add at least one question.' });
+        if (state.formData.questions.length === 0 && !state.formData.questionPools?.length) {
+            return dispatch({ type: 'UPDATE_ERROR', payload: 'Please add at least one question or question pool.' });
+        }
+        const { opensAt, closesAt } = state.formData.settings || {};
+        if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+            return dispatch({ type: 'UPDATE_ERROR', payload: 'The quiz must close after it opens.' });
         }
 
         // Validate each question
@@ -255,12 +264,23 @@ export default function UpdateQuiz() {
                 if (q.questionType === 'code-output' && !q.codeSnippet?.trim()) {
                     return dispatch({ type: 'UPDATE_ERROR', payload: `Question ${i + 1}: Code snippet is required for code output questions.` });
                 }
+            } else if (q.questionType === 'code-writing') {
+                if (!q.codeLanguage) {
+                    return dispatch({ type: 'UPDATE_ERROR', payload: `Question ${i + 1}: Choose the language learners write their code in.` });
+                }
+                if (!q.correctAnswer?.trim() && !q.testCases?.length) {
+                    return dispatch({ type: 'UPDATE_ERROR', payload: `Question ${i + 1}: Provide the expected output or at least one test case.` });
+                }
+            } else {
+                const structuredError = validateStructuredQuestion(q);
+                if (structuredError) {
+                    return dispatch({ type: 'UPDATE_ERROR', payload: `Question ${i + 1}: ${structuredError}` });
+                }
             }
         }
 
         updateQuizMutation.mutate({
             quizId,
-            userId: currentUser._id, // Assuming currentUser has _id for authorization
             formData: state.formData
         });
     };
@@ -340,6 +360,12 @@ export default function UpdateQuiz() {
                     </div>
                 </div>
 
+                <h2 className="text-2xl font-bold mt-4 text-gray-900 dark:text-white">Settings</h2>
+                <QuizSettingsFields
+                    settings={state.formData.settings}
+                    onChange={(settings) => dispatch({ type: 'FIELD_CHANGE', payload: { settings } })}
+                />
+
                 {/* Questions Management */}
                 <h2 className="text-2xl font-bold mt-8 mb-4 text-gray-900 dark:text-white">Questions</h2>
                 {state.formData.questions.length === 0 && (
@@ -383,6 +409,11 @@ export default function UpdateQuiz() {
                                 <option value="mcq">Multiple Choice</option>
                                 <option value="fill-in-the-blank">Fill in the Blank</option>
                                 <option value="code-output">Code Output (JS only)</option>
+                                <option value="code-writing">Write Code (run and graded)</option>
+                                <option value="ordering">Ordering (drag into place)</option>
+                                <option value="matching">Matching Pairs</option>
+                                <option value="multi-blank">Code with Blanks</option>
+                                <option value="numeric">Numeric Answer</option>
                             </Select>
                         </div>
 
@@ -460,6 +491,20 @@ export default function UpdateQuiz() {
                             </div>
                         )}
 
+                        {question.questionType === 'code-writing' && (
+                            <CodeWritingQuestionFields
+                                question={question}
+                                qIndex={qIndex}
+                                onFieldChange={(field, value) => handleQuestionFieldChange(qIndex, field, value)}
+                            />
+                        )}
+
+                        <StructuredQuestionFields
+                            question={question}
+                            qIndex={qIndex}
+                            onFieldChange={(field, value) => handleQuestionFieldChange(qIndex, field, value)}
+                        />
+
                         <div className="mb-4">
                             <label htmlFor={`explanation-${qIndex}`} className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300">Explanation (Optional)</label>
                             <Textarea
@@ -476,6 +521,15 @@ export default function UpdateQuiz() {
                     <FaPlus className="mr-2" /> Add New Question
                 </Button>
 
+                <h2 className="text-2xl font-bold mt-4 text-gray-900 dark:text-white">Random Questions from the Bank</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400 -mt-4">
+                    Each pool adds its number of questions to every attempt, drawn at random from the question bank.
+                </p>
+                <QuestionPoolFields
+                    pools={state.formData.questionPools}
+                    onChange={(questionPools) => dispatch({ type: 'FIELD_CHANGE', payload: { questionPools } })}
+                />
+
                 <Button type='submit' gradientDuoTone='purpleToPink' disabled={state.loading || updateQuizMutation.isPending} className="mt-8">
                     {state.loading || updateQuizMutation.isPending ? (<><Spinner size='sm' /><span className='pl-3'>Updating...</span></>) : 'Update Quiz'}
                 </Button>
@@ -1,5 +1,6 @@
-import { Alert, Button, FileInput, Select, TextInput, Spinner, Modal } from 'flowbite-react';
+import { Alert, Button, FileInput, Select, TextInput, Textarea, Spinner, Modal } from 'flowbite-react';
 import TiptapEditor from '../components/TiptapEditor'; //
+import TestCaseEditor from '../components/TestCaseEditor';
 import { useState, useReducer, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { HiOutlineExclamationCircle } from 'react-icons/hi';
@@ -291,6 +292,20 @@ export default function CreateTutorial() {
                                 onChange={(newContent) => handleChapterContentChange(index, newContent)}
                                 placeholder={`Write content for Chapter ${chapter.order}...`}
                             />
+                            {chapter.contentType === 'code-interactive' && (
+                                <div className="flex flex-col gap-3 mt-4">
+                                    <Textarea
+                                        rows={2}
+                                        placeholder='Default program input (stdin), pre-filled in the learner’s input panel'
+                                        value={chapter.defaultStdin || ''}
+                                        onChange={(e) => handleChapterFieldChange(index, 'defaultStdin', e.target.value)}
+                                    />
+                                    <TestCaseEditor
+                                        testCases={chapter.testCases || []}
+                                        onChange={(testCases) => handleChapterFieldChange(index, 'testCases', testCases)}
+                                    />
+                                </div>
+                            )}
                             <Button
                                 type="button"
                                 color="failure"
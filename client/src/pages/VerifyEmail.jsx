@@ -0,0 +1,42 @@
+// client/src/pages/VerifyEmail.jsx
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Alert, Spinner } from 'flowbite-react';
+import { verifyEmail } from '../services/authService';
+
+// Where the link in the verification email leads
+export default function VerifyEmail() {
+    const [searchParams] = useSearchParams();
+    const [status, setStatus] = useState({ state: 'pending', message: null });
+    const hasStarted = useRef(false);
+
+    useEffect(() => {
+        // Verification tokens only work once
+        if (hasStarted.current) return;
+        hasStarted.current = true;
+
+        const token = searchParams.get('token');
+        if (!token) {
+            setStatus({ state: 'failed', message: 'This verification link is incomplete.' });
+            return;
+        }
+        verifyEmail(token)
+            .then((message) => setStatus({ state: 'verified', message }))
+            .catch((err) => setStatus({ state: 'failed', message: err.message }));
+    }, [searchParams]);
+
+    return (
+        <div className='min-h-screen flex flex-col justify-center items-center gap-4 p-3'>
+            {status.state === 'pending' ? (
+                <Spinner size='xl' />
+            ) : (
+                <>
+                    <Alert color={status.state === 'verified' ? 'success' : 'failure'}>{status.message}</Alert>
+                    <Link to='/sign-in' className='text-teal-500 hover:underline'>
+                        {status.state === 'verified' ? 'Sign in' : 'Back to sign in to get a new link'}
+                    </Link>
+                </>
+            )}
+        </div>
+    );
+}
@@ -14,8 +14,11 @@ export const signInUser = async (formData) => {
     const data = await res.json();
 
     if (!res.ok) {
-        // Throw an error with the message from the server API
-        throw new Error(data.message || 'Something went wrong');
+        // Throw an error with the message from the server API. A 403 status
+        // means the email address is not verified yet.
+        const error = new Error(data.message || 'Something went wrong');
+        error.status = data.statusCode || res.status;
+        throw error;
     }
 
     return data;
@@ -47,6 +50,135 @@ export const signUpUser = async (formData) => {
 };
 
 
+/**
+ * Signs in with Google or GitHub. The server verifies the credentials itself.
+ * @param {'google'|'github'} provider
+ * @param {object} credentials - `{ idToken }` from Firebase for Google,
+ * `{ code }` from the GitHub redirect for GitHub.
+ * @returns {Promise<object>} - The signed-in user.
+ * @throws {Error} - Throws an error if the network response is not ok.
+ */
+export const signInWithProvider = async (provider, credentials) => {
+    const res = await fetch(`/api/auth/${provider}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        throw new Error(data.message || 'Failed to sign in.');
+    }
+    return data;
+};
+
+const requestIdentities = async (path = '', options = {}) => {
+    const res = await fetch(`/api/auth/identities${path}`, options);
+    const data = await res.json();
+    if (!res.ok) {
+        throw new Error(data.message || 'Failed to update your sign-in methods.');
+    }
+    return data;
+};
+
+/**
+ * Fetches the signed-in user's ways to sign in.
+ * @returns {Promise<import('../types').SignInMethods>}
+ */
+export const getIdentities = () => requestIdentities();
+
+/**
+ * Links a Google or GitHub login to the signed-in user.
+ * @param {'google'|'github'} provider
+ * @param {object} credentials - As for signInWithProvider.
+ * @returns {Promise<import('../types').SignInMethods>}
+ */
+export const linkIdentity = (provider, credentials) =>
+    requestIdentities(`/${provider}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+    });
+
+/**
+ * Unlinks a Google or GitHub login from the signed-in user.
+ * @param {'google'|'github'} provider
+ * @returns {Promise<import('../types').SignInMethods>}
+ */
+export const unlinkIdentity = (provider) => requestIdentities(`/${provider}`, { method: 'DELETE' });
+
+/**
+ * Fetches the devices the signed-in user is signed in on.
+ * @returns {Promise<import('../types').UserSession[]>} Most recently seen first.
+ */
+export const getSessions = async () => {
+    const res = await fetch('/api/auth/sessions');
+    const data = await res.json();
+    if (!res.ok) {
+        throw new Error(data.message || 'Failed to fetch your sessions.');
+    }
+    return data;
+};
+
+/**
+ * Signs one of the signed-in user's devices out.
+ * @param {string} sessionId
+ */
+export const revokeSession = async (sessionId) => {
+    const res = await fetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) {
+        throw new Error(data.message || 'Failed to sign the device out.');
+    }
+    return data;
+};
+
+const postToAuth = async (path, body, fallbackMessage) => {
+    const res = await fetch(`/api/auth/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        throw new Error(data.message || fallbackMessage);
+    }
+    return data;
+};
+
+/**
+ * Verifies the user's email address with the token from their verification link.
+ * @param {string} token
+ * @returns {Promise<string>} Success message.
+ */
+export const verifyEmail = (token) => postToAuth('verify-email', { token }, 'Failed to verify your email address.');
+
+/**
+ * Mails a new verification link, if the account with that email needs one.
+ * @param {string} email
+ * @returns {Promise<string>} A message that reads the same whether or not the account exists.
+ */
+export const resendVerification = (email) =>
+    postToAuth('resend-verification', { email }, 'Failed to send the verification email.');
+
+/**
+ * Mails a link to reset the password of the account with that email, if any.
+ * @param {string} email
+ * @returns {Promise<string>} A message that reads the same whether or not the account exists.
+ */
+export const requestPasswordReset = (email) =>
+    postToAuth('forgot-password', { email }, 'Failed to send the reset email.');
+
+/**
+ * Sets a new password with the token from a reset link. Signs the user out
+ * on every device.
+ * @param {object} params
+ * @param {string} params.token
+ * @param {string} params.password
+ * @returns {Promise<string>} Success message.
+ */
+export const resetPassword = ({ token, password }) =>
+    postToAuth('reset-password', { token, password }, 'Failed to reset your password.');
+
 
 export const getPost = async (postId) => {
     const res = await fetch(`/api/post/getposts?postId=${postId}`);
@@ -55,8 +187,8 @@ export const getPost = async (postId) => {
     return data.posts[0];
 };
 
-export const updatePost = async ({ postId, userId, formData }) => {
-    const res = await fetch(`/api/post/updatepost/${postId}/${userId}`, {
+export const updatePost = async ({ postId, formData }) => {
+    const res = await fetch(`/api/post/updatepost/${postId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(formData),
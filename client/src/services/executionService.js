@@ -0,0 +1,84 @@
+// client/src/services/executionService.js
+
+// Splits a Server-Sent Events buffer into complete events and the unparsed rest.
+const parseEvents = (buffer) => {
+    const events = [];
+    let rest = buffer;
+    let boundary;
+    while ((boundary = rest.indexOf('\n\n')) !== -1) {
+        const block = rest.slice(0, boundary);
+        rest = rest.slice(boundary + 2);
+        let event = 'message';
+        let data = '';
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event: ')) event = line.slice(7);
+            else if (line.startsWith('data: ')) data += line.slice(6);
+        }
+        events.push({ event, data: data ? JSON.parse(data) : {} });
+    }
+    return { events, rest };
+};
+
+/**
+ * Runs a program on the server and reports its progress as it happens.
+ * EventSource only supports GET, so the event stream is read from a POST
+ * response with fetch.
+ * @param {object} params
+ * @param {string} params.language - One of `cpp`, `python` or `javascript`.
+ * @param {string} params.code - Program source.
+ * @param {string} [params.stdin] - Input fed to the program.
+ * @param {(event: {event: string, data: object}) => void} params.onEvent - Receives
+ *   `start`, `compile`, `stdout`, `stderr`, `exit` and `error` events.
+ * @param {AbortSignal} [params.signal] - Aborting it closes the stream, which stops the run.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export const streamExecution = async ({ language, code, stdin = '', onEvent, signal }) => {
+    const res = await fetch('/api/execute/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language, code, stdin }),
+        signal,
+    });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to start the program.');
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const parsed = parseEvents(buffer + decoder.decode(value, { stream: true }));
+        buffer = parsed.rest;
+        parsed.events.forEach(onEvent);
+    }
+};
+
+/**
+ * Stops a streaming run started with streamExecution.
+ * @param {string} runId - The id from the run's `start` event.
+ */
+export const cancelExecution = async (runId) => {
+    await fetch(`/api/execute/stream/${runId}/cancel`, { method: 'POST' });
+};
+
+/**
+ * Lists the languages the server knows and whether each is installed.
+ * @returns {Promise<Array<{id: string, name: string, monaco: string, traceable: boolean, available: boolean, version: string|null}>>}
+ */
+export const getExecutionLanguages = async () => {
+    const res = await fetch('/api/execute/languages');
+    const data = await res.json();
+    if (!res.ok) {
+        throw new Error(data.message || 'Failed to load the supported languages.');
+    }
+    return data;
+};
+
+export default {
+    getExecutionLanguages,
+    streamExecution,
+    cancelExecution,
+};
@@ -31,12 +31,10 @@ export const getAdminPosts = async ({ queryKey, pageParam = 0 }) => {
  * Deletes a post.
  * @param {object} params - An object containing the identifiers.
  * @param {string} params.postId - The ID of the post to delete.
- * @param {string} params.userId - The ID of the user who owns the post.
  * @returns {Promise<object>} The server's confirmation message.
  */
-export const deletePost = async ({ postId, userId }) => {
-    // UPDATED: The function now accepts an object and sends both IDs to the backend.
-    const res = await fetch(`/api/post/deletepost/${postId}/${userId}`, {
+export const deletePost = async ({ postId }) => {
+    const res = await fetch(`/api/post/deletepost/${postId}`, {
         method: 'DELETE',
     });
     if (!res.ok) throw new Error('Failed to delete post');
@@ -53,8 +51,8 @@ export const getPost = async (postId) => {
 };
 
 // This function is correct.
-export const updatePost = async ({ postId, userId, formData }) => {
-    const res = await fetch(`/api/post/updatepost/${postId}/${userId}`, {
+export const updatePost = async ({ postId, formData }) => {
+    const res = await fetch(`/api/post/updatepost/${postId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(formData),
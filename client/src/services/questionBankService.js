@@ -0,0 +1,54 @@
+// client/src/services/questionBankService.js
+import axios from 'axios';
+import { retryAfterRefresh } from './sessionRefresh';
+
+// Create an Axios instance with a base URL and credentials
+const API = retryAfterRefresh(axios.create({
+    baseURL: "http://localhost:3000",
+    withCredentials: true,
+}));
+
+/**
+ * Fetches bank questions, newest first. `filters` may hold a `tag`,
+ * `difficulty`, `language`, `searchTerm` and `startIndex` (admin only).
+ */
+export const getBankQuestions = async (filters = {}) => {
+    const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== '')
+    );
+    const { data } = await API.get(`/api/question-bank?${params.toString()}`);
+    return data;
+};
+
+/**
+ * Fetches the tags and languages used in the bank (admin only).
+ */
+export const getBankFacets = async () => {
+    const { data } = await API.get('/api/question-bank/facets');
+    return data;
+};
+
+/**
+ * Adds a question to the bank.
+ */
+export const createBankQuestion = async (question) => {
+    const { data } = await API.post('/api/question-bank', question);
+    return data;
+};
+
+/**
+ * Updates a bank question.
+ */
+export const updateBankQuestion = async ({ questionId, question }) => {
+    const { data } = await API.put(`/api/question-bank/${questionId}`, question);
+    return data;
+};
+
+/**
+ * Deletes a bank question. Quizzes stop drawing it; past attempts keep
+ * their graded answers.
+ */
+export const deleteBankQuestion = async (questionId) => {
+    const { data } = await API.delete(`/api/question-bank/${questionId}`);
+    return data;
+};
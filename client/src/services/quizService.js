@@ -1,12 +1,13 @@
 // client/src/services/quizService.js
 import axios from 'axios';
+import { retryAfterRefresh } from './sessionRefresh';
 
 // Create an Axios instance with a base URL and credentials
-const API = axios.create({
+const API = retryAfterRefresh(axios.create({
     baseURL: "http://localhost:3000",
     // CRITICAL FIX: This sends cookies with every request
     withCredentials: true,
-});
+}));
 
 /**
  * Fetches quizzes based on query parameters.
@@ -18,7 +19,7 @@ export const getQuizzes = async (searchQuery = '') => {
 };
 
 /**
- * Fetches a single quiz by its slug.
+ * Fetches a single quiz by its slug, without its answers.
  */
 export const getSingleQuizBySlug = async (quizSlug) => {
     // Use the configured API instance
@@ -27,7 +28,7 @@ export const getSingleQuizBySlug = async (quizSlug) => {
 };
 
 /**
- * Fetches a single quiz by its ID.
+ * Fetches a single quiz by its ID, without its answers.
  */
 export const getSingleQuizById = async (quizId) => {
     // Use the configured API instance
@@ -35,6 +36,15 @@ export const getSingleQuizById = async (quizId) => {
     return data;
 };
 
+/**
+ * Fetches a quiz with its answers and explanations, for editing it
+ * (admins only). The public endpoints leave those out.
+ */
+export const getQuizForEditing = async (quizId) => {
+    const { data } = await API.get(`/api/quizzes/${quizId}/edit`);
+    return data;
+};
+
 /**
  * Creates a new quiz.
  */
@@ -47,26 +57,84 @@ export const createQuiz = async (formData) => {
 /**
  * Updates an existing quiz.
  */
-export const updateQuiz = async ({ quizId, userId, formData }) => {
+export const updateQuiz = async ({ quizId, formData }) => {
     // Use the configured API instance
-    const { data } = await API.put(`/api/quizzes/${quizId}/${userId}`, formData);
+    const { data } = await API.put(`/api/quizzes/${quizId}`, formData);
     return data;
 };
 
 /**
  * Deletes a quiz.
  */
-export const deleteQuiz = async ({ quizId, userId }) => {
+export const deleteQuiz = async ({ quizId }) => {
     // Use the configured API instance
-    const { data } = await API.delete(`/api/quizzes/${quizId}/${userId}`);
+    const { data } = await API.delete(`/api/quizzes/${quizId}`);
     return data;
 };
 
 /**
- * Submits quiz answers for grading.
+ * Starts an attempt at a timed, attempt-limited or shuffled quiz. Returns
+ * the attempt token to submit with, its deadline and the question order.
  */
-export const submitQuiz = async (quizId, answers) => {
+export const startQuiz = async (quizId) => {
+    const { data } = await API.post(`/api/quizzes/${quizId}/start`);
+    return data;
+};
+
+/**
+ * Submits quiz answers for grading. The graded attempt is stored on the
+ * server together with how long it took, in seconds. Started attempts are
+ * submitted with their `attemptToken`.
+ */
+export const submitQuiz = async (quizId, answers, durationSeconds, attemptToken) => {
     // Use the configured API instance
-    const { data } = await API.post(`/api/quizzes/submit/${quizId}`, { answers });
+    const { data } = await API.post(`/api/quizzes/submit/${quizId}`, { answers, durationSeconds, attemptToken });
+    return data;
+};
+
+/**
+ * Fetches the signed-in user's attempts, newest first, optionally for one quiz.
+ */
+export const getMyQuizAttempts = async (quizId) => {
+    const params = new URLSearchParams();
+    if (quizId) params.set('quizId', quizId);
+    const { data } = await API.get(`/api/quizzes/attempts/me?${params.toString()}`);
     return data;
-};
\ No newline at end of file
+};
+
+/**
+ * Fetches every attempt at a quiz with summary statistics (admin only).
+ */
+export const getQuizAttempts = async (quizId) => {
+    const { data } = await API.get(`/api/quizzes/${quizId}/attempts`);
+    return data;
+};
+
+/**
+ * Imports a quiz from the text of a GIFT, Moodle XML or JSON file (admin
+ * only). With `dryRun` nothing is saved: the response previews the
+ * questions that would be imported and lists the problems found, with line
+ * numbers. Otherwise the quiz is created and returned with those problems.
+ */
+export const importQuiz = async ({ format, content, title, description, category, dryRun = false }) => {
+    const params = new URLSearchParams({ format, dryRun: String(dryRun) });
+    if (title) params.set('title', title);
+    if (description) params.set('description', description);
+    if (category) params.set('category', category);
+    const { data } = await API.post(`/api/quizzes/import?${params.toString()}`, content, {
+        headers: { 'Content-Type': 'text/plain' },
+    });
+    return data;
+};
+
+/**
+ * Downloads a quiz as a GIFT, Moodle XML or JSON file (admin only). Returns
+ * the file, its name, and the numbers of the questions the format could not
+ * express.
+ */
+export const exportQuiz = async (quizId, format) => {
+    const response = await API.get(`/api/quizzes/${quizId}/export?format=${format}`, { responseType: 'blob' });
+    const filename = response.headers['content-disposition']?.match(/filename="?([^"]+)"?/)?.[1] ?? `quiz.${format}`;
+    const skipped = response.headers['x-skipped-questions'];
+    return { file: response.data, filename, skipped: skipped ? skipped.split(',').map(Number) : [] };
+};
@@ -0,0 +1,50 @@
+// client/src/services/sessionRefresh.js
+
+let pendingRefresh = null;
+
+/**
+ * Exchanges the refresh token cookie for new session cookies. Concurrent
+ * calls share one request, since each refresh token can only be used once.
+ * @returns {Promise<object>} The signed-in user.
+ * @throws {Error} With the response `status` when the session has ended.
+ */
+export const refreshSession = () => {
+    if (!pendingRefresh) {
+        pendingRefresh = fetch('/api/auth/refresh', { method: 'POST' })
+            .then(async (res) => {
+                const data = await res.json();
+                if (!res.ok) {
+                    const error = new Error(data.message || 'Session expired');
+                    error.status = res.status;
+                    throw error;
+                }
+                return data;
+            })
+            .finally(() => {
+                pendingRefresh = null;
+            });
+    }
+    return pendingRefresh;
+};
+
+/**
+ * Makes an Axios instance retry a request rejected with 401 once, after
+ * refreshing the session.
+ * @param {import('axios').AxiosInstance} instance
+ * @returns {import('axios').AxiosInstance} The same instance.
+ */
+export const retryAfterRefresh = (instance) => {
+    instance.interceptors.response.use(undefined, async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config.retriedAfterRefresh) {
+            throw error;
+        }
+        try {
+            await refreshSession();
+        } catch {
+            throw error;
+        }
+        return instance({ ...config, retriedAfterRefresh: true });
+    });
+    return instance;
+};
@@ -1,12 +1,13 @@
 // client/src/services/tutorialService.js
 import axios from 'axios';
+import { retryAfterRefresh } from './sessionRefresh';
 
 // Create an Axios instance with a base URL and credentials
 // This instance will automatically include cookies in every request
-const API = axios.create({
+const API = retryAfterRefresh(axios.create({
     baseURL: "http://localhost:3000",
     withCredentials: true,
-});
+}));
 
 /**
  * Fetches tutorials based on query parameters. This function can also fetch
@@ -39,12 +40,11 @@ export const createTutorial = async (formData) => {
  * Updates an existing tutorial.
  * @param {object} params
  * @param {string} params.tutorialId - ID of the tutorial to update.
- * @param {string} params.userId - ID of the user performing the update.
  * @param {object} params.formData - The updated tutorial data.
  * @returns {Promise<import('../types').Tutorial>} The updated tutorial data.
  */
-export const updateTutorial = async ({ tutorialId, userId, formData }) => {
-    const { data } = await API.put(`/api/tutorial/update/${tutorialId}/${userId}`, formData);
+export const updateTutorial = async ({ tutorialId, formData }) => {
+    const { data } = await API.put(`/api/tutorial/update/${tutorialId}`, formData);
     return data;
 };
 
@@ -52,11 +52,10 @@ export const updateTutorial = async ({ tutorialId, userId, formData }) => {
  * Deletes a tutorial.
  * @param {object} params
  * @param {string} params.tutorialId - ID of the tutorial to delete.
- * @param {string} params.userId - ID of the user performing the delete.
  * @returns {Promise<string>} Success message.
  */
-export const deleteTutorial = async ({ tutorialId, userId }) => {
-    const { data } = await API.delete(`/api/tutorial/delete/${tutorialId}/${userId}`);
+export const deleteTutorial = async ({ tutorialId }) => {
+    const { data } = await API.delete(`/api/tutorial/delete/${tutorialId}`);
     return data;
 };
 
@@ -68,13 +67,12 @@ export const deleteTutorial = async ({ tutorialId, userId }) => {
  * Adds a new chapter to a specific tutorial.
  * @param {object} params
  * @param {string} params.tutorialId - ID of the tutorial to add the chapter to.
- * @param {string} params.userId - ID of the user performing the action.
  * @param {object} params.chapterData - The chapter data to add. Supports
  * `expectedOutput` for code-interactive chapters.
  * @returns {Promise<import('../types').Tutorial>} The updated tutorial data with the new chapter.
  */
-export const addChapter = async ({ tutorialId, userId, chapterData }) => {
-    const { data } = await API.post(`/api/tutorial/addchapter/${tutorialId}/${userId}`, chapterData);
+export const addChapter = async ({ tutorialId, chapterData }) => {
+    const { data } = await API.post(`/api/tutorial/addchapter/${tutorialId}`, chapterData);
     return data;
 };
 
@@ -83,13 +81,12 @@ export const addChapter = async ({ tutorialId, userId, chapterData }) => {
  * @param {object} params
  * @param {string} params.tutorialId - ID of the tutorial.
  * @param {string} params.chapterId - ID of the chapter to update.
- * @param {string} params.userId - ID of the user performing the action.
  * @param {object} params.chapterData - The updated chapter data. Supports
  * `expectedOutput` for code-interactive chapters.
  * @returns {Promise<import('../types').Tutorial>} The updated tutorial data.
  */
-export const updateChapter = async ({ tutorialId, chapterId, userId, chapterData }) => {
-    const { data } = await API.put(`/api/tutorial/updatechapter/${tutorialId}/${chapterId}/${userId}`, chapterData);
+export const updateChapter = async ({ tutorialId, chapterId, chapterData }) => {
+    const { data } = await API.put(`/api/tutorial/updatechapter/${tutorialId}/${chapterId}`, chapterData);
     return data;
 };
 
@@ -98,11 +95,51 @@ export const updateChapter = async ({ tutorialId, chapterId, userId, chapterData
  * @param {object} params
  * @param {string} params.tutorialId - ID of the tutorial.
  * @param {string} params.chapterId - ID of the chapter to delete.
- * @param {string} params.userId - ID of the user performing the action.
  * @returns {Promise<import('../types').Tutorial>} The updated tutorial data.
  */
-export const deleteChapter = async ({ tutorialId, chapterId, userId }) => {
-    const { data } = await API.delete(`/api/tutorial/deletechapter/${tutorialId}/${chapterId}/${userId}`);
+export const deleteChapter = async ({ tutorialId, chapterId }) => {
+    const { data } = await API.delete(`/api/tutorial/deletechapter/${tutorialId}/${chapterId}`);
+    return data;
+};
+
+/**
+ * Runs the learner's code against a code-interactive chapter's test cases.
+ * The chapter is marked as complete on the server when every test passes.
+ * @param {object} params
+ * @param {string} params.tutorialId - ID of the tutorial.
+ * @param {string} params.chapterId - ID of the chapter (or subchapter) to grade.
+ * @param {string} params.code - The learner's source code, in the chapter's code language.
+ * @returns {Promise<import('../types').GradeResult>} Per-test results.
+ */
+export const gradeChapter = async ({ tutorialId, chapterId, code }) => {
+    const { data } = await API.post(`/api/tutorial/grade/${tutorialId}/${chapterId}`, { code });
+    return data;
+};
+
+/**
+ * Fetches the signed-in learner's progress through a tutorial.
+ * @param {string} tutorialId - ID of the tutorial.
+ * @returns {Promise<import('../types').TutorialProgress>} Every chapter and
+ * subchapter with whether it is complete, and completion percentages that
+ * count subchapters.
+ */
+export const getTutorialProgress = async (tutorialId) => {
+    const { data } = await API.get(`/api/tutorial/${tutorialId}/progress`);
+    return data;
+};
+
+/**
+ * Records where the signed-in learner is in a tutorial and how long they spent
+ * reading a chapter since their last report.
+ * @param {object} params
+ * @param {string} params.tutorialId - ID of the tutorial.
+ * @param {string} params.chapterId - ID of the chapter (or subchapter) being read.
+ * @param {number} params.position - How far down the chapter they scrolled, from 0 to 1.
+ * @param {number} params.timeSpentSeconds - Seconds spent reading since the last report.
+ * @returns {Promise<import('../types').TutorialProgress>} The updated progress.
+ */
+export const saveTutorialProgress = async ({ tutorialId, chapterId, position, timeSpentSeconds }) => {
+    const { data } = await API.put(`/api/tutorial/${tutorialId}/progress`, { chapterId, position, timeSpentSeconds });
     return data;
 };
 
@@ -114,5 +151,8 @@ export default {
     deleteTutorial,
     addChapter,
     updateChapter,
-    deleteChapter
+    deleteChapter,
+    gradeChapter,
+    getTutorialProgress,
+    saveTutorialProgress
 };
@@ -0,0 +1,37 @@
+// client/src/services/userService.js
+import axios from 'axios';
+import { retryAfterRefresh } from './sessionRefresh';
+
+// Create an Axios instance with a base URL and credentials
+// This instance will automatically include cookies in every request
+const API = retryAfterRefresh(axios.create({
+    baseURL: "http://localhost:3000",
+    withCredentials: true,
+}));
+
+/**
+ * Fetches everything the signed-in learner's dashboard shows.
+ * @returns {Promise<import('../types').LearningSummary>} Their enrolled
+ * tutorials, recent quiz scores, bookmarked posts and daily activity.
+ */
+export const getMyLearning = async () => {
+    const { data } = await API.get('/api/user/me/learning');
+    return data;
+};
+
+/**
+ * Assigns a user's role. It takes effect when their session is next refreshed.
+ * @param {object} params
+ * @param {string} params.userId - ID of the user.
+ * @param {string} params.role - One of ROLES in utils/permissions.
+ * @returns {Promise<object>} The updated user, without their password.
+ */
+export const updateUserRole = async ({ userId, role }) => {
+    const { data } = await API.put(`/api/user/${userId}/role`, { role });
+    return data;
+};
+
+export default {
+    getMyLearning,
+    updateUserRole
+};
@@ -18,6 +18,47 @@ export interface Post {
     };
 }
 
+export type ExecutionLanguageId =
+    | 'javascript'
+    | 'typescript'
+    | 'python'
+    | 'c'
+    | 'cpp'
+    | 'java'
+    | 'go'
+    | 'rust'
+    | 'ruby'
+    | 'bash';
+
+// Entry of GET /api/execute/languages
+export interface ExecutionLanguage {
+    id: ExecutionLanguageId;
+    name: string;
+    monaco: string;
+    traceable: boolean;
+    available: boolean;
+    version: string | null;
+}
+
+// Compiler or runtime problem reported by the code runners
+export interface Diagnostic {
+    file: string;
+    line: number;
+    column?: number;
+    severity: 'error' | 'warning' | 'info';
+    message: string;
+}
+
+export interface TestCase {
+    _id: string;
+    name?: string;
+    stdin?: string; // Omitted for hidden test cases
+    expectedOutput?: string; // Omitted for hidden test cases
+    comparison?: 'exact' | 'trimmed' | 'regex' | 'numeric';
+    tolerance?: number;
+    hidden?: boolean;
+}
+
 export interface TutorialChapter {
     _id: string;
     chapterTitle: string;
@@ -27,11 +68,40 @@ export interface TutorialChapter {
     contentType?: 'text' | 'code-interactive' | 'quiz' | 'video'; // NEW
     initialCode?: string; // NEW
     expectedOutput?: string; // NEW
+    codeLanguage?: ExecutionLanguageId | 'html' | 'css';
+    defaultStdin?: string;
+    testCases?: TestCase[];
     quizId?: string; // NEW
+    subChapters?: TutorialChapter[];
     createdAt: string;
     updatedAt: string;
 }
 
+// A chapter or subchapter in GET /api/tutorial/:tutorialId/progress. The counts cover the chapter and everything nested below it.
+export interface ChapterProgress {
+    chapterId: string;
+    chapterTitle: string;
+    chapterSlug: string;
+    completed: boolean;
+    completedCount: number;
+    totalCount: number;
+    percentage: number;
+    subChapters: ChapterProgress[];
+}
+
+// The signed-in learner's progress through a tutorial
+export interface TutorialProgress {
+    tutorialId: string;
+    completed: boolean; // Every chapter and subchapter is complete
+    completedCount: number;
+    totalCount: number;
+    percentage: number;
+    chapters: ChapterProgress[];
+    lastChapterId: string | null; // The chapter the learner was last reading
+    lastPosition: number; // How far down lastChapterId they scrolled, from 0 to 1
+    timeSpentSeconds: number; // Time spent reading, across all chapters
+}
+
 export interface Tutorial {
     _id: string;
     title: string;
@@ -45,6 +115,26 @@ export interface Tutorial {
     updatedAt: string;
 }
 
+export interface TestCaseResult {
+    testCaseId: string;
+    name: string;
+    hidden: boolean;
+    passed: boolean;
+    error: string;
+    stdin?: string;
+    expectedOutput?: string;
+    actualOutput?: string;
+    stderr?: string;
+}
+
+export interface GradeResult {
+    passed: boolean;
+    passedCount: number;
+    total: number;
+    results: TestCaseResult[];
+    chapterCompleted: boolean;
+}
+
 // NEW: Quiz related types
 export interface QuizOption {
     text: string;
@@ -54,11 +144,21 @@ export interface QuizOption {
 export interface QuizQuestion {
     _id: string;
     questionText: string;
-    questionType: 'mcq' | 'fill-in-the-blank' | 'code-output';
+    questionType: 'mcq' | 'fill-in-the-blank' | 'code-output' | 'code-writing' | 'ordering' | 'matching' | 'multi-blank' | 'numeric';
     options?: QuizOption[]; // For MCQ
-    correctAnswer?: string; // For fill-in-the-blank or code-output
-    codeSnippet?: string; // For code-output
+    correctAnswer?: string; // For fill-in-the-blank, code-output, or the output code-writing must print
+    codeSnippet?: string; // For code-output and multi-blank ({{blank}} marks each gap), or starter code for code-writing
+    orderItems?: string[]; // For ordering, in the correct order
+    matchPairs?: { _id?: string; left: string; right: string }[]; // For matching
+    blankAnswers?: string[]; // For multi-blank, one per {{blank}}
+    numericAnswer?: number; // For numeric
+    tolerance?: number; // For numeric
+    codeLanguage?: string; // For code-writing
+    testCases?: TestCase[]; // Optional for code-writing
     explanation?: string;
+    // Only in the public quiz, which leaves out answer keys and explanations
+    allowsMultiple?: boolean; // For MCQ with more than one correct option
+    matchChoices?: string[]; // For matching: the right items, shuffled
 }
 
 export interface Quiz {
@@ -70,10 +170,74 @@ export interface Quiz {
     questions: QuizQuestion[];
     createdBy: string; // User ID
     relatedTutorials?: { _id: string; title: string; slug: string }[];
+    questionPools?: QuestionPool[];
+    settings?: QuizSettings;
     createdAt: string;
     updatedAt: string;
 }
 
+export type Difficulty = 'easy' | 'medium' | 'hard';
+
+// A question in the question bank
+export interface BankQuestion extends QuizQuestion {
+    tags: string[];
+    difficulty: Difficulty;
+    language?: string;
+    createdBy: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+// Every attempt draws `count` bank questions matching any of the tags and, when set, the difficulty and language
+export interface QuestionPool {
+    _id?: string;
+    tags: string[];
+    difficulty?: Difficulty;
+    language?: string;
+    count: number;
+}
+
+// Timed, attempt-limited or shuffled quizzes must be started before they are submitted
+export interface QuizSettings {
+    timeLimitSeconds?: number; // 0 for no limit
+    maxAttempts?: number; // 0 for unlimited
+    opensAt?: string | null;
+    closesAt?: string | null;
+    shuffleQuestions?: boolean;
+    shuffleOptions?: boolean;
+}
+
+// Returned by POST /api/quizzes/:quizId/start
+export interface StartedQuizAttempt {
+    attemptId: string;
+    attemptToken: string; // Sent back with the submission
+    startedAt: string;
+    deadline: string | null;
+    questionOrder: string[];
+    optionOrder?: Record<string, string[]>; // Question id -> option ids
+    questions: QuizQuestion[]; // Drawn from the question bank for this attempt
+    attemptNumber: number;
+    maxAttempts: number;
+    serverTime: string;
+}
+
+// A problem found in an imported quiz file
+export interface QuizImportIssue {
+    severity: 'error' | 'warning';
+    line: number;
+    message: string;
+}
+
+// Returned by POST /api/quizzes/import?dryRun=true
+export interface QuizImportPreview {
+    format: 'gift' | 'moodle-xml' | 'json';
+    title?: string;
+    description?: string;
+    category?: string;
+    questions: Omit<QuizQuestion, '_id'>[]; // Only the questions without errors
+    issues: QuizImportIssue[];
+}
+
 // NEW: Quiz Submission result types
 export interface QuestionResult {
     questionId: string;
@@ -83,11 +247,85 @@ export interface QuestionResult {
     isCorrect: boolean;
     explanation?: string;
     feedback?: string;
+    testResults?: TestCaseResult[]; // For code-writing
 }
 
 export interface QuizSubmissionResult {
+    attemptId: string;
     score: number;
     totalQuestions: number;
     results: QuestionResult[];
     message: string;
-}
\ No newline at end of file
+}
+
+// A stored, graded quiz attempt
+export interface QuizAttempt {
+    _id: string;
+    user: string | { _id: string; username: string; profilePicture?: string };
+    quiz: string | { _id: string; title: string; slug: string };
+    answers: QuestionResult[];
+    score: number;
+    totalQuestions: number;
+    durationSeconds?: number;
+    status: 'in-progress' | 'submitted' | 'expired';
+    startedAt?: string;
+    deadline?: string;
+    submittedAt: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+// A tutorial on the learner dashboard
+export interface Enrollment {
+    tutorialId: string;
+    title: string;
+    slug: string;
+    thumbnail?: string;
+    category?: string;
+    completed: boolean;
+    percentage: number;
+    timeSpentSeconds: number;
+    lastActiveAt: string;
+    nextChapter: { chapterId: string; chapterTitle: string; chapterSlug: string } | null; // Null once complete
+}
+
+// GET /api/user/me/learning
+export interface LearningSummary {
+    enrollments: Enrollment[]; // Most recently active first
+    recentQuizzes: {
+        attemptId: string;
+        quiz: { _id: string; title: string; slug: string } | null; // Null once the quiz is deleted
+        score: number;
+        totalQuestions: number;
+        percentage: number;
+        submittedAt: string;
+    }[];
+    bookmarks: Pick<Post, '_id' | 'title' | 'slug' | 'image' | 'category' | 'createdAt'>[];
+    activity: {
+        from: string; // YYYY-MM-DD, in UTC
+        to: string;
+        days: { date: string; count: number }[]; // Only days with activity
+    };
+}
+
+// GET /api/auth/identities
+export interface SignInMethods {
+    password: boolean; // Whether the user can sign in with their email and password
+    identities: {
+        provider: 'google' | 'github';
+        email?: string;
+        createdAt: string;
+        lastUsedAt?: string;
+    }[];
+}
+
+// A device the user is signed in on, from GET /api/auth/sessions
+export interface UserSession {
+    id: string;
+    device: string; // e.g. "Chrome on Windows"
+    userAgent: string;
+    ip?: string;
+    createdAt: string;
+    lastSeenAt: string;
+    current: boolean; // The session of the device making the request
+}
@@ -0,0 +1,19 @@
+import { shuffle } from '../helpers';
+
+describe('shuffle', () => {
+  test('keeps every item', () => {
+    const items = ['a', 'b', 'c', 'd', 'b'];
+    expect(shuffle(items).sort()).toEqual([...items].sort());
+  });
+
+  test('never returns the original order', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(shuffle(['first', 'second'])).toEqual(['second', 'first']);
+    }
+  });
+
+  test('leaves lists that cannot be reordered alone', () => {
+    expect(shuffle([])).toEqual([]);
+    expect(shuffle(['x', 'x'])).toEqual(['x', 'x']);
+  });
+});
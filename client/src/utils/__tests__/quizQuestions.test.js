@@ -0,0 +1,58 @@
+import { countBlanks, formatCountdown, requiresStart, validateStructuredQuestion } from '../quizQuestions';
+
+describe('countBlanks', () => {
+  test('counts every blank marker', () => {
+    expect(countBlanks('x = {{blank}} + {{blank}}')).toBe(2);
+    expect(countBlanks('')).toBe(0);
+    expect(countBlanks(undefined)).toBe(0);
+  });
+});
+
+describe('validateStructuredQuestion', () => {
+  test('accepts complete questions', () => {
+    expect(validateStructuredQuestion({ questionType: 'ordering', orderItems: ['a', 'b'] })).toBeNull();
+    expect(
+      validateStructuredQuestion({
+        questionType: 'matching',
+        matchPairs: [{ left: 'a', right: '1' }, { left: 'b', right: '2' }],
+      })
+    ).toBeNull();
+    expect(
+      validateStructuredQuestion({ questionType: 'multi-blank', codeSnippet: '{{blank}} = 1', blankAnswers: ['x'] })
+    ).toBeNull();
+    expect(validateStructuredQuestion({ questionType: 'numeric', numericAnswer: 0 })).toBeNull();
+  });
+
+  test('reports what is missing', () => {
+    expect(validateStructuredQuestion({ questionType: 'ordering', orderItems: ['a', ''] })).toMatch('empty lines');
+    expect(validateStructuredQuestion({ questionType: 'matching', matchPairs: [{ left: 'a', right: '1' }] })).toMatch(
+      'two pairs'
+    );
+    expect(
+      validateStructuredQuestion({ questionType: 'multi-blank', codeSnippet: '{{blank}} + {{blank}}', blankAnswers: ['x'] })
+    ).toBe('Every blank needs an answer.');
+    expect(validateStructuredQuestion({ questionType: 'numeric', numericAnswer: '' })).toMatch('numeric answer');
+  });
+
+  test('ignores other question types', () => {
+    expect(validateStructuredQuestion({ questionType: 'mcq' })).toBeNull();
+  });
+});
+
+describe('requiresStart', () => {
+  test('timed, attempt-limited and shuffled quizzes are started first', () => {
+    expect(requiresStart(undefined)).toBe(false);
+    expect(requiresStart({ timeLimitSeconds: 0, maxAttempts: 0 })).toBe(false);
+    expect(requiresStart({ timeLimitSeconds: 60 })).toBe(true);
+    expect(requiresStart({ shuffleQuestions: true })).toBe(true);
+  });
+});
+
+describe('formatCountdown', () => {
+  test('formats minutes and hours', () => {
+    expect(formatCountdown(65)).toBe('1:05');
+    expect(formatCountdown(3725)).toBe('1:02:05');
+    expect(formatCountdown(-3)).toBe('0:00');
+    expect(formatCountdown(0.2)).toBe('0:01');
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  evaluateExpression,
+  findBreakpoint,
+  findStepOut,
+  findStepOver,
+  getStepVariables,
+} from '../traceNavigation';
+
+// main() calls sq() twice; each call adds a frame to the stack.
+const frame = (name, line) => ({ name, line, locals: {} });
+const step = (line, depth, locals = {}) => ({
+  event: 'step',
+  line,
+  stack: [...Array(depth - 1)].map((_, i) => frame(`f${i}`, line)).concat({ name: 'top', line, locals }),
+  heap: {},
+});
+
+const events = [
+  step(5, 1, { n: { value: '0' } }),
+  step(2, 2),
+  step(3, 2),
+  step(6, 1, { n: { value: '1' } }),
+  step(2, 2),
+  step(3, 2),
+  step(7, 1, { n: { value: '2' } }),
+];
+
+describe('trace navigation', () => {
+  test('steps over and out of calls using the call depth', () => {
+    expect(findStepOver(events, 0)).toBe(3);
+    expect(findStepOut(events, 1)).toBe(3);
+    expect(findStepOut(events, 6)).toBe(-1);
+  });
+
+  test('finds breakpoints and honours their conditions', () => {
+    expect(findBreakpoint(events, 0, { 3: { condition: '' } })).toBe(2);
+    expect(findBreakpoint(events, -1, { 6: { condition: 'n > 0' }, 7: { condition: 'n > 5' } })).toBe(3);
+    expect(findBreakpoint(events, 6, { 2: { condition: '' } }, -1)).toBe(4);
+  });
+});
+
+describe('watch expressions', () => {
+  test('evaluates against decoded locals and heap objects', () => {
+    const variables = getStepVariables({
+      event: 'step',
+      line: 1,
+      stack: [{ name: 'global', line: 1, locals: { items: { ref: '1' }, label: { value: "'total'" } } }],
+      heap: { 1: { type: 'list', label: 'list', entries: [{ key: '0', value: { value: '2' } }, { key: '1', value: { value: '3' } }] } },
+    });
+
+    expect(evaluateExpression('items.length', variables)).toEqual({ value: 2 });
+    expect(evaluateExpression('`${label}: ${items[0] + items[1]}`', variables)).toEqual({ value: 'total: 5' });
+    expect(evaluateExpression('missing + 1', variables).error).toMatch(/missing/);
+  });
+});
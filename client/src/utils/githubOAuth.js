@@ -0,0 +1,36 @@
+// client/src/utils/githubOAuth.js
+
+const STORAGE_KEY = 'githubOAuth';
+
+export const getGithubRedirectUri = () => `${window.location.origin}/oauth/github`;
+
+/**
+ * Sends the browser to GitHub to authorize the app. GitHub redirects back to
+ * /oauth/github with a code for the server to exchange.
+ * @param {'signin'|'link'} intent - Whether the code signs in or links GitHub
+ * to the signed-in account.
+ */
+export const startGithubAuthorization = (intent) => {
+    const state = crypto.randomUUID();
+    // Checked on the way back, so codes from other sites are ignored
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ state, intent }));
+    const params = new URLSearchParams({
+        client_id: import.meta.env.VITE_GITHUB_CLIENT_ID,
+        redirect_uri: getGithubRedirectUri(),
+        scope: 'read:user user:email',
+        state,
+    });
+    window.location.assign(`https://github.com/login/oauth/authorize?${params}`);
+};
+
+/**
+ * Reads the intent of the authorization GitHub redirected back from. Each
+ * authorization can only be completed once.
+ * @param {string|null} state - The `state` GitHub redirected back with.
+ * @returns {'signin'|'link'|null} Null if the state does not match.
+ */
+export const completeGithubAuthorization = (state) => {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+    sessionStorage.removeItem(STORAGE_KEY);
+    return stored && state && stored.state === state ? stored.intent : null;
+};
@@ -6,3 +6,18 @@ export const calculateReadingTime = (content) => {
   const readingTime = Math.ceil(wordCount / wordsPerMinute);
   return readingTime;
 };
+
+// Returns a shuffled copy of `items`. Unless every item is the same, the
+// copy is never in the original order, so a shuffled answer is not
+// accidentally correct.
+export const shuffle = (items) => {
+  const result = [...items];
+  if (new Set(items).size < 2) return result;
+  do {
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+  } while (result.every((item, i) => item === items[i]));
+  return result;
+};
@@ -0,0 +1,48 @@
+// client/src/utils/permissions.js
+// Mirrors api/utils/permissions.js, to decide what the UI offers. The API
+// enforces the same rules.
+
+export const ROLES = ['learner', 'author', 'reviewer', 'moderator', 'admin'];
+
+export const PERMISSIONS = {
+    WRITE_POSTS: 'posts:write',
+    WRITE_TUTORIALS: 'tutorials:write',
+    WRITE_QUIZZES: 'quizzes:write',
+    EDIT_ANY_CONTENT: 'content:edit-any',
+    DELETE_ANY_CONTENT: 'content:delete-any',
+    VIEW_QUIZ_ATTEMPTS: 'quiz-attempts:read',
+    MODERATE_COMMENTS: 'comments:moderate',
+    VIEW_USERS: 'users:read',
+    MANAGE_USERS: 'users:manage',
+};
+
+const AUTHOR_PERMISSIONS = [PERMISSIONS.WRITE_POSTS, PERMISSIONS.WRITE_TUTORIALS, PERMISSIONS.WRITE_QUIZZES];
+
+const ROLE_PERMISSIONS = {
+    learner: [],
+    author: AUTHOR_PERMISSIONS,
+    reviewer: [...AUTHOR_PERMISSIONS, PERMISSIONS.EDIT_ANY_CONTENT, PERMISSIONS.VIEW_QUIZ_ATTEMPTS],
+    moderator: [PERMISSIONS.DELETE_ANY_CONTENT, PERMISSIONS.MODERATE_COMMENTS, PERMISSIONS.VIEW_USERS],
+    admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * A user's role; accounts from before roles go by their isAdmin flag.
+ * @param {object|null} [user]
+ * @returns {string} One of ROLES.
+ */
+export const getUserRole = (user) => {
+    if (ROLES.includes(user?.role)) {
+        return user.role;
+    }
+    return user?.isAdmin ? 'admin' : 'learner';
+};
+
+/**
+ * Whether a user's role grants any of the permissions.
+ * @param {object|null} [user]
+ * @param {...string} permissions - From PERMISSIONS.
+ * @returns {boolean}
+ */
+export const hasPermission = (user, ...permissions) =>
+    permissions.some((permission) => ROLE_PERMISSIONS[getUserRole(user)].includes(permission));
@@ -0,0 +1,57 @@
+// Shared by the quiz authoring forms and the quiz player.
+
+// Marks each gap in the code snippet of a multi-blank question
+export const BLANK_MARKER = '{{blank}}';
+
+export const countBlanks = (codeSnippet = '') => codeSnippet.split(BLANK_MARKER).length - 1;
+
+/**
+ * Returns an error message when an ordering, matching, multi-blank or
+ * numeric question is incomplete, or null.
+ */
+export const validateStructuredQuestion = (question) => {
+  switch (question.questionType) {
+    case 'ordering':
+      if ((question.orderItems || []).length < 2) return 'Ordering questions need at least two items.';
+      if (question.orderItems.some((item) => !item.trim())) return 'Remove the empty lines from the items.';
+      return null;
+    case 'matching': {
+      const pairs = question.matchPairs || [];
+      if (pairs.length < 2) return 'Matching questions need at least two pairs.';
+      if (pairs.some((pair) => !pair.left?.trim() || !pair.right?.trim())) return 'Every pair needs both sides.';
+      return null;
+    }
+    case 'multi-blank': {
+      const blanks = countBlanks(question.codeSnippet);
+      if (blanks === 0) return `Add at least one ${BLANK_MARKER} to the code snippet.`;
+      if ((question.blankAnswers || []).length !== blanks || question.blankAnswers.some((answer) => !answer.trim())) {
+        return 'Every blank needs an answer.';
+      }
+      return null;
+    }
+    case 'numeric':
+      return question.numericAnswer === '' || question.numericAnswer === undefined || !Number.isFinite(Number(question.numericAnswer))
+        ? 'Numeric questions need a numeric answer.'
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether attempts at a quiz must be started on the server before they are
+ * submitted, mirroring the API: timed, attempt-limited and shuffled quizzes.
+ */
+export const requiresStart = (settings = {}) =>
+  Boolean(settings.timeLimitSeconds || settings.maxAttempts || settings.shuffleQuestions || settings.shuffleOptions);
+
+/**
+ * Formats a number of seconds as m:ss, or h:mm:ss from an hour up.
+ */
+export const formatCountdown = (totalSeconds) => {
+  const seconds = Math.max(0, Math.ceil(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
@@ -0,0 +1,190 @@
+// Navigation and expression evaluation over the step events returned by
+// POST /api/execute. Steps carry the call `stack` (outermost frame first),
+// a `heap` of referenced objects and, for JavaScript, the visible `scopes`.
+
+// Call depth of every event. Events without a stack (Python expression
+// events, C++ steps) inherit the depth of the step before them.
+export const getCallDepths = (events) => {
+  let depth = 1;
+  return events.map((event) => {
+    if (event.stack) depth = event.stack.length;
+    return depth;
+  });
+};
+
+// The closest event at or before `index` that carries a stack snapshot.
+export const findSnapshot = (events, index) => {
+  for (let i = index; i >= 0; i--) {
+    if (events[i]?.stack) return events[i];
+  }
+  return null;
+};
+
+const findIndex = (events, from, direction, matches) => {
+  for (let i = from + direction; i >= 0 && i < events.length; i += direction) {
+    if (matches(i)) return i;
+  }
+  return -1;
+};
+
+/**
+ * Next event in the same or a calling frame, skipping over calls made from
+ * the current line. Returns -1 when the trace ends first.
+ */
+export const findStepOver = (events, index) => {
+  const depths = getCallDepths(events);
+  return findIndex(events, index, 1, (i) => depths[i] <= depths[index]);
+};
+
+/**
+ * Previous event in the same or a calling frame, the reverse of step over.
+ */
+export const findStepBackOver = (events, index) => {
+  const depths = getCallDepths(events);
+  return findIndex(events, index, -1, (i) => depths[i] <= depths[index]);
+};
+
+/**
+ * First event after the current function returns to its caller.
+ */
+export const findStepOut = (events, index) => {
+  const depths = getCallDepths(events);
+  return findIndex(events, index, 1, (i) => depths[i] < depths[index]);
+};
+
+// Python and JavaScript print values differently; both are turned back
+// into JavaScript values where the text is a literal.
+const parseLiteral = (text) => {
+  if (text === undefined || text === 'undefined') return undefined;
+  if (text === 'None' || text === 'null') return null;
+  if (text === 'True') return true;
+  if (text === 'False') return false;
+  if (/^'.*'$/s.test(text)) {
+    try {
+      return JSON.parse(`"${text.slice(1, -1).replace(/\\'/g, "'").replace(/"/g, '\\"')}"`);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// Rebuilds a value from its encoded form (`{ value }` or `{ ref }` into the
+// heap). Shared and cyclic references are kept.
+const decodeValue = (encoded, heap, cache) => {
+  if (!encoded?.ref) return parseLiteral(encoded?.value);
+  if (cache.has(encoded.ref)) return cache.get(encoded.ref);
+  const object = heap[encoded.ref];
+  if (!object) return undefined;
+
+  if (object.type === 'function') {
+    const fn = () => {
+      throw new Error(`Cannot call ${object.label} from a watch expression`);
+    };
+    cache.set(encoded.ref, fn);
+    return fn;
+  }
+  if (['array', 'list', 'tuple', 'set'].includes(object.type)) {
+    const items = [];
+    cache.set(encoded.ref, items);
+    object.entries.forEach((entry) => items.push(decodeValue(entry.value, heap, cache)));
+    return items;
+  }
+  const result = {};
+  cache.set(encoded.ref, result);
+  object.entries.forEach((entry) => {
+    // Python dict keys are printed with repr, e.g. 'name'
+    result[parseLiteral(entry.key)] = decodeValue(entry.value, heap, cache);
+  });
+  return result;
+};
+
+/**
+ * Variables visible at a step, as JavaScript values: every scope for
+ * JavaScript traces, otherwise the current frame's locals on top of the
+ * globals. Falls back to the printed `locals` for traces without a stack.
+ */
+export const getStepVariables = (event) => {
+  if (!event) return {};
+  if (!event.stack) {
+    return Object.fromEntries(Object.entries(event.locals || {}).map(([name, text]) => [name, parseLiteral(text)]));
+  }
+  const cache = new Map();
+  const decodeAll = (values) =>
+    Object.fromEntries(Object.entries(values || {}).map(([name, value]) => [name, decodeValue(value, event.heap || {}, cache)]));
+
+  if (event.scopes) {
+    // Innermost scope wins, so outer scopes are applied first
+    return Object.assign({}, ...[...event.scopes].reverse().map((scope) => decodeAll(scope.bindings)));
+  }
+  const globals = event.stack[0]?.locals;
+  const current = event.stack[event.stack.length - 1]?.locals;
+  return { ...decodeAll(globals), ...decodeAll(current) };
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Evaluates a JavaScript expression against a step's variables. Used for
+ * watch expressions and breakpoint conditions.
+ *
+ * @param {string} expression - e.g. `i * 2` or `items.length > 3`.
+ * @param {object} variables - Result of getStepVariables.
+ * @returns {{value?: any, error?: string}}
+ */
+export const evaluateExpression = (expression, variables) => {
+  const names = Object.keys(variables).filter((name) => IDENTIFIER.test(name));
+  try {
+    const evaluate = new Function(...names, `"use strict"; return (${expression});`);
+    return { value: evaluate(...names.map((name) => variables[name])) };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+/**
+ * Whether a step stops at one of the breakpoints. A breakpoint with a
+ * condition only stops when the condition is truthy at that step.
+ *
+ * @param {object} event - A trace event.
+ * @param {Record<number, {condition: string}>} breakpoints - Keyed by line.
+ */
+export const hitsBreakpoint = (event, breakpoints) => {
+  if (event?.event !== 'step') return false;
+  const breakpoint = breakpoints[event.line];
+  if (!breakpoint) return false;
+  if (!breakpoint.condition?.trim()) return true;
+  const { value } = evaluateExpression(breakpoint.condition, getStepVariables(event));
+  return Boolean(value);
+};
+
+/**
+ * Next (direction 1) or previous (direction -1) step that hits a
+ * breakpoint, or -1.
+ */
+export const findBreakpoint = (events, index, breakpoints, direction = 1) =>
+  findIndex(events, index, direction, (i) => hitsBreakpoint(events[i], breakpoints));
+
+/**
+ * Formats a watch value for display.
+ */
+export const formatWatchValue = (value) => {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'function') return '[Function]';
+  try {
+    const seen = new WeakSet();
+    return JSON.stringify(value, (key, item) => {
+      if (typeof item === 'object' && item !== null) {
+        if (seen.has(item)) return '[Circular]';
+        seen.add(item);
+      }
+      return item;
+    });
+  } catch {
+    return String(value);
+  }
+};